@@ -1,3 +1,7 @@
+import { readFileSync } from 'node:fs'
+import { defaultExtensions } from '../src/files.js'
+import { parseQuery } from '../src/query.js'
+
 /**
  * Show usage instructions
  */
@@ -5,38 +9,173 @@ export function showUsage() {
   console.log('parquet-grep - Search for text in Apache Parquet files')
   console.log()
   console.log('Usage:')
-  console.log('  parquet-grep [options] <query> [parquet-file]')
+  console.log('  parquet-grep [options] <query> [file | directory | glob | url ...]')
+  console.log('  parquet-grep [options] -e <pattern> [-e <pattern> ...] [file | directory | glob | url ...]')
+  console.log('  parquet-grep --info [options] [file | directory | glob | url ...]')
+  console.log('  parquet-grep --interactive [options] <query> [file | directory | glob | url ...]')
+  console.log('  parquet-grep serve [--port <n>] [--host <host>] [--max-searches <n>] [-j <n>] <directory>')
+  console.log('  parquet-grep index [-j <n>] <directory>')
   console.log()
   console.log('Options:')
-  console.log('  -i               Force case-insensitive search')
-  console.log('  -v               Invert match (show non-matching rows)')
-  console.log('  --limit <n>      Limit matches per file (default: 5, 0 = unlimited)')
-  console.log('  --offset <n>     Skip first N matches per file (default: 0)')
-  console.log('  --trim <n>       Trim cell text to N chars around match (default: 60, 0 = no trim)')
-  console.log('  --jsonl          Output in JSONL format')
-  console.log('  --table          Output in table format (default)')
+  console.log('  -i                         Force case-insensitive search')
+  console.log('  -v                         Invert match (show non-matching rows)')
+  console.log('  -e, --regexp <pattern>     Search for this pattern, instead of the query argument (repeatable)')
+  console.log('  -f, --file <file>          Search for the patterns in this file, one per line (repeatable)')
+  console.log('  -F, --fixed-strings        Treat patterns as plain text, not regexes')
+  console.log('  -w, --word-regexp          Only match whole words')
+  console.log('  -x, --cell-regexp          Only match the whole text of a cell')
+  console.log('  --fuzzy <n>                Match text within N edits of a pattern, as plain text (see distance in JSONL)')
+  console.log('  -Q, --expr                 Treat the query as an expression of column predicates (see below)')
+  console.log('  --where <expr>             Only search rows matching this expression, such as dt>=2024-05-01 (repeatable)')
+  console.log('  --limit <n>                Limit matches per file (default: 5, 0 = unlimited)')
+  console.log('  --offset <n>               Skip first N matches per file (default: 0)')
+  console.log('  --rank                     Show the most relevant matches across all files, best first, with --limit and --offset counting across files')
+  console.log('  -A, --after-context <n>    Also show N rows after each match, marked as context')
+  console.log('  -B, --before-context <n>   Also show N rows before each match, marked as context')
+  console.log('  -C, --context <n>          Also show N rows before and after each match')
+  console.log('  --trim <n>                 Trim cell text to N chars around match (default: 60, 0 = no trim)')
+  console.log('  --column <name>            Search only this column, use dots for nested fields (repeatable)')
+  console.log('  --exclude-column <name>    Do not search this column (repeatable)')
+  console.log('  --select <a,b,...>         Output these columns instead of the searched columns')
+  console.log('  --strict-schema            Refuse to search files whose columns or column types differ, listing the differences')
+  console.log('  --interactive              Browse matches page by page in a full-screen terminal UI, editing the query live')
+  console.log('  --info, --schema           Print the schema, row groups, column statistics and metadata of each file instead of searching')
+  console.log('  --stats                    Report how many files and row groups were skipped, and bytes fetched')
+  console.log('  -j, --jobs <n>             Search N files concurrently (default: 1)')
+  console.log('  --unordered                Output JSONL, CSV or TSV matches as found, not grouped by file')
+  console.log('  -c, --count                Print the number of matching rows per file')
+  console.log('  -l, --files-with-matches   Print only the names of files with a match')
+  console.log('  -L, --files-without-match  Print only the names of files without a match')
+  console.log('  -q, --quiet                Print nothing and stop at the first match, for use in scripts')
+  console.log('  --fail-fast                Stop at the first file that cannot be read, instead of skipping it')
+  console.log('  --include <glob>           Only search files in directories matching this glob (repeatable)')
+  console.log('  --exclude <glob>           Skip files and directories matching this glob (repeatable)')
+  console.log('  --gitignore                Skip files and directories listed in .gitignore and .ignore files')
+  console.log('  --hidden                   Also search hidden files and directories, and node_modules')
+  console.log('  --max-depth <n>            Descend at most N directory levels (1 = only files directly inside)')
+  console.log('  --follow-symlinks          Follow symbolic links in directories')
+  console.log('  --ext <ext>                Also find files with this extension (repeatable)')
+  console.log('  --header <name: value>     Send this HTTP header when reading URLs, such as Authorization (repeatable)')
+  console.log('  --retries <n>              Retry failed URL requests N times, with backoff (default: 3)')
+  console.log('  --timeout <seconds>        Wait at most this long for each URL request (default: 30, 0 = no limit)')
+  console.log('  --cache-dir <dir>          Cache byte ranges of URLs in this directory (default: $PARQUET_GREP_CACHE_DIR)')
+  console.log('  --cache-size <mb>          Keep at most this many megabytes in the cache (default: 1024)')
+  console.log('  --no-cache                 Fetch URLs without the cache, even if $PARQUET_GREP_CACHE_DIR is set')
+  console.log('  --no-index                 Read every row group, without the token indexes built by parquet-grep index')
+  console.log('  --jsonl                    Output in JSONL format')
+  console.log('  --matches-only             With --jsonl, output the column, position and text of each match instead of the row')
+  console.log('  --table                    Output in table format (default)')
+  console.log('  --csv                      Output in CSV format, with nested fields as dotted columns')
+  console.log('  --output <file>            Write matching rows to a new parquet file (unlimited unless --limit is given)')
+  console.log('  --tsv                      Output in TSV format, with nested fields as dotted columns')
+  console.log()
+  console.log('Serve options:')
+  console.log('  --port <n>                 Listen on this port (default: 8080)')
+  console.log('  --host <host>              Listen on this address (default: 127.0.0.1, only this machine)')
+  console.log('  --max-searches <n>         Run at most N searches at once, refusing more (default: 4)')
+  console.log('  -j, --jobs <n>             Search N files concurrently in each search (default: 1)')
+  console.log()
+  console.log('Index options:')
+  console.log('  -j, --jobs <n>             Index N files concurrently (default: 1)')
+  console.log()
+  console.log('Directories are searched recursively for .parquet, .pq and .parq files.')
+  console.log('If no file is specified, searches the current directory.')
+  console.log('Globs such as data/**/year=2024/*.parquet are expanded, quote them to')
+  console.log('let parquet-grep expand ** instead of the shell.')
+  console.log('s3://bucket/prefix is searched like a directory, with credentials from')
+  console.log('AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY and an optional AWS_ENDPOINT_URL.')
+  console.log('parquet-grep index stores a token index of each file in a .parquet-grep-index')
+  console.log('directory beside it, so searches skip row groups the index rules out. The index')
+  console.log('of a file is ignored once its size or modification time changes, until indexed again.')
+  console.log()
+  console.log('Query expressions (-Q):')
+  console.log('  Combine terms with AND, OR, NOT and parentheses, for example:')
+  console.log('    status:500 AND path~/api/ AND NOT user_agent~bot')
+  console.log('    latency>250 OR ts>=2024-01-01')
+  console.log('  col:value equals, col!=value differs, col~regex matches,')
+  console.log('  col>value, col>=value, col<value, col<=value compare numbers, dates or text.')
+  console.log('  A bare term is a regex searched in every column. Quote values with spaces.')
   console.log()
-  console.log('If no file is specified, recursively searches all .parquet files')
-  console.log('in the current directory and subdirectories.')
+  console.log('Exit status:')
+  console.log('  0 if any row matched, 1 if no row matched, 2 if an error occurred.')
+  console.log('  With -q, a match exits 0 even if an error occurred.')
   console.log()
   console.log('Smart case:')
   console.log('  By default, searches are case-insensitive if the query is all lowercase,')
   console.log('  and case-sensitive if the query contains any uppercase letters.')
 }
 
+/**
+ * @import {QueryNode} from '../src/query.js'
+ */
+
 /**
  * Check if a string contains any uppercase letters
  * @param {string} str
  * @returns {boolean}
  */
-function hasUpperCase(str) {
+export function hasUpperCase(str) {
   return /[A-Z]/.test(str)
 }
 
+/**
+ * @typedef {'count' | 'files-with-matches' | 'files-without-match'} SummaryMode
+ */
+
+/**
+ * @typedef {object} ParsedArgs
+ * @property {string} query - Query argument, empty when patterns are given with -e or -f, or with --info
+ * @property {string[]} patterns - Patterns to search for, any of which a row can match
+ * @property {boolean} fixedStrings - Match patterns as plain text
+ * @property {boolean} wholeWord - Only match whole words
+ * @property {boolean} wholeCell - Only match the whole text of a cell
+ * @property {number | undefined} fuzzy - Match text within this many edits of a pattern
+ * @property {string[]} files - Files, directories, globs or URLs to search, empty for the current directory
+ * @property {boolean} caseInsensitive
+ * @property {boolean} ignoreCase - Case-insensitive from -i, for queries edited with --interactive
+ * @property {string} viewMode
+ * @property {boolean} invert
+ * @property {number} limit
+ * @property {number} offset
+ * @property {boolean} rank - Output the best matches across files instead of the first in each, with limit and offset across files
+ * @property {number} before - Rows of context to show before each match
+ * @property {number} after - Rows of context to show after each match
+ * @property {number} trim
+ * @property {boolean} matchesOnly - Output the matched spans of each row instead of the row, in JSONL
+ * @property {string[]} columns - Columns to search, empty to search all
+ * @property {string[]} excludeColumns - Columns to leave out of the search
+ * @property {string[] | undefined} select - Columns to output, undefined for the searched columns
+ * @property {boolean} strictSchema - Refuse to search files with different output columns or types
+ * @property {boolean} interactive - Browse matches in a terminal UI instead of printing them
+ * @property {boolean} info - Print the schema and metadata of each file instead of searching
+ * @property {boolean} stats - Report row group statistics when done
+ * @property {number} jobs - Number of files to search concurrently
+ * @property {boolean} unordered - Stream JSONL matches in the order they are found
+ * @property {SummaryMode | undefined} summary - Print a per-file summary instead of matching rows
+ * @property {boolean} quiet - Print nothing, only exit with the status
+ * @property {boolean} failFast - Stop at the first unreadable file
+ * @property {string | undefined} output - Parquet file to write matching rows to
+ * @property {string[]} include - Globs that files found in directories must match
+ * @property {string[]} exclude - Globs of files and directories to skip
+ * @property {boolean} gitignore - Skip paths listed in .gitignore and .ignore files
+ * @property {boolean} hidden - Search hidden files and directories and node_modules
+ * @property {number | undefined} maxDepth - Directory levels to descend into, unlimited if undefined
+ * @property {boolean} followSymlinks - Follow symbolic links in directories
+ * @property {string[]} extensions - Extensions of parquet files to find in directories
+ * @property {Record<string, string>} headers - HTTP headers to send when reading URLs
+ * @property {number | undefined} retries - Times to retry failed URL requests, the library default if undefined
+ * @property {number | undefined} timeout - Milliseconds to wait for each URL request, the library default if undefined
+ * @property {string | undefined} cacheDir - Directory to cache byte ranges of URLs in, undefined for no cache
+ * @property {number | undefined} cacheSize - Bytes to keep in the cache, the library default if undefined
+ * @property {boolean} index - Skip row groups by the token index of each file, false with --no-index
+ * @property {QueryNode | undefined} filter - Parsed query expression, with -Q
+ * @property {QueryNode | undefined} where - Expression rows must also match, from --where
+ */
+
 /**
  * Parse command line arguments
  * @param {string[]} args - Array of command line arguments
- * @returns {{query: string, file: string|undefined, caseInsensitive: boolean, viewMode: string, invert: boolean, limit: number, offset: number, trim: number}}
+ * @returns {ParsedArgs}
  */
 export function parseArgs(args) {
 
@@ -48,10 +187,66 @@ export function parseArgs(args) {
   // Parse flags
   let forceInsensitive = false
   let invert = false
+  /** @type {string[] | undefined} */
+  let patterns // from -e and -f, instead of the query argument
+  let fixedStrings = false
+  let wholeWord = false
+  let wholeCell = false
+  /** @type {number | undefined} */
+  let fuzzy
   let viewMode = 'table' // default to table
-  let limit = 5 // default limit
+  let matchesOnly = false
+  /** @type {number | undefined} */
+  let limit // defaults to 5, or unlimited when counting
   let offset = 0 // default offset
+  let rank = false
+  let before = 0
+  let after = 0
   let trim = 60 // default trim length
+  /** @type {string[]} */
+  const columns = []
+  /** @type {string[]} */
+  const excludeColumns = []
+  /** @type {string[] | undefined} */
+  let select
+  let strictSchema = false
+  let interactive = false
+  let info = false
+  let stats = false
+  let jobs = 1
+  let unordered = false
+  /** @type {SummaryMode | undefined} */
+  let summary
+  let quiet = false
+  let failFast = false
+  /** @type {string | undefined} */
+  let output
+  /** @type {string[]} */
+  const include = []
+  /** @type {string[]} */
+  const exclude = []
+  let gitignore = false
+  let hidden = false
+  /** @type {number | undefined} */
+  let maxDepth
+  let followSymlinks = false
+  const extensions = [...defaultExtensions]
+  /** @type {Record<string, string>} */
+  const headers = {}
+  /** @type {number | undefined} */
+  let retries
+  /** @type {number | undefined} */
+  let timeout
+  // The cache is opt-in, with a flag or for every search with the environment variable
+  /** @type {string | undefined} */
+  let cacheDir = process.env.PARQUET_GREP_CACHE_DIR || undefined
+  /** @type {number | undefined} */
+  let cacheSize
+  let noCache = false
+  let index = true
+  /** @type {string[]} */
+  const whereExprs = []
+  let expr = false
   let i = 0
 
   // Process all flags
@@ -62,11 +257,39 @@ export function parseArgs(args) {
     } else if (args[i] === '-v') {
       invert = true
       i++
+    } else if (args[i] === '-e' || args[i] === '--regexp') {
+      patterns = [...patterns ?? [], requireValue(args, i)]
+      i += 2 // skip both flag and value
+    } else if (args[i] === '-f' || args[i] === '--file') {
+      patterns = [...patterns ?? [], ...readPatterns(requireValue(args, i))]
+      i += 2 // skip both flag and value
+    } else if (args[i] === '-F' || args[i] === '--fixed-strings') {
+      fixedStrings = true
+      i++
+    } else if (args[i] === '-w' || args[i] === '--word-regexp') {
+      wholeWord = true
+      i++
+    } else if (args[i] === '-x' || args[i] === '--cell-regexp') {
+      wholeCell = true
+      i++
+    } else if (args[i] === '--fuzzy') {
+      fuzzy = parseInt(args[i + 1], 10)
+      if (isNaN(fuzzy) || fuzzy < 0) {
+        console.error('Error: fuzzy must be a non-negative integer')
+        process.exit(2)
+      }
+      i += 2 // skip both flag and value
+    } else if (args[i] === '-Q' || args[i] === '--expr') {
+      expr = true
+      i++
+    } else if (args[i] === '--where') {
+      whereExprs.push(requireValue(args, i))
+      i += 2 // skip both flag and value
     } else if (args[i] === '-m' || args[i] === '--limit') {
       const limitValue = parseInt(args[i + 1], 10)
       if (isNaN(limitValue) || limitValue < 0) {
         console.error('Error: limit must be a non-negative integer')
-        process.exit(1)
+        process.exit(2)
       }
       limit = limitValue
       i += 2 // skip both flag and value
@@ -74,61 +297,441 @@ export function parseArgs(args) {
       const offsetValue = parseInt(args[i + 1], 10)
       if (isNaN(offsetValue) || offsetValue < 0) {
         console.error('Error: offset must be a non-negative integer')
-        process.exit(1)
+        process.exit(2)
       }
       offset = offsetValue
       i += 2 // skip both flag and value
+    } else if (['-A', '--after-context', '-B', '--before-context', '-C', '--context'].includes(args[i])) {
+      const contextValue = parseInt(args[i + 1], 10)
+      if (isNaN(contextValue) || contextValue < 0) {
+        console.error('Error: context must be a non-negative integer')
+        process.exit(2)
+      }
+      if (args[i] !== '-B' && args[i] !== '--before-context') after = contextValue
+      if (args[i] !== '-A' && args[i] !== '--after-context') before = contextValue
+      i += 2 // skip both flag and value
     } else if (args[i] === '--trim') {
       const trimValue = parseInt(args[i + 1], 10)
       if (isNaN(trimValue) || trimValue < 0) {
         console.error('Error: trim must be a non-negative integer')
-        process.exit(1)
+        process.exit(2)
       }
       trim = trimValue
       i += 2 // skip both flag and value
+    } else if (args[i] === '--column') {
+      columns.push(requireValue(args, i))
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--exclude-column') {
+      excludeColumns.push(requireValue(args, i))
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--select') {
+      const names = requireValue(args, i).split(',').map(name => name.trim()).filter(Boolean)
+      select = [...select ?? [], ...names]
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--strict-schema') {
+      strictSchema = true
+      i++
+    } else if (args[i] === '--interactive') {
+      interactive = true
+      i++
+    } else if (args[i] === '--info' || args[i] === '--schema') {
+      info = true
+      i++
+    } else if (args[i] === '--stats') {
+      stats = true
+      i++
+    } else if (args[i] === '-j' || args[i] === '--jobs') {
+      const jobsValue = parseInt(args[i + 1], 10)
+      if (isNaN(jobsValue) || jobsValue < 1) {
+        console.error('Error: jobs must be a positive integer')
+        process.exit(2)
+      }
+      jobs = jobsValue
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--rank') {
+      rank = true
+      i++
+    } else if (args[i] === '--unordered') {
+      unordered = true
+      i++
+    } else if (args[i] === '-c' || args[i] === '--count') {
+      summary = 'count'
+      i++
+    } else if (args[i] === '-l' || args[i] === '--files-with-matches') {
+      summary = 'files-with-matches'
+      i++
+    } else if (args[i] === '-L' || args[i] === '--files-without-match') {
+      summary = 'files-without-match'
+      i++
+    } else if (args[i] === '-q' || args[i] === '--quiet') {
+      quiet = true
+      i++
+    } else if (args[i] === '--fail-fast') {
+      failFast = true
+      i++
+    } else if (args[i] === '--output') {
+      output = requireValue(args, i)
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--include') {
+      include.push(requireValue(args, i))
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--exclude') {
+      exclude.push(requireValue(args, i))
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--gitignore') {
+      gitignore = true
+      i++
+    } else if (args[i] === '--hidden') {
+      hidden = true
+      i++
+    } else if (args[i] === '--max-depth') {
+      const depthValue = parseInt(args[i + 1], 10)
+      if (isNaN(depthValue) || depthValue < 0) {
+        console.error('Error: max-depth must be a non-negative integer')
+        process.exit(2)
+      }
+      maxDepth = depthValue
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--follow-symlinks') {
+      followSymlinks = true
+      i++
+    } else if (args[i] === '--ext') {
+      const extension = requireValue(args, i)
+      extensions.push(extension.startsWith('.') ? extension : `.${extension}`)
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--header') {
+      const header = requireValue(args, i)
+      const colon = header.indexOf(':')
+      if (colon < 1) {
+        console.error('Error: header must be in the form "Name: value"')
+        process.exit(2)
+      }
+      headers[header.slice(0, colon).trim()] = header.slice(colon + 1).trim()
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--retries') {
+      const retriesValue = parseInt(args[i + 1], 10)
+      if (isNaN(retriesValue) || retriesValue < 0) {
+        console.error('Error: retries must be a non-negative integer')
+        process.exit(2)
+      }
+      retries = retriesValue
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--timeout') {
+      const timeoutValue = Number(args[i + 1])
+      if (!args[i + 1] || isNaN(timeoutValue) || timeoutValue < 0) {
+        console.error('Error: timeout must be a non-negative number of seconds')
+        process.exit(2)
+      }
+      timeout = timeoutValue * 1000
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--cache-dir') {
+      cacheDir = requireValue(args, i)
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--cache-size') {
+      const sizeValue = Number(args[i + 1])
+      if (!args[i + 1] || isNaN(sizeValue) || sizeValue <= 0) {
+        console.error('Error: cache-size must be a positive number of megabytes')
+        process.exit(2)
+      }
+      cacheSize = Math.round(sizeValue * 1024 * 1024)
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--no-cache') {
+      noCache = true
+      i++
+    } else if (args[i] === '--no-index') {
+      index = false
+      i++
     } else if (args[i] === '--jsonl') {
       viewMode = 'jsonl'
       i++
+    } else if (args[i] === '--matches-only') {
+      matchesOnly = true
+      i++
     } else if (args[i] === '--table') {
       viewMode = 'table'
       i++
+    } else if (args[i] === '--csv') {
+      viewMode = 'csv'
+      i++
+    } else if (args[i] === '--tsv') {
+      viewMode = 'tsv'
+      i++
     } else {
       // First non-flag argument is the query
       break
     }
   }
 
-  const query = args[i]
-  const file = args[i + 1]
+  // With -e, -f or --info, every argument is a file
+  const query = patterns || info ? '' : args[i]
+  const files = args.slice(patterns || info ? i : i + 1)
 
   // Smart case: if query is all lowercase, search case-insensitively
   // if query has any uppercase, search case-sensitively
   // unless -i is specified, which forces case-insensitive
-  const caseInsensitive = forceInsensitive || !hasUpperCase(query)
+  const caseInsensitive = forceInsensitive || !(patterns ?? [query]).some(hasUpperCase)
+
+  if (info && (patterns || expr || summary || quiet || output || rank || strictSchema)) {
+    console.error('Error: --info cannot be combined with -e, -f, -Q, -c, -l, -L, -q, --output, --rank or --strict-schema')
+    process.exit(2)
+  }
+
+  if (info && (viewMode === 'csv' || viewMode === 'tsv')) {
+    console.error('Error: --info requires table or JSONL output')
+    process.exit(2)
+  }
 
-  if (!query) {
+  // The terminal UI edits a single query, and pages through the matching rows of each file
+  if (interactive && (patterns || summary || quiet || output || info || rank || before || after)) {
+    console.error('Error: --interactive cannot be combined with -e, -f, -c, -l, -L, -q, -A, -B, -C, --output, --info or --rank')
+    process.exit(2)
+  }
+
+  if (interactive && viewMode !== 'table') {
+    console.error('Error: --interactive requires table output')
+    process.exit(2)
+  }
+
+  if (!patterns && !query && !info) {
     console.error('Error: query is required')
     showUsage()
-    process.exit(1)
+    process.exit(2)
+  }
+
+  if (expr && (patterns || fixedStrings || wholeWord || wholeCell || fuzzy !== undefined)) {
+    console.error('Error: -Q cannot be combined with -e, -f, -F, -w, -x or --fuzzy')
+    process.exit(2)
+  }
+
+  // Hand query expressions off to the query parser
+  /** @type {QueryNode | undefined} */
+  let filter
+  if (expr) {
+    try {
+      filter = parseQuery(query, forceInsensitive)
+    } catch (/** @type {any} */ error) {
+      console.error('Error: Invalid query expression:', error.message)
+      process.exit(2)
+    }
+  }
+
+  // Repeated --where expressions must all match
+  /** @type {QueryNode | undefined} */
+  let where
+  try {
+    const nodes = whereExprs.map(text => parseQuery(text, forceInsensitive))
+    if (nodes.length) where = nodes.length === 1 ? nodes[0] : { type: 'and', children: nodes }
+  } catch (/** @type {any} */ error) {
+    console.error('Error: Invalid --where expression:', error.message)
+    process.exit(2)
+  }
+
+  if (output && (summary || quiet)) {
+    console.error('Error: --output cannot be combined with -c, -l, -L or -q')
+    process.exit(2)
+  }
+
+  // CSV, TSV and parquet rows have nowhere to mark context
+  if ((before || after) && !summary && !quiet && (output || viewMode === 'csv' || viewMode === 'tsv')) {
+    console.error('Error: -A, -B and -C require table or JSONL output')
+    process.exit(2)
+  }
+
+  if (matchesOnly && (viewMode !== 'jsonl' || output)) {
+    console.error('Error: --matches-only requires --jsonl')
+    process.exit(2)
+  }
+
+  // Ranking orders matches across files, and inverted matches have nothing to score
+  if (rank && (invert || summary || quiet || before || after || unordered)) {
+    console.error('Error: --rank cannot be combined with -v, -c, -l, -L, -q, -A, -B, -C or --unordered')
+    process.exit(2)
+  }
+
+  if (unordered && viewMode === 'table') {
+    console.error('Error: --unordered requires --jsonl, --csv or --tsv')
+    process.exit(2)
   }
 
   return {
     query,
-    file, // may be undefined
+    patterns: patterns ?? [query],
+    fixedStrings,
+    wholeWord,
+    wholeCell,
+    fuzzy,
+    files,
     caseInsensitive,
+    ignoreCase: forceInsensitive,
     viewMode,
     invert,
-    limit,
+    limit: limit ?? (summary === 'count' || output ? 0 : 5),
     offset,
+    rank,
+    before,
+    after,
     trim,
+    matchesOnly,
+    columns,
+    excludeColumns,
+    select,
+    strictSchema,
+    interactive,
+    info,
+    stats,
+    jobs,
+    unordered,
+    summary,
+    quiet,
+    failFast,
+    output,
+    include,
+    exclude,
+    gitignore,
+    hidden,
+    maxDepth,
+    followSymlinks,
+    extensions,
+    headers,
+    retries,
+    timeout,
+    cacheDir: noCache ? undefined : cacheDir,
+    cacheSize,
+    index,
+    filter,
+    where,
   }
 }
 
 /**
- * Check if a string is a URL
- * @param {string} str
- * @returns {boolean}
+ * @typedef {object} ServeArgs
+ * @property {string} dir - Directory of parquet files to serve
+ * @property {number} port
+ * @property {string} host
+ * @property {number} maxSearches - Searches to run at once
+ * @property {number} jobs - Files to search concurrently in each search
+ */
+
+/**
+ * Parse the arguments of the serve command, after `serve`
+ * @param {string[]} args
+ * @returns {ServeArgs}
+ */
+export function parseServeArgs(args) {
+  let port = 8080
+  let host = '127.0.0.1'
+  let maxSearches = 4
+  let jobs = 1
+  let i = 0
+  while (i < args.length) {
+    if (args[i] === '-h' || args[i] === '--help') {
+      showUsage()
+      process.exit(0)
+    } else if (args[i] === '--port') {
+      const portValue = parseInt(args[i + 1], 10)
+      if (isNaN(portValue) || portValue < 0 || portValue > 65535) {
+        console.error('Error: port must be an integer from 0 to 65535')
+        process.exit(2)
+      }
+      port = portValue
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--host') {
+      host = requireValue(args, i)
+      i += 2 // skip both flag and value
+    } else if (args[i] === '--max-searches') {
+      const searchesValue = parseInt(args[i + 1], 10)
+      if (isNaN(searchesValue) || searchesValue < 1) {
+        console.error('Error: max-searches must be a positive integer')
+        process.exit(2)
+      }
+      maxSearches = searchesValue
+      i += 2 // skip both flag and value
+    } else if (args[i] === '-j' || args[i] === '--jobs') {
+      const jobsValue = parseInt(args[i + 1], 10)
+      if (isNaN(jobsValue) || jobsValue < 1) {
+        console.error('Error: jobs must be a positive integer')
+        process.exit(2)
+      }
+      jobs = jobsValue
+      i += 2 // skip both flag and value
+    } else {
+      break
+    }
+  }
+
+  if (args.length !== i + 1) {
+    console.error('Error: serve requires one directory')
+    process.exit(2)
+  }
+  return { dir: args[i], port, host, maxSearches, jobs }
+}
+
+/**
+ * @typedef {object} IndexArgs
+ * @property {string} dir - Directory of parquet files to index
+ * @property {number} jobs - Files to index concurrently
+ */
+
+/**
+ * Parse the arguments of the index command, after `index`
+ * @param {string[]} args
+ * @returns {IndexArgs}
+ */
+export function parseIndexArgs(args) {
+  let jobs = 1
+  let i = 0
+  while (i < args.length) {
+    if (args[i] === '-h' || args[i] === '--help') {
+      showUsage()
+      process.exit(0)
+    } else if (args[i] === '-j' || args[i] === '--jobs') {
+      const jobsValue = parseInt(args[i + 1], 10)
+      if (isNaN(jobsValue) || jobsValue < 1) {
+        console.error('Error: jobs must be a positive integer')
+        process.exit(2)
+      }
+      jobs = jobsValue
+      i += 2 // skip both flag and value
+    } else {
+      break
+    }
+  }
+
+  if (args.length !== i + 1) {
+    console.error('Error: index requires one directory')
+    process.exit(2)
+  }
+  return { dir: args[i], jobs }
+}
+
+/**
+ * Read patterns from a file, one per line, exiting if it cannot be read
+ * @param {string} file
+ * @returns {string[]}
+ */
+function readPatterns(file) {
+  try {
+    const lines = readFileSync(file, 'utf8').split(/\r?\n/)
+    // A final line break does not start another pattern
+    if (lines[lines.length - 1] === '') lines.pop()
+    return lines
+  } catch (/** @type {any} */ error) {
+    console.error(`Error: cannot read patterns from ${file}:`, error.message)
+    process.exit(2)
+  }
+}
+
+/**
+ * Get the value following a flag, exiting if it is missing
+ * @param {string[]} args
+ * @param {number} i - Index of the flag
+ * @returns {string}
  */
-export function isUrl(str) {
-  return str.startsWith('http://') || str.startsWith('https://')
+function requireValue(args, i) {
+  const value = args[i + 1]
+  if (value === undefined) {
+    console.error(`Error: ${args[i]} requires a value`)
+    process.exit(2)
+  }
+  return value
 }
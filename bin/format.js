@@ -1,4 +1,13 @@
 import { toJson } from 'hyparquet'
+import { getPathValue } from '../src/columns.js'
+import { globalRegex } from '../src/patterns.js'
+import { isNested, stringifyValue, toDisplayValue } from '../src/stringify.js'
+
+/**
+ * @import {FlatColumn} from '../src/columns.js'
+ * @import {FileInfo, SchemaInfo} from '../src/info.js'
+ * @import {MatchSpan, SearchMatch} from '../src/search.js'
+ */
 
 /**
  * Trim text to show context around the first match
@@ -7,7 +16,7 @@ import { toJson } from 'hyparquet'
  * @param {number} maxLength - Maximum length of output (0 = no trim)
  * @returns {string}
  */
-function trimToContext(text, regex, maxLength) {
+export function trimToContext(text, regex, maxLength) {
   if (maxLength <= 0 || text.length <= maxLength) {
     return text
   }
@@ -62,27 +71,25 @@ function shouldColorize() {
 /**
  * Highlight all matches in a string with ANSI color codes
  * @param {string} text
- * @param {RegExp} regex
+ * @param {RegExp | undefined} regex
  * @param {boolean} invert - If true, don't highlight (used for inverted matches)
  * @returns {string}
  */
-function highlightMatches(text, regex, invert) {
+export function highlightMatches(text, regex, invert) {
   if (invert || !regex || !shouldColorize()) return text
 
   // Use reverse video (inverted colors) for highlighting
   const highlightStart = '\x1b[7m'
   const highlightEnd = '\x1b[27m'
 
-  // Create a global version of the regex to find all matches
-  const globalRegex = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : regex.flags + 'g')
-
-  return text.replace(globalRegex, match => `${highlightStart}${match}${highlightEnd}`)
+  // A global copy finds all matches, including the approximate spans of fuzzy patterns
+  return text.replace(globalRegex(regex), match => `${highlightStart}${match}${highlightEnd}`)
 }
 
 /**
  * Escape pipe characters for markdown table cells
  * @param {any} value
- * @param {RegExp} regex
+ * @param {RegExp | undefined} regex
  * @param {boolean} invert
  * @param {number} trim - Maximum length of text (0 = no trim)
  * @returns {string}
@@ -91,7 +98,8 @@ function escapeMarkdownCell(value, regex, invert, trim) {
   if (value === null || value === undefined) {
     return 'null'
   }
-  const str = typeof value === 'bigint' ? value.toString() : JSON.stringify(value)
+  // Leaf values display the same text they are searched by
+  const str = JSON.stringify(isNested(value) ? toDisplayValue(value) : stringifyValue(value))
   // Remove quotes for cleaner display
   const cleanStr = str.replace(/^"(.*)"$/, '$1')
 
@@ -106,44 +114,47 @@ function escapeMarkdownCell(value, regex, invert, trim) {
 }
 
 /**
- * Render matches as a markdown table, streaming rows as they arrive
- * @param {string} filePath
- * @param {AsyncGenerator<{rowOffset: number, row: Record<string, any>, regex: RegExp}>} matches
+ * Create a writer for markdown tables, starting a new table whenever the file changes.
+ * The columns of each table come from the first row of its file, or are given for files with
+ * different schemas, showing columns a file lacks as (missing) rather than null.
+ * Context rows are marked after their row number and not highlighted.
  * @param {boolean} invert - If true, don't highlight (inverted matches)
  * @param {number} trim - Maximum length of text (0 = no trim)
- * @returns {Promise<number>} - Number of rows rendered
+ * @param {string[]} [columns] - Row keys to show in every table
+ * @returns {(match: SearchMatch) => void} Writes one match as a table row
  */
-export async function renderMarkdownTable(filePath, matches, invert, trim) {
-  /** @type {string[] | null} */
-  let columns = null
-  let rowCount = 0
+export function createTableWriter(invert, trim, columns) {
+  /** @type {string | undefined} */
+  let currentFile
+  /** @type {string[]} */
+  let header = []
 
-  for await (const match of matches) {
-    // Print header on first row
-    if (columns === null) {
-      columns = Object.keys(match.row)
+  return ({ file, rowOffset, row, regex, context }) => {
+    /** @type {Record<string, any>} */
+    const values = row
+    // Print the header on the first row of each file
+    if (file !== currentFile) {
+      currentFile = file
+      header = columns ?? Object.keys(values)
 
       // Print file header
-      console.log(`## ${filePath}\n`)
+      console.log(`## ${file}\n`)
 
       // Print table header
-      console.log(`| Row | ${columns.join(' | ')} |`)
-      console.log(`|-----|${columns.map(() => '-----').join('|')}|`)
+      console.log(`| Row | ${header.join(' | ')} |`)
+      console.log(`|-----|${header.map(() => '-----').join('|')}|`)
     }
 
     // Print the row
-    const cells = columns.map(col => escapeMarkdownCell(match.row[col], match.regex, invert, trim))
-    console.log(`| ${match.rowOffset} | ${cells.join(' | ')} |`)
-    rowCount++
+    const cells = header.map(col => col in values ? escapeMarkdownCell(values[col], regex, invert || context, trim) : '(missing)')
+    console.log(`| ${context ? `${rowOffset} (context)` : rowOffset} | ${cells.join(' | ')} |`)
   }
-
-  return rowCount
 }
 
 /**
  * Highlight matches in an object's values recursively
  * @param {any} obj
- * @param {RegExp} regex
+ * @param {RegExp | undefined} regex
  * @param {boolean} invert
  * @param {number} trim - Maximum length of text (0 = no trim)
  * @returns {any}
@@ -175,21 +186,194 @@ function highlightObject(obj, regex, invert, trim) {
 }
 
 /**
- * Format output for JSONL mode
- * @param {object} options
- * @param {string} options.filename
- * @param {number} options.rowOffset
- * @param {object} options.row
- * @param {RegExp} options.regex
- * @param {boolean} options.invert
- * @param {number} options.trim - Maximum length of text (0 = no trim)
+ * Format output for JSONL mode. Context rows have `"context": true` and are not highlighted.
+ * Fuzzy matches have the fewest edits between a matched span and the query as `"distance"`,
+ * and ranked matches their relevance as `"score"`.
+ * @param {JsonlRecordOptions} options
+ */
+export function formatJsonlOutput(options) {
+  console.log(JSON.stringify(jsonlRecord(options)))
+}
+
+/**
+ * @typedef {object} JsonlRecordOptions
+ * @property {string} filename
+ * @property {number} rowOffset
+ * @property {object} row
+ * @property {RegExp | undefined} regex - Regex to highlight and trim around, if any
+ * @property {boolean} invert
+ * @property {number} trim - Maximum length of text (0 = no trim)
+ * @property {boolean} [context] - True for a row of context around a match
+ * @property {number} [distance] - Edit distance of a fuzzy match
+ * @property {number} [score] - Relevance of a ranked match
+ * @property {MatchSpan[]} [spans] - Matched spans, for clients that highlight matches themselves
+ */
+
+/**
+ * Build the JSON record of a match that formatJsonlOutput prints, ready for JSON.stringify
+ * @param {JsonlRecordOptions} options
+ * @returns {unknown}
  */
-export function formatJsonlOutput({ filename, rowOffset, row, regex, invert, trim }) {
-  const highlightedRow = regex && !invert ? highlightObject(row, regex, invert, trim) : row
+export function jsonlRecord({ filename, rowOffset, row, regex, invert, trim, context, distance, score, spans }) {
+  const value = toDisplayValue(row)
+  const highlightedRow = regex && !invert && !context ? highlightObject(value, regex, invert, trim) : value
+  /** @type {Record<string, any>} */
   const output = {
     filename,
     rowOffset,
     value: highlightedRow,
   }
-  console.log(JSON.stringify(toJson(output)))
+  if (context) output.context = true
+  if (distance !== undefined) output.distance = distance
+  if (score !== undefined) output.score = score
+  if (spans) output.spans = spans
+  return toJson(output)
+}
+
+/**
+ * Format the matched spans of a row for JSONL mode with --matches-only
+ * @param {SearchMatch & { score?: number }} match
+ */
+export function formatJsonlSpans({ file, rowOffset, spans, distance, score }) {
+  console.log(JSON.stringify({ filename: file, rowOffset, score, distance, spans }))
+}
+
+/**
+ * Print what a parquet file holds, for --info: a summary, the schema tree, and tables
+ * of row groups, column chunks and key/value metadata
+ * @param {FileInfo} info
+ * @param {number} trim - Maximum length of statistics and metadata values (0 = no trim)
+ */
+export function formatFileInfo({ file, numRows, version, createdBy, metadataLength, schema, rowGroups, columns, keyValueMetadata }, trim) {
+  /**
+   * @param {any} value
+   * @returns {string}
+   */
+  function cell(value) {
+    if (value === undefined) return ''
+    const text = escapeMarkdownCell(value, undefined, false, 0)
+    return trim > 0 && text.length > trim ? text.slice(0, trim - 3) + '...' : text
+  }
+
+  /**
+   * @param {string[]} headers
+   * @param {any[][]} rows
+   */
+  function printTable(headers, rows) {
+    console.log(`| ${headers.join(' | ')} |`)
+    console.log(`|${headers.map(() => '-----').join('|')}|`)
+    for (const row of rows) console.log(`| ${row.map(cell).join(' | ')} |`)
+  }
+
+  /**
+   * @param {SchemaInfo[]} nodes
+   * @param {string} indent
+   */
+  function printSchema(nodes, indent) {
+    for (const { name, type, logicalType, repetition, children } of nodes) {
+      const types = [type ?? 'group', logicalType].filter(Boolean).join(' ')
+      console.log(`${indent}- ${name}: ${types}${repetition ? `, ${repetition}` : ''}`)
+      if (children) printSchema(children, indent + '  ')
+    }
+  }
+
+  console.log(`## ${file}\n`)
+  console.log(`- Rows: ${numRows}`)
+  console.log(`- Row groups: ${rowGroups.length}`)
+  console.log(`- Format version: ${version}`)
+  if (createdBy) console.log(`- Created by: ${createdBy}`)
+  console.log(`- Footer: ${metadataLength} bytes`)
+
+  console.log('\n### Schema\n')
+  printSchema(schema, '')
+
+  console.log('\n### Row groups\n')
+  printTable(['Row group', 'Rows', 'Bytes', 'Compressed bytes'], rowGroups.map(({ numRows, byteSize, compressedSize }, index) => [index, numRows, byteSize, compressedSize]))
+
+  console.log('\n### Columns\n')
+  printTable(
+    ['Column', 'Type', 'Codecs', 'Encodings', 'Compressed bytes', 'Uncompressed bytes', 'Nulls', 'Min', 'Max'],
+    columns.map(({ column, type, codecs, encodings, compressedSize, uncompressedSize, nullCount, min, max }) =>
+      [column, type, codecs.join(', '), encodings.join(', '), compressedSize, uncompressedSize, nullCount, min, max])
+  )
+
+  const entries = Object.entries(keyValueMetadata)
+  if (entries.length) {
+    console.log('\n### Key/value metadata\n')
+    printTable(['Key', 'Value'], entries)
+  }
+  console.log()
+}
+
+/**
+ * Get the plain text of a cell, without highlighting or trimming
+ * @param {any} value
+ * @returns {string}
+ */
+export function cellText(value) {
+  if (value === null || value === undefined) return ''
+  return isNested(value) ? JSON.stringify(toDisplayValue(value)) : stringifyValue(value)
+}
+
+/**
+ * Quote a CSV field as in RFC 4180, if it contains a comma, quote or line break
+ * @param {string} text
+ * @returns {string}
+ */
+function csvField(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/** @type {Record<string, string>} */
+const tsvEscapes = { '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' }
+
+/**
+ * Escape a TSV field with backslashes, since TSV has no quoting for tabs and line breaks
+ * @param {string} text
+ * @returns {string}
+ */
+function tsvField(text) {
+  return text.replace(/[\\\t\n\r]/g, char => tsvEscapes[char])
+}
+
+/**
+ * Create a writer for CSV or TSV output, with filename and rowOffset columns.
+ * The header, from the columns of every file searched, is written at once, so output
+ * without matches still has it. Matches from each file fill the columns by name,
+ * leaving cells empty for columns the file lacks.
+ * @param {'csv' | 'tsv'} format
+ * @param {string[]} header - Flattened column names for the header
+ * @returns {(match: SearchMatch) => void} Writes one match as a line
+ */
+export function createDelimitedWriter(format, header) {
+  const delimiter = format === 'csv' ? ',' : '\t'
+  const escapeField = format === 'csv' ? csvField : tsvField
+  // RFC 4180 ends records with CRLF
+  const newline = format === 'csv' ? '\r\n' : '\n'
+  /** @type {WeakMap<FlatColumn[], Map<string, FlatColumn>>} */
+  const columnsByName = new WeakMap()
+
+  /**
+   * @param {string[]} fields
+   */
+  function writeLine(fields) {
+    process.stdout.write(fields.map(escapeField).join(delimiter) + newline)
+  }
+
+  writeLine(['filename', 'rowOffset', ...header])
+
+  return ({ file, rowOffset, row, outputColumns }) => {
+    let byName = columnsByName.get(outputColumns)
+    if (!byName) {
+      byName = new Map(outputColumns.map(column => [column.name, column]))
+      columnsByName.set(outputColumns, byName)
+    }
+    /** @type {Record<string, any>} */
+    const values = row
+    const cells = header.map(name => {
+      const column = byName.get(name)
+      return column ? cellText(getPathValue(values[column.key], column.path)) : ''
+    })
+    writeLine([file, String(rowOffset), ...cells])
+  }
 }
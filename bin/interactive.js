@@ -0,0 +1,359 @@
+import { emitKeypressEvents } from 'node:readline'
+import { getPathValue } from '../src/columns.js'
+import { searchFile } from '../src/search.js'
+import { isNested, toDisplayValue } from '../src/stringify.js'
+import { cellText, highlightMatches, trimToContext } from './format.js'
+
+/**
+ * @import {Key} from 'node:readline'
+ * @import {QueryNode} from '../src/query.js'
+ * @import {SearchMatch, SearchOptions} from '../src/search.js'
+ */
+
+/**
+ * @typedef {object} CompiledQuery
+ * @property {RegExp | undefined} regex - Regex to search for, or to highlight with a filter
+ * @property {QueryNode} [filter] - Query expression rows must match instead of the regex
+ */
+
+/**
+ * @typedef {object} BrowseOptions
+ * @property {string[]} files - Files to browse, one at a time
+ * @property {string} query - Query text to start with
+ * @property {(text: string) => CompiledQuery} compile - Compiles edited query text, throwing if invalid
+ * @property {boolean} invert - Show rows that do not match instead
+ * @property {number} offset - Matches to skip in the first file
+ * @property {number} trim - Maximum length of each cell in the list (0 = no trim)
+ * @property {SearchOptions} searchOptions - Columns, filters and request options for searchFile
+ * @property {NodeJS.ReadStream} [input] - Terminal to read keys from (default: stdin)
+ * @property {NodeJS.WriteStream} [output] - Terminal to draw on (default: stdout)
+ */
+
+/**
+ * What the browser shows, changed by keys and by searches as their matches arrive
+ * @typedef {object} BrowserView
+ * @property {string[]} files
+ * @property {number} fileIndex - File being shown
+ * @property {string} query - Query text, as edited
+ * @property {string} savedQuery - Query text before editing, restored by escape
+ * @property {boolean} editing - True while the query is being edited
+ * @property {RegExp | undefined} regex - Regex to highlight, from the last search
+ * @property {boolean} invert
+ * @property {number} offset - Matches skipped before the page
+ * @property {number} pageSize - Matches on a page, as many as fit on the screen
+ * @property {SearchMatch[]} matches - Matches on the page, so far while searching
+ * @property {boolean} hasMore - True if the file has matches after the page
+ * @property {number} selected - Index of the selected match on the page
+ * @property {boolean} expanded - True to show every value of the selected match in full
+ * @property {boolean} searching
+ * @property {string | undefined} error - Invalid query or read error of the last search
+ */
+
+/**
+ * What a key asks the browser to do: search for the page again, search after the query
+ * stops changing, redraw, or quit. Undefined for keys that change nothing.
+ * @typedef {'search' | 'edit' | 'render' | 'quit' | undefined} KeyAction
+ */
+
+// Lines above and below the list of matches
+const headerLines = 2
+const footerLines = 1
+// Wait for typing to pause before searching for an edited query
+const editDelay = 250
+const help = '↑↓ select  enter expand  ←→ page  [ ] file  / edit  q quit'
+
+/**
+ * Browse matches in a full-screen terminal UI, one file and one page at a time.
+ * Each page is a search of one file with an offset and limit, so only the rows shown are read.
+ * @param {BrowseOptions} options
+ * @returns {Promise<boolean>} True if any match was shown
+ */
+export function browse({ files, query, compile, invert, offset, trim, searchOptions, input = process.stdin, output = process.stdout }) {
+  /** @type {BrowserView} */
+  const view = {
+    files, fileIndex: 0, query, savedQuery: query, editing: false, regex: undefined, invert, offset, pageSize: pageSize(output),
+    matches: [], hasMore: false, selected: 0, expanded: false, searching: false, error: undefined,
+  }
+  let matched = false
+  /** @type {AbortController | undefined} */
+  let controller
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let editTimer
+
+  function render() {
+    const lines = renderScreen(view, output.columns, output.rows, trim)
+    // Draw over the last screen rather than clearing it, to avoid flicker
+    output.write(`\x1b[H${lines.join('\x1b[K\n')}\x1b[K\x1b[J`)
+  }
+
+  async function search() {
+    controller?.abort()
+    const current = new AbortController()
+    controller = current
+    /** @type {CompiledQuery} */
+    let compiled
+    try {
+      compiled = compile(view.query)
+    } catch (/** @type {any} */ error) {
+      view.error = `Invalid query: ${error.cause?.message ?? error.message}`
+      render()
+      return
+    }
+    Object.assign(view, { regex: compiled.regex, matches: [], hasMore: false, selected: 0, expanded: false, searching: true, error: undefined })
+    render()
+    const file = view.files[view.fileIndex]
+    try {
+      const matches = searchFile(file, compiled.regex, view.invert, {
+        ...searchOptions, filter: compiled.filter, offset: view.offset, limit: view.pageSize, signal: current.signal, onLimit() { view.hasMore = true },
+      })
+      // Show matches as they are found, since a page can take a while to fill
+      for await (const match of matches) {
+        view.matches.push(match)
+        matched = true
+        render()
+      }
+    } catch (/** @type {any} */ error) {
+      // A newer search replaced this one
+      if (current.signal.aborted) return
+      view.error = `Error reading ${file}: ${error.message}`
+    }
+    if (current.signal.aborted) return
+    view.searching = false
+    render()
+  }
+
+  return new Promise(resolve => {
+    function resize() {
+      view.pageSize = pageSize(output)
+      search()
+    }
+
+    /**
+     * @param {string | undefined} _
+     * @param {Key} key
+     */
+    function keypress(_, key) {
+      const action = handleKey(view, key)
+      clearTimeout(editTimer)
+      if (action === 'quit') quit()
+      else if (action === 'search') search()
+      else if (action === 'edit') {
+        render()
+        editTimer = setTimeout(search, editDelay)
+      } else if (action === 'render') render()
+    }
+
+    function quit() {
+      controller?.abort()
+      input.off('keypress', keypress)
+      output.off('resize', resize)
+      input.setRawMode(false)
+      input.pause()
+      // Show the cursor and leave the alternate screen, restoring what was there
+      output.write('\x1b[?25h\x1b[?1049l')
+      resolve(matched)
+    }
+
+    emitKeypressEvents(input)
+    input.setRawMode(true)
+    input.on('keypress', keypress)
+    output.on('resize', resize)
+    // Draw on the alternate screen without a cursor, as full-screen programs such as less do
+    output.write('\x1b[?1049h\x1b[?25l')
+    search()
+  })
+}
+
+/**
+ * @param {NodeJS.WriteStream} output
+ * @returns {number}
+ */
+function pageSize(output) {
+  return Math.max(1, output.rows - headerLines - footerLines)
+}
+
+/**
+ * Change the view for a key press
+ * @param {BrowserView} view
+ * @param {Key} key
+ * @returns {KeyAction}
+ */
+export function handleKey(view, key) {
+  if (key.ctrl && key.name === 'c') return 'quit'
+
+  if (view.editing) {
+    if (key.name === 'return') {
+      // Search right away, rather than after the pause for typing
+      view.editing = false
+      return 'search'
+    }
+    const { query } = view
+    if (key.name === 'escape') {
+      view.editing = false
+      view.query = view.savedQuery
+    } else if (key.name === 'backspace') {
+      view.query = query.slice(0, -1)
+    } else if (key.ctrl && key.name === 'u') {
+      view.query = ''
+    } else if (key.sequence && !key.ctrl && !key.meta && !/\p{Cc}/u.test(key.sequence)) {
+      view.query += key.sequence
+    }
+    if (view.query === query) return view.editing ? undefined : 'render'
+    // An edited query searches the file from its first match
+    view.offset = 0
+    return 'edit'
+  }
+
+  const { fileIndex, offset, matches, selected } = view
+  const name = key.name ?? key.sequence
+  if (name === 'q') return 'quit'
+  if (name === 'down' || name === 'j') view.selected = Math.max(0, Math.min(selected + 1, matches.length - 1))
+  else if (name === 'up' || name === 'k') view.selected = Math.max(selected - 1, 0)
+  else if (name === 'return' || name === 'space') view.expanded = !view.expanded
+  else if (name === 'right' || name === 'pagedown' || name === 'n') view.offset += view.hasMore ? view.pageSize : 0
+  else if (name === 'left' || name === 'pageup' || name === 'p') view.offset = Math.max(0, offset - view.pageSize)
+  else if (name === 'tab' && key.shift || name === '[') view.fileIndex = Math.max(0, fileIndex - 1)
+  else if (name === 'tab' || name === ']') view.fileIndex = Math.min(fileIndex + 1, view.files.length - 1)
+  else if (name === '/') {
+    view.editing = true
+    view.savedQuery = view.query
+  } else return undefined
+
+  if (view.fileIndex !== fileIndex) {
+    view.offset = 0
+    return 'search'
+  }
+  return view.offset === offset ? 'render' : 'search'
+}
+
+/**
+ * Lay out the screen: the file and query, a line per match with the selected match expanded
+ * under it, and a status line with the keys. Lines are cut to the width before highlighting,
+ * so highlighting never counts towards it.
+ * @param {BrowserView} view
+ * @param {number} width - Columns of the terminal
+ * @param {number} height - Rows of the terminal
+ * @param {number} trim - Maximum length of each cell in the list (0 = no trim)
+ * @returns {string[]} One string per line, at most `height`
+ */
+export function renderScreen(view, width, height, trim) {
+  const { files, fileIndex, query, editing, regex, invert, offset, matches, hasMore, selected, expanded, searching, error } = view
+  const rows = matches.length ? `rows ${offset + 1}-${offset + matches.length}${hasMore ? '+' : ''}` : ''
+  const header = [
+    fit(`File ${fileIndex + 1}/${files.length}: ${files[fileIndex]}`, width),
+    fit(`${editing ? 'Edit query' : 'Query'}: ${query}${editing ? '_' : `   ${rows}`}`, width),
+  ]
+
+  /** @type {string[]} */
+  const body = []
+  let selectedStart = 0
+  let selectedEnd = 0
+  matches.forEach((match, i) => {
+    const marker = i === selected ? '>' : ' '
+    const prefix = `${marker} ${match.rowOffset}  `
+    if (i === selected) selectedStart = body.length
+    body.push(prefix + rowLine(match, regex, invert, width - prefix.length, trim))
+    if (i === selected && expanded) body.push(...expandedLines(match, regex, invert, width))
+    if (i === selected) selectedEnd = body.length
+  })
+
+  // Scroll just far enough to show the selected match, and as much of its expansion as fits
+  const bodyHeight = Math.max(0, height - headerLines - footerLines)
+  const start = Math.min(selectedStart, Math.max(0, selectedEnd - bodyHeight))
+  const visible = body.slice(start, start + bodyHeight)
+
+  const status = error ?? (searching ? 'Searching...' : matches.length ? '' : offset ? 'No more matches' : 'No matches')
+  const footer = fit(status ? `${status}  |  ${help}` : help, width)
+  return [...header, ...visible, ...Array(bodyHeight - visible.length).fill(''), footer].slice(0, height)
+}
+
+/**
+ * Show the output columns of a match on one line, each trimmed around its first match
+ * @param {SearchMatch} match
+ * @param {RegExp | undefined} regex
+ * @param {boolean} invert
+ * @param {number} width
+ * @param {number} trim
+ * @returns {string}
+ */
+function rowLine({ row, outputColumns }, regex, invert, width, trim) {
+  /** @type {Record<string, any>} */
+  const values = row
+  let line = ''
+  let left = width
+  for (const { name, key, path } of outputColumns) {
+    const label = `${line ? '  ' : ''}${name}: `
+    let text = oneLine(cellText(getPathValue(values[key], path)))
+    if (regex && trim > 0) text = trimToContext(text, regex, trim)
+    // Cut the value to fit, highlighting only the value, or mark the columns left out
+    if (label.length >= left) {
+      line += fit(' ...', left)
+      break
+    }
+    const valueText = fit(text, left - label.length)
+    line += label + highlightMatches(valueText, regex, invert)
+    left -= label.length + valueText.length
+  }
+  return line
+}
+
+/**
+ * Show every output column of a match in full, wrapped to the width
+ * @param {SearchMatch} match
+ * @param {RegExp | undefined} regex
+ * @param {boolean} invert
+ * @param {number} width
+ * @returns {string[]}
+ */
+function expandedLines({ row, outputColumns }, regex, invert, width) {
+  /** @type {Record<string, any>} */
+  const values = row
+  const indent = '    '
+  /** @type {string[]} */
+  const lines = []
+  for (const { name, key, path } of outputColumns) {
+    const value = getPathValue(values[key], path)
+    const text = isNested(value) ? JSON.stringify(toDisplayValue(value), null, 2) : cellText(value)
+    lines.push(fit(`  ${name}:`, width))
+    for (const textLine of text.split('\n')) {
+      for (const part of wrap(oneLine(textLine), width - indent.length)) {
+        lines.push(indent + highlightMatches(part, regex, invert))
+      }
+    }
+  }
+  return lines
+}
+
+/**
+ * Replace tabs, line breaks and other control characters, which would move the cursor
+ * @param {string} text
+ * @returns {string}
+ */
+function oneLine(text) {
+  return text.replace(/\p{Cc}/gu, ' ')
+}
+
+/**
+ * Cut text to a width, marking the cut with an ellipsis
+ * @param {string} text
+ * @param {number} width
+ * @returns {string}
+ */
+function fit(text, width) {
+  if (text.length <= width) return text
+  return width > 3 ? text.slice(0, width - 3) + '...' : text.slice(0, Math.max(0, width))
+}
+
+/**
+ * Split text into lines of a width
+ * @param {string} text
+ * @param {number} width
+ * @returns {string[]}
+ */
+function wrap(text, width) {
+  if (width <= 0 || text.length <= width) return [text]
+  /** @type {string[]} */
+  const parts = []
+  for (let i = 0; i < text.length; i += width) parts.push(text.slice(i, i + width))
+  return parts
+}
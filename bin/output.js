@@ -0,0 +1,120 @@
+import { fileWriter, parquetWriteRows } from 'hyparquet-writer'
+import { rename, rm } from 'node:fs/promises'
+import * as zlib from 'node:zlib'
+import { Decimal, isNested } from '../src/stringify.js'
+
+/**
+ * @import {CompressionCodec, SchemaElement} from 'hyparquet'
+ * @import {Compressors} from 'hyparquet-writer/src/types.js'
+ * @import {SearchMatch} from '../src/search.js'
+ */
+
+// hyparquet-writer has snappy built in, node provides the others it can
+/** @type {Compressors} */
+const compressors = {
+  GZIP: input => zlib.gzipSync(input),
+  BROTLI: input => zlib.brotliCompressSync(input),
+}
+// zstd is only in newer versions of node
+if ('zstdCompressSync' in zlib) compressors.ZSTD = input => zlib.zstdCompressSync(input)
+
+/**
+ * Choose the output codec, falling back to snappy for codecs that cannot be written
+ * @param {CompressionCodec | 'mixed' | undefined} codec - Codec of the source file
+ * @returns {CompressionCodec}
+ */
+function outputCodec(codec) {
+  if (!codec) return 'SNAPPY'
+  if (codec === 'mixed') {
+    console.error('Warning: source columns use different compression codecs, using SNAPPY')
+    return 'SNAPPY'
+  }
+  if (codec === 'UNCOMPRESSED' || codec === 'SNAPPY' || compressors[codec]) return codec
+  console.error(`Warning: cannot write ${codec} compression, using SNAPPY`)
+  return 'SNAPPY'
+}
+
+/**
+ * Replace exact decimals with the unscaled integers hyparquet-writer stores as they are
+ * @param {any} value
+ * @returns {any}
+ */
+function unscaleDecimals(value) {
+  if (value instanceof Decimal) return value.unscaled
+  if (Array.isArray(value)) return value.map(unscaleDecimals)
+  if (isNested(value)) {
+    /** @type {Record<string, any>} */
+    const result = {}
+    for (const [key, child] of Object.entries(value)) {
+      result[key] = unscaleDecimals(child)
+    }
+    return result
+  }
+  return value
+}
+
+/**
+ * Serialize a schema for comparison, including bigint fields such as field ids
+ * @param {SchemaElement[]} schema
+ * @returns {string}
+ */
+function schemaKey(schema) {
+  return JSON.stringify(schema, (_, value) => typeof value === 'bigint' ? value.toString() : value)
+}
+
+/**
+ * Write matching rows to a parquet file, with the schema and codec of their source.
+ * The file is written next to its destination and renamed into place when complete,
+ * so a failed search never leaves a truncated file behind.
+ * @param {string} filename
+ * @param {AsyncIterable<SearchMatch>} matches
+ * @returns {Promise<number>} Number of rows written, no file is written if zero
+ */
+export async function writeParquet(filename, matches) {
+  const iterator = matches[Symbol.asyncIterator]()
+  const first = await iterator.next()
+  if (first.done) return 0
+
+  const { schema, codec } = first.value
+  const columns = [...new Set(first.value.outputColumns.map(({ key }) => key))]
+  // Matches from one file share a schema array, so each is only compared once
+  const compatible = new WeakSet([schema])
+  let count = 0
+
+  /**
+   * @yields {Record<string, any>}
+   */
+  async function* rows() {
+    /** @type {IteratorResult<SearchMatch>} */
+    let next = first
+    while (!next.done) {
+      const match = next.value
+      if (!compatible.has(match.schema)) {
+        if (schemaKey(match.schema) !== schemaKey(schema)) {
+          throw new Error('cannot write files with different schemas to one parquet file')
+        }
+        compatible.add(match.schema)
+      }
+      count++
+      yield unscaleDecimals(match.row)
+      next = await iterator.next()
+    }
+  }
+
+  const tempFilename = `${filename}.tmp`
+  try {
+    await parquetWriteRows({
+      writer: fileWriter(tempFilename),
+      rows: rows(),
+      columns: columns.map(name => ({ name })),
+      schema,
+      codec: outputCodec(codec),
+      compressors,
+    })
+    await rename(tempFilename, filename)
+  } catch (error) {
+    await rm(tempFilename, { force: true })
+    throw error
+  }
+  return count
+}
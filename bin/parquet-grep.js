@@ -1,43 +1,21 @@
 #!/usr/bin/env node
-import { isUrl, parseArgs } from './args.js'
-import { formatJsonlOutput, renderMarkdownTable } from './format.js'
-import { searchFile } from './seachFiles.js'
-import { readdir, stat } from 'node:fs/promises'
-import { join } from 'node:path'
+import { hasUpperCase, parseArgs, parseIndexArgs, parseServeArgs } from './args.js'
+import { createDelimitedWriter, createTableWriter, formatFileInfo, formatJsonlOutput, formatJsonlSpans } from './format.js'
+import { browse } from './interactive.js'
+import { writeParquet } from './output.js'
+import { createSearchServer } from './serve.js'
+import { expandFiles, findParquetFiles, isUrl } from '../src/files.js'
+import { compilePatterns, describeDifference, fileInfo, grep, grepCount, grepRanked, grepSchema, parseQuery, updateIndex } from '../src/index.js'
+import { bufferAhead, inOrder } from '../src/pool.js'
+import { highlightRegex } from '../src/query.js'
+import { resolve } from 'node:path'
 
 /**
- * Recursively find all .parquet files in a directory
- * @param {string} dir
- * @returns {Promise<string[]>}
+ * @import {CompiledQuery} from './interactive.js'
+ * @import {FlatColumn} from '../src/columns.js'
+ * @import {GrepOptions} from '../src/index.js'
+ * @import {SearchMatch, SearchStats} from '../src/search.js'
  */
-async function findParquetFiles(dir) {
-  const files = []
-
-  try {
-    const entries = await readdir(dir)
-
-    for (const entry of entries) {
-      // Skip node_modules and hidden directories
-      if (entry === 'node_modules' || entry.startsWith('.')) {
-        continue
-      }
-
-      const fullPath = join(dir, entry)
-      const stats = await stat(fullPath)
-
-      if (stats.isDirectory()) {
-        const subFiles = await findParquetFiles(fullPath)
-        files.push(...subFiles)
-      } else if (entry.endsWith('.parquet')) {
-        files.push(fullPath)
-      }
-    }
-  } catch {
-    // Skip directories we can't read
-  }
-
-  return files
-}
 
 /**
  * Main CLI function
@@ -46,105 +24,298 @@ async function main() {
   // Detect if we're running via node (e.g., node script.js) or directly (e.g., ./script)
   // If argv[1] contains the script name, we slice(2), otherwise slice(1)
   const argsStart = process.argv[1] && process.argv[1].includes('parquet-grep') ? 2 : 1
+  if (process.argv[argsStart] === 'serve') {
+    await serve(process.argv.slice(argsStart + 1))
+    return
+  }
+  if (process.argv[argsStart] === 'index') {
+    await indexDirectory(process.argv.slice(argsStart + 1))
+    return
+  }
   const {
-    query, file, caseInsensitive, viewMode, invert, limit, offset, trim,
+    patterns, fixedStrings, wholeWord, wholeCell, fuzzy, files: paths, caseInsensitive, ignoreCase, viewMode, invert, limit, offset, rank, before, after, trim, matchesOnly, columns, excludeColumns, select, strictSchema, interactive, info, stats, jobs, unordered, summary, quiet, failFast, output,
+    include, exclude, gitignore, hidden, maxDepth, followSymlinks, extensions, headers, retries, timeout, cacheDir, cacheSize, index, filter, where,
   } = parseArgs(process.argv.slice(argsStart))
 
+  if (interactive && !(process.stdin.isTTY && process.stdout.isTTY)) {
+    console.error('Error: --interactive requires a terminal')
+    process.exit(2)
+  }
+
   try {
-    // Create regex from query with appropriate flags
-    const flags = caseInsensitive ? 'i' : ''
-    /** @type {RegExp} */
+    // Create regex from the patterns with appropriate flags, unless the query is an expression
+    /** @type {RegExp | undefined} */
     let regex
-    try {
-      regex = new RegExp(query, flags)
-    } catch (/** @type {any} */ error) {
-      console.error('Error: Invalid regex pattern:', error.message)
-      process.exit(1)
+    if (!filter && !info) {
+      try {
+        regex = compilePatterns(patterns, { fixedStrings, wholeWord, wholeCell, fuzzy, ignoreCase: caseInsensitive })
+      } catch (/** @type {any} */ error) {
+        console.error('Error: Invalid regex pattern:', error.cause?.message ?? error.message)
+        process.exit(2)
+      }
     }
 
-    let files = []
-
-    if (file) {
-      if (isUrl(file)) {
-        // URL specified - treat as single file
-        files = [file]
-      } else {
-        // Local path - check if it's a directory or file
-        const stats = await stat(file)
-        if (stats.isDirectory()) {
-          // Search recursively in the specified directory
-          files = await findParquetFiles(file)
-          if (files.length === 0) {
-            console.log(`No .parquet files found in ${file}`)
-            process.exit(0)
-          }
-        } else {
-          // Single file specified
-          files = [file]
-        }
-      }
-    } else {
-      // No file specified, search recursively
-      files = await findParquetFiles(process.cwd())
+    // Exit status, as with grep: 0 if any row matched, 1 if none did, 2 on error
+    let matched = false
+    let failed = false
 
-      if (files.length === 0) {
-        console.log('No .parquet files found in current directory')
-        process.exit(0)
+    /**
+     * Report a file or directory that could not be read, and stop unless keeping going
+     * @param {string} file
+     * @param {any} error
+     */
+    function readError(file, error) {
+      console.error(`Error reading ${file}:`, error.message)
+      if (failFast) process.exit(2)
+      failed = true
+    }
+
+    /** @type {SearchStats | undefined} */
+    const searchStats = stats
+      ? {
+        files: 0, skippedByPartition: 0, rowGroups: 0, skippedByStatistics: 0, skippedByDictionary: 0, skippedByIndex: 0, countedByStatistics: 0, countedByDictionary: 0,
+        requests: 0, bytesFetched: 0, bytesFromCache: 0,
       }
+      : undefined
+
+    // Find the files to search, reporting paths that cannot be read.
+    // Listing s3:// prefixes uses the same retries and timeout as reading files.
+    const findOptions = {
+      include, exclude, ignoreFiles: gitignore, defaultExclude: !hidden, maxDepth, followSymlinks, extensions, retries, timeout, stats: searchStats, onError: readError,
+    }
+    let files = await expandFiles(paths.length ? paths : [process.cwd()], findOptions)
+    if (files.length === 0) {
+      if (failed) process.exit(2)
+      if (!quiet) console.log(`No parquet files found in ${paths.length ? paths.join(', ') : 'current directory'}`)
+      process.exit(1)
     }
 
-    // Process files and stream results
-    for (const file of files) {
-      let limitExceeded = false
+    if (output) {
+      // Never read the file being written, such as an earlier output in the searched directory
+      files = files.filter(file => isUrl(file) || resolve(file) !== resolve(output))
+    }
 
-      /**
-       * Create an async generator that applies offset/limit and yields matches
-       * @returns {AsyncGenerator<{rowOffset: number, row: object, regex: RegExp}>}
-       */
-      async function* filteredMatches() {
-        let skipped = 0
-        let displayed = 0
+    /** @type {GrepOptions} */
+    const grepOptions = {
+      files, expand: false, query: regex, filter, where, columns, excludeColumns, select, invert, jobs, headers, retries, timeout, cacheDir, cacheSize, index, stats: searchStats, onError: readError,
+    }
 
+    // Files with different schemas are searched together, each without the columns it lacks,
+    // under a header with the columns of every file, unless --strict-schema refuses to mix them.
+    // Only CSV, TSV and tables of chosen columns need that header, so other modes
+    // read each footer once, as they search, instead of reading every footer up front.
+    // CSV and TSV write their header before searching, so even a single file's footer is read first.
+    const delimited = viewMode === 'csv' || viewMode === 'tsv'
+    const needsHeader = !quiet && !output && !summary && !interactive && (delimited || viewMode === 'table' && Boolean(select || columns.length))
+    /** @type {FlatColumn[] | undefined} */
+    let unifiedColumns
+    if (files.length > 1 && !info && !strictSchema && !needsHeader) {
+      grepOptions.allowMissingColumns = true
+    } else if ((files.length > 1 || delimited && needsHeader) && !info) {
+      const { columns: unified, differences, schemas } = await grepSchema(grepOptions)
+      if (strictSchema && differences.length) {
+        console.error('Error: files have different schemas:')
+        for (const difference of differences) console.error(`  ${describeDifference(difference)}`)
+        process.exit(2)
+      }
+      // Files whose schema could not be read were already reported
+      files = schemas.map(schema => schema.file)
+      Object.assign(grepOptions, { files, allowMissingColumns: true })
+      unifiedColumns = unified
+    }
+
+    if (info) {
+      // Describe each file from its footer, without reading any rows
+      for (const file of files) {
         try {
-          for await (const match of searchFile(file, regex, invert)) {
-            // Skip matches until we've passed the offset
-            if (skipped < offset) {
-              skipped++
-              continue
-            }
-
-            // Check if we've hit the limit
-            if (limit > 0 && displayed >= limit) {
-              limitExceeded = true
-              break
-            }
-
-            displayed++
-            yield match
-          }
+          const details = await fileInfo(file, { headers, retries, timeout, cacheDir, cacheSize, stats: searchStats })
+          if (viewMode === 'jsonl') console.log(JSON.stringify(details))
+          else formatFileInfo(details, trim)
+          matched = true
         } catch (/** @type {any} */ error) {
-          console.error(`Error reading ${file}:`, error.message)
+          readError(file, error)
         }
       }
+    } else if (interactive) {
+      // Edited queries are compiled as the query argument was, with smart case
+      /**
+       * @param {string} text
+       * @returns {CompiledQuery}
+       */
+      function compileQuery(text) {
+        if (filter) {
+          const node = parseQuery(text, ignoreCase)
+          return { regex: highlightRegex(node), filter: node }
+        }
+        return { regex: compilePatterns([text], { fixedStrings, wholeWord, wholeCell, fuzzy, ignoreCase: ignoreCase || !hasUpperCase(text) }) }
+      }
+      matched = await browse({
+        files,
+        query: patterns[0],
+        compile: compileQuery,
+        invert,
+        offset,
+        trim,
+        searchOptions: {
+          columns, excludeColumns, select, where, headers, retries, timeout, cacheDir, cacheSize, index, stats: searchStats, allowMissingColumns: grepOptions.allowMissingColumns,
+        },
+      })
+    } else if (quiet) {
+      // Quiet mode: exit as soon as any file has a match, even if others failed
+      for await (const { count } of grepCount({ ...grepOptions, limit: 1, ordered: false })) {
+        if (count) process.exit(0)
+      }
+    } else if (output) {
+      // Write matches from all files, in order or best first, to one parquet file
+      const rowCount = await writeParquet(output, rank ? grepRanked({ ...grepOptions, limit, offset }) : grep({ ...grepOptions, limit, offset }))
+      if (rowCount) console.error(`Wrote ${rowCount} rows to ${output}`)
+      matched = rowCount > 0
+    } else if (summary) {
+      // Summary modes: one line per file, as with grep -c, -l and -L.
+      // Listing files only needs to know whether there is any match, so stops at the first.
+      const countLimit = summary === 'count' ? limit : 1
+      for await (const { file, count } of grepCount({ ...grepOptions, limit: countLimit, ordered: !unordered })) {
+        if (count) matched = true
+        if (summary === 'count') {
+          if (viewMode === 'jsonl') console.log(JSON.stringify({ filename: file, count }))
+          else console.log(files.length > 1 ? `${file}:${count}` : count)
+        } else if (summary === 'files-with-matches' ? count > 0 : count === 0) {
+          console.log(viewMode === 'jsonl' ? JSON.stringify({ filename: file }) : file)
+        }
+      }
+    } else {
+      // Output files in order, buffering results from files searched ahead,
+      // or with --unordered, stream matches from whichever file finds them first.
+      // Ranked matches come best first from all files, once every file is searched.
+      /** @type {Set<string>} */
+      const limitExceeded = new Set()
+      // As with grep -o, only matches are shown, without context
+      const context = matchesOnly ? {} : { before, after }
+      /** @type {AsyncIterable<SearchMatch & { score?: number }>} */
+      const matches = rank
+        ? grepRanked({ ...grepOptions, limit, offset, onLimit: file => limitExceeded.add(file) })
+        : grep({ ...grepOptions, ...context, limit, offset, ordered: !unordered, onLimit: file => limitExceeded.add(file) })
+      // Tables show the columns asked for in every file, marking those a file lacks,
+      // but otherwise each file's own columns, rather than every column of every file
+      const tableColumns = unifiedColumns && (select || columns.length) ? [...new Set(unifiedColumns.map(column => column.key))] : undefined
+      /** @type {(match: SearchMatch & { score?: number }) => void} */
+      const writeMatch = delimited
+        ? createDelimitedWriter(viewMode, unifiedColumns?.map(column => column.name) ?? [])
+        : matchesOnly
+          ? formatJsonlSpans
+          : viewMode === 'jsonl'
+            ? match => formatJsonlOutput({ filename: match.file, rowOffset: match.rowOffset, row: match.row, regex: match.regex, invert, trim, context: match.context, distance: match.distance, score: match.score })
+            : createTableWriter(invert, trim, tableColumns)
+      // The marker would be read as a row in CSV and TSV, and unordered output is not grouped by file.
+      // Ranked output has one marker at the end, for matches past the limit in any file.
+      const showLimit = !delimited && !unordered
 
-      if (viewMode === 'jsonl') {
-        // JSONL mode: stream each match immediately
-        for await (const match of filteredMatches()) {
-          formatJsonlOutput({ filename: file, rowOffset: match.rowOffset, row: match.row, regex: match.regex, invert, trim })
+      /** @type {string | undefined} */
+      let currentFile
+      for await (const match of matches) {
+        matched = true
+        if (match.file !== currentFile) {
+          if (showLimit && !rank && currentFile && limitExceeded.has(currentFile)) console.log('...')
+          currentFile = match.file
         }
-      } else {
-        // Table mode: stream matches to renderMarkdownTable
-        await renderMarkdownTable(file, filteredMatches(), invert, trim)
+        writeMatch(match)
       }
+      if (showLimit && (rank ? limitExceeded.size : currentFile && limitExceeded.has(currentFile))) console.log('...')
+    }
 
-      if (limitExceeded) {
-        console.log('...')
+    if (searchStats) {
+      // Report on stderr so stats never mix with results
+      const { files: filesSearched, skippedByPartition, rowGroups, skippedByStatistics, skippedByDictionary, skippedByIndex } = searchStats
+      console.error(`Files: ${skippedByPartition} of ${filesSearched} skipped by partition values`)
+      const skipped = skippedByStatistics + skippedByDictionary + skippedByIndex
+      const byIndex = skippedByIndex ? `, ${skippedByIndex} by index` : ''
+      console.error(`Row groups: ${skipped} of ${rowGroups} skipped (${skippedByStatistics} by statistics, ${skippedByDictionary} by dictionary${byIndex})`)
+      if (summary === 'count') {
+        const { countedByStatistics, countedByDictionary } = searchStats
+        const counted = countedByStatistics + countedByDictionary
+        console.error(`Row groups: ${counted} of ${rowGroups} counted without decoding (${countedByStatistics} by statistics, ${countedByDictionary} by dictionary)`)
+      }
+      const { requests, bytesFetched, bytesFromCache } = searchStats
+      if (requests) {
+        const cached = bytesFromCache ? `, ${bytesFromCache} bytes from cache` : ''
+        console.error(`Fetched: ${bytesFetched} bytes in ${requests} requests${cached}`)
       }
     }
+
+    process.exitCode = failed ? 2 : matched ? 0 : 1
+  } catch (/** @type {any} */ error) {
+    console.error('Error:', error.message)
+    process.exit(2)
+  }
+}
+
+/**
+ * Serve command: search a directory over HTTP until stopped
+ * @param {string[]} args - Arguments after `serve`
+ */
+async function serve(args) {
+  const { dir, port, host, maxSearches, jobs } = parseServeArgs(args)
+  try {
+    // Fail at the start, rather than on every request, if the directory cannot be read
+    await findParquetFiles(dir)
   } catch (/** @type {any} */ error) {
+    console.error(`Error reading ${dir}:`, error.message)
+    process.exit(2)
+  }
+  const server = createSearchServer({ dir, maxSearches, jobs })
+  server.on('error', error => {
     console.error('Error:', error.message)
-    process.exit(1)
+    process.exit(2)
+  })
+  server.listen(port, host, () => {
+    const address = server.address()
+    if (address && typeof address === 'object') {
+      const hostname = address.family === 'IPv6' ? `[${address.address}]` : address.address
+      console.error(`Serving ${dir} at http://${hostname}:${address.port}/`)
+    }
+  })
+}
+
+/**
+ * Index command: build the token index of each parquet file in a directory that lacks a fresh one
+ * @param {string[]} args - Arguments after `index`
+ */
+async function indexDirectory(args) {
+  const { dir, jobs } = parseIndexArgs(args)
+  /** @type {string[]} */
+  let files
+  try {
+    files = await findParquetFiles(dir)
+  } catch (/** @type {any} */ error) {
+    console.error(`Error reading ${dir}:`, error.message)
+    process.exit(2)
+  }
+
+  /**
+   * @param {string} file
+   * @yields {boolean | Error} Whether the index was built, or why it could not be
+   */
+  async function* indexFile(file) {
+    try {
+      yield await updateIndex(file)
+    } catch (/** @type {any} */ error) {
+      yield error
+    }
+  }
+
+  let built = 0
+  let failed = 0
+  for await (const { index, value } of inOrder(bufferAhead(files.map(file => () => indexFile(file)), jobs))) {
+    if (value instanceof Error) {
+      console.error(`Error indexing ${files[index]}:`, value.message)
+      failed++
+    } else if (value) {
+      built++
+    }
   }
+  const upToDate = files.length - built - failed
+  console.error(`Indexed ${built} of ${files.length} files in ${dir} (${upToDate} already up to date)`)
+  process.exitCode = failed ? 2 : 0
 }
 
 main()
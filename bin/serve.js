@@ -0,0 +1,270 @@
+import { once } from 'node:events'
+import { readFile } from 'node:fs/promises'
+import { createServer } from 'node:http'
+import { relative, resolve, sep } from 'node:path'
+import { hasUpperCase } from './args.js'
+import { jsonlRecord } from './format.js'
+import { findParquetFiles } from '../src/files.js'
+import { compilePatterns, grep, grepSchema } from '../src/index.js'
+import { parseQuery } from '../src/query.js'
+import { fileSchema } from '../src/search.js'
+
+/**
+ * @import {IncomingMessage, Server, ServerResponse} from 'node:http'
+ * @import {GrepOptions} from '../src/index.js'
+ */
+
+/**
+ * @typedef {object} ServeOptions
+ * @property {string} dir - Directory of parquet files to serve, searched recursively
+ * @property {number} [maxSearches] - Searches to run at once, refusing more with 503 (default: 4)
+ * @property {number} [jobs] - Files to search concurrently in each search (default: 1)
+ * @property {number} [listInterval] - Milliseconds to reuse the listing of the directory before listing it again (default: 5000)
+ */
+
+const page = new URL('./serve.html', import.meta.url)
+// Matches per file unless the request gives a limit, to keep a search of a large directory short
+const defaultLimit = 20
+
+/**
+ * Create an HTTP server to list, describe and search the parquet files in a directory:
+ * - `GET /` - a web page to search from
+ * - `GET /api/files` - `{ files }`, paths relative to the directory
+ * - `GET /api/schema?file=` - `{ file, columns }`, with the name and type of each output column
+ * - `GET /api/search?q=` - NDJSON records as in JSONL output, with spans (see searchParams)
+ *
+ * Searches stop when the client disconnects. Files are only served if found in the directory,
+ * so requests cannot reach outside it.
+ * @param {ServeOptions} options
+ * @returns {Server} Server to listen with
+ */
+export function createSearchServer({ dir, maxSearches = 4, jobs = 1, listInterval = 5000 }) {
+  const root = resolve(dir)
+  let searches = 0
+  /** @type {Promise<Map<string, string>> | undefined} */
+  let listing
+  let listedAt = 0
+
+  /**
+   * List the parquet files in the directory, by path relative to it, with forward slashes as in URLs.
+   * Requests share one listing, so the directory is walked at most once per interval.
+   * @returns {Promise<Map<string, string>>} Paths on disk by relative path
+   */
+  function listFiles() {
+    if (!listing || Date.now() - listedAt >= listInterval) {
+      const listed = findParquetFiles(root).then(files => new Map(files.map(file => [toRelative(file), file])))
+      // A failed listing is not reused
+      listed.catch(() => {
+        if (listing === listed) listing = undefined
+      })
+      listing = listed
+      listedAt = Date.now()
+    }
+    return listing
+  }
+
+  /**
+   * @param {string} file - Path on disk
+   * @returns {string} Path relative to the directory, as clients name files
+   */
+  function toRelative(file) {
+    return relative(root, file).split(sep).join('/')
+  }
+
+  /**
+   * @param {URLSearchParams} params
+   * @param {ServerResponse} res
+   */
+  async function search(params, res) {
+    // Refuse before doing any work, even listing files
+    if (searches >= maxSearches) {
+      res.setHeader('Retry-After', '1')
+      sendJson(res, 503, { error: 'too many searches, try again later' })
+      return
+    }
+    searches++
+    try {
+      await runSearch(params, res)
+    } finally {
+      searches--
+    }
+  }
+
+  /**
+   * @param {URLSearchParams} params
+   * @param {ServerResponse} res
+   */
+  async function runSearch(params, res) {
+    // Stop searching once the client goes away, including while checking columns or waiting for it to read
+    const controller = new AbortController()
+    const { signal } = controller
+    res.on('close', () => controller.abort())
+
+    const files = await listFiles()
+    /** @type {GrepOptions} */
+    let options
+    try {
+      options = searchParams(params, files)
+      // Files that lack a column are searched without it, but a column no file has is a mistake
+      const { columns, excludeColumns, select, filter, where } = options
+      if (columns?.length || excludeColumns?.length || select || filter || where) {
+        await grepSchema({ ...options, jobs, signal, onError: () => {} })
+      }
+    } catch (/** @type {any} */ error) {
+      if (!signal.aborted) sendJson(res, 400, { error: error.cause?.message ?? error.message })
+      return
+    }
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-store' })
+
+    /**
+     * @param {unknown} record
+     */
+    async function write(record) {
+      if (!res.write(JSON.stringify(record) + '\n')) await once(res, 'drain', { signal })
+    }
+
+    /** @type {unknown[]} */
+    const errors = []
+    /**
+     * Write the records of files that could not be read, which grep reports while searching
+     */
+    async function writeErrors() {
+      for (const record of errors.splice(0)) await write(record)
+    }
+
+    try {
+      const matches = grep({
+        ...options, jobs, signal, onError: (file, error) => errors.push({ filename: toRelative(file), error: error.message }),
+      })
+      for await (const { file, rowOffset, row, context, distance, spans } of matches) {
+        await writeErrors()
+        await write(jsonlRecord({
+          filename: toRelative(file), rowOffset, row, regex: undefined, invert: options.invert ?? false, trim: 0, context, distance, spans,
+        }))
+      }
+      await writeErrors()
+    } catch (/** @type {any} */ error) {
+      if (!signal.aborted) await writeErrors().then(() => write({ error: error.message })).catch(() => {})
+    }
+    res.end()
+  }
+
+  /**
+   * @param {IncomingMessage} req
+   * @param {ServerResponse} res
+   */
+  async function handle(req, res) {
+    const url = new URL(req.url ?? '/', 'http://localhost')
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendJson(res, 405, { error: 'method not allowed' })
+    } else if (url.pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+      res.end(await readFile(page))
+    } else if (url.pathname === '/api/files') {
+      sendJson(res, 200, { files: [...(await listFiles()).keys()] })
+    } else if (url.pathname === '/api/schema') {
+      const name = url.searchParams.get('file') ?? ''
+      const file = (await listFiles()).get(name)
+      if (!file) {
+        sendJson(res, 404, { error: `file not found: ${name}` })
+        return
+      }
+      const { columns } = await fileSchema(file)
+      sendJson(res, 200, { file: name, columns: columns.map(({ name, type }) => ({ name, type })) })
+    } else if (url.pathname === '/api/search') {
+      await search(url.searchParams, res)
+    } else {
+      sendJson(res, 404, { error: 'not found' })
+    }
+  }
+
+  return createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (res.headersSent) res.destroy(error)
+      else sendJson(res, 500, { error: error.message })
+    })
+  })
+}
+
+/**
+ * Build the grep options of a search request. Parameters, with `1` or `true` for flags:
+ * - `q` - regex to search for, with smart case, or `expr` - query expression (see parseQuery)
+ * - `fixed`, `word`, `cell`, `fuzzy`, `ignoreCase`, `invert` - as -F, -w, -x, --fuzzy, -i and -v
+ * - `where` - query expression rows must also match
+ * - `file` - file to search, relative to the directory (repeatable, default: all)
+ * - `column`, `excludeColumn` - columns to search or not (repeatable), `select` - comma-separated columns to output
+ * - `limit`, `offset` - matches per file to return and to skip (default: 20 and 0, limit 0 for unlimited)
+ *
+ * Files that lack a column are searched without it, since files in a directory can differ,
+ * but the search server rejects columns that no file has.
+ * @param {URLSearchParams} params
+ * @param {Map<string, string>} files - Paths on disk by relative path
+ * @returns {GrepOptions}
+ */
+export function searchParams(params, files) {
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  function flag(name) {
+    const value = params.get(name)
+    return value === '1' || value === 'true'
+  }
+  /**
+   * @param {string} name
+   * @param {number | undefined} fallback
+   * @returns {number | undefined}
+   */
+  function count(name, fallback) {
+    const value = params.get(name)
+    if (value === null || value === '') return fallback
+    const number = Number(value)
+    if (!Number.isInteger(number) || number < 0) throw new Error(`${name} must be a non-negative integer`)
+    return number
+  }
+
+  const names = params.getAll('file')
+  const missing = names.find(name => !files.has(name))
+  if (missing !== undefined) throw new Error(`file not found: ${missing}`)
+
+  const ignoreCase = flag('ignoreCase')
+  const expr = params.get('expr')
+  const q = params.get('q')
+  /** @type {Pick<GrepOptions, 'query' | 'filter'>} */
+  let query
+  if (expr) {
+    query = { filter: parseQuery(expr, ignoreCase) }
+  } else if (q) {
+    const regex = compilePatterns([q], {
+      fixedStrings: flag('fixed'), wholeWord: flag('word'), wholeCell: flag('cell'), fuzzy: count('fuzzy', undefined), ignoreCase: ignoreCase || !hasUpperCase(q),
+    })
+    query = { query: regex }
+  } else {
+    throw new Error('q or expr is required')
+  }
+  const where = params.get('where')
+  const select = params.get('select')
+  return {
+    files: names.length ? names.map(name => files.get(name) ?? name) : [...files.values()],
+    expand: false,
+    ...query,
+    where: where ? parseQuery(where, ignoreCase) : undefined,
+    columns: params.getAll('column'),
+    excludeColumns: params.getAll('excludeColumn'),
+    select: select ? select.split(',').map(name => name.trim()).filter(Boolean) : undefined,
+    invert: flag('invert'),
+    limit: count('limit', defaultLimit),
+    offset: count('offset', 0),
+    allowMissingColumns: true,
+  }
+}
+
+/**
+ * @param {ServerResponse} res
+ * @param {number} status
+ * @param {unknown} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' })
+  res.end(JSON.stringify(body))
+}
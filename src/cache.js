@@ -0,0 +1,193 @@
+/**
+ * On-disk cache of byte ranges fetched from remote files.
+ *
+ * Each range is stored in its own file, named by a hash of the URL, the version of the
+ * remote file (its ETag or Last-Modified date and size) and the range. A new version of
+ * the file gets new names, so stale ranges are never read and age out of the cache.
+ * Files are written atomically and their modification time marks their last use,
+ * so several processes can share a cache directory.
+ */
+
+import { createHash } from 'node:crypto'
+import { mkdir, readFile, readdir, rename, stat, unlink, utimes, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+/**
+ * @import {AsyncBuffer} from 'hyparquet'
+ * @import {FetchStats} from './http.js'
+ */
+
+/**
+ * @typedef {object} RangeCache
+ * @property {string} dir
+ * @property {number} maxSize - Bytes to keep, evicting the least recently used ranges beyond it
+ * @property {Map<string, number>} sizes - Size of each cached range, by file name
+ * @property {number} size - Total size of the cached ranges
+ * @property {Set<string>} writing - Ranges being written, so concurrent misses of one range count it once
+ * @property {Promise<void>} [evicting] - Eviction in progress, so concurrent stores do not start another
+ */
+
+/**
+ * @typedef {object} RemoteVersion
+ * @property {number} byteLength
+ * @property {string} version - ETag or Last-Modified date, with the size
+ */
+
+export const defaultCacheSize = 1 << 30
+const extension = '.range'
+// Eviction frees a tenth of the cache at once, so it runs once per many stores rather than on each
+const lowWaterMark = 0.9
+
+/** @type {Map<string, Promise<RangeCache>>} */
+const openCaches = new Map()
+
+/**
+ * Open a cache directory, creating it if needed. Each directory is opened once per process.
+ * @param {string} dir
+ * @param {number} [maxSize]
+ * @returns {Promise<RangeCache>}
+ */
+export function openRangeCache(dir, maxSize = defaultCacheSize) {
+  let cache = openCaches.get(dir)
+  if (!cache) {
+    cache = loadRangeCache(dir, maxSize)
+    openCaches.set(dir, cache)
+    // Let a failed open be retried
+    cache.catch(() => openCaches.delete(dir))
+  }
+  return cache
+}
+
+/**
+ * @param {string} dir
+ * @param {number} maxSize
+ * @returns {Promise<RangeCache>}
+ */
+async function loadRangeCache(dir, maxSize) {
+  await mkdir(dir, { recursive: true })
+  /** @type {RangeCache} */
+  const cache = { dir, maxSize, sizes: new Map(), size: 0, writing: new Set() }
+  for (const name of await readdir(dir)) {
+    if (!name.endsWith(extension)) continue
+    try {
+      const { size } = await stat(join(dir, name))
+      cache.sizes.set(name, size)
+      cache.size += size
+    } catch {
+      // Evicted by another process
+    }
+  }
+  return cache
+}
+
+/**
+ * Ask a server for the version of a remote file, so cached ranges are only used while it is unchanged
+ * @param {string} url
+ * @param {RequestInit} requestInit
+ * @param {typeof globalThis.fetch} fetch
+ * @returns {Promise<RemoteVersion | undefined>} Undefined if the server does not identify versions
+ */
+export async function fetchRemoteVersion(url, requestInit, fetch) {
+  const res = await fetch(url, { ...requestInit, method: 'HEAD' })
+  if (!res.ok) return undefined
+  const length = res.headers.get('content-length')
+  const validator = res.headers.get('etag') ?? res.headers.get('last-modified')
+  if (!length || !validator) return undefined
+  return { byteLength: Number(length), version: `${validator} ${length}` }
+}
+
+/**
+ * Remove the least recently used ranges until the cache is below its low-water mark
+ * @param {RangeCache} cache
+ */
+async function evict(cache) {
+  /** @type {{ name: string, used: number }[]} */
+  const entries = []
+  for (const name of cache.sizes.keys()) {
+    try {
+      entries.push({ name, used: (await stat(join(cache.dir, name))).mtimeMs })
+    } catch {
+      entries.push({ name, used: 0 })
+    }
+  }
+  entries.sort((a, b) => a.used - b.used)
+  for (const { name } of entries) {
+    if (cache.size <= cache.maxSize * lowWaterMark) break
+    await unlink(join(cache.dir, name)).catch(() => {})
+    cache.size -= cache.sizes.get(name) ?? 0
+    cache.sizes.delete(name)
+  }
+}
+
+/**
+ * Store a range in the cache, never leaving a partly written file under its name
+ * @param {RangeCache} cache
+ * @param {string} name
+ * @param {ArrayBuffer} buffer
+ */
+async function store(cache, name, buffer) {
+  if (buffer.byteLength > cache.maxSize || cache.sizes.has(name) || cache.writing.has(name)) return
+  const path = join(cache.dir, name)
+  const temp = `${path}.${process.pid}.tmp`
+  cache.writing.add(name)
+  try {
+    await writeFile(temp, new Uint8Array(buffer))
+    await rename(temp, path)
+  } catch {
+    // The cache is only an optimization, so a full disk fails nothing
+    await unlink(temp).catch(() => {})
+    return
+  } finally {
+    cache.writing.delete(name)
+  }
+  cache.sizes.set(name, buffer.byteLength)
+  cache.size += buffer.byteLength
+  if (cache.size > cache.maxSize && !cache.evicting) {
+    cache.evicting = evict(cache).finally(() => { cache.evicting = undefined })
+    await cache.evicting
+  }
+}
+
+/**
+ * Serve the ranges of a remote file from the cache, storing the ranges fetched on a miss.
+ * Misses are passed on right away, so reads of the same tick can still be coalesced.
+ * @param {AsyncBuffer} file
+ * @param {RangeCache} cache
+ * @param {string} key - URL and version of the remote file
+ * @param {FetchStats} [stats]
+ * @returns {AsyncBuffer}
+ */
+export function cachedRanges(file, cache, key, stats) {
+  const { byteLength } = file
+  return {
+    byteLength,
+    slice(start, end = byteLength) {
+      if (start < 0) start += byteLength
+      const name = createHash('sha256').update(`${key}\n${start}-${end}`).digest('hex') + extension
+      const path = join(cache.dir, name)
+
+      /**
+       * @returns {Promise<ArrayBuffer>}
+       */
+      async function fetchAndStore() {
+        const buffer = await file.slice(start, end)
+        await store(cache, name, buffer)
+        return buffer
+      }
+
+      if (!cache.sizes.has(name)) return fetchAndStore()
+      return readFile(path).then(async data => {
+        // Mark the range as recently used
+        const now = new Date()
+        await utimes(path, now, now).catch(() => {})
+        if (stats) stats.bytesFromCache += data.byteLength
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+      }, () => {
+        // Evicted by another process
+        cache.size -= cache.sizes.get(name) ?? 0
+        cache.sizes.delete(name)
+        return fetchAndStore()
+      })
+    },
+  }
+}
@@ -0,0 +1,325 @@
+import { toDecimal } from './stringify.js'
+
+/**
+ * @import {FileMetaData, SchemaElement, SchemaTree} from 'hyparquet'
+ */
+
+/**
+ * Check if a schema node is a list wrapper (LIST > repeated group > element)
+ * @param {SchemaTree} node
+ * @returns {boolean}
+ */
+function isListNode(node) {
+  const { converted_type, logical_type } = node.element
+  if (converted_type !== 'LIST' && logical_type?.type !== 'LIST') return false
+  return node.children.length === 1 && node.children[0].element.repetition_type === 'REPEATED'
+}
+
+/**
+ * Step through list wrappers to the node describing each list element.
+ * hyparquet assembles lists into plain arrays, so the wrappers never appear in row values.
+ * @param {SchemaTree} node
+ * @returns {SchemaTree}
+ */
+function unwrapList(node) {
+  while (isListNode(node)) {
+    const [repeated] = node.children
+    // 3-level lists have a single element child, 2-level lists repeat the group itself
+    node = repeated.children.length === 1 ? repeated.children[0] : repeated
+  }
+  return node
+}
+
+/**
+ * Resolve a column name to its path of field names in the parquet schema.
+ * Dots separate nested struct fields, but a field whose own name contains
+ * dots takes precedence over splitting.
+ * @param {SchemaTree} schema - Root of the parquet schema tree
+ * @param {string} name - Column name, such as `user.email`
+ * @returns {string[] | undefined} Field names from the top-level column down, or undefined if not found
+ */
+export function resolveColumnPath(schema, name) {
+  /** @type {string[]} */
+  const path = []
+  let node = schema
+  let rest = name
+  while (rest) {
+    // Prefer the longest field name that prefixes the remaining path
+    /** @type {SchemaTree | undefined} */
+    let next
+    for (const child of unwrapList(node).children) {
+      const childName = child.element.name
+      if (rest === childName || rest.startsWith(childName + '.')) {
+        if (!next || childName.length > next.element.name.length) next = child
+      }
+    }
+    if (!next) return undefined
+    path.push(next.element.name)
+    rest = rest.slice(next.element.name.length + 1)
+    node = next
+  }
+  return path
+}
+
+/**
+ * @typedef {object} FlatColumn
+ * @property {string} name - Dotted name, such as `user.email`
+ * @property {string} key - Key of the row value holding the column
+ * @property {string[]} path - Struct fields from the row value down to the column
+ * @property {string} type - Type of the column's values (see columnType)
+ */
+
+/**
+ * Flatten output columns into one column per struct field, following the schema.
+ * Lists and maps stay whole, since their size varies from row to row.
+ * @param {SchemaTree} schema - Root of the parquet schema tree
+ * @param {string[]} names - Output column names, used as row keys
+ * @param {string[][]} paths - Resolved path for each name
+ * @returns {FlatColumn[]}
+ */
+export function flattenColumns(schema, names, paths) {
+  /** @type {FlatColumn[]} */
+  const flat = []
+  /**
+   * @param {SchemaTree} node
+   * @param {string} key
+   * @param {string[]} path
+   */
+  function visit(node, key, path) {
+    const { converted_type, logical_type, repetition_type } = node.element
+    const isMap = converted_type === 'MAP' || converted_type === 'MAP_KEY_VALUE' || logical_type?.type === 'MAP'
+    if (!node.children.length || isListNode(node) || isMap || repetition_type === 'REPEATED') {
+      flat.push({ name: [key, ...path].join('.'), key, path, type: columnType(node) })
+    } else {
+      for (const child of node.children) visit(child, key, [...path, child.element.name])
+    }
+  }
+  for (let i = 0; i < names.length; i++) {
+    // Fields reached through a list hold an array of values, output whole
+    let node = schema
+    let inList = false
+    for (const name of paths[i]) {
+      if (isListNode(node)) inList = true
+      node = unwrapList(node).children.find(child => child.element.name === name) ?? node
+    }
+    if (inList) flat.push({ name: names[i], key: names[i], path: [], type: `LIST<${columnType(node)}>` })
+    else visit(node, names[i], [])
+  }
+  return flat
+}
+
+/**
+ * Describe the type of a column's values, to compare schemas across files, such as
+ * `INT64 TIMESTAMP(MILLIS, UTC)`, `LIST<BYTE_ARRAY STRING>` or `STRUCT<id: INT32, name: BYTE_ARRAY STRING>`
+ * @param {SchemaTree} node
+ * @param {boolean} [repeated] - Describe one value of a repeated field, rather than the list of them
+ * @returns {string}
+ */
+export function columnType(node, repeated = false) {
+  const { element, children } = node
+  const { converted_type, logical_type, repetition_type } = element
+  if (isListNode(node)) {
+    // As in unwrapList, 2-level lists repeat the group itself
+    const [item] = children
+    return `LIST<${item.children.length === 1 ? columnType(item.children[0]) : columnType(item, true)}>`
+  }
+  if (repetition_type === 'REPEATED' && !repeated) return `LIST<${columnType(node, true)}>`
+  if (converted_type === 'MAP' || converted_type === 'MAP_KEY_VALUE' || logical_type?.type === 'MAP') return 'MAP'
+  if (children.length) return `STRUCT<${children.map(child => `${child.element.name}: ${columnType(child)}`).join(', ')}>`
+  return [element.type, logicalTypeName(element)].filter(Boolean).join(' ')
+}
+
+/**
+ * Describe the logical type of a column, such as STRING, DECIMAL(9, 2) or TIMESTAMP(MILLIS, UTC).
+ * Older files only have converted types, which are named as their logical types, so UTF8 is STRING.
+ * @param {SchemaElement} element
+ * @returns {string | undefined}
+ */
+export function logicalTypeName({ logical_type, converted_type, precision, scale }) {
+  if (logical_type?.type === 'DECIMAL') return `DECIMAL(${logical_type.precision}, ${logical_type.scale})`
+  if (logical_type?.type === 'TIME' || logical_type?.type === 'TIMESTAMP') {
+    return `${logical_type.type}(${logical_type.unit}${logical_type.isAdjustedToUTC ? ', UTC' : ''})`
+  }
+  if (logical_type?.type === 'INTEGER') return `INTEGER(${logical_type.bitWidth}, ${logical_type.isSigned ? 'signed' : 'unsigned'})`
+  if (logical_type) return logical_type.type
+  if (converted_type === 'UTF8') return 'STRING'
+  if (converted_type === 'DECIMAL') return `DECIMAL(${precision}, ${scale})`
+  // Converted times and timestamps are always adjusted to UTC
+  const time = converted_type?.match(/^(TIME|TIMESTAMP)_(MILLIS|MICROS)$/)
+  if (time) return `${time[1]}(${time[2]}, UTC)`
+  const integer = converted_type?.match(/^(U?)INT_(\d+)$/)
+  if (integer) return `INTEGER(${integer[2]}, ${integer[1] ? 'unsigned' : 'signed'})`
+  return converted_type
+}
+
+/**
+ * Build the parquet schema of output rows, from the source schema of each output column.
+ * Columns keep their types and logical types, renamed to their output names.
+ * @param {SchemaTree} schema - Root of the parquet schema tree
+ * @param {string[]} names - Output column names, used as row keys
+ * @param {string[][]} paths - Resolved path for each name
+ * @returns {SchemaElement[]} Flattened schema elements, starting with the root
+ */
+export function outputSchema(schema, names, paths) {
+  /** @type {SchemaElement[]} */
+  const elements = [{ ...schema.element, num_children: names.length }]
+  for (let i = 0; i < names.length; i++) {
+    let node = schema
+    let optional = false
+    let listDepth = 0
+    for (const name of paths[i]) {
+      if (isListNode(node)) listDepth++
+      optional ||= node.element.repetition_type === 'OPTIONAL'
+      node = unwrapList(node).children.find(child => child.element.name === name) ?? node
+    }
+    const [element, ...descendants] = flattenSchema(node)
+    /** @type {SchemaElement} */
+    let column = { ...element, name: names[i] }
+    // A nested field can be null when any struct above it is
+    if (optional && column.repetition_type === 'REQUIRED') column.repetition_type = 'OPTIONAL'
+    // Fields reached through lists become lists of values
+    /** @type {SchemaElement[]} */
+    const wrappers = []
+    for (let depth = 0; depth < listDepth; depth++) {
+      wrappers.push(
+        { name: depth ? 'element' : names[i], repetition_type: 'OPTIONAL', converted_type: 'LIST', num_children: 1 },
+        { name: 'list', repetition_type: 'REPEATED', num_children: 1 }
+      )
+    }
+    if (listDepth) column = { ...column, name: 'element', repetition_type: 'OPTIONAL' }
+    elements.push(...wrappers, column, ...descendants)
+  }
+  return elements
+}
+
+/**
+ * List the schema elements of a subtree in depth-first order, as stored in parquet metadata.
+ * INT96 timestamps become INT64 nanosecond timestamps, since INT96 is deprecated.
+ * @param {SchemaTree} node
+ * @returns {SchemaElement[]}
+ */
+function flattenSchema(node) {
+  let { element } = node
+  if (element.type === 'INT96') {
+    element = { ...element, type: 'INT64', logical_type: { type: 'TIMESTAMP', isAdjustedToUTC: true, unit: 'NANOS' } }
+  }
+  return [element, ...node.children.flatMap(flattenSchema)]
+}
+
+/**
+ * Get the value at a path of field names within a row.
+ * Lists along the path are mapped over, so `items.price` yields an array of prices.
+ * @param {any} value
+ * @param {string[]} path
+ * @returns {any}
+ */
+export function getPathValue(value, path) {
+  for (let i = 0; i < path.length; i++) {
+    if (value === null || value === undefined) return value
+    if (Array.isArray(value)) {
+      const rest = path.slice(i)
+      return value.map(item => getPathValue(item, rest))
+    }
+    value = value[path[i]]
+  }
+  return value
+}
+
+/**
+ * Build a row containing only the named columns, keyed by the names as given
+ * @param {Record<string, any>} row
+ * @param {string[]} names - Column names, in output order
+ * @param {string[][]} paths - Resolved path for each name
+ * @returns {Record<string, any>}
+ */
+export function projectRow(row, names, paths) {
+  /** @type {Record<string, any>} */
+  const projected = {}
+  for (let i = 0; i < names.length; i++) {
+    projected[names[i]] = getPathValue(row, paths[i])
+  }
+  return projected
+}
+
+/**
+ * Check if a schema element is a DECIMAL column
+ * @param {SchemaElement} element
+ * @returns {boolean}
+ */
+export function isDecimalElement({ converted_type, logical_type }) {
+  return converted_type === 'DECIMAL' || logical_type?.type === 'DECIMAL'
+}
+
+/**
+ * Copy file metadata so that hyparquet reads decimal columns as their unscaled integers,
+ * rather than as floats, for decimalConverter to make exact
+ * @param {FileMetaData} metadata
+ * @returns {FileMetaData}
+ */
+export function unscaledDecimals(metadata) {
+  if (!metadata.schema.some(isDecimalElement)) return metadata
+  return {
+    ...metadata,
+    schema: metadata.schema.map(element => isDecimalElement(element) ? { ...element, converted_type: undefined, logical_type: undefined } : element),
+  }
+}
+
+/**
+ * Build a function that turns the unscaled integers of decimal columns in a row,
+ * as read with unscaledDecimals, into exact decimals.
+ * @param {SchemaTree} schema - Root of the parquet schema tree
+ * @returns {((row: Record<string, any>) => void) | undefined} Converts a row in place, or undefined if there are no decimals
+ */
+export function decimalConverter(schema) {
+  return structConverter(schema)
+}
+
+/**
+ * @param {SchemaTree} node
+ * @returns {((value: any) => any) | undefined}
+ */
+function valueConverter(node) {
+  node = unwrapList(node)
+  const { element } = node
+  if (isDecimalElement(element)) {
+    return value => value === null || value === undefined ? value : toDecimal(value, element.scale ?? 0)
+  }
+  // Maps are assembled into objects keyed by map keys rather than field names
+  if (!node.children.length || element.converted_type === 'MAP' || element.converted_type === 'MAP_KEY_VALUE') return undefined
+  const convert = structConverter(node)
+  return convert && (value => {
+    if (value !== null && typeof value === 'object') convert(value)
+    return value
+  })
+}
+
+/**
+ * @param {SchemaTree} node - Struct or root schema node
+ * @returns {((struct: Record<string, any>) => void) | undefined}
+ */
+function structConverter(node) {
+  /** @type {[string, (value: any) => any][]} */
+  const fields = []
+  for (const child of node.children) {
+    const convert = valueConverter(child)
+    if (convert) fields.push([child.element.name, convert])
+  }
+  if (!fields.length) return undefined
+  return struct => {
+    for (const [name, convert] of fields) {
+      // Columns that were not read are absent
+      if (!(name in struct)) continue
+      const value = struct[name]
+      struct[name] = Array.isArray(value) ? convertList(value, convert) : convert(value)
+    }
+  }
+}
+
+/**
+ * @param {any[]} list - Possibly nested list
+ * @param {(value: any) => any} convert
+ * @returns {any[]}
+ */
+function convertList(list, convert) {
+  return list.map(item => Array.isArray(item) ? convertList(item, convert) : convert(item))
+}
@@ -0,0 +1,393 @@
+import { readFile, readdir, stat } from 'node:fs/promises'
+import { join } from 'node:path'
+import { globToRegExp, hasGlobMagic } from './glob.js'
+import { createFetch } from './http.js'
+import { isS3Url, listS3Objects, parseS3Url } from './s3.js'
+
+/**
+ * @import {Dirent, Stats} from 'node:fs'
+ * @import {RequestOptions} from './http.js'
+ */
+
+/**
+ * @typedef {object} FindOptions
+ * @property {string[]} [include] - Glob patterns that files found in directories must match, all files if empty
+ * @property {string[]} [exclude] - Glob patterns of files and directories to skip
+ * @property {boolean} [defaultExclude] - Skip hidden files and directories and node_modules (default: true)
+ * @property {boolean} [ignoreFiles] - Skip paths matched by .gitignore and .ignore files in searched directories
+ * @property {number} [maxDepth] - Directory levels to descend into, where 1 only finds files directly in a directory. Unlimited if undefined
+ * @property {boolean} [followSymlinks] - Follow symbolic links found in directories. Links given as paths are always followed
+ * @property {string[]} [extensions] - Extensions of parquet files (default: .parquet, .pq and .parq)
+ * @property {(path: string, error: any) => void} [onError] - Called for paths that cannot be read, which are then skipped. By default the error is thrown
+ */
+
+/**
+ * A glob pattern from --include, --exclude or an ignore file.
+ * Patterns with a slash match the path relative to their base directory,
+ * other patterns match the name of a file or directory at any depth.
+ * @typedef {object} PathRule
+ * @property {RegExp} regex
+ * @property {string} base - Directory the pattern is relative to, as a path relative to the searched directory
+ * @property {boolean} anchored - Match the relative path instead of the name
+ * @property {boolean} directoryOnly - Only match directories, for patterns with a trailing slash
+ * @property {boolean} negate - Re-include paths matched by an earlier rule, for ignore file patterns starting with !
+ */
+
+/**
+ * @typedef {object} Walk
+ * @property {string[]} files - Files found so far
+ * @property {PathRule[]} include
+ * @property {PathRule[]} exclude
+ * @property {RegExp | undefined} glob - Pattern that paths relative to the searched directory must match
+ * @property {number} maxDepth
+ * @property {Set<string>} ancestors - Device and inode of the directories being walked, to detect symlink loops
+ * @property {FindOptions} options
+ */
+
+export const defaultExtensions = ['.parquet', '.pq', '.parq']
+const defaultExcludes = ['.*', 'node_modules']
+const ignoreFileNames = ['.gitignore', '.ignore']
+
+/**
+ * Check if a string is a URL of a remote file: http, https or s3
+ * @param {string} str
+ * @returns {boolean}
+ */
+export function isUrl(str) {
+  return str.startsWith('http://') || str.startsWith('https://') || isS3Url(str)
+}
+
+/**
+ * Compile a glob pattern into a rule
+ * @param {string} pattern
+ * @param {string} [base] - Directory the pattern is relative to
+ * @returns {PathRule}
+ */
+function compileRule(pattern, base = '') {
+  const negate = pattern.startsWith('!')
+  if (negate) pattern = pattern.slice(1)
+  const directoryOnly = pattern.endsWith('/')
+  if (directoryOnly) pattern = pattern.slice(0, -1)
+  const anchored = pattern.includes('/')
+  if (pattern.startsWith('/')) pattern = pattern.slice(1)
+  return { regex: globToRegExp(pattern), base, anchored, directoryOnly, negate }
+}
+
+/**
+ * Check if a path is matched by a list of rules. Later rules override earlier ones.
+ * @param {PathRule[]} rules
+ * @param {string} path - Path relative to the searched directory, with / separators
+ * @param {boolean} isDirectory
+ * @returns {boolean}
+ */
+function matchesRules(rules, path, isDirectory) {
+  let matched = false
+  for (const { regex, base, anchored, directoryOnly, negate } of rules) {
+    if (matched !== negate) continue
+    if (directoryOnly && !isDirectory) continue
+    if (base && !path.startsWith(`${base}/`)) continue
+    const relative = base ? path.slice(base.length + 1) : path
+    if (regex.test(anchored ? relative : relative.slice(relative.lastIndexOf('/') + 1))) {
+      matched = !negate
+    }
+  }
+  return matched
+}
+
+/**
+ * Read the patterns of the ignore files in a directory
+ * @param {string} dir
+ * @param {string} base - The directory relative to the searched directory
+ * @param {FindOptions} options
+ * @returns {Promise<PathRule[]>}
+ */
+async function readIgnoreRules(dir, base, options) {
+  /** @type {PathRule[]} */
+  const rules = []
+  for (const name of ignoreFileNames) {
+    /** @type {string} */
+    let text
+    try {
+      text = await readFile(join(dir, name), 'utf8')
+    } catch (/** @type {any} */ error) {
+      if (error.code !== 'ENOENT') reportError(options, join(dir, name), error)
+      continue
+    }
+    for (const line of text.split(/\r?\n/)) {
+      // Trailing spaces are ignored unless escaped
+      const pattern = line.replace(/(?<!\\) +$/, '')
+      if (pattern && !pattern.startsWith('#')) rules.push(compileRule(pattern, base))
+    }
+  }
+  return rules
+}
+
+/**
+ * Report a path that could not be read, throwing unless handled
+ * @param {FindOptions} options
+ * @param {string} path
+ * @param {any} error
+ */
+function reportError(options, path, error) {
+  if (!options.onError) throw error
+  options.onError(path, error)
+}
+
+/**
+ * Check if a file has one of the parquet extensions
+ * @param {string} name
+ * @param {FindOptions} options
+ * @returns {boolean}
+ */
+function hasParquetExtension(name, options) {
+  const extensions = options.extensions ?? defaultExtensions
+  return extensions.some(extension => name.endsWith(extension))
+}
+
+/**
+ * Recursively collect the parquet files in a directory
+ * @param {Walk} walk
+ * @param {string} dir
+ * @param {string} relative - The directory relative to the searched directory, empty for the searched directory
+ * @param {number} depth - Depth of the entries of this directory
+ * @param {PathRule[]} ignoreRules - Rules from ignore files in this directory and its parents
+ */
+async function walkDirectory(walk, dir, relative, depth, ignoreRules) {
+  const { options } = walk
+
+  /** @type {Dirent[]} */
+  let entries
+  try {
+    entries = await readdir(dir, { withFileTypes: true })
+  } catch (error) {
+    reportError(options, dir, error)
+    return
+  }
+  entries.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+  if (options.ignoreFiles) {
+    ignoreRules = [...ignoreRules, ...await readIgnoreRules(dir, relative, options)]
+  }
+
+  for (const entry of entries) {
+    const path = join(dir, entry.name)
+    const entryRelative = relative ? `${relative}/${entry.name}` : entry.name
+    let isDirectory = entry.isDirectory()
+    let isFile = entry.isFile()
+
+    // Entries are listed without following links, so a link to a directory is never walked by accident
+    if (entry.isSymbolicLink()) {
+      if (!options.followSymlinks) continue
+      try {
+        const stats = await stat(path)
+        isDirectory = stats.isDirectory()
+        isFile = stats.isFile()
+      } catch (error) {
+        reportError(options, path, error)
+        continue
+      }
+    }
+
+    if (matchesRules(walk.exclude, entryRelative, isDirectory)) continue
+    if (matchesRules(ignoreRules, entryRelative, isDirectory)) continue
+
+    if (isDirectory && depth < walk.maxDepth) {
+      if (options.followSymlinks) {
+        // Following links can lead back to a directory being walked
+        /** @type {string} */
+        let id
+        try {
+          const stats = await stat(path)
+          id = `${stats.dev}:${stats.ino}`
+        } catch (error) {
+          reportError(options, path, error)
+          continue
+        }
+        if (walk.ancestors.has(id)) {
+          reportError(options, path, new Error('symbolic link loop'))
+          continue
+        }
+        walk.ancestors.add(id)
+        await walkDirectory(walk, path, entryRelative, depth + 1, ignoreRules)
+        walk.ancestors.delete(id)
+      } else {
+        await walkDirectory(walk, path, entryRelative, depth + 1, ignoreRules)
+      }
+    } else if (isFile && isFileSelected(walk, entryRelative)) {
+      walk.files.push(path)
+    }
+  }
+}
+
+/**
+ * Check if a file that was not excluded has a parquet extension and matches --include and the glob
+ * @param {Walk} walk
+ * @param {string} relative - The file relative to the searched directory
+ * @returns {boolean}
+ */
+function isFileSelected(walk, relative) {
+  if (!hasParquetExtension(relative, walk.options)) return false
+  if (walk.include.length && !matchesRules(walk.include, relative, false)) return false
+  return !walk.glob || walk.glob.test(relative)
+}
+
+/**
+ * Start a walk of a directory or object store prefix
+ * @param {FindOptions} options
+ * @param {RegExp} [glob]
+ * @param {number} [globDepth]
+ * @returns {Walk}
+ */
+function createWalk(options, glob, globDepth = Infinity) {
+  const { include = [], exclude = [], defaultExclude = true, maxDepth = Infinity } = options
+  return {
+    files: [],
+    include: include.map(pattern => compileRule(pattern)),
+    exclude: [...defaultExclude ? defaultExcludes : [], ...exclude].map(pattern => compileRule(pattern)),
+    glob,
+    maxDepth: Math.min(maxDepth, globDepth),
+    ancestors: new Set(),
+    options,
+  }
+}
+
+/**
+ * Recursively find the parquet files in a directory, in order of their paths
+ * @param {string} dir
+ * @param {FindOptions} [options]
+ * @param {RegExp} [glob] - Pattern that paths relative to the directory must match
+ * @param {number} [globDepth] - Deepest directory level the glob can match
+ * @returns {Promise<string[]>}
+ */
+export async function findParquetFiles(dir, options = {}, glob, globDepth = Infinity) {
+  const walk = createWalk(options, glob, globDepth)
+  if (options.followSymlinks) {
+    const stats = await stat(dir)
+    walk.ancestors.add(`${stats.dev}:${stats.ino}`)
+  }
+  if (walk.maxDepth > 0) await walkDirectory(walk, dir, '', 1, [])
+  return walk.files
+}
+
+/**
+ * Split a glob into the directory before its first segment with glob syntax,
+ * and a pattern for the paths below that directory
+ * @param {string} pattern
+ * @returns {{ base: string, glob: RegExp, globDepth: number }}
+ */
+function splitGlob(pattern) {
+  const segments = pattern.split('/')
+  const firstGlob = segments.findIndex(hasGlobMagic)
+  const rest = segments.slice(firstGlob)
+  return {
+    base: segments.slice(0, firstGlob).join('/'),
+    glob: globToRegExp(rest.join('/')),
+    // Without ** the glob cannot match below its own number of segments
+    globDepth: rest.some(segment => segment.includes('**')) ? Infinity : rest.length,
+  }
+}
+
+/**
+ * Find the parquet files matching a glob, such as data/**\/year=2024/*.parquet
+ * @param {string} pattern
+ * @param {FindOptions} options
+ * @returns {Promise<string[]>}
+ */
+function findGlobFiles(pattern, options) {
+  const { base, glob, globDepth } = splitGlob(pattern)
+  const dir = base || (pattern.startsWith('/') ? '/' : '.')
+  return findParquetFiles(dir, options, glob, globDepth)
+}
+
+/**
+ * Find the parquet files in S3 under an s3:// URL, the object store equivalent of findParquetFiles.
+ * The URL can name an object, a prefix to search like a directory, or a glob.
+ * Listed keys are filtered like files found in directories, except that there are no ignore files.
+ * @param {string} url - Such as s3://bucket/table/ or s3://bucket/table/dt=2024-*\/*.parquet
+ * @param {FindOptions & RequestOptions} [options] - Request options for retries, timeouts and stats
+ * @returns {Promise<string[]>}
+ */
+export async function findS3Files(url, options = {}) {
+  const { bucket, key } = parseS3Url(url)
+  let prefix = key
+  /** @type {Walk} */
+  let walk
+  if (hasGlobMagic(key)) {
+    const { base, glob, globDepth } = splitGlob(key)
+    prefix = base && `${base}/`
+    walk = createWalk(options, glob, globDepth)
+  } else {
+    walk = createWalk(options)
+  }
+  // Keys under a prefix without a trailing slash, like files in a directory
+  const dir = !prefix || prefix.endsWith('/') ? prefix : `${prefix}/`
+
+  try {
+    for await (const object of listS3Objects(bucket, prefix, createFetch(options))) {
+      // A URL naming an object is kept as given, like a file path
+      if (object.key === key && dir !== key) return [url]
+      if (!object.key.startsWith(dir) || object.key.endsWith('/')) continue
+      const relative = object.key.slice(dir.length)
+      if (isListedFileSelected(walk, relative)) walk.files.push(`s3://${bucket}/${object.key}`)
+    }
+  } catch (error) {
+    reportError(options, url, error)
+    return []
+  }
+  return walk.files.sort()
+}
+
+/**
+ * Check if a listed object would be found by walking its prefix like a directory
+ * @param {Walk} walk
+ * @param {string} relative - Key relative to the listed prefix
+ * @returns {boolean}
+ */
+function isListedFileSelected(walk, relative) {
+  const segments = relative.split('/')
+  if (segments.length > walk.maxDepth) return false
+  for (let depth = 1; depth < segments.length; depth++) {
+    if (matchesRules(walk.exclude, segments.slice(0, depth).join('/'), true)) return false
+  }
+  if (matchesRules(walk.exclude, relative, false)) return false
+  return isFileSelected(walk, relative)
+}
+
+/**
+ * Expand directories, globs and s3:// prefixes into the parquet files they contain.
+ * Files and http URLs are kept as given, and paths that exist are never read as globs.
+ * @param {string[]} paths - Files, directories, globs or URLs
+ * @param {FindOptions & RequestOptions} [options] - Request options apply to listing s3:// prefixes
+ * @returns {Promise<string[]>}
+ */
+export async function expandFiles(paths, options = {}) {
+  /** @type {string[]} */
+  const files = []
+  for (const path of paths) {
+    if (isS3Url(path)) {
+      files.push(...await findS3Files(path, options))
+      continue
+    }
+    if (isUrl(path)) {
+      files.push(path)
+      continue
+    }
+    /** @type {Stats} */
+    let stats
+    try {
+      stats = await stat(path)
+    } catch (/** @type {any} */ error) {
+      if (error.code === 'ENOENT' && hasGlobMagic(path)) {
+        files.push(...await findGlobFiles(path, options))
+      } else {
+        reportError(options, path, error)
+      }
+      continue
+    }
+    if (stats.isDirectory()) {
+      files.push(...await findParquetFiles(path, options))
+    } else {
+      files.push(path)
+    }
+  }
+  return files
+}
@@ -0,0 +1,89 @@
+/**
+ * Glob patterns, as used by file arguments, --include, --exclude and ignore files:
+ *
+ *   *      any characters except /
+ *   **     any number of directories, as a whole path segment
+ *   ?      one character except /
+ *   [a-z]  one character from a set, or not from it with [!a-z]
+ *   {a,b}  either alternative
+ *
+ * A backslash matches the next character literally.
+ */
+
+/**
+ * Check if a path contains glob syntax
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function hasGlobMagic(path) {
+  return /[*?[{]/.test(path)
+}
+
+/**
+ * Escape a character for use in a regex
+ * @param {string} char
+ * @returns {string}
+ */
+function escapeChar(char) {
+  return /[\\^$.*+?()[\]{}|/]/.test(char) ? `\\${char}` : char
+}
+
+/**
+ * Convert a glob pattern to a regex that matches whole paths
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let source = ''
+  let braceDepth = 0
+  let i = 0
+  while (i < pattern.length) {
+    const char = pattern[i]
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeChar(pattern[i + 1])
+      i += 2
+    } else if (char === '*' && pattern[i + 1] === '*' && (i === 0 || pattern[i - 1] === '/')) {
+      if (pattern[i + 2] === '/') {
+        // Leading or middle **/ matches zero or more directories
+        source += '(?:[^/]*/)*'
+        i += 3
+      } else if (i + 2 === pattern.length) {
+        // Trailing ** matches everything below
+        source += '.*'
+        i += 2
+      } else {
+        source += '[^/]*'
+        i += 2
+      }
+    } else if (char === '*') {
+      source += '[^/]*'
+      i++
+    } else if (char === '?') {
+      source += '[^/]'
+      i++
+    } else if (char === '[' && pattern.indexOf(']', i + 2) > 0) {
+      // The first character of a set may be ], as in []abc]
+      const end = pattern.indexOf(']', i + 2)
+      let set = pattern.slice(i + 1, end)
+      const negate = set[0] === '!' || set[0] === '^'
+      if (negate) set = set.slice(1)
+      source += `[${negate ? '^' : ''}${set.replace(/[\\\]]/g, '\\$&')}]`
+      i = end + 1
+    } else if (char === '{' && pattern.indexOf('}', i) > 0) {
+      source += '(?:'
+      braceDepth++
+      i++
+    } else if (char === ',' && braceDepth) {
+      source += '|'
+      i++
+    } else if (char === '}' && braceDepth) {
+      source += ')'
+      braceDepth--
+      i++
+    } else {
+      source += escapeChar(char)
+      i++
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
@@ -0,0 +1,166 @@
+/**
+ * HTTP requests for remote parquet files: timeouts, retries with backoff,
+ * coalescing of nearby byte ranges, and counting of requests and bytes fetched.
+ * Caching ranges on disk is in cache.js.
+ */
+
+/**
+ * @import {AsyncBuffer} from 'hyparquet'
+ */
+
+/**
+ * @typedef {object} RequestOptions
+ * @property {Record<string, string>} [headers] - Headers to send with http and https requests, such as Authorization
+ * @property {number} [retries] - Times to retry a request after a network error, timeout, 408, 429 or 5xx response (default: 3)
+ * @property {number} [retryDelay] - Milliseconds to wait before the first retry, doubling for each retry after it (default: 500)
+ * @property {number} [timeout] - Milliseconds to wait for a response and its body before retrying, 0 for no limit (default: 30000)
+ * @property {number} [coalesce] - Merge byte ranges read at the same time that are at most this many bytes apart (default: 65536)
+ * @property {string} [cacheDir] - Directory to cache fetched byte ranges in, for files whose server reports an ETag or Last-Modified date
+ * @property {number} [cacheSize] - Bytes to keep in the cache, evicting the least recently used ranges (default: 1 GiB)
+ * @property {FetchStats} [stats] - Counters to update as requests are sent
+ */
+
+/**
+ * @typedef {object} FetchStats
+ * @property {number} requests - HTTP requests sent, including retries
+ * @property {number} bytesFetched - Bytes of response bodies received
+ * @property {number} bytesFromCache - Bytes read from the range cache instead of fetched
+ */
+
+/**
+ * @typedef {object} PendingRead
+ * @property {number} start
+ * @property {number} end
+ * @property {(buffer: ArrayBuffer) => void} resolve
+ * @property {(error: any) => void} reject
+ */
+
+export const defaultCoalesce = 1 << 16
+const retryStatuses = new Set([408, 429, 500, 502, 503, 504])
+// Longest Retry-After to honor, so a server cannot stall the search
+const maxRetryAfter = 60_000
+
+/**
+ * Wait before retrying, rejecting with the abort reason if the signal aborts first
+ * @param {number} ms
+ * @param {AbortSignal | null | undefined} signal
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted()
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    function onAbort() {
+      clearTimeout(timer)
+      reject(signal?.reason)
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Milliseconds a response asks to wait before retrying, from its Retry-After header
+ * @param {Response} res
+ * @returns {number}
+ */
+function retryAfter(res) {
+  const header = res.headers.get('retry-after')
+  if (!header) return 0
+  const ms = /^\d+$/.test(header) ? Number(header) * 1000 : Date.parse(header) - Date.now()
+  return Math.min(Math.max(ms, 0) || 0, maxRetryAfter)
+}
+
+/**
+ * Create a fetch function that times out, retries transient failures with exponential backoff,
+ * and counts requests and bytes. Aborting the caller's signal stops it without retrying.
+ * Bodies are read before returning, so a body that stalls or breaks off is retried too.
+ * @param {RequestOptions} [options]
+ * @returns {typeof globalThis.fetch}
+ */
+export function createFetch({ retries = 3, retryDelay = 500, timeout = 30_000, stats } = {}) {
+  return async (input, init = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      // Retries double the delay, with jitter so parallel requests spread out
+      const delay = retryDelay * 2 ** attempt * (0.5 + Math.random() / 2)
+
+      // The timeout covers reading the body, so a server that stalls after its headers is retried
+      const controller = new AbortController()
+      const signal = init.signal ? AbortSignal.any([init.signal, controller.signal]) : controller.signal
+      const timer = timeout ? setTimeout(() => controller.abort(new Error(`request timed out after ${timeout} ms`)), timeout) : undefined
+      let backoff = delay
+      try {
+        if (stats) stats.requests++
+        const res = await fetch(input, { ...init, signal })
+        if (retryStatuses.has(res.status) && attempt < retries) {
+          await res.body?.cancel()
+          backoff = Math.max(delay, retryAfter(res))
+        } else {
+          const body = await res.arrayBuffer()
+          if (stats) stats.bytesFetched += body.byteLength
+          // Statuses such as 204 and 304 cannot have a body, even an empty one
+          return new Response(body.byteLength ? body : null, { status: res.status, statusText: res.statusText, headers: res.headers })
+        }
+      } catch (error) {
+        if (attempt >= retries || init.signal?.aborted) throw error
+      } finally {
+        clearTimeout(timer)
+      }
+      await wait(backoff, init.signal)
+    }
+  }
+}
+
+/**
+ * Merge byte ranges that are read at the same time and close together into one read.
+ * hyparquet reads each selected column chunk of a row group as a separate range,
+ * which would otherwise be a request each.
+ * @param {AsyncBuffer} file
+ * @param {number} gap - Largest number of unneeded bytes between two ranges to read them together
+ * @returns {AsyncBuffer}
+ */
+export function coalesceRanges(file, gap) {
+  const { byteLength } = file
+  /** @type {PendingRead[]} */
+  let pending = []
+
+  // Read the ranges requested since the last flush, merging neighbors
+  function flush() {
+    const reads = pending.sort((a, b) => a.start - b.start)
+    pending = []
+    for (let i = 0; i < reads.length;) {
+      const { start } = reads[i]
+      let { end } = reads[i]
+      let next = i + 1
+      while (next < reads.length && reads[next].start - end <= gap) {
+        end = Math.max(end, reads[next].end)
+        next++
+      }
+      const group = reads.slice(i, next)
+      Promise.resolve()
+        .then(() => file.slice(start, end))
+        .then(buffer => {
+          for (const read of group) {
+            read.resolve(group.length === 1 ? buffer : buffer.slice(read.start - start, read.end - start))
+          }
+        }, error => {
+          for (const read of group) read.reject(error)
+        })
+      i = next
+    }
+  }
+
+  return {
+    byteLength,
+    slice(start, end = byteLength) {
+      // Suffix ranges are relative to the end of the file
+      if (start < 0) start += byteLength
+      return new Promise((resolve, reject) => {
+        if (!pending.length) queueMicrotask(flush)
+        pending.push({ start, end, resolve, reject })
+      })
+    },
+  }
+}
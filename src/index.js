@@ -0,0 +1,307 @@
+import { expandFiles } from './files.js'
+import { compilePatterns, copyRegex } from './patterns.js'
+import { bufferAhead, inOrder, mergeAhead } from './pool.js'
+import { highlightRegex, parseQuery } from './query.js'
+import { createTopK, scoreMatch } from './rank.js'
+import { unifySchemas } from './schema.js'
+import { countMatches, fileSchema, searchFile } from './search.js'
+
+export { defaultExtensions, expandFiles, findParquetFiles, findS3Files, isUrl } from './files.js'
+export { fileInfo } from './info.js'
+export { compilePatterns, copyRegex, escapeRegExp, globalRegex } from './patterns.js'
+export { parseQuery } from './query.js'
+export { scoreMatch } from './rank.js'
+export { describeDifference, unifySchemas } from './schema.js'
+export { Decimal } from './stringify.js'
+export { loadIndex, updateIndex } from './tokens.js'
+
+/**
+ * @import {FindOptions} from './files.js'
+ * @import {RequestOptions} from './http.js'
+ * @import {QueryNode} from './query.js'
+ * @import {RankedMatch, TopK} from './rank.js'
+ * @import {FileSchema, UnifiedSchema} from './schema.js'
+ * @import {SearchMatch, SearchOptions, SearchStats} from './search.js'
+ */
+
+/**
+ * Options for grep and grepCount. Directories and globs in `files` are expanded with the FindOptions,
+ * such as `include`, `exclude` and `maxDepth`, and URLs are read with the RequestOptions,
+ * such as `headers`, `retries` and `timeout`.
+ * @typedef {FindOptions & RequestOptions & SearchGrepOptions} GrepOptions
+ */
+
+/**
+ * @typedef {object} SearchGrepOptions
+ * @property {string | string[]} files - Parquet files, directories to search recursively, globs or URLs
+ * @property {boolean} [expand] - Expand directories and globs in `files` (default: true). With `false`, `files`
+ *   are searched as they are, such as a list already expanded by expandFiles
+ * @property {string | string[] | RegExp} [query] - Regex to search for, or several that rows can match any of.
+ *   Strings use smart case: case-insensitive unless one contains an uppercase letter
+ * @property {boolean} [fixedStrings] - Match string queries as plain text instead of regexes
+ * @property {boolean} [wholeWord] - Only match string queries where not preceded or followed by a letter, digit or underscore
+ * @property {boolean} [wholeCell] - Only match string queries against the whole text of a value
+ * @property {number} [fuzzy] - Match string queries as plain text within this many edits (Levenshtein distance),
+ *   giving each match the fewest edits of its spans as `distance`
+ * @property {string | QueryNode} [filter] - Query expression rows must match, instead of a query regex (see parseQuery)
+ * @property {string | QueryNode} [where] - Query expression rows must also match, not inverted by `invert`. Files whose partition values rule it out are never opened
+ * @property {boolean} [ignoreCase] - Make string queries and filters case-insensitive
+ * @property {string[]} [columns] - Columns to search (dotted paths for nested fields), all if empty
+ * @property {string[]} [excludeColumns] - Columns to skip when searching all columns
+ * @property {string[]} [select] - Columns to output, defaults to the searched columns
+ * @property {boolean} [allowMissingColumns] - Skip columns a file lacks instead of failing, for files with different schemas
+ * @property {boolean} [index] - Skip row groups of local files by their token index (see updateIndex), unless the file changed since (default: true)
+ * @property {boolean} [invert] - Yield rows that do not match instead
+ * @property {number} [limit] - Maximum matches per file (default: 0, unlimited)
+ * @property {number} [offset] - Matches to skip in each file (default: 0)
+ * @property {number} [before] - Rows of context to yield before each match, marked with `context: true` (default: 0)
+ * @property {number} [after] - Rows of context to yield after each match (default: 0)
+ * @property {number} [jobs] - Number of files to search at once (default: 1)
+ * @property {boolean} [ordered] - Yield matches grouped by file in the order of `files` (default: true), or as soon as any file finds them
+ * @property {AbortSignal} [signal] - Stops the search, rejecting with the abort reason
+ * @property {SearchStats} [stats] - Counters to update as files and row groups are read or skipped, and requests sent
+ * @property {(file: string, error: any) => void} [onError] - Called for files and directories that cannot be read, which are then skipped. By default the error is thrown
+ * @property {(file: string) => void} [onLimit] - Called when a file has more matches than `limit`
+ */
+
+/**
+ * @typedef {object} FileCount
+ * @property {string} file
+ * @property {number} count - Number of matching rows, up to the limit
+ */
+
+/**
+ * @typedef {object} PreparedGrep
+ * @property {string[]} files - Files to search, with directories expanded
+ * @property {RegExp | undefined} regex - Regex to search for, or to highlight when a filter is given
+ * @property {SearchOptions} searchOptions
+ * @property {AbortController} controller - Aborts when the caller's signal does, or the search ends early
+ */
+
+/**
+ * Search parquet files for rows matching a regex or query expression.
+ * Matches are yielded as they are found, with the file, row group and columns they matched in.
+ *
+ * @param {GrepOptions} options
+ * @yields {SearchMatch}
+ * @example
+ * for await (const match of grep({ files: 'data/', query: 'cust_123', columns: ['customer_id'] })) {
+ *   console.log(match.file, match.rowOffset, match.row)
+ * }
+ */
+export async function* grep(options) {
+  const { invert = false, limit = 0, offset = 0, before = 0, after = 0, jobs = 1, ordered = true, onError, onLimit } = options
+  const { files, regex, searchOptions, controller } = await prepareGrep(options)
+  const { signal } = searchOptions
+
+  /**
+   * @param {string} file
+   * @yields {SearchMatch}
+   */
+  async function* fileMatches(file) {
+    try {
+      yield* searchFile(file, regex, invert, { ...searchOptions, offset, limit, onLimit, before, after })
+    } catch (error) {
+      if (!onError || signal?.aborted) throw error
+      onError(file, error)
+    }
+  }
+
+  try {
+    const sources = files.map(file => () => fileMatches(file))
+    const results = ordered ? inOrder(bufferAhead(sources, jobs, { signal })) : mergeAhead(sources, jobs, { signal })
+    for await (const { value } of results) {
+      // Matches buffered ahead are dropped once aborted
+      signal?.throwIfAborted()
+      yield value
+    }
+  } finally {
+    // Stop files still being searched ahead when the caller stops reading
+    controller.abort()
+  }
+}
+
+/**
+ * Search parquet files for the most relevant rows across all of them, best first (see scoreMatch).
+ * Every file is searched before the first match is yielded, keeping only the best `offset + limit` matches.
+ * Matches that score the same keep the order of files and rows.
+ *
+ * @param {GrepOptions} options - As for grep, except that `limit` and `offset` count matches across all files,
+ *   `before`, `after` and `ordered` are unused, and `onLimit` is called for each file with a match ranked past the limit
+ * @yields {RankedMatch}
+ * @example
+ * for await (const match of grepRanked({ files: 'docs/', query: 'refund', limit: 10 })) {
+ *   console.log(match.score, match.file, match.rowOffset)
+ * }
+ */
+export async function* grepRanked(options) {
+  const { invert = false, limit = 0, offset = 0, jobs = 1, onError, onLimit } = options
+  const { files, regex, searchOptions, controller } = await prepareGrep(options)
+  const { signal } = searchOptions
+  /** @type {TopK<{ index: number, match: RankedMatch }>} */
+  const best = createTopK(limit && offset + limit, (a, b) => b.match.score - a.match.score || a.index - b.index || a.match.rowOffset - b.match.rowOffset)
+
+  /**
+   * @param {string} file
+   * @yields {SearchMatch}
+   */
+  async function* fileMatches(file) {
+    try {
+      yield* searchFile(file, regex, invert, searchOptions)
+    } catch (error) {
+      if (!onError || signal?.aborted) throw error
+      onError(file, error)
+    }
+  }
+
+  try {
+    const sources = files.map(file => () => fileMatches(file))
+    for await (const { index, value } of mergeAhead(sources, jobs, { signal })) {
+      signal?.throwIfAborted()
+      const dropped = best.push({ index, match: { ...value, score: scoreMatch(value) } })
+      if (dropped) onLimit?.(dropped.match.file)
+    }
+  } finally {
+    controller.abort()
+  }
+  for (const { match } of best.sorted().slice(offset)) {
+    yield match
+  }
+}
+
+/**
+ * Count the rows matching a regex or query expression in each parquet file.
+ * Row groups are counted from statistics or dictionary pages without decoding them when possible.
+ * With a `limit`, each file stops counting once it reaches the limit.
+ *
+ * @param {GrepOptions} options - As for grep, except that `offset` and `onLimit` are unused
+ * @yields {FileCount}
+ */
+export async function* grepCount(options) {
+  const { invert = false, limit = 0, jobs = 1, ordered = true, onError } = options
+  const { files, regex, searchOptions, controller } = await prepareGrep(options)
+  const { signal } = searchOptions
+
+  /**
+   * @param {string} file
+   * @yields {FileCount}
+   */
+  async function* fileCount(file) {
+    try {
+      yield { file, count: await countMatches(file, regex, invert, { ...searchOptions, limit }) }
+    } catch (error) {
+      if (!onError || signal?.aborted) throw error
+      onError(file, error)
+    }
+  }
+
+  try {
+    const sources = files.map(file => () => fileCount(file))
+    const results = ordered ? inOrder(bufferAhead(sources, jobs, { signal })) : mergeAhead(sources, jobs, { signal })
+    for await (const { value } of results) {
+      signal?.throwIfAborted()
+      yield value
+    }
+  } finally {
+    controller.abort()
+  }
+}
+
+/**
+ * Unify the output columns of parquet files, as grep would output them, to output matches from
+ * files with different schemas under one header, or refuse to search them together.
+ * Files missing a requested column are searched without it, but a column no file has is an error.
+ *
+ * @param {GrepOptions} options - As for grep, except that only `files`, the FindOptions, RequestOptions
+ *   and the column options `columns`, `excludeColumns`, `select`, `filter` and `where` are used, with `jobs`, `signal` and `onError`
+ * @returns {Promise<UnifiedSchema & { schemas: FileSchema[] }>} Unified columns, how files differ from the first, and the columns of each file
+ * @example
+ * const { columns, differences } = await grepSchema({ files: 'data/', query: '' })
+ */
+export async function grepSchema(options) {
+  const { jobs = 1, onError } = options
+  const { files, searchOptions, controller } = await prepareGrep(options)
+  const { signal } = searchOptions
+
+  /**
+   * @param {string} file
+   * @yields {FileSchema}
+   */
+  async function* schemaOf(file) {
+    try {
+      yield await fileSchema(file, searchOptions)
+    } catch (error) {
+      if (!onError || signal?.aborted) throw error
+      onError(file, error)
+    }
+  }
+
+  /** @type {FileSchema[]} */
+  const schemas = []
+  try {
+    for await (const { value } of inOrder(bufferAhead(files.map(file => () => schemaOf(file)), jobs, { signal }))) {
+      signal?.throwIfAborted()
+      schemas.push(value)
+    }
+  } finally {
+    controller.abort()
+  }
+  // A column missing from every file is more likely a typo than a schema difference
+  const missing = schemas.length ? schemas[0].missingColumns.filter(name => schemas.every(schema => schema.missingColumns.includes(name))) : []
+  if (missing.length) throw new Error(`column not found: ${missing[0]}`)
+  return { ...unifySchemas(schemas), schemas }
+}
+
+/**
+ * Resolve the files, regex and search options shared by grep, grepRanked, grepCount and grepSchema
+ * @param {GrepOptions} options
+ * @returns {Promise<PreparedGrep>}
+ */
+async function prepareGrep(options) {
+  const {
+    files, expand = true, query, fixedStrings, wholeWord, wholeCell, fuzzy, filter, where, ignoreCase = false, columns, excludeColumns, select, allowMissingColumns, index, stats, signal, headers, retries, retryDelay, timeout, coalesce, cacheDir, cacheSize,
+  } = options
+  signal?.throwIfAborted()
+  /** @type {QueryNode | undefined} */
+  let queryFilter
+  /** @type {RegExp | undefined} */
+  let regex
+  if (filter !== undefined) {
+    queryFilter = typeof filter === 'string' ? parseQuery(filter, ignoreCase) : filter
+    // Query expressions match on their own, the regex is only for highlighting
+    regex = highlightRegex(queryFilter)
+  } else if (query instanceof RegExp) {
+    // Stateful flags would make each test depend on the last. Otherwise keep the regex,
+    // which may search fixed strings without the regex engine (see compilePatterns)
+    regex = query.global || query.sticky ? copyRegex(query, query.flags.replace(/[gy]/g, '')) : query
+  } else if (query !== undefined) {
+    const patterns = typeof query === 'string' ? [query] : query
+    regex = compilePatterns(patterns, {
+      fixedStrings, wholeWord, wholeCell, fuzzy, ignoreCase: ignoreCase || !patterns.some(pattern => /[A-Z]/.test(pattern)),
+    })
+  } else {
+    throw new Error('grep needs a query or a filter')
+  }
+
+  const controller = new AbortController()
+  const searchOptions = {
+    columns,
+    excludeColumns,
+    select,
+    allowMissingColumns,
+    index,
+    filter: queryFilter,
+    where: typeof where === 'string' ? parseQuery(where, ignoreCase) : where,
+    stats,
+    signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal,
+    headers,
+    retries,
+    retryDelay,
+    timeout,
+    coalesce,
+    cacheDir,
+    cacheSize,
+  }
+  const list = typeof files === 'string' ? [files] : files
+  return { files: expand ? await expandFiles(list, options) : list, regex, searchOptions, controller }
+}
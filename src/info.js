@@ -0,0 +1,203 @@
+import { parquetMetadataAsync, parquetSchema } from 'hyparquet'
+import { isDecimalElement, logicalTypeName } from './columns.js'
+import { isStringColumn } from './prune.js'
+import { openFile } from './search.js'
+import { Decimal, toDecimal, toDisplayValue } from './stringify.js'
+
+/**
+ * @import {ColumnMetaData, SchemaElement, SchemaTree, Statistics} from 'hyparquet'
+ * @import {RequestOptions} from './http.js'
+ */
+
+/**
+ * What a parquet file holds, from its footer alone. Sizes are in bytes, and values
+ * are JSON-friendly, with statistics converted as in the output of matching rows.
+ * @typedef {object} FileInfo
+ * @property {string} file
+ * @property {number} numRows
+ * @property {number} version - Parquet format version
+ * @property {string | undefined} createdBy - Application that wrote the file
+ * @property {number} metadataLength - Size of the footer
+ * @property {SchemaInfo[]} schema - Top-level columns, with struct fields, lists and maps as children
+ * @property {RowGroupInfo[]} rowGroups
+ * @property {ColumnChunkInfo[]} columns - Each leaf column, over all row groups
+ * @property {Record<string, string | undefined>} keyValueMetadata
+ */
+
+/**
+ * @typedef {object} SchemaInfo
+ * @property {string} name
+ * @property {string | undefined} type - Physical type, undefined for groups
+ * @property {string | undefined} logicalType - Such as STRING, DECIMAL(9, 2) or TIMESTAMP(MILLIS, UTC)
+ * @property {string | undefined} repetition - REQUIRED, OPTIONAL or REPEATED
+ * @property {SchemaInfo[]} [children] - Fields of a group
+ */
+
+/**
+ * @typedef {object} RowGroupInfo
+ * @property {number} numRows
+ * @property {number} byteSize - Uncompressed size of the column data
+ * @property {number} compressedSize - Size of the column data in the file
+ */
+
+/**
+ * @typedef {object} ColumnChunkInfo
+ * @property {string} column - Path in the schema, with dots, such as `tags.list.element`
+ * @property {string} type - Physical type
+ * @property {string[]} codecs - Compression codecs of its row groups
+ * @property {string[]} encodings - Encodings of its pages
+ * @property {number} compressedSize
+ * @property {number} uncompressedSize
+ * @property {number | undefined} nullCount - Undefined unless every row group has a null count
+ * @property {any} min - Undefined unless every row group has a minimum
+ * @property {any} max - Undefined unless every row group has a maximum
+ */
+
+// Keep byte array statistics as bytes, which hyparquet would decode as UTF-8 even for binary columns
+/** @type {any} */
+const statParsers = { stringFromBytes: (/** @type {Uint8Array} */ bytes) => bytes }
+const utf8Decoder = new TextDecoder()
+
+/**
+ * Read the schema, row groups, column statistics and key/value metadata of a parquet file
+ * @param {string} filename - File, URL or s3:// URL
+ * @param {RequestOptions & { signal?: AbortSignal }} [options]
+ * @returns {Promise<FileInfo>}
+ */
+export async function fileInfo(filename, options = {}) {
+  options.signal?.throwIfAborted()
+  const metadata = await parquetMetadataAsync(await openFile(filename, options), { parsers: statParsers })
+
+  /** @type {Map<string, ColumnMetaData[]>} */
+  const chunks = new Map()
+  for (const rowGroup of metadata.row_groups) {
+    for (const { meta_data } of rowGroup.columns) {
+      if (!meta_data) continue
+      const column = meta_data.path_in_schema.join('.')
+      chunks.set(column, [...chunks.get(column) ?? [], meta_data])
+    }
+  }
+
+  /** @type {Record<string, string | undefined>} */
+  const keyValueMetadata = {}
+  for (const { key, value } of metadata.key_value_metadata ?? []) {
+    keyValueMetadata[key] = value
+  }
+
+  const schema = parquetSchema(metadata)
+  return {
+    file: filename,
+    numRows: Number(metadata.num_rows),
+    version: metadata.version,
+    createdBy: metadata.created_by,
+    metadataLength: metadata.metadata_length,
+    schema: schema.children.map(schemaInfo),
+    rowGroups: metadata.row_groups.map(rowGroup => ({
+      numRows: Number(rowGroup.num_rows),
+      byteSize: Number(rowGroup.total_byte_size),
+      compressedSize: rowGroup.columns.reduce((sum, chunk) => sum + Number(chunk.meta_data?.total_compressed_size ?? 0), 0),
+    })),
+    columns: [...chunks].map(([column, metas]) => columnInfo(column, metas, leafElement(schema, metas[0].path_in_schema))),
+    keyValueMetadata,
+  }
+}
+
+/**
+ * @param {SchemaTree} node
+ * @returns {SchemaInfo}
+ */
+function schemaInfo({ element, children }) {
+  /** @type {SchemaInfo} */
+  const info = {
+    name: element.name,
+    type: element.type === 'FIXED_LEN_BYTE_ARRAY' ? `FIXED_LEN_BYTE_ARRAY(${element.type_length})` : element.type,
+    logicalType: logicalTypeName(element),
+    repetition: element.repetition_type,
+  }
+  if (!element.type) info.children = children.map(schemaInfo)
+  return info
+}
+
+/**
+ * @param {SchemaTree} schema
+ * @param {string[]} path
+ * @returns {SchemaElement | undefined}
+ */
+function leafElement(schema, path) {
+  /** @type {SchemaTree | undefined} */
+  let node = schema
+  for (const name of path) {
+    node = node?.children.find(child => child.element.name === name)
+  }
+  return node?.element
+}
+
+/**
+ * Combine the chunks of a column across row groups
+ * @param {string} column
+ * @param {ColumnMetaData[]} metas
+ * @param {SchemaElement | undefined} element
+ * @returns {ColumnChunkInfo}
+ */
+function columnInfo(column, metas, element) {
+  const nullCounts = metas.map(meta => meta.statistics?.null_count)
+  // Deprecated min and max are only a fallback, since their order may differ for strings
+  const mins = metas.map(meta => statValue(meta.statistics?.min_value ?? meta.statistics?.min, element))
+  const maxes = metas.map(meta => statValue(meta.statistics?.max_value ?? meta.statistics?.max, element))
+  return {
+    column,
+    type: metas[0].type,
+    codecs: [...new Set(metas.map(meta => meta.codec))],
+    encodings: [...new Set(metas.flatMap(meta => meta.encodings))],
+    compressedSize: metas.reduce((sum, meta) => sum + Number(meta.total_compressed_size), 0),
+    uncompressedSize: metas.reduce((sum, meta) => sum + Number(meta.total_uncompressed_size), 0),
+    nullCount: nullCounts.every(count => count !== undefined) ? nullCounts.reduce((sum, count) => sum + Number(count), 0) : undefined,
+    min: toDisplayValue(extreme(mins, -1)),
+    max: toDisplayValue(extreme(maxes, 1)),
+  }
+}
+
+/**
+ * Decode string statistics, and make exact decimals of decimal statistics
+ * @param {Statistics['min_value']} value
+ * @param {SchemaElement | undefined} element
+ * @returns {Statistics['min_value'] | Decimal}
+ */
+function statValue(value, element) {
+  if (!element) return value
+  if (value instanceof Uint8Array && element.type === 'BYTE_ARRAY' && isStringColumn(element)) return utf8Decoder.decode(value)
+  if (isDecimalElement(element)) {
+    const scale = element.scale ?? 0
+    // hyparquet scales fixed length decimals to floats, which are exact up to 2^53 unscaled
+    if (typeof value === 'number' && element.type === 'FIXED_LEN_BYTE_ARRAY') return toDecimal(Math.round(value * 10 ** scale), scale)
+    if (typeof value === 'number' || typeof value === 'bigint' || value instanceof Uint8Array) return toDecimal(value, scale)
+  }
+  return value
+}
+
+/**
+ * Find the smallest or largest of the statistics of each row group
+ * @param {(Statistics['min_value'] | Decimal)[]} values
+ * @param {number} sign - -1 for the smallest, 1 for the largest
+ * @returns {Statistics['min_value'] | Decimal} Undefined if any row group has no statistic
+ */
+function extreme(values, sign) {
+  if (!values.length || values.some(value => value === undefined)) return undefined
+  return values.reduce((best, value) => compareStats(value, best) * sign > 0 ? value : best)
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @returns {number}
+ */
+function compareStats(a, b) {
+  if (a instanceof Decimal && b instanceof Decimal) return compareStats(a.unscaled, b.unscaled)
+  if (a instanceof Uint8Array && b instanceof Uint8Array) {
+    for (let i = 0; i < a.length && i < b.length; i++) {
+      if (a[i] !== b[i]) return a[i] - b[i]
+    }
+    return a.length - b.length
+  }
+  return a < b ? -1 : a > b ? 1 : 0
+}
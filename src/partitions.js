@@ -0,0 +1,132 @@
+/**
+ * Hive-style partitioning stores the values of partition columns in directory names:
+ *
+ *   table/dt=2024-05-01/region=eu/part-0.parquet
+ *
+ * Each key=value directory becomes a virtual column of every row in the files below it.
+ * Integer values are typed as INT64, other values as strings, and the default partition as null.
+ */
+
+import { evaluateQuery, queryColumns } from './query.js'
+
+/**
+ * @import {SchemaTree} from 'hyparquet'
+ * @import {QueryNode} from './query.js'
+ */
+
+/**
+ * @typedef {Record<string, string | bigint | null>} Partitions
+ */
+
+// Directory name Hive uses for null partition values
+const defaultPartition = '__HIVE_DEFAULT_PARTITION__'
+
+/**
+ * Decode a percent-escaped path segment, as written by Hive and Spark
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapePath(text) {
+  try {
+    return decodeURIComponent(text)
+  } catch {
+    return text
+  }
+}
+
+/**
+ * Parse a partition value, typing integers as bigints like INT64 columns
+ * @param {string} text
+ * @returns {string | bigint | null}
+ */
+function parsePartitionValue(text) {
+  if (text === defaultPartition) return null
+  const value = unescapePath(text)
+  // Only integers that print back the same, so 007 stays text
+  if (/^-?\d+$/.test(value) && BigInt(value).toString() === value) return BigInt(value)
+  return value
+}
+
+/**
+ * Parse the partition values from the key=value directories in a file path.
+ * A directory deeper in the path overrides one with the same key.
+ * @param {string} path
+ * @returns {Partitions}
+ */
+export function parsePartitions(path) {
+  /** @type {Partitions} */
+  const partitions = {}
+  const directories = path.split(/[\\/]/).slice(0, -1)
+  for (const directory of directories) {
+    const match = /^([^=]+)=(.*)$/.exec(directory)
+    if (match) partitions[unescapePath(match[1])] = parsePartitionValue(match[2])
+  }
+  return partitions
+}
+
+/**
+ * Add partition columns to a parquet schema tree, after the columns of the file.
+ * Partition columns replace file columns with the same name, so that partitions
+ * can be pruned without opening files.
+ * @param {SchemaTree} schema - Root of the parquet schema tree
+ * @param {Partitions} partitions
+ * @returns {SchemaTree}
+ */
+export function withPartitions(schema, partitions) {
+  const names = Object.keys(partitions)
+  if (!names.length) return schema
+  const children = schema.children.filter(child => !Object.hasOwn(partitions, child.element.name))
+  for (const name of names) {
+    const isInteger = typeof partitions[name] === 'bigint'
+    children.push({
+      element: {
+        name,
+        type: isInteger ? 'INT64' : 'BYTE_ARRAY',
+        converted_type: isInteger ? undefined : 'UTF8',
+        repetition_type: 'OPTIONAL',
+      },
+      children: [],
+      count: 1,
+      path: [name],
+    })
+  }
+  return { ...schema, element: { ...schema.element, num_children: children.length }, children }
+}
+
+/**
+ * Check if a query only refers to partition columns, so it has the same result for every row of a file
+ * @param {QueryNode} node
+ * @param {Partitions} partitions
+ * @returns {boolean}
+ */
+export function isPartitionOnly(node, partitions) {
+  /**
+   * @param {QueryNode} node
+   * @returns {boolean}
+   */
+  function hasBareTerm(node) {
+    if (node.type === 'regex') return node.column === undefined
+    if (node.type === 'compare') return false
+    if (node.type === 'not') return hasBareTerm(node.child)
+    return node.children.some(hasBareTerm)
+  }
+  return !hasBareTerm(node) && queryColumns(node).every(column => Object.hasOwn(partitions, column))
+}
+
+/**
+ * Check if the partition values of a file rule out every row for a query,
+ * such as dt>=2024-05-01 for a file under dt=2024-04-30.
+ * Parts of the query that refer to other columns are treated as unknown.
+ * @param {QueryNode} node
+ * @param {Partitions} partitions
+ * @param {(cell: any, regex: RegExp) => boolean} cellMatches - Regex test for a single cell
+ * @returns {boolean}
+ */
+export function partitionRuledOut(node, partitions, cellMatches) {
+  if (isPartitionOnly(node, partitions)) {
+    return !evaluateQuery(node, { cells: column => [column === undefined ? null : partitions[column]], cellMatches })
+  }
+  if (node.type === 'and') return node.children.some(child => partitionRuledOut(child, partitions, cellMatches))
+  if (node.type === 'or') return node.children.every(child => partitionRuledOut(child, partitions, cellMatches))
+  return false
+}
@@ -0,0 +1,429 @@
+/**
+ * Compile the patterns of a search into one regex, as grep does with -e, -F, -w and -x.
+ *
+ * Fixed strings are found without the regex engine: a substring search for one string,
+ * a set lookup for whole cells, and an Aho–Corasick automaton for many strings, such as
+ * a list of leaked keys. The regex keeps an equivalent source, so row group pruning treats
+ * it like any other regex. Copies made with copyRegex, globalRegex and unionRegex keep the
+ * finder, while a regex rebuilt from the source alone would match exactly.
+ *
+ * Fuzzy patterns match text within a number of edits (Levenshtein distance) of a pattern.
+ * Their source is only the exact form, grouped so that it never prunes row groups.
+ */
+
+/**
+ * @typedef {object} PatternOptions
+ * @property {boolean} [fixedStrings] - Match the patterns as plain text instead of regexes
+ * @property {boolean} [wholeWord] - Only match where not preceded or followed by a letter, digit or underscore
+ * @property {boolean} [wholeCell] - Only match the whole text of a value
+ * @property {boolean} [ignoreCase]
+ * @property {number} [fuzzy] - Match text within this many edits of a pattern, treating patterns as plain text
+ */
+
+/**
+ * A match of a compiled regex. Fuzzy matches also have the number of edits between the text and the pattern.
+ * @typedef {RegExpExecArray & { distance?: number }} PatternExecArray
+ */
+
+/**
+ * Start, end and, for fuzzy matches, distance of a match
+ * @typedef {(text: string, from: number) => [number, number, number?] | undefined} Finder
+ */
+
+/**
+ * @typedef {object} Automaton
+ * @property {Map<number, number>[]} next - Transitions of each node by character code
+ * @property {number[]} fail - Node of the longest proper suffix of each node's text
+ * @property {number[][]} lengths - Lengths of the patterns ending at each node, including suffixes
+ * @property {number} maxLength - Length of the longest pattern
+ */
+
+/**
+ * Escape text to match itself in a regex
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeRegExp(text) {
+  return text.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&')
+}
+
+/**
+ * Compile patterns into a regex that matches any of them.
+ * No patterns match nothing, and an empty pattern matches everything.
+ * @param {string[]} patterns
+ * @param {PatternOptions} [options]
+ * @returns {RegExp}
+ */
+export function compilePatterns(patterns, { fixedStrings = false, wholeWord = false, wholeCell = false, ignoreCase = false, fuzzy } = {}) {
+  const flags = ignoreCase ? 'i' : ''
+  if (fuzzy !== undefined) fixedStrings = true
+  if (!fixedStrings) {
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern, flags)
+      } catch (error) {
+        throw new Error(`invalid regex pattern: ${pattern}`, { cause: error })
+      }
+    }
+  }
+
+  const sources = fixedStrings ? patterns.map(escapeRegExp) : patterns
+  // A lone pattern without alternation needs no group, so an anchored literal can still prune row groups
+  let source = !sources.length ? '(?!)'
+    : sources.length === 1 && !sources[0].includes('|') ? sources[0]
+      : `(?:${sources.join('|')})`
+  if (wholeWord) source = `(?<!\\w)${source}(?!\\w)`
+  if (wholeCell) source = `^${source}$`
+  if (fuzzy) source = `(?:${source})`
+  const regex = new RegExp(source, flags)
+  if (fuzzy) fuzzyRegexes.add(regex)
+
+  if (!fixedStrings || !patterns.length || patterns.includes('')) return regex
+  const find = fuzzy
+    ? fuzzyFinder(patterns, fuzzy, { wholeWord, wholeCell, ignoreCase })
+    : fixedStringFinder(patterns, { wholeWord, wholeCell, ignoreCase })
+  attachFinder(regex, find)
+  return regex
+}
+
+/** @type {WeakMap<RegExp, Finder>} */
+const finders = new WeakMap()
+/** @type {WeakSet<RegExp>} */
+const fuzzyRegexes = new WeakSet()
+
+/**
+ * Check if a compiled regex matches approximately, so its source is only the exact form of what it matches
+ * @param {RegExp} regex
+ * @returns {boolean}
+ */
+export function isFuzzy(regex) {
+  return fuzzyRegexes.has(regex)
+}
+
+/**
+ * Search for a regex with a finder instead of the regex engine.
+ * String methods such as match and replace call exec, so they use the finder too.
+ * @param {RegExp} regex
+ * @param {Finder} find
+ */
+function attachFinder(regex, find) {
+  finders.set(regex, find)
+  regex.exec = text => {
+    text = String(text)
+    const from = regex.global ? regex.lastIndex : 0
+    const found = from <= text.length ? find(text, from) : undefined
+    if (!found) {
+      regex.lastIndex = 0
+      return null
+    }
+    const [start, end, distance] = found
+    if (regex.global) regex.lastIndex = end
+    const matched = text.slice(start, end)
+    /** @type {PatternExecArray} */
+    const match = Object.assign([matched], { 0: matched, index: start, input: text, groups: undefined, distance })
+    return match
+  }
+  regex.test = text => regex.exec(text) !== null
+}
+
+/**
+ * Copy a regex with other flags, such as without g or y. Unlike new RegExp, the copy keeps the
+ * fixed string or fuzzy search of a compiled regex, which ignores case only as compiled.
+ * @param {RegExp} regex
+ * @param {string} flags
+ * @returns {RegExp}
+ */
+export function copyRegex(regex, flags) {
+  const copy = new RegExp(regex.source, flags)
+  const find = finders.get(regex)
+  if (find) attachFinder(copy, find)
+  if (isFuzzy(regex)) fuzzyRegexes.add(copy)
+  return copy
+}
+
+/**
+ * Copy a regex with the global flag, to find every match in a text
+ * @param {RegExp} regex
+ * @returns {RegExp}
+ */
+export function globalRegex(regex) {
+  return copyRegex(regex, regex.flags.includes('g') ? regex.flags : regex.flags + 'g')
+}
+
+/**
+ * Combine regexes into one that matches where any of them does, leftmost first.
+ * Regexes with a fixed string or fuzzy search are searched each with their own
+ * finder, rather than by joining their sources.
+ * @param {RegExp[]} regexes
+ * @param {string} flags - Flags of the combined regex, when joining sources
+ * @returns {RegExp}
+ */
+export function unionRegex(regexes, flags) {
+  const union = new RegExp(regexes.map(regex => regex.source).join('|'), flags)
+  if (!regexes.some(regex => finders.has(regex))) return union
+  const copies = regexes.map(globalRegex)
+  attachFinder(union, (text, from) => {
+    /** @type {[number, number, number?] | undefined} */
+    let best
+    for (const copy of copies) {
+      copy.lastIndex = from
+      /** @type {PatternExecArray | null} */
+      const match = copy.exec(text)
+      if (match && (!best || match.index < best[0])) best = [match.index, match.index + match[0].length, match.distance]
+    }
+    return best
+  })
+  if (regexes.some(isFuzzy)) fuzzyRegexes.add(union)
+  return union
+}
+
+/**
+ * Build a function that finds the leftmost, longest occurrence of any of the strings in a text
+ * @param {string[]} patterns - Non-empty strings
+ * @param {PatternOptions} options
+ * @returns {Finder}
+ */
+function fixedStringFinder(patterns, { wholeWord, wholeCell, ignoreCase }) {
+  const folded = patterns.map(pattern => foldCase(pattern, ignoreCase))
+
+  if (wholeCell) {
+    const cells = new Set(folded)
+    return (text, from) => {
+      if (from) return undefined
+      return cells.has(foldCase(text, ignoreCase)) ? [0, text.length] : undefined
+    }
+  }
+
+  if (folded.length === 1) {
+    const [pattern] = folded
+    return (text, from) => {
+      const haystack = foldCase(text, ignoreCase)
+      for (let start = haystack.indexOf(pattern, from); start >= 0; start = haystack.indexOf(pattern, start + 1)) {
+        const end = start + pattern.length
+        if (!wholeWord || isWordBoundary(text, start, end)) return [start, end]
+      }
+      return undefined
+    }
+  }
+
+  const automaton = buildAutomaton(folded)
+  return (text, from) => {
+    const haystack = foldCase(text, ignoreCase)
+    return searchAutomaton(automaton, haystack, from, wholeWord ? (start, end) => isWordBoundary(text, start, end) : undefined)
+  }
+}
+
+/**
+ * Build an Aho–Corasick automaton, which finds any of many strings in one pass over a text
+ * @param {string[]} patterns
+ * @returns {Automaton}
+ */
+function buildAutomaton(patterns) {
+  /** @type {Map<number, number>[]} */
+  const next = [new Map()]
+  /** @type {number[][]} */
+  const lengths = [[]]
+  let maxLength = 0
+
+  // A trie of the patterns
+  for (const pattern of patterns) {
+    let node = 0
+    for (let i = 0; i < pattern.length; i++) {
+      const code = pattern.charCodeAt(i)
+      let child = next[node].get(code)
+      if (child === undefined) {
+        child = next.length
+        next.push(new Map())
+        lengths.push([])
+        next[node].set(code, child)
+      }
+      node = child
+    }
+    if (!lengths[node].length) lengths[node].push(pattern.length)
+    maxLength = Math.max(maxLength, pattern.length)
+  }
+
+  // Breadth first, so the suffix of each node is linked before its children
+  const fail = new Array(next.length).fill(0)
+  const queue = [...next[0].values()]
+  for (let head = 0; head < queue.length; head++) {
+    const node = queue[head]
+    for (const [code, child] of next[node]) {
+      let suffix = fail[node]
+      while (suffix && !next[suffix].has(code)) suffix = fail[suffix]
+      fail[child] = next[suffix].get(code) ?? 0
+      lengths[child].push(...lengths[fail[child]])
+      queue.push(child)
+    }
+  }
+  return { next, fail, lengths, maxLength }
+}
+
+/**
+ * Find the leftmost, longest occurrence of any pattern of an automaton
+ * @param {Automaton} automaton
+ * @param {string} text
+ * @param {number} from - Index to start searching at
+ * @param {(start: number, end: number) => boolean} [accept] - Further test for each occurrence
+ * @returns {[number, number] | undefined}
+ */
+function searchAutomaton({ next, fail, lengths, maxLength }, text, from, accept) {
+  /** @type {[number, number] | undefined} */
+  let best
+  let node = 0
+  for (let i = from; i < text.length; i++) {
+    // No occurrence ending later can start before the best one
+    if (best && i - maxLength >= best[0]) break
+    const code = text.charCodeAt(i)
+    while (node && !next[node].has(code)) node = fail[node]
+    node = next[node].get(code) ?? 0
+    for (const length of lengths[node]) {
+      const start = i + 1 - length
+      if (best && (start > best[0] || start === best[0] && i + 1 <= best[1])) continue
+      if (!accept || accept(start, i + 1)) best = [start, i + 1]
+    }
+  }
+  return best
+}
+
+/**
+ * Build a function that finds the leftmost text within a number of edits of any of the patterns
+ * @param {string[]} patterns - Non-empty strings
+ * @param {number} maxEdits
+ * @param {PatternOptions} options
+ * @returns {Finder}
+ */
+function fuzzyFinder(patterns, maxEdits, { wholeWord, wholeCell, ignoreCase }) {
+  const folded = patterns.map(pattern => foldCase(pattern, ignoreCase))
+  return (text, from) => {
+    const units = foldCase(text, ignoreCase)
+    const { length } = text
+    /**
+     * @param {number} index
+     * @returns {boolean}
+     */
+    function canStart(index) {
+      if (wholeCell) return index === 0
+      return !wholeWord || !isWordChar(text.charCodeAt(index - 1))
+    }
+    /**
+     * @param {number} index
+     * @returns {boolean}
+     */
+    function canEnd(index) {
+      if (wholeCell) return index === length
+      return !wholeWord || !isWordChar(text.charCodeAt(index))
+    }
+
+    /** @type {[number, number, number] | undefined} */
+    let best
+    for (const pattern of folded) {
+      const found = fuzzySearch(pattern, units, from, maxEdits, canStart, canEnd)
+      if (found && (!best || found[0] < best[0] || found[0] === best[0] && found[2] < best[2])) best = found
+    }
+    return best
+  }
+}
+
+/** @type {Map<string, string>} */
+const canonicalUnits = new Map()
+
+/**
+ * Fold the case of a text as the regex engine does for the i flag without u: each UTF-16 unit
+ * is upper cased, unless that takes more than one unit or turns a non-ascii unit into ascii
+ * (such as the Kelvin sign into K). Offsets in the folded text are offsets in the text.
+ * @param {string} text
+ * @param {boolean | undefined} ignoreCase
+ * @returns {string}
+ */
+function foldCase(text, ignoreCase) {
+  if (!ignoreCase) return text
+  // eslint-disable-next-line no-control-regex
+  if (/^[\x00-\x7f]*$/.test(text)) return text.toUpperCase()
+  let folded = ''
+  for (let i = 0; i < text.length; i++) {
+    const unit = text[i]
+    let canonical = canonicalUnits.get(unit)
+    if (canonical === undefined) {
+      const upper = unit.toUpperCase()
+      canonical = upper.length !== 1 || unit.charCodeAt(0) >= 128 && upper.charCodeAt(0) < 128 ? unit : upper
+      canonicalUnits.set(unit, canonical)
+    }
+    folded += canonical
+  }
+  return folded
+}
+
+/**
+ * Find the first end of a text within a number of edits of a pattern, with Sellers' algorithm:
+ * edit distances between the pattern and substrings of the text, a column per text position.
+ * Within the edits after that end, a match as close or closer that ends later is preferred,
+ * so the span covers extra letters rather than leaving them out.
+ * @param {string} pattern
+ * @param {string} text
+ * @param {number} from - Index to start searching at
+ * @param {number} maxEdits
+ * @param {(index: number) => boolean} canStart - Whether a match may start before text[index]
+ * @param {(index: number) => boolean} canEnd - Whether a match may end before text[index]
+ * @returns {[number, number, number] | undefined} Start, end and distance
+ */
+function fuzzySearch(pattern, text, from, maxEdits, canStart, canEnd) {
+  const m = pattern.length
+  // Edits to match the first i pattern units, ending at the current text position, and where that match starts
+  let cost = new Float64Array(m + 1)
+  let start = new Float64Array(m + 1)
+  let nextCost = new Float64Array(m + 1)
+  let nextStart = new Float64Array(m + 1)
+  for (let i = 0; i <= m; i++) {
+    cost[i] = canStart(from) ? i : Infinity
+    start[i] = from
+  }
+
+  /** @type {[number, number, number] | undefined} */
+  let best
+  if (canEnd(from) && cost[m] <= maxEdits) best = [from, from, cost[m]]
+  for (let j = from + 1; j <= text.length; j++) {
+    if (best && j - best[1] > maxEdits) break
+    // A match can start here, or earlier with the text in between as insertions
+    nextCost[0] = canStart(j) ? 0 : cost[0] + 1
+    nextStart[0] = canStart(j) ? j : start[0]
+    for (let i = 1; i <= m; i++) {
+      const substitute = cost[i - 1] + (pattern[i - 1] === text[j - 1] ? 0 : 1)
+      const skipPattern = nextCost[i - 1] + 1
+      const skipText = cost[i] + 1
+      if (substitute <= skipPattern && substitute <= skipText) {
+        nextCost[i] = substitute
+        nextStart[i] = start[i - 1]
+      } else if (skipPattern <= skipText) {
+        nextCost[i] = skipPattern
+        nextStart[i] = nextStart[i - 1]
+      } else {
+        nextCost[i] = skipText
+        nextStart[i] = start[i]
+      }
+    }
+    [cost, nextCost] = [nextCost, cost]
+    ;[start, nextStart] = [nextStart, start]
+    if (canEnd(j) && cost[m] <= maxEdits && (!best || cost[m] <= best[2])) best = [start[m], j, cost[m]]
+  }
+  return best
+}
+
+/**
+ * Check that a range of text is not preceded or followed by a word character, as \w
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @returns {boolean}
+ */
+function isWordBoundary(text, start, end) {
+  return !isWordChar(text.charCodeAt(start - 1)) && !isWordChar(text.charCodeAt(end))
+}
+
+/**
+ * @param {number} code - Character code, or NaN outside the text
+ * @returns {boolean}
+ */
+function isWordChar(code) {
+  return code >= 48 && code <= 57 || code >= 65 && code <= 90 || code >= 97 && code <= 122 || code === 95
+}
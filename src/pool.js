@@ -0,0 +1,218 @@
+/**
+ * @template T
+ * @typedef {object} Buffer
+ * @property {T[]} values - Values produced but not yet read
+ * @property {boolean} done - True once the producer has finished
+ * @property {unknown} [error] - Error thrown by the producer
+ * @property {() => void} [wake] - Resolves a reader waiting for values
+ * @property {(() => void)[]} paused - Resolve the producers waiting for the reader to catch up
+ * @property {boolean} [closed] - True once the reader has stopped reading, or the search was aborted
+ */
+
+/**
+ * @typedef {object} PoolOptions
+ * @property {number} [bufferSize] - Values to buffer before pausing producers until the reader catches up (default: 1000)
+ * @property {AbortSignal} [signal] - Aborting releases paused producers and starts no more sources
+ */
+
+/**
+ * @template T
+ * @returns {Buffer<T>}
+ */
+function createBuffer() {
+  return { values: [], done: false, paused: [] }
+}
+
+/**
+ * Wake up a reader waiting on the buffer, if any
+ * @param {Buffer<any>} buffer
+ */
+function wake(buffer) {
+  const { wake } = buffer
+  buffer.wake = undefined
+  wake?.()
+}
+
+/**
+ * Resume the producers waiting for the reader of the buffer, if any
+ * @param {Buffer<any>} buffer
+ */
+function resume(buffer) {
+  const { paused } = buffer
+  buffer.paused = []
+  for (const resolve of paused) resolve()
+}
+
+/**
+ * Stop filling a buffer that nothing will read, letting its paused producers stop
+ * @param {Buffer<any>} buffer
+ */
+function close(buffer) {
+  buffer.closed = true
+  buffer.values = []
+  resume(buffer)
+}
+
+/**
+ * Push a value to a buffer, then wait while the buffer is full and still read
+ * @template T
+ * @param {Buffer<T>} buffer
+ * @param {T} value
+ * @param {number} bufferSize
+ */
+async function push(buffer, value, bufferSize) {
+  buffer.values.push(value)
+  wake(buffer)
+  while (buffer.values.length >= bufferSize && !buffer.closed) {
+    await new Promise(resolve => buffer.paused.push(() => resolve(undefined)))
+  }
+}
+
+/**
+ * Read values from a buffer as they arrive, until the producer is done
+ * @template T
+ * @param {Buffer<T>} buffer
+ * @yields {T}
+ */
+async function* read(buffer) {
+  while (true) {
+    if (buffer.values.length) {
+      const [value] = buffer.values.splice(0, 1)
+      resume(buffer)
+      yield value
+    } else if (buffer.error) {
+      throw buffer.error
+    } else if (buffer.done) {
+      return
+    } else {
+      await new Promise(resolve => { buffer.wake = () => resolve(undefined) })
+    }
+  }
+}
+
+/**
+ * Read values from a buffer, closing it when the reader returns early
+ * @template T
+ * @param {Buffer<T>} buffer
+ * @returns {AsyncGenerator<T>}
+ */
+function drain(buffer) {
+  const reader = read(buffer)
+  const stop = reader.return
+  // A generator returned before its first read never runs its own finally block
+  reader.return = value => {
+    close(buffer)
+    return stop.call(reader, value)
+  }
+  return reader
+}
+
+/**
+ * Close buffers once the signal aborts
+ * @param {Buffer<any>[]} buffers
+ * @param {AbortSignal | undefined} signal
+ */
+function closeOnAbort(buffers, signal) {
+  if (signal?.aborted) buffers.forEach(close)
+  else signal?.addEventListener('abort', () => buffers.forEach(close), { once: true })
+}
+
+/**
+ * Run tasks by index, with at most `concurrency` in flight at once
+ * @param {number} count - Number of tasks
+ * @param {number} concurrency
+ * @param {(index: number) => Promise<void>} run - Runs one task, must not reject
+ */
+function runPool(count, concurrency, run) {
+  let next = 0
+  function startNext() {
+    if (next < count) run(next++).then(startNext)
+  }
+  for (let i = 0; i < concurrency; i++) startNext()
+}
+
+/**
+ * Consume async iterables with bounded concurrency, in order of the sources.
+ * Values are buffered until read, so later sources can run ahead of the reader,
+ * pausing once they have `bufferSize` values waiting until the reader catches up.
+ * Returning from an iterator, even unread, or aborting stops its source.
+ * @template T
+ * @param {(() => AsyncIterable<T>)[]} sources
+ * @param {number} concurrency - Maximum number of sources consumed at once
+ * @param {PoolOptions} [options] - `bufferSize` counts the values of each source
+ * @returns {AsyncGenerator<T>[]} Buffered iterators, one per source
+ */
+export function bufferAhead(sources, concurrency, { bufferSize = 1000, signal } = {}) {
+  /** @type {Buffer<T>[]} */
+  const buffers = sources.map(() => createBuffer())
+  closeOnAbort(buffers, signal)
+  runPool(sources.length, concurrency, async index => {
+    const buffer = buffers[index]
+    try {
+      if (!buffer.closed) {
+        for await (const value of sources[index]()) {
+          await push(buffer, value, bufferSize)
+          if (buffer.closed) break
+        }
+      }
+    } catch (error) {
+      buffer.error = error
+    }
+    buffer.done = true
+    wake(buffer)
+  })
+  return buffers.map(drain)
+}
+
+/**
+ * Consume async iterables with bounded concurrency, yielding values as they arrive
+ * from any source. Sources pause once `bufferSize` values are waiting, until the reader catches up.
+ * @template T
+ * @param {(() => AsyncIterable<T>)[]} sources
+ * @param {number} concurrency - Maximum number of sources consumed at once
+ * @param {PoolOptions} [options] - `bufferSize` counts the values of all sources together
+ * @yields {{ index: number, value: T }} Each value with the index of its source
+ */
+export async function* mergeAhead(sources, concurrency, { bufferSize = 1000, signal } = {}) {
+  /** @type {Buffer<{ index: number, value: T }>} */
+  const buffer = createBuffer()
+  closeOnAbort([buffer], signal)
+  let remaining = sources.length
+  buffer.done = remaining === 0
+  runPool(sources.length, concurrency, async index => {
+    try {
+      if (!buffer.closed) {
+        for await (const value of sources[index]()) {
+          await push(buffer, { index, value }, bufferSize)
+          if (buffer.closed) break
+        }
+      }
+    } catch (error) {
+      buffer.error ??= error
+    }
+    remaining--
+    buffer.done = remaining === 0
+    wake(buffer)
+  })
+  yield* drain(buffer)
+}
+
+/**
+ * Flatten buffered streams into one, in order, tagging each value with the index of its stream
+ * @template T
+ * @param {AsyncGenerator<T>[]} streams
+ * @yields {{ index: number, value: T }}
+ */
+export async function* inOrder(streams) {
+  let index = 0
+  try {
+    for (; index < streams.length; index++) {
+      for await (const value of streams[index]) {
+        yield { index, value }
+      }
+    }
+  } finally {
+    // Stop the streams not read to the end, which may be paused or not yet started
+    for (const stream of streams.slice(index)) await stream.return(undefined)
+  }
+}
@@ -0,0 +1,264 @@
+import { readPage } from 'hyparquet/src/column.js'
+import { DEFAULT_PARSERS, convert } from 'hyparquet/src/convert.js'
+import { deserializeTCompactProtocol } from 'hyparquet/src/thrift.js'
+import { isDecimalElement } from './columns.js'
+import { toDecimal } from './stringify.js'
+
+/**
+ * @import {AsyncBuffer, ColumnMetaData, Compressors, DecodedArray, RowGroup, SchemaElement, SchemaTree} from 'hyparquet'
+ * @import {Decimal} from './stringify.js'
+ */
+
+/**
+ * @typedef {object} LiteralPrefix
+ * @property {string} prefix - Text that every matching string starts with
+ * @property {boolean} exact - True if matching strings must equal the prefix
+ * @property {boolean} ignoreCase - True if any mix of upper and lower case matches
+ */
+
+/**
+ * Extract the literal prefix of an anchored regex, such as `abc` from `^abc.*`.
+ * Patterns with alternation or unicode case folding have no usable prefix.
+ * @param {RegExp} regex
+ * @returns {LiteralPrefix | undefined}
+ */
+export function literalPrefix(regex) {
+  const { source, flags, ignoreCase } = regex
+  if (flags.includes('m') || ignoreCase && (flags.includes('u') || flags.includes('v'))) return undefined
+  if (!source.startsWith('^') || hasAlternation(source)) return undefined
+
+  let prefix = ''
+  let i = 1
+  while (i < source.length) {
+    let char = source[i]
+    let length = 1
+    if (char === '\\') {
+      // Escaped punctuation is literal, but classes like \d are not
+      char = source[i + 1]
+      length = 2
+      if (!char || !/[\\^$.*+?()[\]{}|/-]/.test(char)) break
+    } else if ('^$.*+?()[]{}|'.includes(char)) {
+      break
+    }
+    // A following quantifier makes the character optional
+    const next = source[i + length]
+    if (next === '*' || next === '?' || next === '{') break
+    prefix += char
+    i += length
+    if (next === '+') break
+  }
+
+  // Stats comparisons are byte-wise, which only agrees with js string order for ascii
+  // eslint-disable-next-line no-control-regex
+  if (!prefix || !/^[\x00-\x7f]*$/.test(prefix)) return undefined
+  const exact = i === source.length - 1 && source[i] === '$'
+  return { prefix, exact, ignoreCase }
+}
+
+/**
+ * Check if a regex source contains `|` outside of escapes and character classes
+ * @param {string} source
+ * @returns {boolean}
+ */
+function hasAlternation(source) {
+  let inClass = false
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (char === '\\') i++
+    else if (char === '[') inClass = true
+    else if (char === ']') inClass = false
+    else if (char === '|' && !inClass) return true
+  }
+  return false
+}
+
+/**
+ * Check if a column holds text, so its statistics compare the same text that is searched.
+ * Other columns are searched by a different text than the one their statistics sort by,
+ * such as the hex of binary data or the decimal form of numbers.
+ * @param {SchemaElement} element
+ * @returns {boolean}
+ */
+export function isStringColumn({ converted_type, logical_type }) {
+  return converted_type === 'UTF8' || converted_type === 'ENUM' || logical_type?.type === 'STRING'
+}
+
+/**
+ * Check if column statistics rule out any value starting with (or equal to) the prefix
+ * @param {ColumnMetaData} meta
+ * @param {SchemaElement} element
+ * @param {LiteralPrefix} literal
+ * @returns {boolean}
+ */
+function statisticsExclude(meta, element, { prefix, exact, ignoreCase }) {
+  if (!isStringColumn(element)) return false
+
+  // Deprecated min/max used signed byte order for strings, so only trust min_value/max_value
+  const { min_value, max_value } = meta.statistics ?? {}
+  if (typeof min_value !== 'string' || typeof max_value !== 'string') return false
+  // Ignoring case, the upper case prefix sorts first and the lower case prefix last
+  const low = ignoreCase ? prefix.toUpperCase() : prefix
+  const high = ignoreCase ? prefix.toLowerCase() : prefix
+  if (exact) return max_value < low || min_value > high
+  return max_value < low || min_value > high && !min_value.startsWith(high)
+}
+
+/**
+ * Check if every data page in a column chunk is dictionary encoded
+ * @param {ColumnMetaData} meta
+ * @returns {boolean}
+ */
+function isDictionaryEncoded(meta) {
+  if (meta.dictionary_page_offset === undefined) return false
+  if (meta.encoding_stats) {
+    return meta.encoding_stats.every(({ page_type, encoding }) =>
+      page_type === 'DICTIONARY_PAGE' || encoding === 'PLAIN_DICTIONARY' || encoding === 'RLE_DICTIONARY'
+    )
+  }
+  // Without page stats, PLAIN could be the dictionary page or a fallback data page
+  return meta.encodings.every(encoding =>
+    encoding === 'PLAIN_DICTIONARY' || encoding === 'RLE_DICTIONARY' || encoding === 'RLE' || encoding === 'BIT_PACKED'
+  )
+}
+
+/**
+ * Read and decode the dictionary page of a column chunk
+ * @param {AsyncBuffer} file
+ * @param {LeafColumn} column
+ * @param {Compressors} compressors
+ * @returns {Promise<DecodedArray | Decimal[]>}
+ */
+async function readDictionary(file, { meta, schemaPath }, compressors) {
+  const start = Number(meta.dictionary_page_offset)
+  const buffer = await file.slice(start, Number(meta.data_page_offset))
+  const reader = { view: new DataView(buffer), offset: 0 }
+  const header = deserializeTCompactProtocol(reader)
+  if (!header.field_7) throw new Error('parquet dictionary page header is undefined')
+
+  const { element } = schemaPath[schemaPath.length - 1]
+  const columnDecoder = {
+    pathInSchema: meta.path_in_schema,
+    type: meta.type,
+    element,
+    schemaPath,
+    codec: meta.codec,
+    parsers: DEFAULT_PARSERS,
+    compressors,
+    // Match the row reader, which keeps binary columns as bytes
+    utf8: false,
+  }
+  const dictionary = readPage(reader, {
+    type: 'DICTIONARY_PAGE',
+    uncompressed_page_size: header.field_2,
+    compressed_page_size: header.field_3,
+    dictionary_page_header: { num_values: header.field_7.field_1, encoding: 'PLAIN' },
+  }, columnDecoder, undefined, undefined, 0)
+  // Match the exact decimals of the row reader, rather than the floats hyparquet converts them to
+  if (isDecimalElement(element)) return Array.from(dictionary, value => toDecimal(value, element.scale ?? 0))
+  return convert(dictionary, columnDecoder)
+}
+
+/**
+ * @typedef {object} LeafColumn
+ * @property {ColumnMetaData} meta
+ * @property {SchemaTree[]} schemaPath - Schema nodes from the root down to the column
+ */
+
+/**
+ * Find the column chunk for a leaf column outside of lists, where each value maps to one row
+ * @param {SchemaTree} schema
+ * @param {RowGroup} rowGroup
+ * @param {string[]} path
+ * @returns {LeafColumn | undefined} Undefined for structs, lists and unknown columns
+ */
+function findLeafColumn(schema, rowGroup, path) {
+  const meta = rowGroup.columns.find(({ meta_data }) =>
+    meta_data && meta_data.path_in_schema.join('.') === path.join('.')
+  )?.meta_data
+  if (!meta) return undefined
+  const schemaPath = [schema]
+  for (const name of path) {
+    const child = schemaPath[schemaPath.length - 1].children.find(({ element }) => element.name === name)
+    if (!child) return undefined
+    schemaPath.push(child)
+  }
+  if (schemaPath.some(({ element }) => element.repetition_type === 'REPEATED')) return undefined
+  return { meta, schemaPath }
+}
+
+/**
+ * @typedef {object} SkipOptions
+ * @property {AsyncBuffer} file
+ * @property {SchemaTree} schema - Schema tree of the file, built once for all of its row groups
+ * @property {RowGroup} rowGroup
+ * @property {string[][]} paths - Searched column paths
+ * @property {RegExp} regex
+ * @property {(value: any, regex: RegExp) => boolean} cellMatches - Same test used for row matching
+ * @property {Compressors} compressors
+ */
+
+/**
+ * Decide whether a row group can be skipped because no searched column can match.
+ * Uses null counts and min/max statistics first, then dictionary pages.
+ * @param {SkipOptions} options
+ * @returns {Promise<'statistics' | 'dictionary' | undefined>} Reason for skipping, or undefined to read the row group
+ */
+export async function canSkipRowGroup({ file, schema, rowGroup, paths, regex, cellMatches, compressors }) {
+  const literal = literalPrefix(regex)
+  /** @type {LeafColumn[]} */
+  const dictionaryColumns = []
+
+  for (const path of paths) {
+    // Only leaf columns outside of lists map one value to one row
+    const column = findLeafColumn(schema, rowGroup, path)
+    if (!column) return undefined
+    const { meta, schemaPath } = column
+
+    // All null columns never match
+    if (meta.statistics?.null_count === rowGroup.num_rows) continue
+    if (literal && statisticsExclude(meta, schemaPath[schemaPath.length - 1].element, literal)) continue
+    if (!isDictionaryEncoded(meta)) return undefined
+    dictionaryColumns.push(column)
+  }
+  if (!dictionaryColumns.length) return 'statistics'
+
+  for (const column of dictionaryColumns) {
+    const dictionary = await readDictionary(file, column, compressors)
+    for (const value of dictionary) {
+      if (cellMatches(value, regex)) return undefined
+    }
+  }
+  return 'dictionary'
+}
+
+/**
+ * Decide whether every row in a row group matches, because some searched column
+ * has no nulls and only values that match. Lets rows be counted without decoding them.
+ * @param {SkipOptions} options
+ * @returns {Promise<'statistics' | 'dictionary' | undefined>} How the match was decided, or undefined if unknown
+ */
+export async function matchesAllRows({ file, schema, rowGroup, paths, regex, cellMatches, compressors }) {
+  /** @type {LeafColumn[]} */
+  const dictionaryColumns = []
+
+  for (const path of paths) {
+    const column = findLeafColumn(schema, rowGroup, path)
+    if (!column) continue
+    const { meta, schemaPath } = column
+    if (meta.statistics?.null_count !== 0n) continue
+    const { min_value, max_value, is_min_value_exact, is_max_value_exact } = meta.statistics
+
+    // A single distinct value
+    if (isStringColumn(schemaPath[schemaPath.length - 1].element) && is_min_value_exact !== false && is_max_value_exact !== false &&
+      typeof min_value === 'string' && min_value === max_value && cellMatches(min_value, regex)) {
+      return 'statistics'
+    }
+    if (isDictionaryEncoded(meta)) dictionaryColumns.push(column)
+  }
+
+  for (const column of dictionaryColumns) {
+    const dictionary = await readDictionary(file, column, compressors)
+    if (Array.from(dictionary).every(value => cellMatches(value, regex))) return 'dictionary'
+  }
+  return undefined
+}
@@ -0,0 +1,405 @@
+/**
+ * Query expressions combine per-column predicates with AND, OR, NOT and parentheses:
+ *
+ *   status:500 AND path~/api/ AND NOT user_agent~bot
+ *   latency>250 OR (ts>=2024-01-01 AND error)
+ *
+ * A bare term is a regex tested against every searched column.
+ * Adjacent terms without an operator between them are combined with AND.
+ */
+
+import { unionRegex } from './patterns.js'
+import { Decimal, stringifyValue } from './stringify.js'
+
+/**
+ * @typedef {':' | '!=' | '<' | '<=' | '>' | '>='} CompareOp
+ */
+
+/**
+ * @typedef {object} RegexNode
+ * @property {'regex'} type
+ * @property {string} [column] - Column to test, or undefined for all searched columns
+ * @property {RegExp} regex
+ */
+
+/**
+ * @typedef {object} CompareNode
+ * @property {'compare'} type
+ * @property {string} column
+ * @property {CompareOp} op
+ * @property {string} value - Literal to compare against, converted to the type of each cell
+ */
+
+/**
+ * @typedef {object} BooleanNode
+ * @property {'and' | 'or'} type
+ * @property {QueryNode[]} children
+ */
+
+/**
+ * @typedef {object} NotNode
+ * @property {'not'} type
+ * @property {QueryNode} child
+ */
+
+/**
+ * @typedef {RegexNode | CompareNode | BooleanNode | NotNode} QueryNode
+ */
+
+/**
+ * @typedef {{ type: '(' | ')' | 'AND' | 'OR' | 'NOT' } | { type: 'term', column?: string, op?: string, value: string }} Token
+ */
+
+// Longest operators first so >= is not read as >
+const operators = ['>=', '<=', '!=', ':', '~', '=', '>', '<']
+
+/**
+ * Get the operator starting at a position, if any
+ * @param {string} text
+ * @param {number} i
+ * @returns {string | undefined}
+ */
+function operatorAt(text, i) {
+  return operators.find(op => text.startsWith(op, i))
+}
+
+/**
+ * Read a double-quoted string, with backslash escapes
+ * @param {string} text
+ * @param {number} start - Index of the opening quote
+ * @returns {[string, number]} The unquoted string and the index after the closing quote
+ */
+function readQuoted(text, start) {
+  let value = ''
+  let i = start + 1
+  while (i < text.length && text[i] !== '"') {
+    if (text[i] === '\\' && i + 1 < text.length) i++
+    value += text[i]
+    i++
+  }
+  if (i >= text.length) throw new Error('unterminated quote')
+  return [value, i + 1]
+}
+
+/**
+ * Read an unquoted word up to whitespace, leaving unbalanced closing parentheses
+ * @param {string} text
+ * @param {number} start
+ * @param {boolean} stopAtOperator - Stop at the first operator, to split off a column name
+ * @returns {[string, number]} The word and the index after it
+ */
+function readWord(text, start, stopAtOperator) {
+  let i = start
+  while (i < text.length && !/\s/.test(text[i]) && !(stopAtOperator && operatorAt(text, i))) i++
+  let word = text.slice(start, i)
+  // Closing parentheses at the end of a word close a group, unless the word opened them
+  while (word.endsWith(')') && word.split(')').length > word.split('(').length) {
+    word = word.slice(0, -1)
+    i--
+  }
+  return [word, i]
+}
+
+/**
+ * Split a query expression into tokens
+ * @param {string} text
+ * @returns {Token[]}
+ */
+function tokenize(text) {
+  /** @type {Token[]} */
+  const tokens = []
+  let i = 0
+  while (i < text.length) {
+    const char = text[i]
+    if (/\s/.test(char)) {
+      i++
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char })
+      i++
+    } else {
+      // Term: a bare word, or a column followed by an operator and a value
+      const quoted = char === '"'
+      let word
+      [word, i] = quoted ? readQuoted(text, i) : readWord(text, i, true)
+      const op = operatorAt(text, i)
+      if (op && word) {
+        i += op.length
+        let value
+        [value, i] = text[i] === '"' ? readQuoted(text, i) : readWord(text, i, false)
+        if (!value) throw new Error(`missing value after ${word}${op}`)
+        tokens.push({ type: 'term', column: word, op, value })
+      } else if (!quoted && (word === 'AND' || word === 'OR' || word === 'NOT')) {
+        tokens.push({ type: word })
+      } else {
+        // Operators are only special after a column name
+        if (!quoted) [word, i] = readWord(text, i - word.length, false)
+        tokens.push({ type: 'term', value: word })
+      }
+    }
+  }
+  return tokens
+}
+
+/**
+ * Parse a query expression into a predicate tree
+ * @param {string} text - Query expression
+ * @param {boolean} forceInsensitive - Make every regex case-insensitive
+ * @returns {QueryNode}
+ */
+export function parseQuery(text, forceInsensitive) {
+  const tokens = tokenize(text)
+  let position = 0
+
+  /**
+   * @param {string} source
+   * @returns {RegExp}
+   */
+  function makeRegex(source) {
+    // Smart case, as for plain queries
+    const flags = forceInsensitive || !/[A-Z]/.test(source) ? 'i' : ''
+    try {
+      return new RegExp(source, flags)
+    } catch {
+      throw new Error(`invalid regex pattern: ${source}`)
+    }
+  }
+
+  /**
+   * @returns {QueryNode}
+   */
+  function parseOr() {
+    const children = [parseAnd()]
+    while (tokens[position]?.type === 'OR') {
+      position++
+      children.push(parseAnd())
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children }
+  }
+
+  /**
+   * @returns {QueryNode}
+   */
+  function parseAnd() {
+    const children = [parseNot()]
+    while (position < tokens.length && tokens[position].type !== 'OR' && tokens[position].type !== ')') {
+      if (tokens[position].type === 'AND') position++
+      children.push(parseNot())
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children }
+  }
+
+  /**
+   * @returns {QueryNode}
+   */
+  function parseNot() {
+    if (tokens[position]?.type === 'NOT') {
+      position++
+      return { type: 'not', child: parseNot() }
+    }
+    return parsePrimary()
+  }
+
+  /**
+   * @returns {QueryNode}
+   */
+  function parsePrimary() {
+    const token = tokens[position++]
+    if (!token) throw new Error('unexpected end of query')
+    if (token.type === '(') {
+      const node = parseOr()
+      if (tokens[position++]?.type !== ')') throw new Error('missing )')
+      return node
+    }
+    if (token.type !== 'term') throw new Error(`unexpected ${token.type}`)
+    const { column, op, value } = token
+    if (!column) return { type: 'regex', regex: makeRegex(value) }
+    if (op === '~') return { type: 'regex', column, regex: makeRegex(value) }
+    // eslint-disable-next-line no-extra-parens
+    return { type: 'compare', column, op: op === '=' ? ':' : /** @type {CompareOp} */ (op), value }
+  }
+
+  const node = parseOr()
+  if (position < tokens.length) throw new Error(`unexpected ${tokens[position].type}`)
+  return node
+}
+
+/**
+ * List the columns referenced by predicates in a query
+ * @param {QueryNode} node
+ * @returns {string[]}
+ */
+export function queryColumns(node) {
+  if (node.type === 'regex' || node.type === 'compare') return node.column ? [node.column] : []
+  if (node.type === 'not') return queryColumns(node.child)
+  return [...new Set(node.children.flatMap(queryColumns))]
+}
+
+/**
+ * Combine the regexes a row can match on into one regex for highlighting.
+ * Regexes under NOT are left out since they never appear in matching rows.
+ * @param {QueryNode} node
+ * @returns {RegExp | undefined}
+ */
+export function highlightRegex(node) {
+  /** @type {RegExp[]} */
+  const regexes = []
+  /**
+   * @param {QueryNode} node
+   */
+  function collect(node) {
+    if (node.type === 'regex') regexes.push(node.regex)
+    if (node.type === 'and' || node.type === 'or') node.children.forEach(collect)
+  }
+  collect(node)
+  if (!regexes.length) return undefined
+  return unionRegex(regexes, regexes.some(regex => regex.ignoreCase) ? 'i' : '')
+}
+
+/**
+ * Compare a typed cell value against a query literal
+ * @param {any} cell
+ * @param {CompareOp} op
+ * @param {string} value
+ * @returns {boolean}
+ */
+function compareCell(cell, op, value) {
+  if (Array.isArray(cell)) return cell.some(item => compareCell(item, op, value))
+  if (op === '!=') return !compareCell(cell, ':', value)
+  if (cell === null || cell === undefined) return op === ':' && value === 'null'
+
+  // Decimals and integers compare exactly with decimal literals, and as floats with others, such as 1e3
+  const literal = parseDecimal(value)
+  if (cell instanceof Decimal || typeof cell === 'bigint') {
+    const decimal = typeof cell === 'bigint' ? new Decimal(cell, 0) : cell
+    if (literal) return orderMatches(compareDecimals(decimal, literal), op)
+    return compareCell(Number(decimal.toString()), op, value)
+  }
+  // Text orders as numbers against a number, and text that is not a number does not match
+  if (typeof cell === 'string' && op !== ':' && literal) {
+    const decimal = parseDecimal(cell)
+    return decimal ? orderMatches(compareDecimals(decimal, literal), op) : false
+  }
+
+  /** @type {any} */
+  let target = value
+  if (typeof cell === 'number') {
+    target = Number(value)
+    if (value.trim() === '' || isNaN(target)) return false
+  } else if (typeof cell === 'boolean') {
+    if (value !== 'true' && value !== 'false') return false
+    target = value === 'true'
+  } else if (cell instanceof Date) {
+    // Equality matches any timestamp within the given date or time, such as ts:2024-01
+    if (op === ':') return cell.toISOString().startsWith(value)
+    target = Date.parse(value)
+    if (isNaN(target)) return false
+    cell = cell.getTime()
+  } else if (cell instanceof Uint8Array) {
+    // Binary compares by its displayed text
+    cell = stringifyValue(cell)
+  } else if (typeof cell !== 'string') {
+    return false
+  }
+
+  if (op === ':') return cell === target
+  if (op === '<') return cell < target
+  if (op === '<=') return cell <= target
+  if (op === '>') return cell > target
+  return cell >= target
+}
+
+/**
+ * Parse a decimal literal without an exponent, such as -120.50
+ * @param {string} text
+ * @returns {Decimal | undefined} Undefined if the text is not a decimal literal
+ */
+function parseDecimal(text) {
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(text)
+  if (!match) return undefined
+  const [, sign, whole, fraction = ''] = match
+  if (!whole && !fraction) return undefined
+  const unscaled = BigInt(whole + fraction)
+  return new Decimal(sign === '-' ? -unscaled : unscaled, fraction.length)
+}
+
+/**
+ * Compare two decimals exactly, at the larger of their scales
+ * @param {Decimal} a
+ * @param {Decimal} b
+ * @returns {number} Negative if a is less than b, zero if equal, positive if greater
+ */
+function compareDecimals(a, b) {
+  const scale = Math.max(a.scale, b.scale)
+  const left = a.unscaled * 10n ** BigInt(scale - a.scale)
+  const right = b.unscaled * 10n ** BigInt(scale - b.scale)
+  return left < right ? -1 : left > right ? 1 : 0
+}
+
+/**
+ * @param {number} order - Result of a comparison, negative, zero or positive
+ * @param {CompareOp} op
+ * @returns {boolean}
+ */
+function orderMatches(order, op) {
+  if (op === ':') return order === 0
+  if (op === '<') return order < 0
+  if (op === '<=') return order <= 0
+  if (op === '>') return order > 0
+  return order >= 0
+}
+
+/**
+ * @typedef {object} QueryContext
+ * @property {(column: string | undefined) => any[]} cells - Cell values of a column, or of every searched column when undefined
+ * @property {(cell: any, regex: RegExp) => boolean} cellMatches - Regex test for a single cell
+ */
+
+/**
+ * Evaluate a query against a row
+ * @param {QueryNode} node
+ * @param {QueryContext} context
+ * @returns {boolean}
+ */
+export function evaluateQuery(node, context) {
+  if (node.type === 'regex') {
+    const { regex } = node
+    return context.cells(node.column).some(cell => context.cellMatches(cell, regex))
+  }
+  if (node.type === 'compare') {
+    const { op, value } = node
+    return context.cells(node.column).some(cell => compareCell(cell, op, value))
+  }
+  if (node.type === 'not') return !evaluateQuery(node.child, context)
+  if (node.type === 'and') return node.children.every(child => evaluateQuery(child, context))
+  return node.children.some(child => evaluateQuery(child, context))
+}
+
+/**
+ * List the columns a matching row matched in, from the predicates that hold for it.
+ * Predicates under NOT are left out, and bare terms list each searched column they match in.
+ * @param {QueryNode} node
+ * @param {QueryContext} context
+ * @param {string[]} searchNames - Names of the searched columns, in the order of `context.cells(undefined)`
+ * @returns {string[]}
+ */
+export function matchedQueryColumns(node, context, searchNames) {
+  /** @type {Set<string>} */
+  const columns = new Set()
+  /**
+   * @param {QueryNode} node
+   */
+  function collect(node) {
+    if (node.type === 'and' || node.type === 'or') {
+      node.children.forEach(collect)
+    } else if (node.type === 'regex' && node.column === undefined) {
+      const { regex } = node
+      context.cells(undefined).forEach((cell, i) => {
+        if (context.cellMatches(cell, regex)) columns.add(searchNames[i])
+      })
+    } else if (node.type === 'regex' || node.type === 'compare') {
+      if (node.column !== undefined && evaluateQuery(node, context)) columns.add(node.column)
+    }
+  }
+  collect(node)
+  return [...columns]
+}
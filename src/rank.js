@@ -0,0 +1,105 @@
+/**
+ * Relevance ranking of matches, to find the best matches across files rather than the first in each.
+ */
+
+/**
+ * @import {SearchMatch} from './search.js'
+ */
+
+/**
+ * @typedef {SearchMatch & { score: number }} RankedMatch
+ */
+
+/**
+ * @template T
+ * @typedef {object} TopK
+ * @property {(value: T) => T | undefined} push - Adds a value, returning the value it displaces, if any
+ * @property {() => T[]} sorted - Kept values, best first
+ */
+
+/**
+ * Score how relevant a match is, from 0 to 3. Each part adds up to 1, with diminishing returns:
+ * - term frequency, the number of spans matched in the row
+ * - the number of columns matched
+ * - position, for the earliest span, best at the start of its text
+ *
+ * Fuzzy matches score less the more edits they need: the sum is divided by one more than the distance.
+ * Matches without spans, such as inverted matches, score only for their columns.
+ * @param {SearchMatch} match
+ * @returns {number}
+ */
+export function scoreMatch({ spans, matchedColumns, distance = 0 }) {
+  const frequency = 1 - 1 / (1 + spans.length)
+  const columns = 1 - 1 / (1 + matchedColumns.length)
+  const position = spans.length ? 1 / (1 + Math.log1p(Math.min(...spans.map(span => span.start)))) : 0
+  return (frequency + columns + position) / (1 + distance)
+}
+
+/**
+ * Keep the best values pushed, in a binary heap whose root is the worst value kept,
+ * so each value is compared with a few others rather than kept and sorted.
+ * @template T
+ * @param {number} size - Number of values to keep, 0 for all
+ * @param {(a: T, b: T) => number} compare - Negative if a ranks before b
+ * @returns {TopK<T>}
+ */
+export function createTopK(size, compare) {
+  /** @type {T[]} */
+  const heap = []
+
+  /**
+   * @param {number} i
+   * @param {number} j
+   */
+  function swap(i, j) {
+    [heap[i], heap[j]] = [heap[j], heap[i]]
+  }
+
+  /**
+   * Move a value up while it ranks after its parent
+   * @param {number} i
+   */
+  function siftUp(i) {
+    while (i > 0) {
+      const parent = i - 1 >> 1
+      if (compare(heap[parent], heap[i]) >= 0) return
+      swap(parent, i)
+      i = parent
+    }
+  }
+
+  /**
+   * Move a value down while a child ranks after it
+   * @param {number} i
+   */
+  function siftDown(i) {
+    while (true) {
+      let worst = i
+      for (const child of [2 * i + 1, 2 * i + 2]) {
+        if (child < heap.length && compare(heap[child], heap[worst]) > 0) worst = child
+      }
+      if (worst === i) return
+      swap(worst, i)
+      i = worst
+    }
+  }
+
+  return {
+    push(value) {
+      if (!size || heap.length < size) {
+        heap.push(value)
+        siftUp(heap.length - 1)
+        return undefined
+      }
+      // Full: the new value either ranks after all kept values, or replaces the worst
+      if (compare(value, heap[0]) >= 0) return value
+      const [dropped] = heap
+      heap[0] = value
+      siftDown(0)
+      return dropped
+    },
+    sorted() {
+      return heap.slice().sort(compare)
+    },
+  }
+}
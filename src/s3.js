@@ -0,0 +1,265 @@
+/**
+ * Read parquet files from S3 and S3-compatible object storage, such as MinIO.
+ *
+ * Requests are signed with AWS Signature Version 4, using credentials from the
+ * standard environment variables. Without credentials, requests are sent unsigned,
+ * for public buckets.
+ *
+ *   AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN - Credentials
+ *   AWS_REGION or AWS_DEFAULT_REGION - Region of the bucket (default: us-east-1)
+ *   AWS_ENDPOINT_URL_S3 or AWS_ENDPOINT_URL - Endpoint of an S3-compatible service,
+ *     addressed with path-style URLs such as http://localhost:9000/bucket/key
+ */
+
+import { createHash, createHmac } from 'node:crypto'
+
+/**
+ * @typedef {object} S3Credentials
+ * @property {string} accessKeyId
+ * @property {string} secretAccessKey
+ * @property {string} [sessionToken]
+ */
+
+/**
+ * @typedef {object} S3Config
+ * @property {string} region
+ * @property {string | undefined} endpoint - Endpoint of an S3-compatible service, or undefined for AWS
+ * @property {S3Credentials | undefined} credentials - Undefined to send unsigned requests
+ */
+
+/**
+ * @typedef {object} S3Object
+ * @property {string} key
+ * @property {number} size
+ */
+
+// Hash of an empty payload, since only GET and HEAD requests are sent
+const emptyHash = createHash('sha256').update('').digest('hex')
+
+/**
+ * Check if a string is an s3:// URL
+ * @param {string} str
+ * @returns {boolean}
+ */
+export function isS3Url(str) {
+  return str.startsWith('s3://')
+}
+
+/**
+ * Split an s3:// URL into its bucket and key
+ * @param {string} url - Such as s3://bucket/path/to/file.parquet
+ * @returns {{ bucket: string, key: string }}
+ */
+export function parseS3Url(url) {
+  const path = url.slice('s3://'.length)
+  const slash = path.indexOf('/')
+  const bucket = slash < 0 ? path : path.slice(0, slash)
+  if (!bucket) throw new Error(`missing bucket in ${url}`)
+  return { bucket, key: slash < 0 ? '' : path.slice(slash + 1) }
+}
+
+/**
+ * Read the S3 configuration from the standard environment variables
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {S3Config}
+ */
+export function s3Config(env = process.env) {
+  const { AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN } = env
+  return {
+    region: env.AWS_REGION || env.AWS_DEFAULT_REGION || 'us-east-1',
+    endpoint: env.AWS_ENDPOINT_URL_S3 || env.AWS_ENDPOINT_URL || undefined,
+    credentials: AWS_ACCESS_KEY_ID && AWS_SECRET_ACCESS_KEY
+      ? { accessKeyId: AWS_ACCESS_KEY_ID, secretAccessKey: AWS_SECRET_ACCESS_KEY, sessionToken: AWS_SESSION_TOKEN || undefined }
+      : undefined,
+  }
+}
+
+/**
+ * Percent-encode a string as SigV4 requires, leaving only unreserved characters (RFC 3986)
+ * @param {string} str
+ * @returns {string}
+ */
+function uriEncode(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+/**
+ * Build the HTTP URL of an object or bucket, and its path as signed.
+ * The path is built from the key rather than read back from the URL, which would resolve `.` and `..` segments.
+ * @param {S3Config} config
+ * @param {string} bucket
+ * @param {string} key - Object key, or empty for the bucket
+ * @returns {{ url: URL, path: string }} URL to request, and its percent-encoded path
+ */
+function s3HttpUrl({ region, endpoint }, bucket, key) {
+  const segments = key.split('/')
+  // URLs always resolve these segments, so the request would reach another key
+  if (segments.some(segment => segment === '.' || segment === '..')) {
+    throw new Error(`S3 key with . or .. path segments cannot be requested: ${key}`)
+  }
+  const keyPath = segments.map(uriEncode).join('/')
+  if (endpoint) {
+    // S3-compatible services are addressed by path, without DNS for each bucket
+    const base = new URL(endpoint)
+    const path = `${base.pathname.replace(/\/+$/, '')}/${uriEncode(bucket)}/${keyPath}`
+    return { url: new URL(path, base), path }
+  }
+  return { url: new URL(`https://${bucket}.s3.${region}.amazonaws.com/${keyPath}`), path: `/${keyPath}` }
+}
+
+/**
+ * @param {string | Buffer} key
+ * @param {string} data
+ * @returns {Buffer}
+ */
+function hmac(key, data) {
+  return createHmac('sha256', key).update(data).digest()
+}
+
+/**
+ * Sign a request with AWS Signature Version 4.
+ * Signs the host, the range and the x-amz-* headers, for a request with an empty payload.
+ * @param {object} request
+ * @param {string} request.method
+ * @param {URL} request.url - URL to send, whose query is rewritten in the encoding that is signed
+ * @param {string} [request.path] - Percent-encoded path as sent (default: the path of the URL)
+ * @param {Headers} request.headers - Headers to send, updated with the signature
+ * @param {S3Credentials} credentials
+ * @param {string} region
+ * @param {Date} [now]
+ */
+export function signRequest({ method, url, path = url.pathname, headers }, credentials, region, now = new Date()) {
+  const amzDate = now.toISOString().replace(/[-:]|\.\d{3}/g, '')
+  const date = amzDate.slice(0, 8)
+  headers.set('x-amz-date', amzDate)
+  headers.set('x-amz-content-sha256', emptyHash)
+  if (credentials.sessionToken) headers.set('x-amz-security-token', credentials.sessionToken)
+
+  /** @type {[string, string][]} */
+  const signed = [['host', url.host]]
+  headers.forEach((value, name) => {
+    if (name === 'range' || name.startsWith('x-amz-')) signed.push([name, value.trim().replace(/\s+/g, ' ')])
+  })
+  signed.sort(([a], [b]) => a < b ? -1 : 1)
+  const signedHeaders = signed.map(([name]) => name).join(';')
+
+  const query = [...url.searchParams]
+    .map(([name, value]) => `${uriEncode(name)}=${uriEncode(value)}`)
+    .sort()
+    .join('&')
+  // URLSearchParams would send spaces as +, which S3 reads as a plus sign
+  url.search = query
+  const canonicalRequest = [
+    method,
+    path,
+    query,
+    ...signed.map(([name, value]) => `${name}:${value}`),
+    '',
+    signedHeaders,
+    emptyHash,
+  ].join('\n')
+
+  const scope = `${date}/${region}/s3/aws4_request`
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    createHash('sha256').update(canonicalRequest).digest('hex'),
+  ].join('\n')
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${credentials.secretAccessKey}`, date), region))
+  const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+  headers.set('authorization', `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`)
+}
+
+/**
+ * Create a fetch function that signs each request to a path, if there are credentials
+ * @param {S3Config} config
+ * @param {string} path - Percent-encoded path of the requests, as returned by s3HttpUrl
+ * @param {typeof globalThis.fetch} [baseFetch] - Fetch function to send signed requests with
+ * @returns {typeof globalThis.fetch}
+ */
+function s3Fetch(config, path, baseFetch = fetch) {
+  return (input, init = {}) => {
+    const url = new URL(input instanceof Request ? input.url : input)
+    const headers = new Headers(init.headers)
+    if (config.credentials) {
+      signRequest({ method: init.method ?? 'GET', url, path, headers }, config.credentials, config.region)
+    }
+    return baseFetch(url, { ...init, headers })
+  }
+}
+
+/**
+ * Describe a failed S3 response, using the error code and message from its XML body
+ * @param {Response} res
+ * @returns {Promise<Error>}
+ */
+async function s3Error(res) {
+  const body = await res.text().catch(() => '')
+  const code = xmlValues(body, 'Code')[0]
+  const message = xmlValues(body, 'Message')[0]
+  return new Error(`S3 request failed ${res.status}${code ? ` ${code}` : ''}${message ? `: ${message}` : ''}`)
+}
+
+/**
+ * Read the text of every element with a tag name from an XML document
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string[]}
+ */
+function xmlValues(xml, tag) {
+  /** @type {Record<string, string>} */
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' }
+  return [...xml.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, 'g'))].map(([, text]) => text
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+      if (name[0] !== '#') return entities[name] ?? entity
+      return String.fromCodePoint(name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10))
+    }))
+}
+
+/**
+ * Resolve an s3:// URL to the HTTP URL of the object, and a fetch function that signs requests to it.
+ * Reading the URL with asyncBufferFromUrl makes signed range requests.
+ * @param {string} url - Such as s3://bucket/path/to/file.parquet
+ * @param {typeof globalThis.fetch} [baseFetch] - Fetch function to send signed requests with
+ * @returns {{ url: string, fetch: typeof globalThis.fetch }}
+ */
+export function s3HttpRequest(url, baseFetch) {
+  const config = s3Config()
+  const { bucket, key } = parseS3Url(url)
+  const object = s3HttpUrl(config, bucket, key)
+  return { url: object.url.href, fetch: s3Fetch(config, object.path, baseFetch) }
+}
+
+/**
+ * List the objects in a bucket whose keys start with a prefix, following continuation tokens
+ * @param {string} bucket
+ * @param {string} prefix
+ * @param {typeof globalThis.fetch} [baseFetch] - Fetch function to send signed requests with
+ * @yields {S3Object}
+ */
+export async function* listS3Objects(bucket, prefix, baseFetch) {
+  const config = s3Config()
+  const root = s3HttpUrl(config, bucket, '')
+  const fetchSigned = s3Fetch(config, root.path, baseFetch)
+  /** @type {string | undefined} */
+  let continuationToken
+  do {
+    const url = new URL(root.url)
+    url.searchParams.set('list-type', '2')
+    if (prefix) url.searchParams.set('prefix', prefix)
+    if (continuationToken) url.searchParams.set('continuation-token', continuationToken)
+
+    const res = await fetchSigned(url)
+    if (!res.ok) throw await s3Error(res)
+    const xml = await res.text()
+
+    // Each object is a <Contents> element with its <Key> and <Size>
+    for (const contents of xml.split('<Contents>').slice(1)) {
+      const [key] = xmlValues(contents, 'Key')
+      const [size] = xmlValues(contents, 'Size')
+      if (key !== undefined) yield { key, size: Number(size) }
+    }
+    continuationToken = xmlValues(xml, 'IsTruncated')[0] === 'true' ? xmlValues(xml, 'NextContinuationToken')[0] : undefined
+  } while (continuationToken)
+}
@@ -0,0 +1,85 @@
+/**
+ * Unify the output columns of files searched together, so output with one header shows the
+ * columns of every file, and report how the files differ for --strict-schema.
+ */
+
+/**
+ * @import {FlatColumn} from './columns.js'
+ */
+
+/**
+ * @typedef {object} FileSchema
+ * @property {string} file
+ * @property {FlatColumn[]} columns - Output columns, with struct fields flattened
+ * @property {string[]} missingColumns - Columns to search, filter or output that the file lacks
+ */
+
+/**
+ * @typedef {object} UnifiedColumn
+ * @property {string} name - Dotted name, such as `user.email`
+ * @property {string} key - Key of the row value holding the column
+ * @property {string[]} path - Struct fields from the row value down to the column
+ * @property {string} type - Type in the first file with the column
+ * @property {string[]} files - Files with the column
+ */
+
+/**
+ * @typedef {object} SchemaDifference
+ * @property {string} file
+ * @property {string} column
+ * @property {'added' | 'missing' | 'type-changed'} kind - Added if the first file lacks the column, missing if this file lacks
+ *   a column of the first file, or type-changed if its type differs from the first file with the column
+ * @property {string} [type] - Type in this file, for added and type-changed columns
+ * @property {string} [expected] - Type in the first file with the column, for type-changed columns
+ */
+
+/**
+ * @typedef {object} UnifiedSchema
+ * @property {UnifiedColumn[]} columns - Every output column of any file, in order of first appearance
+ * @property {SchemaDifference[]} differences - Empty if every file has the same columns and types
+ */
+
+/**
+ * Combine the output columns of files into one schema, listing how each file differs from the first
+ * @param {FileSchema[]} schemas
+ * @returns {UnifiedSchema}
+ */
+export function unifySchemas(schemas) {
+  /** @type {Map<string, UnifiedColumn>} */
+  const columns = new Map()
+  for (const { file, columns: fileColumns } of schemas) {
+    for (const { name, key, path, type } of fileColumns) {
+      const column = columns.get(name)
+      if (column) column.files.push(file)
+      else columns.set(name, { name, key, path, type, files: [file] })
+    }
+  }
+
+  /** @type {SchemaDifference[]} */
+  const differences = []
+  const [first, ...rest] = schemas
+  const firstNames = new Set(first?.columns.map(column => column.name))
+  for (const { file, columns: fileColumns } of rest) {
+    const names = new Set(fileColumns.map(column => column.name))
+    for (const { name, type } of fileColumns) {
+      const expected = columns.get(name)?.type
+      if (!firstNames.has(name)) differences.push({ file, column: name, kind: 'added', type })
+      else if (type !== expected) differences.push({ file, column: name, kind: 'type-changed', type, expected })
+    }
+    for (const name of firstNames) {
+      if (!names.has(name)) differences.push({ file, column: name, kind: 'missing' })
+    }
+  }
+  return { columns: [...columns.values()], differences }
+}
+
+/**
+ * Describe a schema difference for an error message
+ * @param {SchemaDifference} difference
+ * @returns {string}
+ */
+export function describeDifference({ file, column, kind, type, expected }) {
+  if (kind === 'added') return `${file}: has column ${column} (${type}), unlike the first file`
+  if (kind === 'missing') return `${file}: has no column ${column}`
+  return `${file}: column ${column} is ${type}, not ${expected}`
+}
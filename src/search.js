@@ -0,0 +1,634 @@
+import { asyncBufferFromFile, asyncBufferFromUrl, parquetMetadataAsync, parquetReadObjects, parquetSchema } from 'hyparquet'
+import { compressors } from 'hyparquet-compressors'
+import { isUrl } from './files.js'
+import { cachedRanges, fetchRemoteVersion, openRangeCache } from './cache.js'
+import { coalesceRanges, createFetch, defaultCoalesce } from './http.js'
+import { decimalConverter, flattenColumns, getPathValue, outputSchema, projectRow, resolveColumnPath, unscaledDecimals } from './columns.js'
+import { isPartitionOnly, parsePartitions, partitionRuledOut, withPartitions } from './partitions.js'
+import { globalRegex } from './patterns.js'
+import { canSkipRowGroup, matchesAllRows } from './prune.js'
+import { evaluateQuery, matchedQueryColumns, queryColumns } from './query.js'
+import { isS3Url, s3HttpRequest } from './s3.js'
+import { eachLeaf, someLeaf } from './stringify.js'
+import { candidateRowGroups, requiredTerms } from './tokens.js'
+
+/**
+ * @import {AsyncBuffer, CompressionCodec, FileMetaData, SchemaElement, SchemaTree} from 'hyparquet'
+ * @import {FlatColumn} from './columns.js'
+ * @import {RequestOptions} from './http.js'
+ * @import {PatternExecArray} from './patterns.js'
+ * @import {FileSchema} from './schema.js'
+ * @import {QueryContext, QueryNode} from './query.js'
+ */
+
+/**
+ * @typedef {object} SearchMatch
+ * @property {string} file - File (or URL) the row was found in
+ * @property {number} rowGroup - Index of the row group the row was found in
+ * @property {number} rowOffset - Index of the row within the file
+ * @property {object} row - Output columns of the row
+ * @property {string[]} matchedColumns - Searched columns the row matched in, empty for inverted matches
+ * @property {MatchSpan[]} spans - Where the regex matched within the matched columns, empty for inverted matches and context rows
+ * @property {RegExp | undefined} regex - Regex to highlight in the output
+ * @property {FlatColumn[]} outputColumns - Output columns from the schema, with struct fields flattened
+ * @property {SchemaElement[]} schema - Parquet schema of the output row, for writing matches to parquet
+ * @property {CompressionCodec | 'mixed' | undefined} codec - Compression codec of the column chunks of the source file, `mixed` if they differ
+ * @property {boolean} context - True for rows shown as context before or after a match, which match nothing themselves
+ * @property {number} [distance] - Fewest edits between a span and the query, for fuzzy matches
+ */
+
+/**
+ * @typedef {object} MatchSpan
+ * @property {string} column - Path of the matched value, with dots for struct fields and indexes for list items, such as `user.emails[1]`
+ * @property {number} start - Index of the first character of the match in the text of the value
+ * @property {number} end - Index just past the last character of the match
+ * @property {string} text - The matched text
+ * @property {number} [distance] - Edits between the matched text and the query, for fuzzy matches
+ */
+
+/**
+ * Options for searching a file. Request options apply to http, https and s3:// URLs.
+ * @typedef {SearchFileOptions & RequestOptions} SearchOptions
+ */
+
+/**
+ * @typedef {object} SearchFileOptions
+ * @property {string[]} [columns] - Columns to search (dotted paths for nested fields), all if empty
+ * @property {string[]} [excludeColumns] - Columns to skip when searching all columns
+ * @property {string[]} [select] - Columns to output, defaults to the searched columns
+ * @property {QueryNode} [filter] - Query expression rows must match, instead of the regex
+ * @property {QueryNode} [where] - Query expression rows must also match, even when inverted
+ * @property {SearchStats} [stats] - Counters to update as files and row groups are read or skipped
+ * @property {AbortSignal} [signal] - Stops the search, rejecting with the abort reason
+ * @property {number} [before] - Rows of context to yield before each match (default: 0)
+ * @property {number} [after] - Rows of context to yield after each match (default: 0)
+ * @property {boolean} [allowMissingColumns] - Leave out columns to search, filter or output that the file lacks, instead of failing.
+ *   For searching files with different schemas, where the columns are in other files
+ * @property {boolean} [index] - Skip row groups of local files by their token index, built by `parquet-grep index`,
+ *   unless the file changed since (default: true)
+ */
+
+/**
+ * @typedef {object} SearchStats
+ * @property {number} files - Files considered
+ * @property {number} skippedByPartition - Files ruled out by their partition values, without opening them
+ * @property {number} rowGroups - Row groups considered
+ * @property {number} skippedByStatistics - Row groups ruled out by null counts or min/max statistics
+ * @property {number} skippedByDictionary - Row groups ruled out by dictionary pages
+ * @property {number} skippedByIndex - Row groups ruled out by the token index of their file
+ * @property {number} countedByStatistics - Row groups counted as all matching from min/max statistics
+ * @property {number} countedByDictionary - Row groups counted as all matching from dictionary pages
+ * @property {number} requests - HTTP requests sent for remote files, including retries
+ * @property {number} bytesFetched - Bytes downloaded for remote files
+ * @property {number} bytesFromCache - Bytes of remote files read from the range cache instead
+ */
+
+/**
+ * @typedef {object} PreparedSearch
+ * @property {AsyncBuffer} file
+ * @property {FileMetaData} metadata
+ * @property {SchemaTree} schema - Schema tree of the file, with its partition columns
+ * @property {string[][]} fileSearchPaths - Resolved paths of the searched columns stored in the file
+ * @property {boolean} partitionMatch - True if the regex matches a searched partition column, and so every row
+ * @property {QueryNode | undefined} where - Query rows must also match, unless decided by the partition values
+ * @property {(rowStart: number, rowEnd: number) => Promise<Record<string, any>[]>} readRows - Decodes a range of rows, to be prepared with prepareRow
+ * @property {(row: Record<string, any>) => void} prepareRow - Makes decimals exact and adds partition values to a decoded row
+ * @property {(row: Record<string, any>) => boolean} isRowMatch - Tests a prepared row, before inversion
+ * @property {(row: Record<string, any>) => boolean} isRowSelected - Tests a prepared row against the where query
+ * @property {(row: Record<string, any>) => string[]} matchedColumns - Lists the searched columns a matching row matched in
+ * @property {(row: Record<string, any>, columns: string[]) => MatchSpan[]} matchSpans - Finds where the regex matches in some of the searched columns
+ * @property {(row: Record<string, any>) => Record<string, any>} outputRow - Picks the output columns of a row
+ * @property {FlatColumn[]} outputColumns - Output columns with struct fields flattened
+ * @property {SchemaElement[]} outputElements - Parquet schema of output rows
+ * @property {string[]} missingColumns - Requested columns the file lacks, left out with allowMissingColumns
+ */
+
+/**
+ * Open a local file, or a URL with retries, timeouts, coalesced range requests and an optional cache
+ * @param {string} filename
+ * @param {RequestOptions & { signal?: AbortSignal }} options
+ * @returns {Promise<AsyncBuffer>}
+ */
+export async function openFile(filename, { headers, retries, retryDelay, timeout, coalesce = defaultCoalesce, cacheDir, cacheSize, stats, signal }) {
+  if (!isUrl(filename)) return asyncBufferFromFile(filename)
+  const baseFetch = createFetch({ retries, retryDelay, timeout, stats })
+  // Headers are for plain URLs, since s3:// requests carry their own signed Authorization
+  const { url, fetch } = isS3Url(filename) ? s3HttpRequest(filename, baseFetch) : { url: filename, fetch: baseFetch }
+  const requestInit = { headers: isS3Url(filename) ? undefined : headers, signal }
+
+  // Cached ranges are only valid for the same version of the file
+  const remote = cacheDir ? await fetchRemoteVersion(url, requestInit, fetch) : undefined
+  const file = coalesceRanges(await asyncBufferFromUrl({ url, byteLength: remote?.byteLength, requestInit, fetch }), coalesce)
+  if (!cacheDir || !remote) return file
+  return cachedRanges(file, await openRangeCache(cacheDir, cacheSize), `${filename}\n${remote.version}`, stats)
+}
+
+/**
+ * Open a parquet file (local, URL or s3://) and resolve the columns to search and output
+ * @param {string} filename
+ * @param {RegExp | undefined} regex
+ * @param {SearchOptions} options
+ * @returns {Promise<PreparedSearch>}
+ */
+async function prepareSearch(filename, regex, { columns = [], excludeColumns = [], select, filter, signal, allowMissingColumns, ...options }) {
+  signal?.throwIfAborted()
+  const file = await openFile(filename, { ...options, signal })
+
+  // Read metadata to get row group information
+  const metadata = await parquetMetadataAsync(file)
+  // Partition columns from the path act as columns of the file
+  const partitions = parsePartitions(filename)
+  const schema = withPartitions(parquetSchema(metadata), partitions)
+  /**
+   * @param {string[]} path
+   * @returns {boolean}
+   */
+  function isPartitionPath(path) {
+    return Object.hasOwn(partitions, path[0])
+  }
+  // A where query on partition columns alone was already decided before opening the file
+  const where = options.where && !isPartitionOnly(options.where, partitions) ? options.where : undefined
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  function isPresent(name) {
+    return !allowMissingColumns || resolveColumnPath(schema, name) !== undefined
+  }
+
+  // Work out which columns to search, and which to output
+  const excludedPaths = resolveColumnPaths(schema, excludeColumns.filter(isPresent))
+  const candidateNames = columns.length ? columns.filter(isPresent) : schema.children.map(child => child.element.name)
+  const candidatePaths = resolveColumnPaths(schema, candidateNames)
+  const isSearched = candidatePaths.map(path => !excludedPaths.some(excludedPath => isPathPrefix(excludedPath, path)))
+  const searchNames = candidateNames.filter((_, i) => isSearched[i])
+  const searchPaths = candidatePaths.filter((_, i) => isSearched[i])
+  // Excluded fields nested inside searched columns, relative to each column
+  const searchExcluded = searchPaths.map(path => excludedPaths
+    .filter(excludedPath => excludedPath.length > path.length && isPathPrefix(path, excludedPath))
+    .map(excludedPath => excludedPath.slice(path.length)))
+  const outputNames = select?.filter(isPresent) ?? searchNames
+  const outputPaths = select ? resolveColumnPaths(schema, outputNames) : searchPaths
+  const queriedNames = [...new Set([...filter ? queryColumns(filter) : [], ...where ? queryColumns(where) : []])]
+  const filterNames = queriedNames.filter(isPresent)
+  const filterPaths = new Map(resolveColumnPaths(schema, filterNames).map((path, i) => [filterNames[i], path]))
+
+  // Only read the top-level columns that are searched, filtered or output, and never partition columns
+  const readColumns = columns.length || excludeColumns.length || select
+    ? [...new Set([...searchPaths, ...outputPaths, ...filterPaths.values()].map(path => path[0]))]
+      .filter(name => !Object.hasOwn(partitions, name))
+    : undefined
+
+  // Row groups can only be pruned by the columns stored in the file
+  const fileSearchPaths = searchPaths.filter(path => !isPartitionPath(path))
+  const partitionMatch = regex !== undefined && searchPaths.some(path => isPartitionPath(path) && cellMatches(partitions[path[0]], regex))
+
+  // Decimals are read as their unscaled integers, and made exact by prepareRow
+  const readMetadata = unscaledDecimals(metadata)
+  const convertDecimals = decimalConverter(schema)
+
+  /**
+   * @param {number} rowStart
+   * @param {number} rowEnd
+   * @returns {Promise<Record<string, any>[]>}
+   */
+  function readRows(rowStart, rowEnd) {
+    // Keep binary columns as bytes rather than decoding them as text
+    return parquetReadObjects({ file, metadata: readMetadata, columns: readColumns, compressors, rowStart, rowEnd, utf8: false })
+  }
+
+  /**
+   * @param {Record<string, any>} row
+   */
+  function prepareRow(row) {
+    convertDecimals?.(row)
+    Object.assign(row, partitions)
+  }
+
+  /**
+   * @param {Record<string, any>} row
+   * @returns {boolean}
+   */
+  function isRowMatch(row) {
+    if (!filter) return regex ? rowMatches(row, regex, searchPaths, searchExcluded) : false
+    return evaluateQuery(filter, queryContext(row))
+  }
+
+  /**
+   * @param {Record<string, any>} row
+   * @returns {boolean}
+   */
+  function isRowSelected(row) {
+    return where ? evaluateQuery(where, queryContext(row)) : true
+  }
+
+  /**
+   * @param {Record<string, any>} row
+   * @returns {string[]}
+   */
+  function matchedColumns(row) {
+    if (filter) return matchedQueryColumns(filter, queryContext(row), searchNames)
+    if (!regex) return []
+    return searchNames.filter((_, i) => someLeaf(getPathValue(row, searchPaths[i]), text => regex.test(text), searchExcluded[i]))
+  }
+
+  // Spans need every match in a value, not just the first
+  const spanRegex = regex && globalRegex(regex)
+
+  /**
+   * @param {Record<string, any>} row
+   * @param {string[]} columns - Searched column names to look in
+   * @returns {MatchSpan[]}
+   */
+  function matchSpans(row, columns) {
+    /** @type {MatchSpan[]} */
+    const spans = []
+    if (!spanRegex) return spans
+    for (let i = 0; i < searchNames.length; i++) {
+      if (!columns.includes(searchNames[i])) continue
+      eachPathLeaf(row, searchPaths[i], '', searchExcluded[i], (text, column) => {
+        spanRegex.lastIndex = 0
+        /** @type {PatternExecArray | null} */
+        let match = spanRegex.exec(text)
+        for (; match; match = spanRegex.exec(text)) {
+          // Empty matches, such as of ^, have nothing to show
+          if (!match[0]) {
+            spanRegex.lastIndex++
+            continue
+          }
+          /** @type {MatchSpan} */
+          const span = { column, start: match.index, end: match.index + match[0].length, text: match[0] }
+          if (match.distance !== undefined) span.distance = match.distance
+          spans.push(span)
+        }
+      })
+    }
+    return spans
+  }
+
+  /**
+   * @param {Record<string, any>} row
+   * @returns {QueryContext}
+   */
+  function queryContext(row) {
+    return {
+      cells: column => column === undefined
+        ? searchPaths.map(path => getPathValue(row, path))
+        : [getPathValue(row, filterPaths.get(column) ?? [column])],
+      cellMatches,
+    }
+  }
+
+  /**
+   * @param {Record<string, any>} row
+   * @returns {Record<string, any>}
+   */
+  function outputRow(row) {
+    return readColumns ? projectRow(row, outputNames, outputPaths) : row
+  }
+
+  const outputColumns = flattenColumns(schema, outputNames, outputPaths)
+  const outputElements = outputSchema(schema, outputNames, outputPaths)
+
+  return {
+    file, metadata, schema, fileSearchPaths, partitionMatch, where, readRows, prepareRow, isRowMatch, isRowSelected, matchedColumns, matchSpans, outputRow, outputColumns, outputElements,
+    missingColumns: [...new Set([...columns, ...excludeColumns, ...select ?? [], ...queriedNames])].filter(name => !resolveColumnPath(schema, name)),
+  }
+}
+
+/**
+ * Check if the partition values in the path of a file rule out every row,
+ * so the file need not be opened
+ * @param {string} filename
+ * @param {RegExp | undefined} regex
+ * @param {boolean} invert
+ * @param {SearchOptions} options
+ * @returns {boolean}
+ */
+function isPartitionPruned(filename, regex, invert, { columns = [], filter, where, stats }) {
+  if (stats) stats.files++
+  const partitions = parsePartitions(filename)
+  let pruned = false
+  if (where) {
+    pruned = partitionRuledOut(where, partitions, cellMatches)
+  }
+  if (!pruned && !invert && filter) {
+    pruned = partitionRuledOut(filter, partitions, cellMatches)
+  }
+  if (!pruned && !invert && !filter && regex && columns.length) {
+    // Searching only partition columns that do not match
+    pruned = columns.every(column => Object.hasOwn(partitions, column) && !cellMatches(partitions[column], regex))
+  }
+  if (pruned && stats) stats.skippedByPartition++
+  return pruned
+}
+
+/**
+ * Find the row groups of a local file that can match a regex, from its token index if it has a fresh one
+ * @param {string} filename
+ * @param {RegExp | undefined} regex
+ * @param {FileMetaData} metadata
+ * @param {SearchOptions} options
+ * @returns {Promise<Set<number> | undefined>} Indexes of the row groups to read, or undefined to read them all
+ */
+function indexCandidates(filename, regex, metadata, { filter, index = true }) {
+  if (!index || !regex || filter || isUrl(filename)) return Promise.resolve(undefined)
+  const required = requiredTerms(regex)
+  if (!required) return Promise.resolve(undefined)
+  return candidateRowGroups(filename, required, metadata.row_groups.length)
+}
+
+/**
+ * Search a single parquet file (local or URL).
+ * With `before` or `after`, neighboring rows are yielded as context, even across row groups,
+ * and each row is yielded at most once.
+ * @param {string} filename
+ * @param {RegExp | undefined} regex - Regex to search for, or to highlight when a filter is given
+ * @param {boolean} invert - If true, return non-matching rows
+ * @param {SearchOptions & { offset?: number, limit?: number, onLimit?: (file: string) => void }} [options] -
+ *   Skip `offset` matches, and stop after `limit` matches unless 0, calling `onLimit` if there are more
+ * @yields {SearchMatch}
+ */
+export async function* searchFile(filename, regex, invert, options = {}) {
+  const { filter, stats, signal, before = 0, after = 0, offset = 0, limit = 0, onLimit } = options
+  if (isPartitionPruned(filename, regex, invert, options)) return
+  const {
+    file, metadata, schema, fileSearchPaths, partitionMatch, readRows, prepareRow, isRowMatch, isRowSelected, matchedColumns, matchSpans, outputRow, outputColumns, outputElements,
+  } = await prepareSearch(filename, regex, options)
+  // Each column chunk can have its own codec, which one output codec can only keep if they agree
+  const codecs = new Set(metadata.row_groups.flatMap(rowGroup => rowGroup.columns.flatMap(column => column.meta_data?.codec ?? [])))
+  /** @type {CompressionCodec | 'mixed' | undefined} */
+  const codec = codecs.size > 1 ? 'mixed' : [...codecs][0]
+  // Inverted searches read every row group, so they have no use for the index
+  const candidates = invert ? undefined : await indexCandidates(filename, regex, metadata, options)
+
+  // First row of each row group, to find the row group of context rows
+  /** @type {number[]} */
+  const groupStarts = []
+  let groupStart = 0
+  for (const rowGroup of metadata.row_groups) {
+    groupStarts.push(groupStart)
+    groupStart += Number(rowGroup.num_rows)
+  }
+
+  /**
+   * @param {Record<string, any>} row - Prepared row
+   * @param {number} rowOffset
+   * @param {string[] | undefined} matched - Matched columns, or undefined for a context row
+   * @returns {SearchMatch}
+   */
+  function toMatch(row, rowOffset, matched) {
+    const spans = matched?.length ? matchSpans(row, matched) : []
+    /** @type {SearchMatch} */
+    const match = {
+      file: filename,
+      rowGroup: groupStarts.findLastIndex(start => start <= rowOffset),
+      rowOffset,
+      row: outputRow(row),
+      matchedColumns: matched ?? [],
+      spans,
+      regex,
+      outputColumns,
+      schema: outputElements,
+      codec,
+      context: !matched,
+    }
+    const distances = spans.flatMap(span => span.distance ?? [])
+    if (distances.length) match.distance = Math.min(...distances)
+    return match
+  }
+
+  /**
+   * Read context rows from a row group that was skipped without decoding it
+   * @param {number} rowStart
+   * @param {number} rowEnd
+   * @yields {SearchMatch}
+   */
+  async function* readContext(rowStart, rowEnd) {
+    const rows = await readRows(rowStart, rowEnd)
+    for (let index = 0; index < rows.length; index++) {
+      prepareRow(rows[index])
+      yield toMatch(rows[index], rowStart + index, undefined)
+    }
+  }
+
+  let found = 0 // Matches found, including those skipped by the offset
+  let yielded = 0 // Matches yielded, not counting context
+  let nextRow = 0 // First row that has not been yielded, so context never repeats a row
+  let afterLeft = 0 // Context rows still to yield after the last match
+  /** @type {SearchMatch[]} */
+  let window = [] // Rows just before the current row, up to `before` of them
+
+  // Iterate through row groups one at a time to avoid loading entire file
+  for (let rowGroupIndex = 0; rowGroupIndex < metadata.row_groups.length; rowGroupIndex++) {
+    signal?.throwIfAborted()
+    const rowStart = groupStarts[rowGroupIndex]
+    const rowEnd = rowStart + Number(metadata.row_groups[rowGroupIndex].num_rows)
+    if (stats) stats.rowGroups++
+
+    // Skip row groups that cannot contain a match without decoding them, unless they hold context
+    if (regex && !invert && !filter && !partitionMatch && !afterLeft) {
+      const skipped = candidates && !candidates.has(rowGroupIndex) ? 'index' : await canSkipRowGroup({
+        file, schema, rowGroup: metadata.row_groups[rowGroupIndex], paths: fileSearchPaths, regex, cellMatches, compressors,
+      })
+      if (skipped === 'statistics' && stats) stats.skippedByStatistics++
+      if (skipped === 'dictionary' && stats) stats.skippedByDictionary++
+      if (skipped === 'index' && stats) stats.skippedByIndex++
+      if (skipped) {
+        window = []
+        continue
+      }
+    }
+
+    // Read just this row group
+    const data = await readRows(rowStart, rowEnd)
+
+    // Grep through the data, yielding matches as found
+    for (let index = 0; index < data.length; index++) {
+      signal?.throwIfAborted()
+      const row = data[index]
+      const rowOffset = rowStart + index
+      prepareRow(row)
+      const isMatch = isRowMatch(row)
+      const selected = (invert ? !isMatch : isMatch) && isRowSelected(row)
+      if (selected && found++ < offset) {
+        // Matches skipped by the offset are neither output nor context for the matches after them
+        window = []
+        nextRow = rowOffset + 1
+      } else if (selected) {
+        if (limit && yielded >= limit) {
+          onLimit?.(filename)
+          return
+        }
+        if (before) {
+          // Rows before the window are in a skipped row group
+          const first = Math.max(nextRow, rowOffset - before)
+          const windowStart = window.length ? window[0].rowOffset : rowOffset
+          if (first < windowStart) yield* readContext(first, windowStart)
+          for (const context of window) {
+            if (context.rowOffset >= first) yield context
+          }
+          window = []
+        }
+        yield toMatch(row, rowOffset, isMatch ? matchedColumns(row) : [])
+        yielded++
+        nextRow = rowOffset + 1
+        afterLeft = after
+      } else if (afterLeft) {
+        yield toMatch(row, rowOffset, undefined)
+        afterLeft--
+        nextRow = rowOffset + 1
+      } else if (before) {
+        window.push(toMatch(row, rowOffset, undefined))
+        if (window.length > before) window.shift()
+      }
+    }
+  }
+}
+
+/**
+ * Count the matching rows in a single parquet file (local or URL).
+ * Row groups where no row or every row matches are counted from statistics
+ * or dictionary pages when possible, without decoding them.
+ * @param {string} filename
+ * @param {RegExp | undefined} regex - Regex to search for, or to highlight when a filter is given
+ * @param {boolean} invert - If true, count non-matching rows
+ * @param {SearchOptions & { limit?: number }} [options] - Stop counting at `limit` matches, unless 0
+ * @returns {Promise<number>}
+ */
+export async function countMatches(filename, regex, invert, options = {}) {
+  const { filter, stats, signal, limit = 0 } = options
+  if (isPartitionPruned(filename, regex, invert, options)) return 0
+  const { file, metadata, schema, fileSearchPaths, partitionMatch, where, readRows, prepareRow, isRowMatch, isRowSelected } = await prepareSearch(filename, regex, options)
+  const candidates = await indexCandidates(filename, regex, metadata, options)
+
+  let count = 0
+  let rowOffset = 0
+  for (let rowGroupIndex = 0; rowGroupIndex < metadata.row_groups.length; rowGroupIndex++) {
+    const rowGroup = metadata.row_groups[rowGroupIndex]
+    if (limit && count >= limit) break
+    signal?.throwIfAborted()
+    const numRows = Number(rowGroup.num_rows)
+    const rowStart = rowOffset
+    const rowEnd = rowOffset + numRows
+    rowOffset = rowEnd
+    if (stats) stats.rowGroups++
+
+    if (regex && !filter && !where && partitionMatch) {
+      // Every row matches by its partition values
+      if (!invert) count += numRows
+      continue
+    }
+    if (regex && !filter && !where) {
+      const pruneOptions = { file, schema, rowGroup, paths: fileSearchPaths, regex, cellMatches, compressors }
+      const skipped = candidates && !candidates.has(rowGroupIndex) ? 'index' : await canSkipRowGroup(pruneOptions)
+      if (skipped === 'statistics' && stats) stats.skippedByStatistics++
+      if (skipped === 'dictionary' && stats) stats.skippedByDictionary++
+      if (skipped === 'index' && stats) stats.skippedByIndex++
+      if (skipped) {
+        if (invert) count += numRows
+        continue
+      }
+      const allMatch = await matchesAllRows(pruneOptions)
+      if (allMatch === 'statistics' && stats) stats.countedByStatistics++
+      if (allMatch === 'dictionary' && stats) stats.countedByDictionary++
+      if (allMatch) {
+        if (!invert) count += numRows
+        continue
+      }
+    }
+
+    const data = await readRows(rowStart, rowEnd)
+    for (const row of data) {
+      prepareRow(row)
+      const isMatch = isRowMatch(row)
+      if ((invert ? !isMatch : isMatch) && isRowSelected(row)) count++
+    }
+  }
+  return limit ? Math.min(count, limit) : count
+}
+
+/**
+ * Resolve the output columns of a file and their types, as searchFile would output them, without reading any rows.
+ * Requested columns the file lacks are listed as missing rather than failing.
+ * @param {string} filename
+ * @param {SearchOptions} [options]
+ * @returns {Promise<FileSchema>}
+ */
+export async function fileSchema(filename, options = {}) {
+  const { outputColumns, missingColumns } = await prepareSearch(filename, undefined, { ...options, allowMissingColumns: true })
+  return { file: filename, columns: outputColumns, missingColumns }
+}
+
+/**
+ * Resolve column names against the schema, failing on unknown columns
+ * @param {SchemaTree} schema
+ * @param {string[]} names
+ * @returns {string[][]}
+ */
+function resolveColumnPaths(schema, names) {
+  return names.map(name => {
+    const path = resolveColumnPath(schema, name)
+    if (!path) throw new Error(`column not found: ${name}`)
+    return path
+  })
+}
+
+/**
+ * Check if a path is equal to or an ancestor of another path
+ * @param {string[]} prefix
+ * @param {string[]} path
+ * @returns {boolean}
+ */
+function isPathPrefix(prefix, path) {
+  return prefix.length <= path.length && prefix.every((name, i) => name === path[i])
+}
+
+/**
+ * Check if a row matches the regex pattern
+ * @param {Record<string, any>} row
+ * @param {RegExp} regex
+ * @param {string[][]} paths - Column paths to test
+ * @param {string[][][]} excluded - Nested fields to skip within each column
+ * @returns {boolean}
+ */
+function rowMatches(row, regex, paths, excluded) {
+  for (let i = 0; i < paths.length; i++) {
+    if (someLeaf(getPathValue(row, paths[i]), text => regex.test(text), excluded[i])) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Visit the leaves of the value at a path of field names within a row, with their names.
+ * Lists along the path are expanded, naming each item by its index as eachLeaf does.
+ * @param {any} value
+ * @param {string[]} path
+ * @param {string} name - Name of the value so far
+ * @param {string[][]} excluded - Nested fields to skip below the path
+ * @param {(text: string, name: string) => void} visit
+ */
+function eachPathLeaf(value, path, name, excluded, visit) {
+  if (value === null || value === undefined) return
+  if (!path.length) {
+    eachLeaf(value, visit, name, excluded)
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => eachPathLeaf(item, path, `${name}[${index}]`, excluded, visit))
+  } else {
+    eachPathLeaf(value[path[0]], path.slice(1), name ? `${name}.${path[0]}` : path[0], excluded, visit)
+  }
+}
+
+/**
+ * Check if a cell value matches the regex pattern.
+ * Lists and structs match if any value within them matches.
+ * @param {any} cell
+ * @param {RegExp} regex
+ * @returns {boolean}
+ */
+function cellMatches(cell, regex) {
+  return someLeaf(cell, text => regex.test(text))
+}
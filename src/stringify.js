@@ -0,0 +1,149 @@
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true })
+
+/**
+ * Convert binary to text: UTF-8 if it decodes cleanly to printable text, hex otherwise
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToString(bytes) {
+  try {
+    const text = utf8Decoder.decode(bytes)
+    // eslint-disable-next-line no-control-regex
+    if (!/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(text)) return text
+  } catch {
+    // not valid UTF-8
+  }
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Exact value of a DECIMAL column, as its unscaled integer and scale.
+ * hyparquet decodes decimals as floats, which drops trailing zeros such as those of 120.50
+ * and any digits past float precision, so decimals are read unscaled and kept as these.
+ */
+export class Decimal {
+  /**
+   * @param {bigint} unscaled - Value times 10 to the power of the scale
+   * @param {number} scale - Digits after the decimal point
+   */
+  constructor(unscaled, scale) {
+    this.unscaled = unscaled
+    this.scale = scale
+  }
+
+  /**
+   * Exact text of the value, with every digit of its scale, such as 120.50
+   * @returns {string}
+   */
+  toString() {
+    const { unscaled, scale } = this
+    const sign = unscaled < 0n ? '-' : ''
+    const digits = (unscaled < 0n ? -unscaled : unscaled).toString().padStart(scale + 1, '0')
+    if (!scale) return sign + digits
+    return `${sign}${digits.slice(0, -scale)}.${digits.slice(-scale)}`
+  }
+}
+
+/**
+ * Make an exact decimal from the unscaled integer stored in a DECIMAL column
+ * @param {number | bigint | Uint8Array} value - INT32, INT64, or big-endian two's complement bytes
+ * @param {number} scale
+ * @returns {Decimal}
+ */
+export function toDecimal(value, scale) {
+  if (!(value instanceof Uint8Array)) return new Decimal(BigInt(value), scale)
+  let unscaled = 0n
+  for (const byte of value) unscaled = unscaled * 256n + BigInt(byte)
+  if (value[0] & 0x80) unscaled -= 1n << BigInt(value.length * 8)
+  return new Decimal(unscaled, scale)
+}
+
+/**
+ * Check if a value is a list or struct, as opposed to a single leaf value
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isNested(value) {
+  if (Array.isArray(value)) return true
+  return typeof value === 'object' && value !== null && !(value instanceof Date) && !(value instanceof Uint8Array) && !(value instanceof Decimal)
+}
+
+/**
+ * Convert a leaf value to the text that is searched and displayed.
+ * Timestamps become ISO-8601, binary becomes UTF-8 or hex, and decimals their exact text.
+ * @param {any} value - Non-null leaf value
+ * @returns {string}
+ */
+export function stringifyValue(value) {
+  if (typeof value === 'string') return value
+  if (value instanceof Date) return value.toISOString()
+  if (value instanceof Uint8Array) return bytesToString(value)
+  return String(value)
+}
+
+/**
+ * Test the text of every leaf in a value, recursing into lists and structs
+ * @param {any} value
+ * @param {(text: string) => boolean} test
+ * @param {string[][]} [excluded] - Struct field paths, relative to the value, to leave out
+ * @returns {boolean} True if any leaf passes the test
+ */
+export function someLeaf(value, test, excluded = []) {
+  if (value === null || value === undefined) return false
+  if (Array.isArray(value)) return value.some(item => someLeaf(item, test, excluded))
+  if (isNested(value)) {
+    return Object.entries(value).some(([key, child]) => {
+      const childExcluded = excluded.filter(path => path[0] === key).map(path => path.slice(1))
+      if (childExcluded.some(path => !path.length)) return false
+      return someLeaf(child, test, childExcluded)
+    })
+  }
+  return test(stringifyValue(value))
+}
+
+/**
+ * Visit the text of every leaf in a value with its name, recursing into lists and structs.
+ * Struct fields are named with dots and list items with their index, such as `orders[0].sku`.
+ * @param {any} value
+ * @param {(text: string, name: string) => void} visit
+ * @param {string} name - Name of the value itself
+ * @param {string[][]} [excluded] - Struct field paths, relative to the value, to leave out
+ */
+export function eachLeaf(value, visit, name, excluded = []) {
+  if (value === null || value === undefined) return
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => eachLeaf(item, visit, `${name}[${index}]`, excluded))
+  } else if (isNested(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      const childExcluded = excluded.filter(path => path[0] === key).map(path => path.slice(1))
+      if (childExcluded.some(path => !path.length)) continue
+      eachLeaf(child, visit, `${name}.${key}`, childExcluded)
+    }
+  } else {
+    visit(stringifyValue(value), name)
+  }
+}
+
+/**
+ * Convert a value to JSON-friendly types that display the same text that is searched.
+ * Bigints stay numbers when they fit, and become strings otherwise.
+ * @param {any} value
+ * @returns {any}
+ */
+export function toDisplayValue(value) {
+  if (value === null || value === undefined) return value
+  if (typeof value === 'bigint') {
+    return value >= Number.MIN_SAFE_INTEGER && value <= Number.MAX_SAFE_INTEGER ? Number(value) : value.toString()
+  }
+  if (Array.isArray(value)) return value.map(toDisplayValue)
+  if (isNested(value)) {
+    /** @type {Record<string, any>} */
+    const result = {}
+    for (const [key, child] of Object.entries(value)) {
+      result[key] = toDisplayValue(child)
+    }
+    return result
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') return value
+  return stringifyValue(value)
+}
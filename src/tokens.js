@@ -0,0 +1,584 @@
+/**
+ * Token index of local parquet files, kept in a sidecar file for repeated searches.
+ *
+ * The index of `dir/data.parquet` is stored in `dir/.parquet-grep-index/data.parquet.tokens`.
+ * It maps each token of the searched text of any column (a run of letters, digits and
+ * underscores, case folded) to the row groups containing it. A search extracts the words
+ * that every match must contain from its regex, and reads only the row groups where the
+ * index finds all of them. Rows are still tested with the regex, so the index decides what
+ * to skip, never what matches.
+ *
+ * The sidecar file starts with the length of a JSON header, then the header, which holds the
+ * sorted token dictionary. Then come the offsets of the postings of each token, and the
+ * postings: the row groups of each token, as varints of the difference from the one before.
+ * A search parses only the dictionary, finds the tokens of its words by binary search, and
+ * reads only their postings.
+ *
+ * Each index records the size and modification time of its file, and is ignored once
+ * either changes, until it is built again.
+ */
+
+import { asyncBufferFromFile, parquetMetadataAsync, parquetReadObjects, parquetSchema } from 'hyparquet'
+import { compressors } from 'hyparquet-compressors'
+import { mkdir, open, rename, stat, unlink, writeFile } from 'node:fs/promises'
+import { basename, dirname, join } from 'node:path'
+import { decimalConverter, unscaledDecimals } from './columns.js'
+import { isFuzzy } from './patterns.js'
+import { eachLeaf } from './stringify.js'
+
+/**
+ * @import {FileHandle} from 'node:fs/promises'
+ */
+
+/**
+ * Header of the token index of a parquet file, as stored in its sidecar file
+ * @typedef {object} FileIndex
+ * @property {number} version - Format of the index, which is rebuilt when it changes
+ * @property {number} size - Size of the parquet file when it was indexed
+ * @property {number} mtimeMs - Modification time of the parquet file when it was indexed
+ * @property {RowGroupIndex[]} rowGroups
+ * @property {string[]} tokens - Every token of the file, sorted
+ */
+
+/**
+ * @typedef {object} RowGroupIndex
+ * @property {number} rowStart - Offset of the first row of the row group within the file
+ * @property {number} numRows
+ */
+
+/**
+ * Token index of a parquet file as built, before it is written
+ * @typedef {object} BuiltIndex
+ * @property {FileIndex} index
+ * @property {number[][]} postings - Indexes of the row groups containing each token, in the order of the tokens
+ */
+
+/**
+ * Sidecar index opened for a search, with its header read
+ * @typedef {object} OpenIndex
+ * @property {FileHandle} handle
+ * @property {FileIndex} index
+ * @property {number} offsetsStart - Position of the postings offsets in the sidecar file
+ */
+
+/**
+ * A word that matching text must contain. Words cut off by the ends of a literal in
+ * the regex can be part of a longer token, so they only need to start or end one.
+ * @typedef {object} RequiredTerm
+ * @property {string} term - Case folded, like the tokens of the index
+ * @property {boolean} start - True if the word must start a token
+ * @property {boolean} end - True if the word must end a token
+ */
+
+/**
+ * Part of a regex source: a literal character, a group, an assertion, or anything else
+ * @typedef {object} Atom
+ * @property {string} [char] - Literal character
+ * @property {string} [group] - Source inside a group
+ * @property {boolean} [zeroWidth] - True for anchors, word boundaries and lookarounds
+ * @property {boolean} [optional] - True if quantified to allow no repetition
+ * @property {boolean} [repeated] - True if quantified to allow more than one repetition
+ */
+
+const indexVersion = 2
+const indexDir = '.parquet-grep-index'
+
+/**
+ * Path of the sidecar index of a parquet file
+ * @param {string} filename
+ * @returns {string}
+ */
+export function indexPath(filename) {
+  return join(dirname(filename), indexDir, `${basename(filename)}.tokens`)
+}
+
+/**
+ * Split text into case folded tokens: runs of letters, digits and underscores.
+ * Upper then lower case folds characters that case-insensitive regexes treat as equal, such as ſ and s.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return text.toUpperCase().toLowerCase().match(/[\p{L}\p{N}_]+/gu) ?? []
+}
+
+/**
+ * Read every row of a local parquet file and index the tokens of its values
+ * @param {string} filename
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<BuiltIndex>}
+ */
+export async function buildIndex(filename, { signal } = {}) {
+  // Stat before reading, so a file changed while indexing has a stale index
+  const { size, mtimeMs } = await stat(filename)
+  const file = await asyncBufferFromFile(filename)
+  const metadata = await parquetMetadataAsync(file)
+  // Index the same text as searchFile, which reads decimals exactly
+  const readMetadata = unscaledDecimals(metadata)
+  const convertDecimals = decimalConverter(parquetSchema(metadata))
+
+  /** @type {Map<string, number[]>} */
+  const termGroups = new Map()
+  /** @type {RowGroupIndex[]} */
+  const rowGroups = []
+  let rowStart = 0
+  for (const rowGroup of metadata.row_groups) {
+    signal?.throwIfAborted()
+    const group = rowGroups.length
+    const numRows = Number(rowGroup.num_rows)
+    const rows = await parquetReadObjects({ file, metadata: readMetadata, compressors, rowStart, rowEnd: rowStart + numRows, utf8: false })
+    for (const row of rows) {
+      convertDecimals?.(row)
+      eachLeaf(row, text => {
+        for (const token of tokenize(text)) {
+          const groups = termGroups.get(token)
+          if (!groups) termGroups.set(token, [group])
+          else if (groups[groups.length - 1] !== group) groups.push(group)
+        }
+      }, '')
+    }
+    rowGroups.push({ rowStart, numRows })
+    rowStart += numRows
+  }
+
+  // Sorted in the order of < comparisons, for binary search
+  const tokens = [...termGroups.keys()].sort()
+  const postings = tokens.map(token => termGroups.get(token) ?? [])
+  return { index: { version: indexVersion, size, mtimeMs, rowGroups, tokens }, postings }
+}
+
+/**
+ * Write the sidecar index of a parquet file, atomically so searches never read half of it
+ * @param {string} filename
+ * @param {BuiltIndex} built
+ */
+export async function writeIndex(filename, { index, postings }) {
+  const header = Buffer.from(JSON.stringify(index))
+  const headerLength = Buffer.alloc(4)
+  headerLength.writeUInt32LE(header.length)
+  const lists = postings.map(encodeRowGroups)
+  const offsets = Buffer.alloc(4 * (lists.length + 1))
+  let offset = 0
+  for (let i = 0; i < lists.length; i++) {
+    offsets.writeUInt32LE(offset, 4 * i)
+    offset += lists[i].length
+  }
+  offsets.writeUInt32LE(offset, 4 * lists.length)
+
+  const path = indexPath(filename)
+  await mkdir(dirname(path), { recursive: true })
+  const temp = `${path}.${process.pid}.tmp`
+  try {
+    await writeFile(temp, Buffer.concat([headerLength, header, offsets, ...lists]))
+    await rename(temp, path)
+  } catch (error) {
+    await unlink(temp).catch(() => {})
+    throw error
+  }
+}
+
+/**
+ * Open the sidecar index of a parquet file and read its header, if it was built for the file as it is now
+ * @param {string} filename
+ * @returns {Promise<OpenIndex | undefined>} Undefined if there is no index, or the file changed since.
+ *   The caller closes the handle.
+ */
+async function openIndex(filename) {
+  /** @type {FileHandle} */
+  let handle
+  try {
+    handle = await open(indexPath(filename))
+  } catch {
+    // Without a readable index, files are searched in full
+    return undefined
+  }
+  try {
+    const [{ size, mtimeMs }, indexStat, headerLength] = await Promise.all([stat(filename), handle.stat(), readBytes(handle, 0, 4)])
+    const length = headerLength.readUInt32LE()
+    if (4 + length > indexStat.size) throw new Error('token index is truncated')
+    /** @type {FileIndex} */
+    const index = JSON.parse((await readBytes(handle, 4, length)).toString())
+    if (index.version === indexVersion && index.size === size && index.mtimeMs === mtimeMs) {
+      return { handle, index, offsetsStart: 4 + length }
+    }
+  } catch {
+    // A damaged index is ignored, like a missing one
+  }
+  await handle.close()
+  return undefined
+}
+
+/**
+ * Read the header of the sidecar index of a parquet file, if it was built for the file as it is now
+ * @param {string} filename
+ * @returns {Promise<FileIndex | undefined>} Undefined if there is no index, or the file changed since
+ */
+export async function loadIndex(filename) {
+  const opened = await openIndex(filename)
+  await opened?.handle.close()
+  return opened?.index
+}
+
+/**
+ * Read bytes of a file, failing if it ends before them
+ * @param {FileHandle} handle
+ * @param {number} position
+ * @param {number} length
+ * @returns {Promise<Buffer>}
+ */
+async function readBytes(handle, position, length) {
+  const bytes = Buffer.alloc(length)
+  const { bytesRead } = await handle.read(bytes, 0, length, position)
+  if (bytesRead < length) throw new Error('token index is truncated')
+  return bytes
+}
+
+/**
+ * Build the sidecar index of a local parquet file, unless it has a fresh one
+ * @param {string} filename
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<boolean>} True if the index was built, false if it was up to date
+ */
+export async function updateIndex(filename, options = {}) {
+  if (await loadIndex(filename)) return false
+  await writeIndex(filename, await buildIndex(filename, options))
+  return true
+}
+
+/**
+ * Find the words that any match of a regex must contain, from the literal text in its source.
+ * Each alternative of the regex requires all of its own words.
+ * @param {RegExp} regex
+ * @returns {RequiredTerm[][] | undefined} Words of each alternative, or undefined if some alternative
+ *   can match without any word, such as `\d+`, or the regex matches approximately
+ */
+export function requiredTerms(regex) {
+  if (isFuzzy(regex)) return undefined
+  return alternativeTerms(regex.source, regex.flags.includes('v'))
+}
+
+/**
+ * @param {string} source
+ * @param {boolean} unicodeSets - True for the v flag, where character classes nest
+ * @returns {RequiredTerm[][] | undefined}
+ */
+function alternativeTerms(source, unicodeSets) {
+  /** @type {RequiredTerm[][]} */
+  const alternatives = []
+  for (const branch of splitAlternatives(source, unicodeSets)) {
+    const atoms = parseAtoms(branch, unicodeSets)
+    if (!atoms) return undefined
+    // A branch that is one group, such as (?:a|b) between word boundaries, has the alternatives of the group
+    const consuming = atoms.filter(atom => !atom.zeroWidth)
+    if (consuming.length === 1 && consuming[0].group !== undefined && !consuming[0].optional) {
+      const inner = alternativeTerms(consuming[0].group, unicodeSets)
+      if (!inner) return undefined
+      alternatives.push(...inner)
+      continue
+    }
+    const terms = literalTerms(atoms)
+    if (!terms.length) return undefined
+    alternatives.push(terms)
+  }
+  return alternatives
+}
+
+/**
+ * Split a regex source at each `|` outside of escapes, character classes and groups
+ * @param {string} source
+ * @param {boolean} unicodeSets
+ * @returns {string[]}
+ */
+function splitAlternatives(source, unicodeSets) {
+  /** @type {string[]} */
+  const branches = []
+  let depth = 0
+  let start = 0
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (char === '\\') i++
+    else if (char === '[') i = classEnd(source, i, unicodeSets) - 1
+    else if (char === '(') depth++
+    else if (char === ')') depth--
+    else if (char === '|' && !depth) {
+      branches.push(source.slice(start, i))
+      start = i + 1
+    }
+  }
+  branches.push(source.slice(start))
+  return branches
+}
+
+/**
+ * Find the index just past the character class starting at an index
+ * @param {string} source
+ * @param {number} start - Index of the opening `[`
+ * @param {boolean} unicodeSets
+ * @returns {number}
+ */
+function classEnd(source, start, unicodeSets) {
+  let depth = 0
+  for (let i = start + 1; i < source.length; i++) {
+    const char = source[i]
+    if (char === '\\') i++
+    else if (char === '[' && unicodeSets) depth++
+    else if (char === ']' && !depth--) return i + 1
+  }
+  return source.length
+}
+
+/**
+ * Find the index just past the group starting at an index
+ * @param {string} source
+ * @param {number} start - Index of the opening `(`
+ * @param {boolean} unicodeSets
+ * @returns {number | undefined} Undefined if the group is not closed
+ */
+function groupEnd(source, start, unicodeSets) {
+  let depth = 0
+  for (let i = start; i < source.length; i++) {
+    const char = source[i]
+    if (char === '\\') i++
+    else if (char === '[') i = classEnd(source, i, unicodeSets) - 1
+    else if (char === '(') depth++
+    else if (char === ')' && !--depth) return i + 1
+  }
+  return undefined
+}
+
+/**
+ * Parse one alternative of a regex source into atoms. Anything not understood becomes
+ * an atom that matches unknown text, which only means fewer required words.
+ * @param {string} source - Source without top-level alternation
+ * @param {boolean} unicodeSets
+ * @returns {Atom[] | undefined} Undefined if the source cannot be parsed
+ */
+function parseAtoms(source, unicodeSets) {
+  /** @type {Atom[]} */
+  const atoms = []
+  let i = 0
+  while (i < source.length) {
+    const char = source[i]
+    /** @type {Atom} */
+    let atom = {}
+    let end = i + 1
+    if (char === '\\') {
+      const escape = source.slice(i).match(/^\\(?:[pP]\{[^}]*\}|k<[^>]*>|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]|\d+|[\s\S])/)
+      if (!escape) return undefined
+      const [text] = escape
+      end = i + text.length
+      // Escaped punctuation is literal, but classes like \d and other escapes are unknown text
+      if (text.length === 2 && /[\\^$.*+?()[\]{}|/-]/.test(text[1])) atom = { char: text[1] }
+      else if (text === '\\b' || text === '\\B') atom = { zeroWidth: true }
+    } else if (char === '[') {
+      end = classEnd(source, i, unicodeSets)
+    } else if (char === '(') {
+      const groupClose = groupEnd(source, i, unicodeSets)
+      if (groupClose === undefined) return undefined
+      end = groupClose
+      const group = source.slice(i + 1, end - 1)
+      if (/^\?<?[=!]/.test(group)) atom = { zeroWidth: true }
+      else if (group.startsWith('?:')) atom = { group: group.slice(2) }
+      else if (/^\?<[^>]+>/.test(group)) atom = { group: group.slice(group.indexOf('>') + 1) }
+      else if (!group.startsWith('?')) atom = { group }
+    } else if (char === '^' || char === '$') {
+      atom = { zeroWidth: true }
+    } else if (char === ')' || char === '|' || char === '*' || char === '+' || char === '?') {
+      return undefined
+    } else if (char !== '.') {
+      atom = { char }
+    }
+    i = end
+
+    // A following quantifier makes the atom optional or repeatable
+    const quantifier = source.slice(i).match(/^(?:[*+?]|\{(\d+)(?:,\d*)?\})\??/)
+    if (quantifier) {
+      const min = quantifier[0][0] === '{' ? Number(quantifier[1]) : quantifier[0][0] === '+' ? 1 : 0
+      atom.optional = min === 0
+      atom.repeated = true
+      i += quantifier[0].length
+    }
+    atoms.push(atom)
+  }
+  return atoms
+}
+
+/**
+ * Find the words within the runs of literal characters of a sequence of atoms.
+ * Only ASCII characters are used, since case folding can change the length of others.
+ * @param {Atom[]} atoms
+ * @returns {RequiredTerm[]}
+ */
+function literalTerms(atoms) {
+  /** @type {RequiredTerm[]} */
+  const terms = []
+  let run = ''
+  for (const atom of atoms) {
+    // eslint-disable-next-line no-control-regex
+    const isLiteral = atom.char !== undefined && !atom.optional && /^[\x00-\x7f]$/.test(atom.char)
+    if (isLiteral) run += atom.char
+    if (!isLiteral || atom.repeated) {
+      terms.push(...runTerms(run))
+      run = ''
+    }
+  }
+  terms.push(...runTerms(run))
+  return terms
+}
+
+/**
+ * Split a run of literal ASCII text into words. Words at the ends of the run may
+ * continue in the text around it, while others are whole tokens.
+ * @param {string} run
+ * @returns {RequiredTerm[]}
+ */
+function runTerms(run) {
+  return [...run.matchAll(/\w+/g)].map(({ 0: word, index }) => ({
+    term: word.toLowerCase(),
+    start: index > 0,
+    end: index + word.length < run.length,
+  }))
+}
+
+/**
+ * Find the row groups that can contain a match, because the index finds every word
+ * of some alternative in them
+ * @param {string} filename
+ * @param {RequiredTerm[][]} alternatives - From requiredTerms
+ * @param {number} numRowGroups - Row groups of the file, which the index must have too
+ * @returns {Promise<Set<number> | undefined>} Indexes of the row groups to read,
+ *   or undefined if the file has no usable index
+ */
+export async function candidateRowGroups(filename, alternatives, numRowGroups) {
+  const opened = await openIndex(filename)
+  if (!opened) return undefined
+  try {
+    // Row groups are matched by position, so an index must have the same ones
+    if (opened.index.rowGroups.length !== numRowGroups) return undefined
+    /** @type {Set<number>} */
+    const candidates = new Set()
+    for (const terms of alternatives) {
+      /** @type {Set<number> | undefined} */
+      let groups
+      for (const required of terms) {
+        const found = await termRowGroups(opened, required)
+        groups = groups ? new Set([...groups].filter(group => found.has(group))) : found
+        if (!groups.size) break
+      }
+      for (const group of groups ?? []) candidates.add(group)
+    }
+    return candidates
+  } catch {
+    return undefined
+  } finally {
+    await opened.handle.close()
+  }
+}
+
+/**
+ * Find the row groups containing a word, reading the postings of only its tokens
+ * @param {OpenIndex} opened
+ * @param {RequiredTerm} required
+ * @returns {Promise<Set<number>>}
+ */
+async function termRowGroups({ handle, index, offsetsStart }, required) {
+  const postingsStart = offsetsStart + 4 * (index.tokens.length + 1)
+  /** @type {Set<number>} */
+  const groups = new Set()
+  for (const [from, to] of tokenRanges(index.tokens, required)) {
+    // Tokens next to each other have their postings next to each other
+    const offsets = await readBytes(handle, offsetsStart + 4 * from, 4 * (to - from + 1))
+    const first = offsets.readUInt32LE(0)
+    const postings = await readBytes(handle, postingsStart + first, offsets.readUInt32LE(4 * (to - from)) - first)
+    for (let i = 0; i < to - from; i++) {
+      decodeRowGroups(postings.subarray(offsets.readUInt32LE(4 * i) - first, offsets.readUInt32LE(4 * i + 4) - first), groups)
+    }
+  }
+  return groups
+}
+
+/**
+ * Find the tokens containing a word. Whole words and words that start a token are found by
+ * binary search, and others are looked for within every token.
+ * @param {string[]} tokens - Sorted
+ * @param {RequiredTerm} required
+ * @returns {[number, number][]} Ranges of indexes of matching tokens, each from its first to past its last
+ */
+function tokenRanges(tokens, { term, start, end }) {
+  if (start) {
+    const from = searchTokens(tokens, token => token < term)
+    if (end) return tokens[from] === term ? [[from, from + 1]] : []
+    // Tokens starting with the word sort right after those before it
+    const to = searchTokens(tokens, token => token < term || token.startsWith(term))
+    return from < to ? [[from, to]] : []
+  }
+  /** @type {[number, number][]} */
+  const ranges = []
+  for (let i = 0; i < tokens.length; i++) {
+    if (!(end ? tokens[i].endsWith(term) : tokens[i].includes(term))) continue
+    const last = ranges[ranges.length - 1]
+    if (last?.[1] === i) last[1]++
+    else ranges.push([i, i + 1])
+  }
+  return ranges
+}
+
+/**
+ * Find the first token of a sorted dictionary that does not pass a test, by binary search
+ * @param {string[]} tokens - Sorted
+ * @param {(token: string) => boolean} before - True for the tokens before the one to find
+ * @returns {number} Index of the token, or the number of tokens if every token passes
+ */
+function searchTokens(tokens, before) {
+  let low = 0
+  let high = tokens.length
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2)
+    if (before(tokens[middle])) low = middle + 1
+    else high = middle
+  }
+  return low
+}
+
+/**
+ * Encode the row groups of a token as varints of the difference from the one before
+ * @param {number[]} groups - Ascending
+ * @returns {Buffer}
+ */
+function encodeRowGroups(groups) {
+  /** @type {number[]} */
+  const bytes = []
+  let previous = 0
+  for (const group of groups) {
+    let delta = group - previous
+    previous = group
+    while (delta > 0x7f) {
+      bytes.push(delta & 0x7f | 0x80)
+      delta >>>= 7
+    }
+    bytes.push(delta)
+  }
+  return Buffer.from(bytes)
+}
+
+/**
+ * Decode the row groups of a token, as encoded by encodeRowGroups
+ * @param {Uint8Array} bytes
+ * @param {Set<number>} groups - Set to add the row groups to
+ */
+function decodeRowGroups(bytes, groups) {
+  let group = 0
+  let delta = 0
+  let shift = 0
+  for (const byte of bytes) {
+    delta |= (byte & 0x7f) << shift
+    if (byte & 0x80) {
+      shift += 7
+    } else {
+      group += delta
+      groups.add(group)
+      delta = 0
+      shift = 0
+    }
+  }
+}
@@ -1,30 +1,30 @@
 import { describe, expect, it } from 'vitest'
-import { parseArgs } from '../bin/args.js'
+import { parseArgs, parseIndexArgs, parseServeArgs } from '../bin/args.js'
 
 describe('parseArgs', () => {
   it('should parse query and file', () => {
     const result = parseArgs(['search-term', 'file.parquet'])
     expect(result.query).toBe('search-term')
-    expect(result.file).toBe('file.parquet')
+    expect(result.files).toEqual(['file.parquet'])
   })
 
   it('should parse query without file', () => {
     const result = parseArgs(['search-term'])
     expect(result.query).toBe('search-term')
-    expect(result.file).toBeUndefined()
+    expect(result.files).toEqual([])
   })
 
   it('should handle -i flag with query and file', () => {
     const result = parseArgs(['-i', 'SEARCH', 'file.parquet'])
     expect(result.query).toBe('SEARCH')
-    expect(result.file).toBe('file.parquet')
+    expect(result.files).toEqual(['file.parquet'])
     expect(result.caseInsensitive).toBe(true)
   })
 
   it('should handle -i flag with query only', () => {
     const result = parseArgs(['-i', 'SEARCH'])
     expect(result.query).toBe('SEARCH')
-    expect(result.file).toBeUndefined()
+    expect(result.files).toEqual([])
     expect(result.caseInsensitive).toBe(true)
   })
 
@@ -61,7 +61,7 @@ describe('parseArgs', () => {
       const result = parseArgs(['-v', 'search-term', 'file.parquet'])
       expect(result.invert).toBe(true)
       expect(result.query).toBe('search-term')
-      expect(result.file).toBe('file.parquet')
+      expect(result.files).toEqual(['file.parquet'])
     })
 
     it('should combine -v and -i flags', () => {
@@ -131,7 +131,7 @@ describe('parseArgs', () => {
       const result = parseArgs(['--offset', '10', 'search-term', 'file.parquet'])
       expect(result.offset).toBe(10)
       expect(result.query).toBe('search-term')
-      expect(result.file).toBe('file.parquet')
+      expect(result.files).toEqual(['file.parquet'])
     })
 
     it('should handle offset of 0 explicitly', () => {
@@ -170,6 +170,81 @@ describe('parseArgs', () => {
     })
   })
 
+  describe('pattern flags (-e / -F / -w / -x)', () => {
+    it('should search for the query argument by default', () => {
+      const result = parseArgs(['search-term', 'file.parquet'])
+      expect(result.patterns).toEqual(['search-term'])
+      expect(result).toMatchObject({ fixedStrings: false, wholeWord: false, wholeCell: false })
+    })
+
+    it('should take every argument as a file with -e', () => {
+      const result = parseArgs(['-e', 'foo', '--regexp', 'bar', 'a.parquet', 'b.parquet'])
+      expect(result.patterns).toEqual(['foo', 'bar'])
+      expect(result.query).toBe('')
+      expect(result.files).toEqual(['a.parquet', 'b.parquet'])
+    })
+
+    it('should use smart case across all patterns', () => {
+      expect(parseArgs(['-e', 'foo', '-e', 'bar']).caseInsensitive).toBe(true)
+      expect(parseArgs(['-e', 'foo', '-e', 'Bar']).caseInsensitive).toBe(false)
+    })
+
+    it('should parse -F, -w and -x', () => {
+      expect(parseArgs(['-F', '-w', '-x', 'a.b'])).toMatchObject({ fixedStrings: true, wholeWord: true, wholeCell: true, patterns: ['a.b'] })
+      expect(parseArgs(['--fixed-strings', '--word-regexp', '--cell-regexp', 'a.b'])).toMatchObject({ fixedStrings: true, wholeWord: true, wholeCell: true })
+    })
+
+    it('should take every argument as a file with --info or --schema', () => {
+      expect(parseArgs(['--info', 'a.parquet', 'data/'])).toMatchObject({ info: true, query: '', files: ['a.parquet', 'data/'] })
+      expect(parseArgs(['--schema']).files).toEqual([])
+      expect(parseArgs(['search-term']).info).toBe(false)
+    })
+
+    it('should parse --rank', () => {
+      expect(parseArgs(['search-term']).rank).toBe(false)
+      expect(parseArgs(['--rank', '--limit', '10', 'search-term'])).toMatchObject({ rank: true, limit: 10 })
+    })
+
+    it('should parse --fuzzy', () => {
+      expect(parseArgs(['search-term']).fuzzy).toBeUndefined()
+      expect(parseArgs(['--fuzzy', '2', 'search-term'])).toMatchObject({ fuzzy: 2, patterns: ['search-term'] })
+    })
+
+    it('should parse --interactive', () => {
+      expect(parseArgs(['search-term']).interactive).toBe(false)
+      expect(parseArgs(['--interactive', '-i', 'search-term', 'data/'])).toMatchObject({ interactive: true, ignoreCase: true, files: ['data/'] })
+    })
+
+    it('should parse --strict-schema', () => {
+      expect(parseArgs(['search-term']).strictSchema).toBe(false)
+      expect(parseArgs(['--strict-schema', 'search-term', 'data/'])).toMatchObject({ strictSchema: true, files: ['data/'] })
+    })
+  })
+
+  describe('context flags (-A / -B / -C)', () => {
+    it('should default to no context', () => {
+      const result = parseArgs(['search-term'])
+      expect(result.before).toBe(0)
+      expect(result.after).toBe(0)
+    })
+
+    it('should parse -A and -B separately', () => {
+      const result = parseArgs(['-A', '2', '--before-context', '1', 'search-term'])
+      expect(result.after).toBe(2)
+      expect(result.before).toBe(1)
+      expect(result.query).toBe('search-term')
+    })
+
+    it('should set both with -C, overridden by later flags', () => {
+      expect(parseArgs(['-C', '3', 'search-term'])).toMatchObject({ before: 3, after: 3 })
+      expect(parseArgs(['--context', '3', '-A', '0', 'search-term'])).toMatchObject({ before: 3, after: 0 })
+    })
+
+    it('should allow context with summary modes, which ignore it', () => {
+      expect(parseArgs(['-C', '1', '-c', '--csv', 'search-term'])).toMatchObject({ before: 1, summary: 'count' })
+    })
+  })
+
   describe('trim flag (--trim)', () => {
     it('should default trim to 60', () => {
       const result = parseArgs(['search-term'])
@@ -195,4 +270,252 @@ describe('parseArgs', () => {
       expect(result.query).toBe('search-term')
     })
   })
+  describe('column flags (--column / --exclude-column / --select)', () => {
+    it('should default to searching all columns', () => {
+      const result = parseArgs(['search-term'])
+      expect(result.columns).toEqual([])
+      expect(result.excludeColumns).toEqual([])
+      expect(result.select).toBeUndefined()
+    })
+
+    it('should collect repeated --column flags', () => {
+      const result = parseArgs(['--column', 'body', '--column', 'user.email', 'search-term', 'file.parquet'])
+      expect(result.columns).toEqual(['body', 'user.email'])
+      expect(result.query).toBe('search-term')
+      expect(result.files).toEqual(['file.parquet'])
+    })
+
+    it('should collect repeated --exclude-column flags', () => {
+      const result = parseArgs(['--exclude-column', 'stack_trace', '--exclude-column', 'host', 'error'])
+      expect(result.excludeColumns).toEqual(['stack_trace', 'host'])
+    })
+
+    it('should split --select on commas', () => {
+      const result = parseArgs(['--select', 'id, created_at', 'search-term'])
+      expect(result.select).toEqual(['id', 'created_at'])
+    })
+
+    it('should combine repeated --select flags', () => {
+      const result = parseArgs(['--select', 'id', '--select', 'user.name', 'search-term'])
+      expect(result.select).toEqual(['id', 'user.name'])
+    })
+  })
+  describe('jobs flags (-j / --jobs / --unordered)', () => {
+    it('should default to one job in order', () => {
+      const result = parseArgs(['search-term'])
+      expect(result.jobs).toBe(1)
+      expect(result.unordered).toBe(false)
+    })
+
+    it('should parse -j flag with value', () => {
+      const result = parseArgs(['-j', '8', 'search-term'])
+      expect(result.jobs).toBe(8)
+      expect(result.query).toBe('search-term')
+    })
+
+    it('should parse --jobs flag with value', () => {
+      const result = parseArgs(['--jobs', '4', 'search-term', 'dir'])
+      expect(result.jobs).toBe(4)
+      expect(result.files).toEqual(['dir'])
+    })
+
+    it('should parse --unordered with --jsonl', () => {
+      const result = parseArgs(['--jsonl', '--unordered', 'search-term'])
+      expect(result.unordered).toBe(true)
+      expect(result.viewMode).toBe('jsonl')
+    })
+
+    it('should parse --matches-only with --jsonl', () => {
+      expect(parseArgs(['search-term']).matchesOnly).toBe(false)
+      expect(parseArgs(['--jsonl', '--matches-only', 'search-term']).matchesOnly).toBe(true)
+    })
+  })
+  describe('parquet output (--output)', () => {
+    it('should parse --output and write without a limit', () => {
+      const result = parseArgs(['--output', 'out.parquet', 'search-term'])
+      expect(result.output).toBe('out.parquet')
+      expect(result.limit).toBe(0)
+    })
+
+    it('should keep an explicit limit', () => {
+      const result = parseArgs(['--output', 'out.parquet', '-m', '100', 'search-term'])
+      expect(result.limit).toBe(100)
+    })
+  })
+  describe('output formats (--csv / --tsv)', () => {
+    it('should default to table output', () => {
+      expect(parseArgs(['search-term']).viewMode).toBe('table')
+    })
+
+    it('should parse --csv and --tsv', () => {
+      expect(parseArgs(['--csv', 'search-term']).viewMode).toBe('csv')
+      expect(parseArgs(['--tsv', 'search-term']).viewMode).toBe('tsv')
+    })
+
+    it('should allow --unordered with --csv', () => {
+      const result = parseArgs(['--csv', '--unordered', 'search-term'])
+      expect(result.unordered).toBe(true)
+    })
+  })
+  describe('summary flags (-c / -l / -L)', () => {
+    it('should not summarize by default', () => {
+      const result = parseArgs(['search-term'])
+      expect(result.summary).toBeUndefined()
+    })
+
+    it('should parse count flags and count without a limit', () => {
+      expect(parseArgs(['-c', 'search-term'])).toMatchObject({ summary: 'count', limit: 0 })
+      expect(parseArgs(['--count', 'search-term']).summary).toBe('count')
+    })
+
+    it('should keep an explicit limit when counting', () => {
+      const result = parseArgs(['-c', '-m', '10', 'search-term'])
+      expect(result.limit).toBe(10)
+    })
+
+    it('should parse file listing flags', () => {
+      expect(parseArgs(['-l', 'search-term']).summary).toBe('files-with-matches')
+      expect(parseArgs(['--files-with-matches', 'search-term']).summary).toBe('files-with-matches')
+      expect(parseArgs(['-L', 'search-term']).summary).toBe('files-without-match')
+      expect(parseArgs(['--files-without-match', 'search-term']).summary).toBe('files-without-match')
+    })
+  })
+  describe('scripting flags (-q / --fail-fast)', () => {
+    it('should default to printing results and keeping going', () => {
+      const result = parseArgs(['search-term'])
+      expect(result.quiet).toBe(false)
+      expect(result.failFast).toBe(false)
+    })
+
+    it('should parse -q and --quiet', () => {
+      expect(parseArgs(['-q', 'search-term']).quiet).toBe(true)
+      expect(parseArgs(['--quiet', 'search-term']).quiet).toBe(true)
+    })
+
+    it('should parse --fail-fast', () => {
+      const result = parseArgs(['--fail-fast', 'search-term', 'dir'])
+      expect(result.failFast).toBe(true)
+      expect(result.files).toEqual(['dir'])
+    })
+  })
+  describe('query expressions (-Q / --expr)', () => {
+    it('should not parse an expression by default', () => {
+      const result = parseArgs(['status:500'])
+      expect(result.filter).toBeUndefined()
+    })
+
+    it('should parse the query as an expression with -Q', () => {
+      const result = parseArgs(['-Q', 'status:500 AND path~api', 'file.parquet'])
+      expect(result.filter?.type).toBe('and')
+      expect(result.query).toBe('status:500 AND path~api')
+      expect(result.files).toEqual(['file.parquet'])
+    })
+
+    it('should combine repeated --where expressions with AND', () => {
+      expect(parseArgs(['search-term']).where).toBeUndefined()
+      expect(parseArgs(['--where', 'dt>=2024-05-01', 'search-term']).where)
+        .toEqual({ type: 'compare', column: 'dt', op: '>=', value: '2024-05-01' })
+      expect(parseArgs(['--where', 'dt>=2024-05-01', '--where', 'region:eu', 'search-term']).where?.type).toBe('and')
+    })
+
+    it('should parse --expr flag', () => {
+      const result = parseArgs(['--expr', 'latency>250'])
+      expect(result.filter).toEqual({ type: 'compare', column: 'latency', op: '>', value: '250' })
+    })
+  })
+  describe('file discovery flags', () => {
+    it('should accept multiple files, directories and globs', () => {
+      const result = parseArgs(['search-term', 'a.parquet', 'dir', 'data/**/*.pq'])
+      expect(result.files).toEqual(['a.parquet', 'dir', 'data/**/*.pq'])
+    })
+
+    it('should default to finding parquet files anywhere except hidden directories', () => {
+      const result = parseArgs(['search-term'])
+      expect(result.include).toEqual([])
+      expect(result.exclude).toEqual([])
+      expect(result.gitignore).toBe(false)
+      expect(result.hidden).toBe(false)
+      expect(result.maxDepth).toBeUndefined()
+      expect(result.followSymlinks).toBe(false)
+      expect(result.extensions).toEqual(['.parquet', '.pq', '.parq'])
+    })
+
+    it('should parse repeated --include and --exclude globs', () => {
+      const result = parseArgs(['--include', '*.pq', '--exclude', 'tmp', '--exclude', 'year=2023/', 'search-term'])
+      expect(result.include).toEqual(['*.pq'])
+      expect(result.exclude).toEqual(['tmp', 'year=2023/'])
+    })
+
+    it('should parse discovery switches', () => {
+      const result = parseArgs(['--gitignore', '--hidden', '--follow-symlinks', '--max-depth', '2', 'search-term'])
+      expect(result.gitignore).toBe(true)
+      expect(result.hidden).toBe(true)
+      expect(result.followSymlinks).toBe(true)
+      expect(result.maxDepth).toBe(2)
+    })
+
+    it('should add extensions with or without a leading dot', () => {
+      const result = parseArgs(['--ext', 'parquet.gz', '--ext', '.pqt', 'search-term'])
+      expect(result.extensions).toEqual(['.parquet', '.pq', '.parq', '.parquet.gz', '.pqt'])
+    })
+  })
+
+  describe('HTTP request flags (--header / --retries / --timeout / --cache-dir)', () => {
+    it('should default to no headers and the library defaults', () => {
+      const result = parseArgs(['search-term'])
+      expect(result.headers).toEqual({})
+      expect(result.retries).toBeUndefined()
+      expect(result.timeout).toBeUndefined()
+    })
+
+    it('should parse repeated headers', () => {
+      const result = parseArgs(['--header', 'Authorization: Bearer abc:def', '--header', 'X-Api-Key:key', 'search-term'])
+      expect(result.headers).toEqual({ Authorization: 'Bearer abc:def', 'X-Api-Key': 'key' })
+    })
+
+    it('should parse retries, and the timeout in seconds', () => {
+      const result = parseArgs(['--retries', '0', '--timeout', '2.5', 'search-term'])
+      expect(result.retries).toBe(0)
+      expect(result.timeout).toBe(2500)
+    })
+
+    it('should parse the cache directory and size in megabytes', () => {
+      const result = parseArgs(['--cache-dir', '/tmp/cache', '--cache-size', '1.5', 'search-term'])
+      expect(result.cacheDir).toBe('/tmp/cache')
+      expect(result.cacheSize).toBe(1572864)
+    })
+
+    it('should read the cache directory from the environment, unless --no-cache', () => {
+      const previous = process.env.PARQUET_GREP_CACHE_DIR
+      process.env.PARQUET_GREP_CACHE_DIR = '/tmp/env-cache'
+      try {
+        expect(parseArgs(['search-term']).cacheDir).toBe('/tmp/env-cache')
+        expect(parseArgs(['--no-cache', 'search-term']).cacheDir).toBeUndefined()
+        expect(parseArgs(['--cache-dir', '/tmp/cache', '--no-cache', 'search-term']).cacheDir).toBeUndefined()
+      } finally {
+        if (previous === undefined) delete process.env.PARQUET_GREP_CACHE_DIR
+        else process.env.PARQUET_GREP_CACHE_DIR = previous
+      }
+    })
+  })
+
+  it('should use token indexes unless --no-index', () => {
+    expect(parseArgs(['search-term']).index).toBe(true)
+    expect(parseArgs(['--no-index', 'search-term']).index).toBe(false)
+  })
+})
+
+describe('parseServeArgs', () => {
+  it('should parse the directory and server options', () => {
+    expect(parseServeArgs(['data/'])).toEqual({ dir: 'data/', port: 8080, host: '127.0.0.1', maxSearches: 4, jobs: 1 })
+    expect(parseServeArgs(['--port', '0', '--host', '0.0.0.0', '--max-searches', '2', '-j', '3', 'data/']))
+      .toEqual({ dir: 'data/', port: 0, host: '0.0.0.0', maxSearches: 2, jobs: 3 })
+  })
+})
+
+describe('parseIndexArgs', () => {
+  it('should parse the directory and jobs', () => {
+    expect(parseIndexArgs(['data/'])).toEqual({ dir: 'data/', jobs: 1 })
+    expect(parseIndexArgs(['-j', '4', 'data/'])).toEqual({ dir: 'data/', jobs: 4 })
+  })
 })
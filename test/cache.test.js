@@ -0,0 +1,201 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest'
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync, utimesSync } from 'node:fs'
+import { createServer } from 'node:http'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { grep } from '../src/index.js'
+import { cachedRanges, openRangeCache } from '../src/cache.js'
+
+/**
+ * @import {AsyncBuffer} from 'hyparquet'
+ * @import {SearchStats} from '../src/search.js'
+ */
+
+const bunnies = readFileSync(join(process.cwd(), 'test/files/bunnies.parquet'))
+const root = mkdtempSync(join(tmpdir(), 'parquet-grep-cache-'))
+let etag = '"v1"'
+
+/** @type {{ method: string, range: string | undefined }[]} */
+let requests = []
+
+// Serves bunnies.parquet with range requests and an ETag
+const server = createServer((req, res) => {
+  requests.push({ method: req.method ?? 'GET', range: req.headers.range })
+  const [, start, end] = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range ?? '') ?? []
+  if (req.method === 'HEAD' || start === undefined) {
+    res.writeHead(200, { 'content-length': bunnies.length, etag })
+    res.end(req.method === 'HEAD' ? undefined : bunnies)
+    return
+  }
+  const body = bunnies.subarray(Number(start), Number(end) + 1)
+  res.writeHead(206, { 'content-length': body.length, etag })
+  res.end(body)
+})
+
+/** @type {string} */
+let url
+
+beforeAll(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)))
+  const address = server.address()
+  if (!address || typeof address === 'string') throw new Error('server has no port')
+  url = `http://127.0.0.1:${address.port}/bunnies.parquet`
+})
+
+beforeEach(() => {
+  requests = []
+  etag = '"v1"'
+})
+
+afterAll(async () => {
+  server.closeAllConnections()
+  await new Promise(resolve => server.close(resolve))
+  rmSync(root, { recursive: true, force: true })
+})
+
+/**
+ * Collect every value of an async iterable
+ * @template T
+ * @param {AsyncIterable<T>} iterable
+ * @returns {Promise<T[]>}
+ */
+async function collect(iterable) {
+  /** @type {T[]} */
+  const values = []
+  for await (const value of iterable) values.push(value)
+  return values
+}
+
+/**
+ * A file of byte values that records the ranges read
+ * @param {[number, number | undefined][]} reads
+ * @returns {AsyncBuffer}
+ */
+function recordingFile(reads) {
+  const bytes = new Uint8Array(100).map((_, i) => i)
+  return {
+    byteLength: bytes.length,
+    slice(start, end) {
+      reads.push([start, end])
+      return bytes.slice(start, end).buffer
+    },
+  }
+}
+
+/**
+ * @returns {SearchStats}
+ */
+function emptyStats() {
+  return {
+    files: 0, skippedByPartition: 0, rowGroups: 0, skippedByStatistics: 0, skippedByDictionary: 0, skippedByIndex: 0, countedByStatistics: 0, countedByDictionary: 0,
+    requests: 0, bytesFetched: 0, bytesFromCache: 0,
+  }
+}
+
+describe('cachedRanges', () => {
+  it('should read ranges from the cache while the version is the same', async () => {
+    const cache = await openRangeCache(join(root, 'versions'))
+    /** @type {[number, number | undefined][]} */
+    const reads = []
+    const stats = { requests: 0, bytesFetched: 0, bytesFromCache: 0 }
+    expect(new Uint8Array(await cachedRanges(recordingFile(reads), cache, 'a v1').slice(10, 20))[0]).toBe(10)
+    expect(new Uint8Array(await cachedRanges(recordingFile(reads), cache, 'a v1', stats).slice(10, 20))[0]).toBe(10)
+    expect(new Uint8Array(await cachedRanges(recordingFile(reads), cache, 'a v1').slice(-10))[0]).toBe(90)
+    expect(reads).toEqual([[10, 20], [90, 100]])
+    expect(stats.bytesFromCache).toBe(10)
+
+    await cachedRanges(recordingFile(reads), cache, 'a v2').slice(10, 20)
+    expect(reads).toEqual([[10, 20], [90, 100], [10, 20]])
+  })
+
+  it('should evict the least recently used ranges beyond the maximum size', async () => {
+    const dir = join(root, 'lru')
+    const cache = await openRangeCache(dir, 25)
+    const file = cachedRanges(recordingFile([]), cache, 'b')
+    await file.slice(0, 10)
+    await file.slice(10, 20)
+    // Tell the ranges apart by their first byte
+    const [first, second] = readdirSync(dir).map(name => ({ name, firstByte: readFileSync(join(dir, name))[0] }))
+      .sort((a, b) => a.firstByte - b.firstByte)
+      .map(({ name }) => name)
+
+    // Reading the first range makes the second the least recently used
+    const past = new Date(Date.now() - 60_000)
+    utimesSync(join(dir, first), past, past)
+    utimesSync(join(dir, second), past, past)
+    await file.slice(0, 10)
+    await file.slice(20, 30)
+    expect(existsSync(join(dir, first))).toBe(true)
+    expect(existsSync(join(dir, second))).toBe(false)
+    expect(readdirSync(dir)).toHaveLength(2)
+    expect(cache.size).toBe(20)
+  })
+
+  it('should evict in batches, below the maximum size', async () => {
+    const dir = join(root, 'batches')
+    const cache = await openRangeCache(dir, 100)
+    for (let start = 0; start < 100; start += 10) {
+      await cachedRanges(recordingFile([]), cache, 'd').slice(start, start + 10)
+    }
+    expect(readdirSync(dir)).toHaveLength(10)
+    // Going over the maximum frees a tenth of the cache, so the next range fits without evicting
+    await cachedRanges(recordingFile([]), cache, 'e').slice(0, 10)
+    expect(cache.size).toBe(90)
+    await cachedRanges(recordingFile([]), cache, 'e').slice(10, 20)
+    expect(cache.size).toBe(100)
+    expect(readdirSync(dir)).toHaveLength(10)
+  })
+
+  it('should count a range once when it is missed twice at the same time', async () => {
+    const dir = join(root, 'concurrent')
+    const cache = await openRangeCache(dir, 100)
+    const file = cachedRanges(recordingFile([]), cache, 'f')
+    await Promise.all([file.slice(0, 10), file.slice(0, 10)])
+    expect(cache.size).toBe(10)
+    expect(readdirSync(dir)).toHaveLength(1)
+  })
+
+  it('should stop counting ranges evicted by another process', async () => {
+    const dir = join(root, 'external')
+    const cache = await openRangeCache(dir, 100)
+    const file = cachedRanges(recordingFile([]), cache, 'g')
+    await file.slice(0, 10)
+    for (const name of readdirSync(dir)) rmSync(join(dir, name))
+    expect(new Uint8Array(await file.slice(0, 10))[0]).toBe(0)
+    expect(cache.size).toBe(10)
+    expect(cache.sizes.size).toBe(1)
+  })
+
+  it('should not cache ranges larger than the cache', async () => {
+    const dir = join(root, 'small')
+    const cache = await openRangeCache(dir, 5)
+    await cachedRanges(recordingFile([]), cache, 'c').slice(0, 10)
+    expect(readdirSync(dir)).toEqual([])
+  })
+})
+
+describe('grep with cacheDir', () => {
+  it('should only validate the version of a cached file', async () => {
+    const cacheDir = join(root, 'grep')
+    const first = emptyStats()
+    const expected = await collect(grep({ files: url, query: 'lop', cacheDir, stats: first }))
+    expect(first.bytesFromCache).toBe(0)
+
+    requests = []
+    const second = emptyStats()
+    const matches = await collect(grep({ files: url, query: 'lop', cacheDir, stats: second }))
+    expect(matches.map(match => match.row)).toEqual(expected.map(match => match.row))
+    expect(requests).toEqual([{ method: 'HEAD', range: undefined }])
+    expect(second.bytesFetched).toBe(0)
+    expect(second.bytesFromCache).toBe(first.bytesFetched)
+  })
+
+  it('should fetch again when the file changes', async () => {
+    const cacheDir = join(root, 'changed')
+    await collect(grep({ files: url, query: 'lop', cacheDir }))
+    etag = '"v2"'
+    requests = []
+    await collect(grep({ files: url, query: 'lop', cacheDir }))
+    expect(requests.filter(request => request.method === 'GET').length).toBeGreaterThan(0)
+  })
+})
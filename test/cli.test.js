@@ -1,6 +1,13 @@
-import { describe, expect, it } from 'vitest'
-import { execSync } from 'node:child_process'
+import { afterAll, beforeAll, describe, expect, it } from 'vitest'
+import { spawnSync } from 'node:child_process'
+import { copyFileSync, existsSync, mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
 import { join } from 'node:path'
+import { asyncBufferFromFile, parquetMetadataAsync, parquetReadObjects } from 'hyparquet'
+
+/**
+ * @import {FileMetaData} from 'hyparquet'
+ */
 
 const CLI_PATH = join(process.cwd(), 'bin/parquet-grep.js')
 const TEST_FILE = join(process.cwd(), 'test/files/bunnies.parquet')
@@ -9,22 +16,15 @@ const TEST_DIR = join(process.cwd(), 'test/files')
 /**
  * @param {string} args
  * @param {{ cwd?: string }} [options]
- * @returns {{stdout: string, stderr?: string, exitCode: number}}
+ * @returns {{stdout: string, stderr: string, exitCode: number | null}}
  */
 function runCLI(args, options = {}) {
-  try {
-    const result = execSync(`node ${CLI_PATH} ${args}`, {
-      encoding: 'utf8',
-      cwd: options.cwd || process.cwd(),
-    })
-    return { stdout: result, exitCode: 0 }
-  } catch (/** @type {any} */ error) {
-    return {
-      stdout: error.stdout || '',
-      stderr: error.stderr || '',
-      exitCode: error.status,
-    }
-  }
+  const result = spawnSync(`node ${CLI_PATH} ${args}`, {
+    encoding: 'utf8',
+    cwd: options.cwd || process.cwd(),
+    shell: true,
+  })
+  return { stdout: result.stdout, stderr: result.stderr, exitCode: result.status }
 }
 
 describe('CLI integration tests', () => {
@@ -87,6 +87,31 @@ describe('CLI integration tests', () => {
     })
   })
 
+  describe('file discovery', () => {
+    it('should search several files and directories', () => {
+      const { stdout } = runCLI(`-l . ${TEST_FILE} ${join(TEST_DIR, 'subdir')}`)
+      expect(stdout.trim().split('\n')).toEqual([TEST_FILE, join(TEST_DIR, 'subdir/tacos.parquet')])
+    })
+
+    it('should expand quoted globs', () => {
+      const { stdout } = runCLI('-l . "**/t*.parquet"', { cwd: TEST_DIR })
+      expect(stdout.trim()).toBe('subdir/tacos.parquet')
+    })
+
+    it('should skip excluded directories', () => {
+      const { stdout } = runCLI('-l --exclude subdir .', { cwd: TEST_DIR })
+      expect(stdout).not.toContain('tacos.parquet')
+      expect(stdout).toContain('bunnies.parquet')
+    })
+
+    it('should report missing paths and keep searching', () => {
+      const { stdout, stderr, exitCode } = runCLI(`-l Holland missing.parquet ${TEST_FILE}`)
+      expect(stdout.trim()).toBe(TEST_FILE)
+      expect(stderr).toContain('Error reading missing.parquet')
+      expect(exitCode).toBe(2)
+    })
+  })
+
   describe('regex patterns', () => {
     it('should support basic regex patterns', () => {
       const { stdout } = runCLI(`--jsonl "Hol+and" ${TEST_FILE}`)
@@ -121,7 +146,7 @@ describe('CLI integration tests', () => {
     it('should handle invalid regex gracefully', () => {
       const { stderr, exitCode } = runCLI(`--jsonl "[unclosed" ${TEST_FILE}`)
       expect(stderr).toContain('Invalid regex pattern')
-      expect(exitCode).toBe(1)
+      expect(exitCode).toBe(2)
     })
   })
 
@@ -190,13 +215,13 @@ describe('CLI integration tests', () => {
     it('should reject negative limit', () => {
       const { stderr, exitCode } = runCLI(`-m -1 "test" ${TEST_FILE}`)
       expect(stderr).toContain('limit must be a non-negative integer')
-      expect(exitCode).toBe(1)
+      expect(exitCode).toBe(2)
     })
 
     it('should reject non-numeric limit', () => {
       const { stderr, exitCode } = runCLI(`-m abc "test" ${TEST_FILE}`)
       expect(stderr).toContain('limit must be a non-negative integer')
-      expect(exitCode).toBe(1)
+      expect(exitCode).toBe(2)
     })
   })
 
@@ -276,14 +301,267 @@ describe('CLI integration tests', () => {
     it('should reject negative offset', () => {
       const { stderr, exitCode } = runCLI(`--offset -1 "test" ${TEST_FILE}`)
       expect(stderr).toContain('offset must be a non-negative integer')
-      expect(exitCode).toBe(1)
+      expect(exitCode).toBe(2)
     })
 
     it('should reject non-numeric offset', () => {
       const { stderr, exitCode } = runCLI(`--offset abc "test" ${TEST_FILE}`)
       expect(stderr).toContain('offset must be a non-negative integer')
+      expect(exitCode).toBe(2)
+    })
+  })
+
+  describe('ranked results (--rank)', () => {
+    it('should show the best matches across files, with their scores', () => {
+      const { stdout, exitCode } = runCLI(`--jsonl --rank --limit 2 "us" ${TEST_DIR}`)
+      expect(exitCode).toBe(0)
+      const lines = stdout.trim().split('\n')
+      expect(lines.at(-1)).toBe('...')
+      const matches = lines.slice(0, -1).map(line => JSON.parse(line))
+      expect(matches.map(match => [match.filename.split('/').at(-1), match.rowOffset])).toEqual([['events.parquet', 0], ['bunnies.parquet', 7]])
+      expect(matches[0].score).toBeGreaterThan(matches[1].score)
+    })
+
+    it('should apply --offset across files', () => {
+      const all = runCLI(`--jsonl --rank --limit 0 "us" ${TEST_DIR}`).stdout.trim().split('\n')
+      const page = runCLI(`--jsonl --rank --offset 1 --limit 2 "us" ${TEST_DIR}`).stdout.trim().split('\n')
+      expect(page).toEqual([...all.slice(1, 3), '...'])
+    })
+
+    it('should reject --rank with -v', () => {
+      const { stderr, exitCode } = runCLI(`--rank -v lop ${TEST_FILE}`)
+      expect(stderr).toContain('--rank cannot be combined with -v')
+      expect(exitCode).toBe(2)
+    })
+  })
+
+  describe('file information (--info / --schema)', () => {
+    it('should describe each file in a directory', () => {
+      const { stdout, exitCode } = runCLI(`--info ${TEST_DIR}`)
+      expect(exitCode).toBe(0)
+      expect(stdout).toContain(`## ${join(TEST_DIR, 'events.parquet')}`)
+      expect(stdout).toContain('- Rows: 8')
+      expect(stdout).toContain('  - email: BYTE_ARRAY STRING, OPTIONAL')
+      expect(stdout).toContain('| 2 | 2 |')
+      expect(stdout).toContain('| status | INT32 | SNAPPY | PLAIN |')
+      expect(stdout).toContain('### Key/value metadata')
+    })
+
+    it('should print one JSON object per file with --jsonl', () => {
+      const { stdout } = runCLI(`--schema --jsonl ${TEST_DIR}`)
+      const infos = stdout.trim().split('\n').map(line => JSON.parse(line))
+      expect(infos.map(info => info.numRows)).toEqual([21, 8, 5])
+      expect(infos[1].columns.find((/** @type {any} */ column) => column.column === 'amount').max).toBe('1999.95')
+    })
+
+    it('should reject --info with a search mode', () => {
+      const { stderr, exitCode } = runCLI(`--info -c ${TEST_FILE}`)
+      expect(stderr).toContain('--info cannot be combined with')
+      expect(exitCode).toBe(2)
+    })
+  })
+
+  describe('interactive mode (--interactive)', () => {
+    it('should require a terminal', () => {
+      const { stderr, exitCode } = runCLI(`--interactive lop ${TEST_FILE}`)
+      expect(stderr).toContain('--interactive requires a terminal')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should reject output modes other than the terminal UI', () => {
+      expect(runCLI(`--interactive -c lop ${TEST_FILE}`).stderr).toContain('--interactive cannot be combined with')
+      expect(runCLI(`--interactive --jsonl lop ${TEST_FILE}`).stderr).toContain('--interactive requires table output')
+    })
+  })
+
+  describe('search server (serve)', () => {
+    it('should require one directory', () => {
+      const { stderr, exitCode } = runCLI('serve')
+      expect(stderr).toContain('serve requires one directory')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should reject a directory that cannot be read', () => {
+      const { stderr, exitCode } = runCLI('serve --port 0 /nonexistent/dir')
+      expect(stderr).toContain('Error reading /nonexistent/dir')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should reject invalid ports and search limits', () => {
+      expect(runCLI(`serve --port 70000 ${TEST_DIR}`).stderr).toContain('port must be an integer from 0 to 65535')
+      expect(runCLI(`serve --max-searches 0 ${TEST_DIR}`).stderr).toContain('max-searches must be a positive integer')
+    })
+  })
+
+  describe('token index (index / --no-index)', () => {
+    /** @type {string} */
+    let indexDir
+
+    beforeAll(() => {
+      indexDir = mkdtempSync(join(tmpdir(), 'parquet-grep-index-'))
+      copyFileSync(join(process.cwd(), 'test/files/events.parquet'), join(indexDir, 'events.parquet'))
+    })
+
+    afterAll(() => {
+      rmSync(indexDir, { recursive: true, force: true })
+    })
+
+    it('should require one directory', () => {
+      const { stderr, exitCode } = runCLI('index')
+      expect(stderr).toContain('index requires one directory')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should index files once, until they change', () => {
+      const first = runCLI(`index ${indexDir}`)
+      expect(first.stderr).toContain(`Indexed 1 of 1 files in ${indexDir} (0 already up to date)`)
+      expect(first.exitCode).toBe(0)
+      expect(existsSync(join(indexDir, '.parquet-grep-index/events.parquet.tokens'))).toBe(true)
+      expect(runCLI(`index ${indexDir}`).stderr).toContain('Indexed 0 of 1 files')
+    })
+
+    it('should skip row groups by the index, unless --no-index', () => {
+      runCLI(`index ${indexDir}`)
+      const indexed = runCLI(`--jsonl --stats "card declined" ${indexDir}`)
+      expect(JSON.parse(indexed.stdout).rowOffset).toBe(4)
+      expect(indexed.stderr).toContain('Row groups: 2 of 3 skipped (0 by statistics, 0 by dictionary, 2 by index)')
+      const unindexed = runCLI(`--jsonl --stats --no-index "card declined" ${indexDir}`)
+      expect(JSON.parse(unindexed.stdout).rowOffset).toBe(4)
+      expect(unindexed.stderr).toContain('Row groups: 0 of 3 skipped (0 by statistics, 0 by dictionary)')
+    })
+  })
+
+  describe('context rows (-A / -B / -C)', () => {
+    const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+
+    it('should mark context rows in JSONL output', () => {
+      const { stdout, exitCode } = runCLI(`--jsonl -B 2 -A 1 --column region ap ${EVENTS_FILE}`)
+      const rows = stdout.trim().split('\n').map(line => JSON.parse(line))
+      expect(rows.map(({ rowOffset, context }) => ({ rowOffset, context }))).toEqual([
+        { rowOffset: 4, context: true },
+        { rowOffset: 5, context: true },
+        { rowOffset: 6, context: undefined },
+        { rowOffset: 7, context: true },
+      ])
+      expect(exitCode).toBe(0)
+    })
+
+    it('should leave matches skipped by --offset out of the context', () => {
+      const { stdout } = runCLI(`--jsonl -C 3 --offset 1 --column region us ${EVENTS_FILE}`)
+      const rows = stdout.trim().split('\n').map(line => JSON.parse(line))
+      expect(rows.map(({ rowOffset, context }) => ({ rowOffset, context }))).toEqual([
+        { rowOffset: 1, context: true },
+        { rowOffset: 2, context: undefined },
+        { rowOffset: 3, context: true },
+        { rowOffset: 4, context: true },
+        { rowOffset: 5, context: true },
+        { rowOffset: 6, context: true },
+        { rowOffset: 7, context: undefined },
+      ])
+    })
+
+    it('should mark context rows in the table', () => {
+      const { stdout } = runCLI(`-C 1 --column region ap ${EVENTS_FILE}`)
+      expect(stdout).toContain('| 5 (context) | eu |')
+      expect(stdout).toContain('| 6 | ap |')
+      expect(stdout).toContain('| 7 (context) | us |')
+    })
+
+    it('should exit 1 when only context could be shown', () => {
+      const { stdout, exitCode } = runCLI(`-C 3 --column region nothing ${EVENTS_FILE}`)
+      expect(stdout).toBe('')
+      expect(exitCode).toBe(1)
+    })
+
+    it('should reject invalid context', () => {
+      const { stderr, exitCode } = runCLI(`-C -1 "test" ${TEST_FILE}`)
+      expect(stderr).toContain('context must be a non-negative integer')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should reject context with output that cannot mark it', () => {
+      const { stderr, exitCode } = runCLI(`-A 1 --csv "test" ${TEST_FILE}`)
+      expect(stderr).toContain('-A, -B and -C require table or JSONL output')
+      expect(exitCode).toBe(2)
+    })
+  })
+
+  describe('pattern modes (-e / -f / -F / -w / -x)', () => {
+    /** @type {string} */
+    let patternDir
+
+    beforeAll(() => {
+      patternDir = mkdtempSync(join(tmpdir(), 'parquet-grep-patterns-'))
+    })
+
+    afterAll(() => {
+      rmSync(patternDir, { recursive: true, force: true })
+    })
+
+    /**
+     * @param {string} stdout
+     * @returns {number[]}
+     */
+    function rowOffsets(stdout) {
+      return stdout.trim().split('\n').filter(Boolean).map(line => JSON.parse(line).rowOffset)
+    }
+
+    it('should match fixed strings literally', () => {
+      const { stdout, exitCode } = runCLI(`--jsonl -F --column "Breed Name" "(Lop" ${TEST_FILE}`)
+      expect(stdout).toBe('')
+      expect(exitCode).toBe(1)
+      expect(runCLI(`--jsonl -F --limit 0 --column "Breed Name" " Lop" ${TEST_FILE}`).exitCode).toBe(0)
+    })
+
+    it('should match any of several patterns given with -e', () => {
+      const { stdout } = runCLI(`--jsonl --limit 0 --column "Breed Name" -e Holland -e Flemish ${TEST_FILE}`)
+      expect(rowOffsets(stdout)).toEqual([0, 2])
+    })
+
+    it('should read patterns from a file with -f', () => {
+      const patternsFile = join(patternDir, 'patterns.txt')
+      writeFileSync(patternsFile, 'Holland\r\nFlemish\n')
+      const { stdout } = runCLI(`--jsonl --limit 0 -F --column "Breed Name" -f ${patternsFile} ${TEST_FILE}`)
+      expect(rowOffsets(stdout)).toEqual([0, 2])
+    })
+
+    it('should match nothing with an empty patterns file', () => {
+      const patternsFile = join(patternDir, 'empty.txt')
+      writeFileSync(patternsFile, '')
+      const { stdout, exitCode } = runCLI(`--jsonl -f ${patternsFile} ${TEST_FILE}`)
+      expect(stdout).toBe('')
       expect(exitCode).toBe(1)
     })
+
+    it('should report a patterns file that cannot be read', () => {
+      const { stderr, exitCode } = runCLI(`-f ${join(patternDir, 'missing.txt')} ${TEST_FILE}`)
+      expect(stderr).toContain('cannot read patterns from')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should match whole words with -w and whole cells with -x', () => {
+      expect(rowOffsets(runCLI(`--jsonl --limit 0 -w --column "Breed Name" lop ${TEST_FILE}`).stdout)).toEqual([0, 3, 5, 7])
+      expect(rowOffsets(runCLI(`--jsonl --limit 0 -x --column "Breed Name" "mini lop" ${TEST_FILE}`).stdout)).toEqual([5])
+    })
+
+    it('should match within --fuzzy edits and report the distance', () => {
+      const { stdout, exitCode } = runCLI(`--jsonl --fuzzy 1 --column "Breed Name" "netherlnd" ${TEST_FILE}`)
+      expect(exitCode).toBe(0)
+      const [match] = stdout.trim().split('\n').map(line => JSON.parse(line))
+      expect(match).toMatchObject({ rowOffset: 1, distance: 1 })
+    })
+
+    it('should reject a negative --fuzzy', () => {
+      const { stderr, exitCode } = runCLI(`--fuzzy -1 lop ${TEST_FILE}`)
+      expect(stderr).toContain('fuzzy must be a non-negative integer')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should reject -Q with pattern modes', () => {
+      const { stderr, exitCode } = runCLI(`-Q -F "a:1" ${TEST_FILE}`)
+      expect(stderr).toContain('-Q cannot be combined with -e, -f, -F, -w, -x or --fuzzy')
+      expect(exitCode).toBe(2)
+    })
   })
 
   describe('help and error handling', () => {
@@ -323,4 +601,563 @@ describe('CLI integration tests', () => {
       expect(stdout).toContain('Skip')
     })
   })
+  describe('column selection (--column / --exclude-column / --select)', () => {
+    const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+
+    it('should only search the given column', () => {
+      const { stdout } = runCLI(`--jsonl -m 0 --column message error ${EVENTS_FILE}`)
+      const rows = stdout.trim().split('\n').map(line => JSON.parse(line))
+      expect(rows.map(row => row.rowOffset)).toEqual([1, 4])
+      expect(rows[0].value).toEqual({ message: 'error: database timeout' })
+    })
+
+    it('should search nested struct fields with dotted paths', () => {
+      const { stdout } = runCLI(`--jsonl --column user.email example.org ${EVENTS_FILE}`)
+      const rows = stdout.trim().split('\n').map(line => JSON.parse(line))
+      expect(rows).toHaveLength(1)
+      expect(rows[0].value).toEqual({ 'user.email': 'carol@example.org' })
+    })
+
+    it('should not match text in other columns', () => {
+      const { stdout } = runCLI(`--jsonl --column path error ${EVENTS_FILE}`)
+      expect(stdout).toBe('')
+    })
+
+    it('should skip excluded columns', () => {
+      const { stdout } = runCLI(`--jsonl --exclude-column message error ${EVENTS_FILE}`)
+      expect(stdout).toBe('')
+    })
+
+    it('should output selected columns instead of searched columns', () => {
+      const { stdout } = runCLI(`--jsonl --column message --select id,user.name declined ${EVENTS_FILE}`)
+      const match = JSON.parse(stdout)
+      expect(match.rowOffset).toBe(4)
+      expect(match.value).toEqual({ id: 5, 'user.name': 'erin' })
+    })
+
+    it('should use selected columns as the table header', () => {
+      const { stdout } = runCLI(`--select "Breed Name,Lifespan" holland ${TEST_FILE}`)
+      expect(stdout).toContain('| Row | Breed Name | Lifespan |')
+    })
+  })
+  describe('row group skipping (--stats)', () => {
+    const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+
+    it('should skip row groups ruled out by statistics', () => {
+      const { stdout, stderr } = runCLI(`--stats --column user.name -m 0 ^Erin ${EVENTS_FILE}`)
+      expect(stdout).toBe('')
+      expect(stderr).toContain('Row groups: 3 of 3 skipped (3 by statistics, 0 by dictionary)')
+    })
+
+    it('should skip row groups ruled out by dictionary pages', () => {
+      const { stdout, stderr } = runCLI(`--jsonl --stats --column region -m 0 ap ${EVENTS_FILE}`)
+      expect(JSON.parse(stdout).rowOffset).toBe(6)
+      expect(stderr).toContain('Row groups: 2 of 3 skipped (0 by statistics, 2 by dictionary)')
+    })
+
+    it('should not skip row groups for inverted matches', () => {
+      const { stdout, stderr } = runCLI(`--jsonl --stats --column region -m 0 -v ap ${EVENTS_FILE}`)
+      expect(stdout.trim().split('\n')).toHaveLength(7)
+      expect(stderr).toContain('Row groups: 0 of 3 skipped')
+    })
+
+    it('should not report stats by default', () => {
+      const { stderr } = runCLI(`--column region ap ${EVENTS_FILE}`)
+      expect(stderr).toBe('')
+    })
+  })
+  describe('concurrent search (-j / --jobs)', () => {
+    it('should output the same results in the same order as a sequential search', () => {
+      const { stdout: sequential } = runCLI('--jsonl -m 0 o', { cwd: TEST_DIR })
+      const { stdout: concurrent } = runCLI('--jsonl -m 0 -j 4 o', { cwd: TEST_DIR })
+      expect(concurrent).toBe(sequential)
+    })
+
+    it('should keep table output grouped by file', () => {
+      const { stdout: sequential } = runCLI('-m 2 o', { cwd: TEST_DIR })
+      const { stdout: concurrent } = runCLI('--jobs 3 -m 2 o', { cwd: TEST_DIR })
+      expect(concurrent).toBe(sequential)
+    })
+
+    it('should stream all matches with --unordered', () => {
+      const { stdout: sequential } = runCLI('--jsonl -m 0 o', { cwd: TEST_DIR })
+      const { stdout: unordered } = runCLI('--jsonl --unordered -m 0 -j 4 o', { cwd: TEST_DIR })
+      expect(unordered.trim().split('\n').sort()).toEqual(sequential.trim().split('\n').sort())
+    })
+
+    it('should reject --unordered without --jsonl', () => {
+      const { stderr, exitCode } = runCLI('--unordered o', { cwd: TEST_DIR })
+      expect(stderr).toContain('--unordered requires --jsonl')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should reject a job count of zero', () => {
+      const { stderr, exitCode } = runCLI('-j 0 o', { cwd: TEST_DIR })
+      expect(stderr).toContain('jobs must be a positive integer')
+      expect(exitCode).toBe(2)
+    })
+  })
+  describe('summary modes (-c / -l / -L)', () => {
+    const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+
+    it('should count matching rows in a single file', () => {
+      const { stdout } = runCLI(`-c error ${EVENTS_FILE}`)
+      expect(stdout).toBe('2\n')
+    })
+
+    it('should count non-matching rows with -v', () => {
+      const { stdout } = runCLI(`-c -v error ${EVENTS_FILE}`)
+      expect(stdout).toBe('6\n')
+    })
+
+    it('should prefix counts with filenames when searching several files', () => {
+      const { stdout } = runCLI('-c lop', { cwd: TEST_DIR })
+      const lines = stdout.trim().split('\n')
+      expect(lines).toContain(`${join(TEST_DIR, 'bunnies.parquet')}:8`)
+      expect(lines).toContain(`${join(TEST_DIR, 'events.parquet')}:0`)
+    })
+
+    it('should count row groups from metadata where every row matches', () => {
+      const { stdout, stderr } = runCLI(`--stats -c --column region eu ${EVENTS_FILE}`)
+      expect(stdout).toBe('4\n')
+      expect(stderr).toContain('Row groups: 1 of 3 skipped')
+      expect(stderr).toContain('Row groups: 1 of 3 counted without decoding')
+    })
+
+    it('should output counts as JSONL', () => {
+      const { stdout } = runCLI(`-c --jsonl -Q status:500 ${EVENTS_FILE}`)
+      expect(JSON.parse(stdout)).toEqual({ filename: EVENTS_FILE, count: 2 })
+    })
+
+    it('should list files with matches', () => {
+      const { stdout } = runCLI('-l lop', { cwd: TEST_DIR })
+      expect(stdout).toBe(`${join(TEST_DIR, 'bunnies.parquet')}\n`)
+    })
+
+    it('should list files without matches', () => {
+      const { stdout } = runCLI('-L lop', { cwd: TEST_DIR })
+      expect(stdout.trim().split('\n')).not.toContain(join(TEST_DIR, 'bunnies.parquet'))
+      expect(stdout.trim().split('\n')).toContain(join(TEST_DIR, 'events.parquet'))
+    })
+  })
+  describe('query expressions (-Q / --expr)', () => {
+    const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+
+    /**
+     * @param {string} stdout
+     * @returns {number[]}
+     */
+    function rowOffsets(stdout) {
+      return stdout.trim().split('\n').filter(Boolean).map(line => JSON.parse(line).rowOffset)
+    }
+
+    it('should combine column predicates', () => {
+      const { stdout } = runCLI(`--jsonl -m 0 -Q "status:500 AND path~/api/ AND NOT user_agent~curl" ${EVENTS_FILE}`)
+      expect(rowOffsets(stdout)).toEqual([4])
+    })
+
+    it('should compare numbers', () => {
+      const { stdout } = runCLI(`--jsonl -m 0 -Q "latency>250" ${EVENTS_FILE}`)
+      expect(rowOffsets(stdout)).toEqual([1, 4, 7])
+    })
+
+    it('should compare date ranges', () => {
+      const { stdout } = runCLI(`--jsonl -m 0 -Q "ts>=2024-02-01 AND ts<2024-03-01" ${EVENTS_FILE}`)
+      expect(rowOffsets(stdout)).toEqual([4, 5])
+    })
+
+    it('should filter on nested fields', () => {
+      const { stdout } = runCLI(`--jsonl -m 0 -Q "region:eu AND (user.name~^e OR user.email:null)" ${EVENTS_FILE}`)
+      expect(rowOffsets(stdout)).toEqual([3, 4])
+    })
+
+    it('should read filter columns that are not output', () => {
+      const { stdout } = runCLI(`--jsonl --select id -Q "status:404" ${EVENTS_FILE}`)
+      expect(JSON.parse(stdout).value).toEqual({ id: 3 })
+    })
+
+    it('should support quoted column names', () => {
+      const { stdout } = runCLI(`--jsonl -m 0 -Q '"Breed Name"~lop AND Lifespan>=9' ${TEST_FILE}`)
+      expect(rowOffsets(stdout)).toEqual([5])
+    })
+
+    it('should reject invalid expressions', () => {
+      const { stderr, exitCode } = runCLI(`-Q "(status:500" ${EVENTS_FILE}`)
+      expect(stderr).toContain('Invalid query expression')
+      expect(exitCode).toBe(2)
+    })
+  })
+
+  describe('type-aware matching', () => {
+    const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+
+    /**
+     * @param {string} stdout
+     * @returns {number[]}
+     */
+    function rowOffsets(stdout) {
+      return stdout.trim().split('\n').filter(Boolean).map(line => JSON.parse(line).rowOffset)
+    }
+
+    it('should match and output timestamps as ISO-8601', () => {
+      const { stdout } = runCLI(`--jsonl --select id,ts "^2024-01-03T10:05" ${EVENTS_FILE}`)
+      expect(JSON.parse(stdout).value).toEqual({ id: 2, ts: '2024-01-03T10:05:00.000Z' })
+    })
+
+    it('should match decimals by their exact text', () => {
+      const { stdout } = runCLI(`--jsonl --select id,amount "^19\\.99$" ${EVENTS_FILE}`)
+      expect(JSON.parse(stdout).value).toEqual({ id: 1, amount: '19.99' })
+    })
+
+    it('should keep the trailing zeros of decimals', () => {
+      const { stdout } = runCLI(`--jsonl --select id,amount "^120\\.50$" ${EVENTS_FILE}`)
+      expect(JSON.parse(stdout).value).toEqual({ id: 4, amount: '120.50' })
+    })
+
+    it('should match and output binary as hex', () => {
+      const { stdout } = runCLI(`--jsonl --select id,trace deadbeef03 ${EVENTS_FILE}`)
+      expect(JSON.parse(stdout).value).toEqual({ id: 3, trace: 'deadbeef03' })
+    })
+
+    it('should search inside structs and lists', () => {
+      const { stdout } = runCLI(`--jsonl -m 0 --column user --column tags "example\\.org|mobile" ${EVENTS_FILE}`)
+      expect(rowOffsets(stdout)).toEqual([2, 3])
+    })
+
+    it('should skip excluded nested fields', () => {
+      const { stdout } = runCLI(`--jsonl -m 0 --exclude-column user.email example ${EVENTS_FILE}`)
+      expect(stdout).toBe('')
+    })
+
+    it('should display the same text in table cells', () => {
+      const { stdout } = runCLI(`--select ts,trace deadbeef01 ${EVENTS_FILE}`)
+      expect(stdout).toContain('| 0 | 2024-01-03T10:00:00.000Z | deadbeef01 |')
+    })
+  })
+
+  describe('matched spans (--matches-only)', () => {
+    const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+
+    it('should output the spans of each match instead of the row', () => {
+      const { stdout, exitCode } = runCLI(`--jsonl --matches-only --column user --column tags bet ${EVENTS_FILE}`)
+      expect(JSON.parse(stdout)).toEqual({
+        filename: EVENTS_FILE,
+        rowOffset: 0,
+        spans: [{ column: 'tags[1]', start: 0, end: 3, text: 'bet' }],
+      })
+      expect(exitCode).toBe(0)
+    })
+
+    it('should leave out context rows', () => {
+      const { stdout } = runCLI(`--jsonl --matches-only -C 2 --column region ap ${EVENTS_FILE}`)
+      expect(stdout.trim().split('\n').map(line => JSON.parse(line).rowOffset)).toEqual([6])
+    })
+
+    it('should require --jsonl', () => {
+      const { stderr, exitCode } = runCLI(`--matches-only bet ${EVENTS_FILE}`)
+      expect(stderr).toContain('--matches-only requires --jsonl')
+      expect(exitCode).toBe(2)
+    })
+  })
+
+  describe('delimited output (--csv / --tsv)', () => {
+    const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+
+    it('should write a header from the schema with flattened struct fields', () => {
+      const { stdout } = runCLI(`--csv -m 1 error ${EVENTS_FILE}`)
+      const [header] = stdout.split('\r\n')
+      expect(header).toBe('filename,rowOffset,id,ts,status,path,user.name,user.email,tags,user_agent,latency,message,region,amount,trace')
+    })
+
+    it('should quote fields as in RFC 4180', () => {
+      const { stdout } = runCLI(`--csv --select id,tags,message "database" ${EVENTS_FILE}`)
+      expect(stdout).toBe(`filename,rowOffset,id,tags,message\r\n${EVENTS_FILE},1,2,"[""web""]",error: database timeout\r\n`)
+    })
+
+    it('should leave null cells empty', () => {
+      const { stdout } = runCLI(`--csv --select id,user.email,tags "^dave$" ${EVENTS_FILE}`)
+      expect(stdout.split('\r\n')[1]).toBe(`${EVENTS_FILE},3,4,,"[""mobile""]"`)
+    })
+
+    it('should write TSV with one header across files', () => {
+      const { stdout } = runCLI('--tsv --select id -m 0 "^1$"', { cwd: TEST_DIR })
+      const lines = stdout.trim().split('\n')
+      expect(lines[0]).toBe('filename\trowOffset\tid')
+      expect(lines.filter(line => line.startsWith('filename'))).toHaveLength(1)
+    })
+
+    it('should write the header even without matches', () => {
+      const csv = runCLI(`--csv --select id,message nomatchxyz ${EVENTS_FILE}`)
+      expect(csv.stdout).toBe('filename,rowOffset,id,message\r\n')
+      expect(csv.exitCode).toBe(1)
+      const tsv = runCLI(`--tsv nomatchxyz ${EVENTS_FILE}`)
+      expect(tsv.stdout).toBe('filename\trowOffset\tid\tts\tstatus\tpath\tuser.name\tuser.email\ttags\tuser_agent\tlatency\tmessage\tregion\tamount\ttrace\n')
+    })
+
+    it('should not write the limit marker', () => {
+      const { stdout } = runCLI(`--csv -m 1 error ${EVENTS_FILE}`)
+      expect(stdout).not.toContain('...')
+    })
+  })
+  describe('schema differences (--strict-schema)', () => {
+    const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+    const TACOS_FILE = join(process.cwd(), 'test/files/subdir/tacos.parquet')
+
+    it('should write the columns of every file in the CSV header, leaving missing cells empty', () => {
+      const { stdout, exitCode } = runCLI(`--csv -m 1 --select id,name a ${TACOS_FILE} ${EVENTS_FILE}`)
+      expect(exitCode).toBe(0)
+      expect(stdout).toBe(`filename,rowOffset,name,id\r\n${TACOS_FILE},0,Carne Asada,\r\n${EVENTS_FILE},0,,1\r\n`)
+    })
+
+    it('should mark columns a file lacks in tables', () => {
+      const { stdout } = runCLI(`-m 1 --select id,name a ${EVENTS_FILE} ${TACOS_FILE}`)
+      expect(stdout).toContain('| 0 | 1 | (missing) |')
+      expect(stdout).toContain('| 0 | (missing) | Carne Asada |')
+    })
+
+    it('should search only the columns each file has', () => {
+      const { stdout, exitCode } = runCLI(`-l --column name taco ${EVENTS_FILE} ${TACOS_FILE}`)
+      expect(exitCode).toBe(0)
+      expect(stdout.trim()).toBe(TACOS_FILE)
+    })
+
+    it('should reject a column that no file has', () => {
+      const { stderr, exitCode } = runCLI(`--select nope a ${EVENTS_FILE} ${TACOS_FILE}`)
+      expect(stderr).toContain('column not found: nope')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should refuse files with different schemas, listing the differences', () => {
+      const { stdout, stderr, exitCode } = runCLI(`--strict-schema --select id,name a ${EVENTS_FILE} ${TACOS_FILE}`)
+      expect(exitCode).toBe(2)
+      expect(stdout).toBe('')
+      expect(stderr).toContain('files have different schemas')
+      expect(stderr).toContain(`${TACOS_FILE}: has column name (BYTE_ARRAY STRING), unlike the first file`)
+      expect(stderr).toContain(`${TACOS_FILE}: has no column id`)
+    })
+
+    it('should search files with the same schema', () => {
+      const { exitCode } = runCLI(`--strict-schema -c error ${EVENTS_FILE} ${EVENTS_FILE}`)
+      expect(exitCode).toBe(0)
+    })
+  })
+
+  describe('parquet output (--output)', () => {
+    const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+    /** @type {string} */
+    let outputDir
+
+    beforeAll(() => {
+      outputDir = mkdtempSync(join(tmpdir(), 'parquet-grep-'))
+    })
+
+    afterAll(() => {
+      rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    /**
+     * @param {string} filename
+     * @returns {Promise<{ metadata: FileMetaData, rows: Record<string, any>[] }>}
+     */
+    async function readOutput(filename) {
+      const file = await asyncBufferFromFile(filename)
+      const metadata = await parquetMetadataAsync(file)
+      const rows = await parquetReadObjects({ file, metadata })
+      return { metadata, rows }
+    }
+
+    it('should write all matching rows with the source schema and codec', async () => {
+      const output = join(outputDir, 'errors.parquet')
+      const { stderr, exitCode } = runCLI(`--output ${output} error ${EVENTS_FILE}`)
+      expect(exitCode).toBe(0)
+      expect(stderr).toContain('Wrote 2 rows')
+
+      const source = await readOutput(EVENTS_FILE)
+      const { metadata, rows } = await readOutput(output)
+      expect(metadata.schema).toEqual(source.metadata.schema)
+      expect(metadata.row_groups[0].columns[0].meta_data?.codec).toBe(source.metadata.row_groups[0].columns[0].meta_data?.codec)
+      expect(rows).toEqual([source.rows[1], source.rows[4]])
+    })
+
+    it('should write only selected columns', async () => {
+      const output = join(outputDir, 'selected.parquet')
+      runCLI(`--output ${output} --select id,user.email,ts -m 0 example ${EVENTS_FILE}`)
+      const { metadata, rows } = await readOutput(output)
+      expect(metadata.schema.map(element => element.name)).toEqual(['root', 'id', 'user.email', 'ts'])
+      expect(metadata.schema[3].converted_type).toBe('TIMESTAMP_MILLIS')
+      expect(rows[0]).toEqual({ id: 1, 'user.email': 'alice@example.com', ts: new Date('2024-01-03T10:00:00.000Z') })
+    })
+
+    it('should not write a file when nothing matches', () => {
+      const output = join(outputDir, 'empty.parquet')
+      const { exitCode } = runCLI(`--output ${output} nomatchxyz ${EVENTS_FILE}`)
+      expect(exitCode).toBe(1)
+      expect(existsSync(output)).toBe(false)
+    })
+
+    it('should reject files with different schemas', () => {
+      const output = join(outputDir, 'mixed.parquet')
+      const { stderr, exitCode } = runCLI(`--output ${output} -m 0 o`, { cwd: TEST_DIR })
+      expect(stderr).toContain('different schemas')
+      expect(exitCode).toBe(2)
+    })
+  })
+  describe('Hive partitions (--where)', () => {
+    /** @type {string} */
+    let tableDir
+
+    beforeAll(() => {
+      tableDir = mkdtempSync(join(tmpdir(), 'parquet-grep-table-'))
+      for (const partition of ['dt=2024-04-30/region=eu', 'dt=2024-05-01/region=eu', 'dt=2024-05-01/region=us']) {
+        mkdirSync(join(tableDir, partition), { recursive: true })
+        copyFileSync(TEST_FILE, join(tableDir, partition, 'part-0.parquet'))
+      }
+    })
+
+    afterAll(() => {
+      rmSync(tableDir, { recursive: true, force: true })
+    })
+
+    it('should show partition columns in the output', () => {
+      const { stdout } = runCLI(`--jsonl -m 1 Holland ${join(tableDir, 'dt=2024-05-01/region=us')}`)
+      expect(JSON.parse(stdout).value).toMatchObject({ 'Breed Name': 'Holland Lop', dt: '2024-05-01', region: 'us' })
+    })
+
+    it('should search partition columns', () => {
+      const { stdout } = runCLI(`-c --column region us ${tableDir}`)
+      expect(stdout.trim().split('\n').map(line => line.slice(tableDir.length + 1))).toEqual([
+        'dt=2024-04-30/region=eu/part-0.parquet:0',
+        'dt=2024-05-01/region=eu/part-0.parquet:0',
+        'dt=2024-05-01/region=us/part-0.parquet:21',
+      ])
+    })
+
+    it('should prune partitions ruled out by --where without opening them', () => {
+      const { stdout, stderr } = runCLI(`-l --stats --where "dt>=2024-05-01" --where "NOT region:us" Holland ${tableDir}`)
+      expect(stdout.trim()).toBe(join(tableDir, 'dt=2024-05-01/region=eu/part-0.parquet'))
+      expect(stderr).toContain('Files: 2 of 3 skipped by partition values')
+    })
+
+    it('should apply --where to file columns, even when inverted', () => {
+      const { stdout } = runCLI(`--jsonl -m 0 -v --where "Breed Name~^Holland" Lop ${join(tableDir, 'dt=2024-05-01/region=us')}`)
+      expect(stdout).toBe('')
+      const { stdout: matches } = runCLI(`-c --where '"Ear Type":Lop' Holland ${join(tableDir, 'dt=2024-05-01/region=us')}`)
+      expect(matches.trim()).toBe('1')
+    })
+
+    it('should filter partitions in query expressions', () => {
+      const { stdout } = runCLI(`-Q -l --stats "region:us AND Lop" ${tableDir}`)
+      expect(stdout.trim()).toBe(join(tableDir, 'dt=2024-05-01/region=us/part-0.parquet'))
+    })
+
+    it('should reject invalid --where expressions', () => {
+      const { stderr, exitCode } = runCLI(`--where "(dt:2024" lop ${tableDir}`)
+      expect(stderr).toContain('Error: Invalid --where expression')
+      expect(exitCode).toBe(2)
+    })
+  })
+
+  describe('HTTP request flags (--header / --retries / --timeout / --cache-size)', () => {
+    it('should reject headers without a name and value', () => {
+      const { stderr, exitCode } = runCLI(`--header "Bearer abc" lop ${TEST_FILE}`)
+      expect(stderr).toContain('header must be in the form "Name: value"')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should reject invalid retries and timeouts', () => {
+      expect(runCLI(`--retries -1 lop ${TEST_FILE}`).stderr).toContain('retries must be a non-negative integer')
+      const { stderr, exitCode } = runCLI(`--timeout soon lop ${TEST_FILE}`)
+      expect(stderr).toContain('timeout must be a non-negative number of seconds')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should reject invalid cache sizes', () => {
+      const { stderr, exitCode } = runCLI(`--cache-size 0 lop ${TEST_FILE}`)
+      expect(stderr).toContain('cache-size must be a positive number of megabytes')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should not report bytes fetched for local files', () => {
+      const { stderr } = runCLI(`--stats lop ${TEST_FILE}`)
+      expect(stderr).toContain('Row groups:')
+      expect(stderr).not.toContain('Fetched:')
+    })
+  })
+
+  describe('exit codes (-q / --fail-fast)', () => {
+    const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+    /** @type {string} */
+    let brokenDir
+
+    beforeAll(() => {
+      // An unreadable file sorted between two good ones
+      brokenDir = mkdtempSync(join(tmpdir(), 'parquet-grep-'))
+      copyFileSync(EVENTS_FILE, join(brokenDir, 'a.parquet'))
+      writeFileSync(join(brokenDir, 'b.parquet'), 'not parquet')
+      copyFileSync(TEST_FILE, join(brokenDir, 'c.parquet'))
+    })
+
+    afterAll(() => {
+      rmSync(brokenDir, { recursive: true, force: true })
+    })
+
+    it('should exit 0 when a row matches', () => {
+      const { exitCode } = runCLI(`error ${EVENTS_FILE}`)
+      expect(exitCode).toBe(0)
+    })
+
+    it('should exit 1 when no row matches', () => {
+      const { stdout, exitCode } = runCLI(`--jsonl nomatchxyz ${EVENTS_FILE}`)
+      expect(stdout).toBe('')
+      expect(exitCode).toBe(1)
+    })
+
+    it('should exit 2 for an unknown column', () => {
+      const { stderr, exitCode } = runCLI(`--column nope error ${EVENTS_FILE}`)
+      expect(stderr).toContain('column not found: nope')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should keep going past unreadable files, then exit 2', () => {
+      const { stdout, stderr, exitCode } = runCLI(`-l lop ${brokenDir}`)
+      expect(stdout).toBe(`${join(brokenDir, 'c.parquet')}\n`)
+      expect(stderr).toContain(`Error reading ${join(brokenDir, 'b.parquet')}`)
+      expect(exitCode).toBe(2)
+    })
+
+    it('should stop at the first unreadable file with --fail-fast', () => {
+      const { stdout, exitCode } = runCLI(`--fail-fast -l lop ${brokenDir}`)
+      expect(stdout).toBe('')
+      expect(exitCode).toBe(2)
+    })
+
+    it('should print nothing with -q', () => {
+      const { stdout, exitCode } = runCLI(`-q error ${EVENTS_FILE}`)
+      expect(stdout).toBe('')
+      expect(exitCode).toBe(0)
+    })
+
+    it('should exit 0 with -q when a match is found despite errors', () => {
+      const { exitCode } = runCLI(`-q lop ${brokenDir}`)
+      expect(exitCode).toBe(0)
+    })
+
+    it('should stop at the first match with -q, without reading the footers of later files', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'parquet-grep-'))
+      try {
+        copyFileSync(TEST_FILE, join(dir, 'a.parquet'))
+        writeFileSync(join(dir, 'b.parquet'), 'not parquet')
+        const { stderr, exitCode } = runCLI(`-q lop ${dir}`)
+        expect(stderr).toBe('')
+        expect(exitCode).toBe(0)
+      } finally {
+        rmSync(dir, { recursive: true, force: true })
+      }
+    })
+
+    it('should exit 2 with -q when nothing matches and errors occurred', () => {
+      const { exitCode } = runCLI(`-q nomatchxyz ${brokenDir}`)
+      expect(exitCode).toBe(2)
+    })
+  })
 })
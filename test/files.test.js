@@ -0,0 +1,129 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest'
+import { mkdirSync, mkdtempSync, rmSync, symlinkSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join, relative } from 'node:path'
+import { expandFiles, findParquetFiles } from '../src/files.js'
+
+/**
+ * @import {FindOptions} from '../src/files.js'
+ */
+
+describe('file discovery', () => {
+  /** @type {string} */
+  let root
+
+  beforeAll(() => {
+    root = mkdtempSync(join(tmpdir(), 'parquet-grep-files-'))
+    for (const file of [
+      'a.parquet',
+      'b.pq',
+      'c.parq',
+      'notes.txt',
+      'data/year=2023/part-0.parquet',
+      'data/year=2024/part-0.parquet',
+      'data/year=2024/part-1.parquet',
+      'data/tmp/scratch.parquet',
+      '.hidden/d.parquet',
+      'node_modules/pkg/e.parquet',
+    ]) {
+      mkdirSync(join(root, file, '..'), { recursive: true })
+      writeFileSync(join(root, file), '')
+    }
+    writeFileSync(join(root, 'data/.gitignore'), '# scratch files\ntmp/\n')
+    symlinkSync(join(root, 'data'), join(root, 'link'))
+    symlinkSync(root, join(root, 'data/loop'))
+  })
+
+  afterAll(() => {
+    rmSync(root, { recursive: true, force: true })
+  })
+
+  /**
+   * Find files under the temp directory, relative to it
+   * @param {string[]} paths - Relative to the temp directory
+   * @param {FindOptions} [options]
+   * @returns {Promise<string[]>}
+   */
+  async function find(paths, options = {}) {
+    const files = await expandFiles(paths.map(path => join(root, path)), options)
+    return files.map(file => relative(root, file))
+  }
+
+  it('should find files with parquet extensions, skipping hidden directories, node_modules and symlinks', async () => {
+    expect(await find(['.'])).toEqual([
+      'a.parquet',
+      'b.pq',
+      'c.parq',
+      'data/tmp/scratch.parquet',
+      'data/year=2023/part-0.parquet',
+      'data/year=2024/part-0.parquet',
+      'data/year=2024/part-1.parquet',
+    ])
+  })
+
+  it('should search hidden directories and node_modules when not excluded by default', async () => {
+    const files = await find(['.'], { defaultExclude: false })
+    expect(files).toContain('.hidden/d.parquet')
+    expect(files).toContain('node_modules/pkg/e.parquet')
+  })
+
+  it('should filter by include and exclude globs', async () => {
+    expect(await find(['.'], { include: ['*.pq', '*.parq'] })).toEqual(['b.pq', 'c.parq'])
+    expect(await find(['data'], { exclude: ['year=2023', 'tmp/'] })).toEqual([
+      'data/year=2024/part-0.parquet',
+      'data/year=2024/part-1.parquet',
+    ])
+    expect(await find(['data'], { include: ['year=2024/*'] })).toEqual([
+      'data/year=2024/part-0.parquet',
+      'data/year=2024/part-1.parquet',
+    ])
+  })
+
+  it('should skip paths listed in ignore files when asked', async () => {
+    const files = await find(['data'], { ignoreFiles: true })
+    expect(files).not.toContain('data/tmp/scratch.parquet')
+    expect(files).toHaveLength(3)
+  })
+
+  it('should limit the directory depth', async () => {
+    expect(await find(['.'], { maxDepth: 1 })).toEqual(['a.parquet', 'b.pq', 'c.parq'])
+    expect(await find(['data'], { maxDepth: 1 })).toEqual([])
+    expect(await find(['.'], { maxDepth: 0 })).toEqual([])
+  })
+
+  it('should expand globs', async () => {
+    expect(await find(['data/**/year=2024/*.parquet'])).toEqual([
+      'data/year=2024/part-0.parquet',
+      'data/year=2024/part-1.parquet',
+    ])
+    expect(await find(['data/year=*/part-0.parquet'])).toEqual([
+      'data/year=2023/part-0.parquet',
+      'data/year=2024/part-0.parquet',
+    ])
+  })
+
+  it('should follow symlinks and report loops', async () => {
+    /** @type {string[]} */
+    const errors = []
+    const files = await find(['.'], {
+      followSymlinks: true,
+      onError: (path, error) => errors.push(`${relative(root, path)}: ${error.message}`),
+    })
+    expect(files).toContain('link/year=2024/part-1.parquet')
+    expect(errors).toEqual(['data/loop: symbolic link loop', 'link/loop: symbolic link loop'])
+  })
+
+  it('should report missing paths', async () => {
+    await expect(find(['missing.parquet'])).rejects.toThrow('ENOENT')
+    /** @type {string[]} */
+    const errors = []
+    const files = await find(['missing.parquet', 'a.parquet'], { onError: path => errors.push(relative(root, path)) })
+    expect(files).toEqual(['a.parquet'])
+    expect(errors).toEqual(['missing.parquet'])
+  })
+
+  it('should add extra extensions', async () => {
+    writeFileSync(join(root, 'f.pqt'), '')
+    expect(await findParquetFiles(root, { extensions: ['.pqt'], maxDepth: 1 })).toEqual([join(root, 'f.pqt')])
+  })
+})
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest'
+import { globToRegExp, hasGlobMagic } from '../src/glob.js'
+
+describe('hasGlobMagic', () => {
+  it('should detect glob syntax', () => {
+    expect(hasGlobMagic('data/*.parquet')).toBe(true)
+    expect(hasGlobMagic('data/file?.parquet')).toBe(true)
+    expect(hasGlobMagic('data/[ab].parquet')).toBe(true)
+    expect(hasGlobMagic('data/{a,b}.parquet')).toBe(true)
+    expect(hasGlobMagic('data/year=2024/file.parquet')).toBe(false)
+  })
+})
+
+describe('globToRegExp', () => {
+  it('should match * within a path segment', () => {
+    const regex = globToRegExp('*.parquet')
+    expect(regex.test('file.parquet')).toBe(true)
+    expect(regex.test('dir/file.parquet')).toBe(false)
+    expect(regex.test('file.parquet.bak')).toBe(false)
+  })
+
+  it('should match ** across directories', () => {
+    const regex = globToRegExp('**/year=2024/*.parquet')
+    expect(regex.test('year=2024/a.parquet')).toBe(true)
+    expect(regex.test('data/x/year=2024/a.parquet')).toBe(true)
+    expect(regex.test('data/year=2023/a.parquet')).toBe(false)
+    expect(globToRegExp('logs/**').test('logs/2024/01/a.parquet')).toBe(true)
+  })
+
+  it('should match ? and character sets', () => {
+    expect(globToRegExp('part-?.pq').test('part-1.pq')).toBe(true)
+    expect(globToRegExp('part-?.pq').test('part-10.pq')).toBe(false)
+    expect(globToRegExp('part-[0-4].pq').test('part-3.pq')).toBe(true)
+    expect(globToRegExp('part-[!0-4].pq').test('part-3.pq')).toBe(false)
+  })
+
+  it('should match brace alternatives', () => {
+    const regex = globToRegExp('*.{parquet,pq}')
+    expect(regex.test('a.parquet')).toBe(true)
+    expect(regex.test('a.pq')).toBe(true)
+    expect(regex.test('a.parq')).toBe(false)
+  })
+
+  it('should treat regex characters and escapes literally', () => {
+    expect(globToRegExp('a+b (1).parquet').test('a+b (1).parquet')).toBe(true)
+    expect(globToRegExp('\\*.parquet').test('*.parquet')).toBe(true)
+    expect(globToRegExp('\\*.parquet').test('a.parquet')).toBe(false)
+  })
+})
@@ -0,0 +1,339 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest'
+import { parquetWriteBuffer } from 'hyparquet-writer'
+import { copyFileSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { compilePatterns, globalRegex, grep, grepCount, grepRanked, grepSchema, updateIndex } from '../src/index.js'
+
+/**
+ * @import {SearchMatch, SearchStats} from '../src/search.js'
+ * @import {FileCount} from '../src/index.js'
+ */
+
+const TEST_FILE = join(process.cwd(), 'test/files/bunnies.parquet')
+const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+const TACOS_FILE = join(process.cwd(), 'test/files/subdir/tacos.parquet')
+const TEST_DIR = join(process.cwd(), 'test/files')
+
+/**
+ * Collect every value of an async iterable
+ * @template T
+ * @param {AsyncIterable<T>} iterable
+ * @returns {Promise<T[]>}
+ */
+async function collect(iterable) {
+  /** @type {T[]} */
+  const values = []
+  for await (const value of iterable) values.push(value)
+  return values
+}
+
+describe('grep', () => {
+  it('should yield matches with file, row group and matched columns', async () => {
+    /** @type {SearchMatch[]} */
+    const matches = await collect(grep({ files: TEST_FILE, query: 'lop', limit: 2 }))
+    expect(matches.map(({ file, rowGroup, rowOffset, matchedColumns }) => ({ file, rowGroup, rowOffset, matchedColumns }))).toEqual([
+      { file: TEST_FILE, rowGroup: 0, rowOffset: 0, matchedColumns: ['Breed Name', 'Ear Type'] },
+      { file: TEST_FILE, rowGroup: 0, rowOffset: 2, matchedColumns: ['Ear Type'] },
+    ])
+    expect(matches[0].row).toMatchObject({ 'Breed Name': 'Holland Lop' })
+  })
+
+  it('should report the row group of each match', async () => {
+    const matches = await collect(grep({ files: EVENTS_FILE, query: 'ap', columns: ['region'] }))
+    expect(matches.map(({ rowGroup, rowOffset }) => ({ rowGroup, rowOffset }))).toEqual([{ rowGroup: 2, rowOffset: 6 }])
+  })
+
+  it('should use smart case for string queries', async () => {
+    expect(await collect(grep({ files: TEST_FILE, query: 'HOLLAND' }))).toHaveLength(0)
+    expect(await collect(grep({ files: TEST_FILE, query: 'HOLLAND', ignoreCase: true }))).not.toHaveLength(0)
+  })
+
+  it('should apply offset and limit per file', async () => {
+    const all = await collect(grep({ files: TEST_FILE, query: 'lop' }))
+    const page = await collect(grep({ files: TEST_FILE, query: 'lop', offset: 2, limit: 3 }))
+    expect(page.map(match => match.rowOffset)).toEqual(all.slice(2, 5).map(match => match.rowOffset))
+  })
+
+  it('should report files with more matches than the limit', async () => {
+    /** @type {string[]} */
+    const limited = []
+    await collect(grep({ files: TEST_FILE, query: 'lop', limit: 1, onLimit: file => limited.push(file) }))
+    expect(limited).toEqual([TEST_FILE])
+  })
+
+  it('should yield context rows around matches, across row groups', async () => {
+    // Regions by row: us, eu, us | eu, eu, eu | ap, us
+    const matches = await collect(grep({ files: EVENTS_FILE, query: 'us', columns: ['region'], after: 2 }))
+    expect(matches.map(({ rowGroup, rowOffset, context }) => ({ rowGroup, rowOffset, context }))).toEqual([
+      { rowGroup: 0, rowOffset: 0, context: false },
+      { rowGroup: 0, rowOffset: 1, context: true },
+      { rowGroup: 0, rowOffset: 2, context: false },
+      { rowGroup: 1, rowOffset: 3, context: true },
+      { rowGroup: 1, rowOffset: 4, context: true },
+      { rowGroup: 2, rowOffset: 7, context: false },
+    ])
+    expect(matches[1].matchedColumns).toEqual([])
+  })
+
+  it('should read context rows before a match from skipped row groups', async () => {
+    const matches = await collect(grep({ files: EVENTS_FILE, query: 'ap', columns: ['region'], before: 4 }))
+    expect(matches.map(({ rowGroup, rowOffset, context }) => ({ rowGroup, rowOffset, context }))).toEqual([
+      { rowGroup: 0, rowOffset: 2, context: true },
+      { rowGroup: 1, rowOffset: 3, context: true },
+      { rowGroup: 1, rowOffset: 4, context: true },
+      { rowGroup: 1, rowOffset: 5, context: true },
+      { rowGroup: 2, rowOffset: 6, context: false },
+    ])
+    expect(matches[0].row).toEqual({ region: 'us' })
+  })
+
+  it('should show each row once, leaving out matches skipped by the offset, even as context', async () => {
+    const matches = await collect(grep({ files: EVENTS_FILE, query: 'us', columns: ['region'], offset: 1, limit: 1, before: 2, after: 2 }))
+    expect(matches.map(({ rowOffset, context }) => ({ rowOffset, context }))).toEqual([
+      { rowOffset: 1, context: true },
+      { rowOffset: 2, context: false },
+      { rowOffset: 3, context: true },
+      { rowOffset: 4, context: true },
+    ])
+  })
+
+  it('should report the spans of every match, in nested structs and lists', async () => {
+    const [match] = await collect(grep({ files: EVENTS_FILE, query: 'a', columns: ['user', 'tags', 'path'], limit: 1 }))
+    expect(match.spans).toEqual([
+      { column: 'user.name', start: 0, end: 1, text: 'a' },
+      { column: 'user.email', start: 0, end: 1, text: 'a' },
+      { column: 'user.email', start: 8, end: 9, text: 'a' },
+      { column: 'tags[1]', start: 3, end: 4, text: 'a' },
+      { column: 'path', start: 1, end: 2, text: 'a' },
+    ])
+  })
+
+  it('should only report spans in the columns of true predicates for query expressions', async () => {
+    const [match] = await collect(grep({ files: EVENTS_FILE, filter: 'region~us OR message~x', limit: 1 }))
+    expect(match.spans).toEqual([{ column: 'region', start: 0, end: 2, text: 'us' }])
+  })
+
+  it('should not report spans for inverted matches', async () => {
+    const [match] = await collect(grep({ files: TEST_FILE, query: 'lop', invert: true, limit: 1 }))
+    expect(match.spans).toEqual([])
+  })
+
+  it('should search for any of several fixed strings', async () => {
+    const matches = await collect(grep({ files: TEST_FILE, query: ['holland lop', 'MINI LOP'], fixedStrings: true, ignoreCase: true, columns: ['Breed Name'] }))
+    expect(matches.map(match => match.rowOffset)).toEqual([0, 5])
+    expect(matches[1].spans).toEqual([{ column: 'Breed Name', start: 0, end: 8, text: 'Mini Lop' }])
+  })
+
+  it('should match whole words and whole cells', async () => {
+    const words = await collect(grep({ files: TEST_FILE, query: 'lop', wholeWord: true, columns: ['Breed Name'] }))
+    expect(words.map(match => match.rowOffset)).toEqual([0, 3, 5, 7])
+    const cells = await collect(grep({ files: TEST_FILE, query: 'lop', wholeCell: true, columns: ['Breed Name'] }))
+    expect(cells).toEqual([])
+  })
+
+  it('should match within a number of edits, with the distance of each match', async () => {
+    const matches = await collect(grep({ files: TEST_FILE, query: 'angroa', fuzzy: 2, columns: ['Breed Name'] }))
+    expect(matches.map(match => match.rowOffset)).toEqual([11, 13, 17])
+    expect(matches.map(match => match.distance)).toEqual([2, 2, 2])
+    expect(matches[0].spans).toEqual([{ column: 'Breed Name', start: 7, end: 13, text: 'Angora', distance: 2 }])
+    const exact = await collect(grep({ files: TEST_FILE, query: 'mini rex', fuzzy: 1, columns: ['Breed Name'] }))
+    expect(exact.map(match => [match.rowOffset, match.distance])).toEqual([[12, 0]])
+    const [plain] = await collect(grep({ files: TEST_FILE, query: 'lop', columns: ['Breed Name'], limit: 1 }))
+    expect(plain.distance).toBeUndefined()
+  })
+
+  it('should keep the fuzzy search of a compiled global regex', async () => {
+    const regex = compilePatterns(['angroa'], { fuzzy: 2, ignoreCase: true })
+    const matches = await collect(grep({ files: TEST_FILE, query: globalRegex(regex), columns: ['Breed Name'] }))
+    expect(matches.map(match => match.rowOffset)).toEqual([11, 13, 17])
+    // Query highlighting keeps the fuzzy search too
+    const [filtered] = await collect(grep({ files: TEST_FILE, filter: { type: 'regex', regex }, columns: ['Breed Name'], limit: 1 }))
+    expect(filtered.spans).toEqual([{ column: 'Breed Name', start: 7, end: 13, text: 'Angora', distance: 2 }])
+  })
+
+  it('should search directories recursively', async () => {
+    const matches = await collect(grep({ files: TEST_DIR, query: /./, limit: 1 }))
+    expect(matches.map(match => match.file).sort()).toEqual([
+      join(TEST_DIR, 'bunnies.parquet'),
+      join(TEST_DIR, 'events.parquet'),
+      join(TEST_DIR, 'subdir/tacos.parquet'),
+    ])
+  })
+
+  it('should list the columns of true predicates for query expressions', async () => {
+    const matches = await collect(grep({ files: TEST_FILE, filter: 'lop AND "Breed Name"~Holland AND NOT Lifespan:null' }))
+    expect(matches.map(match => match.matchedColumns)).toEqual([['Breed Name', 'Ear Type']])
+  })
+
+  it('should not list matched columns for inverted matches', async () => {
+    const [match] = await collect(grep({ files: TEST_FILE, query: 'lop', invert: true, limit: 1 }))
+    expect(match.matchedColumns).toEqual([])
+  })
+
+  it('should throw errors unless handled by onError', async () => {
+    await expect(collect(grep({ files: TEST_FILE, query: 'lop', columns: ['missing'] }))).rejects.toThrow('column not found: missing')
+
+    /** @type {string[]} */
+    const failed = []
+    const matches = await collect(grep({ files: TEST_FILE, query: 'lop', columns: ['missing'], onError: file => failed.push(file) }))
+    expect(matches).toEqual([])
+    expect(failed).toEqual([TEST_FILE])
+  })
+
+  it('should reject when the signal is aborted', async () => {
+    const controller = new AbortController()
+    controller.abort(new Error('cancelled'))
+    await expect(collect(grep({ files: TEST_FILE, query: 'lop', signal: controller.signal }))).rejects.toThrow('cancelled')
+  })
+
+  it('should stop searching when aborted during iteration', async () => {
+    const controller = new AbortController()
+    const matches = grep({ files: EVENTS_FILE, query: /./, signal: controller.signal, onError: () => {} })
+    await matches.next()
+    controller.abort(new Error('cancelled'))
+    await expect(matches.next()).rejects.toThrow('cancelled')
+  })
+
+  it('should report the codec of every column chunk, or mixed if they differ', async () => {
+    const [match] = await collect(grep({ files: EVENTS_FILE, query: 'error', limit: 1 }))
+    expect(match.codec).toBe('SNAPPY')
+
+    const dir = mkdtempSync(join(tmpdir(), 'parquet-grep-codec-'))
+    try {
+      const file = join(dir, 'mixed.parquet')
+      writeFileSync(file, new Uint8Array(parquetWriteBuffer({
+        columnData: [
+          { name: 'id', data: [1, 2], type: 'INT32' },
+          { name: 'name', data: ['alice', 'bob'], type: 'STRING', codec: 'UNCOMPRESSED' },
+        ],
+      })))
+      const [mixed] = await collect(grep({ files: file, query: 'bob' }))
+      expect(mixed.codec).toBe('mixed')
+    } finally {
+      rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('grepRanked', () => {
+  it('should yield the best matches across files, keeping file and row order on ties', async () => {
+    const matches = await collect(grepRanked({ files: TEST_DIR, query: 'us', limit: 4 }))
+    expect(matches.map(match => [match.file, match.rowOffset])).toEqual([
+      [EVENTS_FILE, 0],
+      [TEST_FILE, 7],
+      [TEST_FILE, 10],
+      [TEST_FILE, 14],
+    ])
+    expect(matches[0].matchedColumns).toEqual(['path', 'region'])
+    expect(matches[0].score).toBeGreaterThan(matches[1].score)
+  })
+
+  it('should apply offset and limit to the ranked matches, reporting files past the limit', async () => {
+    /** @type {string[]} */
+    const limited = []
+    const options = { files: TEST_FILE, query: ['lop', 'an'], columns: ['Breed Name'] }
+    const all = await collect(grepRanked(options))
+    const page = await collect(grepRanked({ ...options, offset: 1, limit: 2, onLimit: file => limited.push(file) }))
+    expect(all[0].row).toEqual({ 'Breed Name': 'Holland Lop' })
+    expect(page).toEqual(all.slice(1, 3))
+    expect(limited).toContain(TEST_FILE)
+  })
+})
+
+describe('grepSchema', () => {
+  it('should unify the output columns of files with different schemas', async () => {
+    const { columns, differences, schemas } = await grepSchema({ files: [EVENTS_FILE, TACOS_FILE], query: '', select: ['id', 'name', 'user.email'] })
+    expect(columns.map(column => [column.name, column.type, column.files])).toEqual([
+      ['id', 'INT32', [EVENTS_FILE]],
+      ['user.email', 'BYTE_ARRAY STRING', [EVENTS_FILE]],
+      ['name', 'BYTE_ARRAY STRING', [TACOS_FILE]],
+    ])
+    expect(differences).toContainEqual({ file: TACOS_FILE, column: 'id', kind: 'missing' })
+    expect(differences).toContainEqual({ file: TACOS_FILE, column: 'name', kind: 'added', type: 'BYTE_ARRAY STRING' })
+    expect(schemas.map(schema => schema.missingColumns)).toEqual([['name'], ['id', 'user.email']])
+  })
+
+  it('should reject a column that no file has', async () => {
+    await expect(grepSchema({ files: [EVENTS_FILE, TACOS_FILE], query: '', columns: ['nope'] })).rejects.toThrow('column not found: nope')
+  })
+})
+
+describe('grep with allowMissingColumns', () => {
+  it('should search each file without the columns it lacks', async () => {
+    const options = { files: [EVENTS_FILE, TACOS_FILE], query: 'a', columns: ['name', 'path'], limit: 1 }
+    await expect(collect(grep(options))).rejects.toThrow('column not found')
+    const matches = await collect(grep({ ...options, allowMissingColumns: true }))
+    expect(matches.map(match => [match.file, match.row])).toEqual([
+      [EVENTS_FILE, { path: '/api/users' }],
+      [TACOS_FILE, { name: 'Carne Asada' }],
+    ])
+  })
+})
+
+describe('grep with a token index', () => {
+  /** @type {string} */
+  let dir
+  /** @type {string} */
+  let file
+
+  beforeAll(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'parquet-grep-index-'))
+    file = join(dir, 'events.parquet')
+    copyFileSync(EVENTS_FILE, file)
+    await updateIndex(file)
+  })
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  /**
+   * @returns {SearchStats}
+   */
+  function emptyStats() {
+    return {
+      files: 0, skippedByPartition: 0, rowGroups: 0, skippedByStatistics: 0, skippedByDictionary: 0, skippedByIndex: 0, countedByStatistics: 0, countedByDictionary: 0,
+      requests: 0, bytesFetched: 0, bytesFromCache: 0,
+    }
+  }
+
+  it('should skip the row groups the index rules out, finding the same matches', async () => {
+    const stats = emptyStats()
+    const matches = await collect(grep({ files: file, query: 'error: card', stats }))
+    expect(matches.map(match => match.rowOffset)).toEqual([4])
+    expect(stats.skippedByIndex).toBe(2)
+
+    const unindexed = emptyStats()
+    const all = await collect(grep({ files: file, query: 'error: card', stats: unindexed, index: false }))
+    expect(all.map(match => match.rowOffset)).toEqual([4])
+    expect(unindexed.skippedByIndex).toBe(0)
+  })
+
+  it('should read every row group for patterns without a required word', async () => {
+    const stats = emptyStats()
+    const matches = await collect(grep({ files: file, query: '^\\d{3}$', columns: ['status'], stats }))
+    expect(matches).toHaveLength(8)
+    expect(stats.skippedByIndex).toBe(0)
+  })
+
+  it('should count inverted matches in the row groups the index rules out', async () => {
+    const stats = emptyStats()
+    const counts = await collect(grepCount({ files: file, query: 'timeout', invert: true, stats }))
+    expect(counts).toEqual([{ file, count: 7 }])
+    expect(stats.skippedByIndex).toBe(2)
+  })
+})
+
+describe('grepCount', () => {
+  it('should count matching rows per file, in order', async () => {
+    /** @type {FileCount[]} */
+    const counts = await collect(grepCount({ files: [TEST_FILE, EVENTS_FILE], query: 'lop', jobs: 2 }))
+    expect(counts).toEqual([{ file: TEST_FILE, count: 8 }, { file: EVENTS_FILE, count: 0 }])
+  })
+
+  it('should stop counting at the limit', async () => {
+    const counts = await collect(grepCount({ files: TEST_FILE, query: 'lop', limit: 1 }))
+    expect(counts).toEqual([{ file: TEST_FILE, count: 1 }])
+  })
+})
@@ -0,0 +1,252 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { createServer } from 'node:http'
+import { join } from 'node:path'
+import { grep } from '../src/index.js'
+import { coalesceRanges, createFetch } from '../src/http.js'
+
+/**
+ * @import {IncomingMessage, ServerResponse} from 'node:http'
+ * @import {SearchStats} from '../src/search.js'
+ */
+
+const bunnies = readFileSync(join(process.cwd(), 'test/files/bunnies.parquet'))
+
+/** @type {{ path: string, range: string | undefined }[]} */
+let requests = []
+/** @type {((req: IncomingMessage, res: ServerResponse) => boolean)[]} */
+let failures = []
+
+/**
+ * Serves bunnies.parquet with range requests to requests with a bearer token.
+ * Each queued failure handles one request before that.
+ */
+const server = createServer((req, res) => {
+  requests.push({ path: req.url ?? '', range: req.headers.range })
+  const failure = failures.shift()
+  if (failure?.(req, res)) return
+  if (req.headers.authorization !== 'Bearer secret') {
+    res.writeHead(401)
+    res.end()
+    return
+  }
+  if (req.method === 'HEAD') {
+    res.writeHead(200, { 'content-length': bunnies.length })
+    res.end()
+    return
+  }
+  const [, start, end] = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range ?? '') ?? []
+  if (start === undefined) {
+    res.writeHead(200, { 'content-length': bunnies.length })
+    res.end(bunnies)
+    return
+  }
+  const body = bunnies.subarray(Number(start), Number(end) + 1)
+  res.writeHead(206, { 'content-length': body.length, 'content-range': `bytes ${start}-${end}/${bunnies.length}` })
+  res.end(body)
+})
+
+/** @type {string} */
+let url
+
+beforeAll(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)))
+  const address = server.address()
+  if (!address || typeof address === 'string') throw new Error('server has no port')
+  url = `http://127.0.0.1:${address.port}/bunnies.parquet`
+})
+
+beforeEach(() => {
+  requests = []
+  failures = []
+})
+
+afterAll(async () => {
+  server.closeAllConnections()
+  await new Promise(resolve => server.close(resolve))
+})
+
+/**
+ * Respond to one request with a status
+ * @param {number} status
+ * @param {Record<string, string>} [headers]
+ * @returns {(req: IncomingMessage, res: ServerResponse) => boolean}
+ */
+function failWith(status, headers = {}) {
+  return (req, res) => {
+    res.writeHead(status, headers)
+    res.end()
+    return true
+  }
+}
+
+/**
+ * Collect every value of an async iterable
+ * @template T
+ * @param {AsyncIterable<T>} iterable
+ * @returns {Promise<T[]>}
+ */
+async function collect(iterable) {
+  /** @type {T[]} */
+  const values = []
+  for await (const value of iterable) values.push(value)
+  return values
+}
+
+const auth = { authorization: 'Bearer secret' }
+
+describe('createFetch', () => {
+  it('should retry 5xx and 429 responses with backoff', async () => {
+    failures = [failWith(503), failWith(429, { 'retry-after': '0' })]
+    const stats = { requests: 0, bytesFetched: 0, bytesFromCache: 0 }
+    const res = await createFetch({ retryDelay: 1, stats })(url, { headers: { ...auth, range: 'bytes=0-3' } })
+    expect(res.status).toBe(206)
+    expect(new TextDecoder().decode(await res.arrayBuffer())).toBe('PAR1')
+    expect(stats).toEqual({ requests: 3, bytesFetched: 4, bytesFromCache: 0 })
+  })
+
+  it('should return the last response once out of retries', async () => {
+    failures = [failWith(500), failWith(500), failWith(500)]
+    const res = await createFetch({ retries: 2, retryDelay: 1 })(url, { headers: auth })
+    expect(res.status).toBe(500)
+    expect(requests).toHaveLength(3)
+  })
+
+  it('should not retry other errors', async () => {
+    const res = await createFetch({ retryDelay: 1 })(url)
+    expect(res.status).toBe(401)
+    expect(requests).toHaveLength(1)
+  })
+
+  it('should retry network errors', async () => {
+    failures = [(req, res) => {
+      res.destroy()
+      return true
+    }]
+    const res = await createFetch({ retryDelay: 1 })(url, { method: 'HEAD', headers: auth })
+    expect(res.status).toBe(200)
+    expect(requests).toHaveLength(2)
+  })
+
+  it('should time out requests without a response', async () => {
+    /** @returns {boolean} */
+    function stall() {
+      return true
+    }
+    failures = [stall, stall]
+    const fetch = createFetch({ retries: 1, retryDelay: 1, timeout: 50 })
+    await expect(fetch(url, { headers: auth })).rejects.toThrow('request timed out after 50 ms')
+    expect(requests).toHaveLength(2)
+  })
+
+  it('should time out and retry responses that stall after their headers', async () => {
+    failures = [(req, res) => {
+      res.writeHead(206, { 'content-length': 4 })
+      res.write('PA')
+      return true
+    }]
+    const stats = { requests: 0, bytesFetched: 0, bytesFromCache: 0 }
+    const res = await createFetch({ retryDelay: 1, timeout: 200, stats })(url, { headers: { ...auth, range: 'bytes=0-3' } })
+    expect(new TextDecoder().decode(await res.arrayBuffer())).toBe('PAR1')
+    expect(requests).toHaveLength(2)
+    expect(stats).toEqual({ requests: 2, bytesFetched: 4, bytesFromCache: 0 })
+  })
+
+  it('should retry bodies that break off', async () => {
+    failures = [(req, res) => {
+      res.writeHead(206, { 'content-length': 4 })
+      res.write('PA', () => res.destroy())
+      return true
+    }]
+    const res = await createFetch({ retryDelay: 1 })(url, { headers: { ...auth, range: 'bytes=0-3' } })
+    expect(new TextDecoder().decode(await res.arrayBuffer())).toBe('PAR1')
+    expect(requests).toHaveLength(2)
+  })
+
+  it('should stop retrying when the caller aborts', async () => {
+    failures = [failWith(503)]
+    const controller = new AbortController()
+    const fetch = createFetch({ retryDelay: 10_000 })
+    const res = fetch(url, { headers: auth, signal: controller.signal })
+    setTimeout(() => controller.abort(new Error('cancelled')), 50)
+    await expect(res).rejects.toThrow('cancelled')
+    expect(requests).toHaveLength(1)
+  })
+})
+
+describe('coalesceRanges', () => {
+  /**
+   * A file of byte values that records the ranges read
+   * @param {[number, number | undefined][]} reads
+   * @returns {import('hyparquet').AsyncBuffer}
+   */
+  function recordingFile(reads) {
+    const bytes = new Uint8Array(1000).map((_, i) => i % 256)
+    return {
+      byteLength: bytes.length,
+      slice(start, end) {
+        reads.push([start, end])
+        return bytes.slice(start, end).buffer
+      },
+    }
+  }
+
+  it('should merge ranges read together that are close', async () => {
+    /** @type {[number, number | undefined][]} */
+    const reads = []
+    const file = coalesceRanges(recordingFile(reads), 10)
+    const buffers = await Promise.all([file.slice(20, 30), file.slice(0, 10), file.slice(15, 18), file.slice(500, 510)])
+    expect(reads).toEqual([[0, 30], [500, 510]])
+    expect(buffers.map(buffer => new Uint8Array(buffer)[0])).toEqual([20, 0, 15, 500 % 256])
+    expect(buffers.map(buffer => buffer.byteLength)).toEqual([10, 10, 3, 10])
+  })
+
+  it('should read ranges requested later separately', async () => {
+    /** @type {[number, number | undefined][]} */
+    const reads = []
+    const file = coalesceRanges(recordingFile(reads), 10)
+    await file.slice(0, 10)
+    await file.slice(990)
+    await file.slice(-5)
+    expect(reads).toEqual([[0, 10], [990, 1000], [995, 1000]])
+  })
+
+  it('should reject every range of a failed read', async () => {
+    const file = coalesceRanges({ byteLength: 100, slice: () => Promise.reject(new Error('read failed')) }, 10)
+    const results = await Promise.allSettled([file.slice(0, 10), file.slice(12, 20)])
+    expect(results.map(result => result.status)).toEqual(['rejected', 'rejected'])
+  })
+})
+
+describe('grep on URLs', () => {
+  it('should send headers, and count requests and bytes', async () => {
+    /** @type {SearchStats} */
+    const stats = {
+      files: 0, skippedByPartition: 0, rowGroups: 0, skippedByStatistics: 0, skippedByDictionary: 0, skippedByIndex: 0, countedByStatistics: 0, countedByDictionary: 0,
+      requests: 0, bytesFetched: 0, bytesFromCache: 0,
+    }
+    const local = await collect(grep({ files: join(process.cwd(), 'test/files/bunnies.parquet'), query: 'lop' }))
+    const remote = await collect(grep({ files: url, query: 'lop', headers: auth, stats }))
+    expect(remote.map(match => match.row)).toEqual(local.map(match => match.row))
+    expect(stats.requests).toBe(requests.length)
+    expect(stats.bytesFetched).toBeGreaterThan(0)
+    expect(stats.bytesFetched).toBeLessThanOrEqual(bunnies.length * 2)
+  })
+
+  it('should coalesce the column chunks of a row group into one request', async () => {
+    await collect(grep({ files: url, query: 'lop', columns: ['Breed Name', 'Ear Type'], headers: auth }))
+    const columnReads = requests.filter(request => request.range && !request.range.endsWith(`-${bunnies.length - 1}`))
+    expect(columnReads).toHaveLength(1)
+
+    requests = []
+    await collect(grep({ files: url, query: 'lop', columns: ['Breed Name', 'Ear Type'], headers: auth, coalesce: -1 }))
+    expect(requests.filter(request => request.range && !request.range.endsWith(`-${bunnies.length - 1}`)).length).toBeGreaterThan(1)
+  })
+
+  it('should report URLs that cannot be read', async () => {
+    /** @type {string[]} */
+    const failed = []
+    await collect(grep({ files: url, query: 'lop', onError: file => failed.push(file) }))
+    expect(failed).toEqual([url])
+  })
+})
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest'
+import { join } from 'node:path'
+import { fileInfo } from '../src/index.js'
+
+const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+const TACOS_FILE = join(process.cwd(), 'test/files/subdir/tacos.parquet')
+
+describe('fileInfo', () => {
+  it('should describe rows and row groups', async () => {
+    const info = await fileInfo(EVENTS_FILE)
+    expect(info).toMatchObject({ file: EVENTS_FILE, numRows: 8, version: 2, createdBy: 'hyparquet' })
+    expect(info.rowGroups.map(rowGroup => rowGroup.numRows)).toEqual([3, 3, 2])
+    expect(info.rowGroups[0].byteSize).toBeGreaterThan(0)
+  })
+
+  it('should describe the schema tree with physical and logical types', async () => {
+    const { schema } = await fileInfo(EVENTS_FILE)
+    expect(schema.find(column => column.name === 'ts')).toEqual({
+      name: 'ts', type: 'INT64', logicalType: 'TIMESTAMP(MILLIS, UTC)', repetition: 'REQUIRED',
+    })
+    expect(schema.find(column => column.name === 'amount')?.logicalType).toBe('DECIMAL(9, 2)')
+    expect(schema.find(column => column.name === 'user')).toEqual({
+      name: 'user',
+      type: undefined,
+      logicalType: undefined,
+      repetition: 'OPTIONAL',
+      children: [
+        { name: 'name', type: 'BYTE_ARRAY', logicalType: 'STRING', repetition: 'OPTIONAL' },
+        { name: 'email', type: 'BYTE_ARRAY', logicalType: 'STRING', repetition: 'OPTIONAL' },
+      ],
+    })
+  })
+
+  it('should combine column statistics across row groups', async () => {
+    const { columns } = await fileInfo(EVENTS_FILE)
+    expect(columns.find(column => column.column === 'status')).toMatchObject({
+      type: 'INT32', codecs: ['SNAPPY'], encodings: ['PLAIN'], nullCount: 0, min: 200, max: 500,
+    })
+    expect(columns.find(column => column.column === 'tags.list.element')).toMatchObject({ nullCount: 2, min: 'beta', max: 'web' })
+    expect(columns.find(column => column.column === 'region')?.encodings).toEqual(['RLE_DICTIONARY'])
+  })
+
+  it('should show decimal and binary statistics as their values', async () => {
+    const { columns } = await fileInfo(EVENTS_FILE)
+    expect(columns.find(column => column.column === 'amount')).toMatchObject({ min: '0.00', max: '1999.95' })
+    expect(columns.find(column => column.column === 'trace')).toMatchObject({ min: 'deadbeef01', max: 'deadbeef08' })
+  })
+
+  it('should read key/value metadata', async () => {
+    const { keyValueMetadata } = await fileInfo(TACOS_FILE)
+    expect(Object.keys(keyValueMetadata)).toEqual(['pandas', 'ARROW:schema'])
+  })
+})
@@ -0,0 +1,135 @@
+import { describe, expect, it } from 'vitest'
+import { join } from 'node:path'
+import { PassThrough, Writable } from 'node:stream'
+import { browse, handleKey, renderScreen } from '../bin/interactive.js'
+import { compilePatterns } from '../src/index.js'
+
+/**
+ * @import {BrowserView} from '../bin/interactive.js'
+ * @import {SearchMatch} from '../src/search.js'
+ */
+
+const TEST_FILE = join(process.cwd(), 'test/files/bunnies.parquet')
+const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+
+/**
+ * @param {number} rowOffset
+ * @param {Record<string, any>} row
+ * @returns {SearchMatch}
+ */
+function match(rowOffset, row) {
+  return {
+    file: 'a.parquet', rowGroup: 0, rowOffset, row, matchedColumns: [], spans: [], regex: /lop/i, context: false, schema: [], codec: undefined,
+    outputColumns: Object.keys(row).map(name => ({ name, key: name, path: [], type: 'BYTE_ARRAY STRING' })),
+  }
+}
+
+/**
+ * @param {Partial<BrowserView>} fields
+ * @returns {BrowserView}
+ */
+function view(fields) {
+  return {
+    files: ['a.parquet', 'b.parquet'], fileIndex: 0, query: 'lop', savedQuery: 'lop', editing: false, regex: /lop/i, invert: false, offset: 0, pageSize: 2,
+    matches: [], hasMore: false, selected: 0, expanded: false, searching: false, error: undefined, ...fields,
+  }
+}
+
+describe('handleKey', () => {
+  it('should page through matches and jump between files', () => {
+    const state = view({ matches: [match(0, {}), match(4, {})], hasMore: true })
+    expect(handleKey(state, { name: 'down' })).toBe('render')
+    expect(state.selected).toBe(1)
+    expect(handleKey(state, { name: 'right' })).toBe('search')
+    expect(state.offset).toBe(2)
+    expect(handleKey(state, { name: 'left' })).toBe('search')
+    expect(state.offset).toBe(0)
+    expect(handleKey(state, { name: 'left' })).toBe('render')
+    expect(handleKey(state, { sequence: ']' })).toBe('search')
+    expect(state.fileIndex).toBe(1)
+    expect(handleKey(state, { sequence: ']' })).toBe('render')
+    expect(handleKey(state, { name: 'tab', shift: true })).toBe('search')
+    expect(state.fileIndex).toBe(0)
+    expect(handleKey(state, { name: 'q' })).toBe('quit')
+  })
+
+  it('should edit the query, searching from the first match', () => {
+    const state = view({ offset: 4 })
+    expect(handleKey(state, { sequence: '/' })).toBe('render')
+    expect(handleKey(state, { name: 'q', sequence: 'q' })).toBe('edit')
+    expect(state).toMatchObject({ query: 'lopq', offset: 0, editing: true })
+    expect(handleKey(state, { name: 'backspace' })).toBe('edit')
+    expect(handleKey(state, { name: 'u', ctrl: true })).toBe('edit')
+    expect(state.query).toBe('')
+    expect(handleKey(state, { name: 'escape' })).toBe('edit')
+    expect(state).toMatchObject({ query: 'lop', editing: false })
+    expect(handleKey(state, { name: 'c', ctrl: true })).toBe('quit')
+  })
+})
+
+describe('renderScreen', () => {
+  it('should show a line per match, cut to the width', () => {
+    const matches = [match(3, { name: 'Holland Lop', origin: 'Netherlands' }), match(8, { name: 'Mini Lop', origin: 'Germany' })]
+    const lines = renderScreen(view({ matches, hasMore: true, selected: 1 }), 40, 6, 60)
+    expect(lines).toEqual([
+      'File 1/2: a.parquet',
+      'Query: lop   rows 1-2+',
+      '  3  name: Holland Lop  origin: Nethe...',
+      '> 8  name: Mini Lop  origin: Germany',
+      '',
+      '↑↓ select  enter expand  ←→ page  [ ]...',
+    ])
+  })
+
+  it('should expand the selected match in full, scrolling to show it', () => {
+    const matches = [match(0, { name: 'a' }), match(1, { name: 'b'.repeat(30) })]
+    const lines = renderScreen(view({ matches, selected: 1, expanded: true, error: 'Error reading b.parquet: gone' }), 20, 7, 60)
+    expect(lines.slice(2)).toEqual(['> 1  name: bbbbbb...', '  name:', `    ${'b'.repeat(16)}`, `    ${'b'.repeat(14)}`, 'Error reading b.p...'])
+  })
+})
+
+describe('browse', () => {
+  it('should search each page of each file as keys are pressed', async () => {
+    // Streams standing in for a terminal
+    /** @type {any} */
+    const input = Object.assign(new PassThrough(), { isTTY: true, setRawMode() { return input } })
+    let screen = ''
+    /** @type {any} */
+    const output = Object.assign(new Writable({ write(chunk, _, callback) { screen += chunk; callback() } }), { columns: 60, rows: 5 })
+    /**
+     * Wait for the screen to show some text, as matches are found
+     * @param {string} text
+     * @returns {Promise<string>} The screen
+     */
+    async function screenWith(text) {
+      for (let tries = 0; tries < 100; tries++) {
+        const last = screen.slice(screen.lastIndexOf('\x1b[H'))
+        if (last.includes(text)) return last
+        await new Promise(resolve => setTimeout(resolve, 20))
+      }
+      throw new Error(`screen never showed ${text}`)
+    }
+
+    const done = browse({
+      files: [TEST_FILE, EVENTS_FILE],
+      query: 'lop',
+      compile: text => ({ regex: compilePatterns([text], { ignoreCase: true }) }),
+      invert: false,
+      offset: 0,
+      trim: 60,
+      searchOptions: { columns: ['Breed Name', 'path'], allowMissingColumns: true },
+      input,
+      output,
+    })
+    expect(await screenWith('rows 1-2+')).toContain('> 0  Breed Name: Holland Lop')
+    input.write('n')
+    expect(await screenWith('rows 3-4')).toContain('> 5  Breed Name: Mini Lop')
+    input.write(']')
+    expect(await screenWith('No matches')).toContain(`File 2/2: ${EVENTS_FILE}`)
+    input.write('/\x7f\x7f\x7forders\r')
+    await screenWith('> 1  path: /api/orders')
+    input.write('q')
+    expect(await done).toBe(true)
+    expect(screen.endsWith('\x1b[?25h\x1b[?1049l')).toBe(true)
+  })
+})
@@ -20,6 +20,6 @@ describe('package.json', () => {
   })
   it('should have minimal dependencies', () => {
     const { dependencies } = packageJson
-    expect(Object.keys(dependencies).length).toBe(2)
+    expect(Object.keys(dependencies).length).toBe(3)
   })
 })
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest'
+import { isPartitionOnly, parsePartitions, partitionRuledOut, withPartitions } from '../src/partitions.js'
+import { parseQuery } from '../src/query.js'
+
+/**
+ * @import {SchemaTree} from 'hyparquet'
+ */
+
+/**
+ * @param {any} cell
+ * @param {RegExp} regex
+ * @returns {boolean}
+ */
+function cellMatches(cell, regex) {
+  return cell !== null && regex.test(String(cell))
+}
+
+describe('parsePartitions', () => {
+  it('should parse key=value directories', () => {
+    expect(parsePartitions('table/dt=2024-05-01/region=eu/part-0.parquet')).toEqual({ dt: '2024-05-01', region: 'eu' })
+  })
+
+  it('should type integers and the default partition', () => {
+    expect(parsePartitions('t/year=2024/hour=07/flag=__HIVE_DEFAULT_PARTITION__/a.parquet'))
+      .toEqual({ year: 2024n, hour: '07', flag: null })
+  })
+
+  it('should decode escaped values and ignore the file name', () => {
+    expect(parsePartitions('t/city=New%20York/a=b.parquet')).toEqual({ city: 'New York' })
+  })
+
+  it('should return nothing for paths without partitions', () => {
+    expect(parsePartitions('data/file.parquet')).toEqual({})
+  })
+})
+
+describe('withPartitions', () => {
+  /** @type {SchemaTree} */
+  const schema = {
+    element: { name: 'root', num_children: 2 },
+    children: [
+      { element: { name: 'id', type: 'INT64', repetition_type: 'REQUIRED' }, children: [], count: 1, path: ['id'] },
+      { element: { name: 'region', type: 'BYTE_ARRAY', repetition_type: 'REQUIRED' }, children: [], count: 1, path: ['region'] },
+    ],
+    count: 3,
+    path: [],
+  }
+
+  it('should add partition columns after the file columns, replacing columns with the same name', () => {
+    const tree = withPartitions(schema, { region: 'eu', year: 2024n })
+    expect(tree.element.num_children).toBe(3)
+    expect(tree.children.map(child => child.element)).toEqual([
+      { name: 'id', type: 'INT64', repetition_type: 'REQUIRED' },
+      { name: 'region', type: 'BYTE_ARRAY', converted_type: 'UTF8', repetition_type: 'OPTIONAL' },
+      { name: 'year', type: 'INT64', converted_type: undefined, repetition_type: 'OPTIONAL' },
+    ])
+  })
+
+  it('should keep the schema without partitions', () => {
+    expect(withPartitions(schema, {})).toBe(schema)
+  })
+})
+
+describe('partition pruning', () => {
+  const partitions = { dt: '2024-04-30', region: 'eu', year: 2024n }
+
+  it('should rule out files by partition predicates', () => {
+    expect(partitionRuledOut(parseQuery('dt>=2024-05-01', false), partitions, cellMatches)).toBe(true)
+    expect(partitionRuledOut(parseQuery('dt<2024-05-01', false), partitions, cellMatches)).toBe(false)
+    expect(partitionRuledOut(parseQuery('year>2023', false), partitions, cellMatches)).toBe(false)
+    expect(partitionRuledOut(parseQuery('region~^us', false), partitions, cellMatches)).toBe(true)
+  })
+
+  it('should treat predicates on other columns as unknown', () => {
+    expect(partitionRuledOut(parseQuery('region:us AND status:500', false), partitions, cellMatches)).toBe(true)
+    expect(partitionRuledOut(parseQuery('region:us OR status:500', false), partitions, cellMatches)).toBe(false)
+    expect(partitionRuledOut(parseQuery('NOT (region:eu AND status:500)', false), partitions, cellMatches)).toBe(false)
+    expect(partitionRuledOut(parseQuery('NOT region:eu', false), partitions, cellMatches)).toBe(true)
+    expect(partitionRuledOut(parseQuery('eu', false), partitions, cellMatches)).toBe(false)
+  })
+
+  it('should detect queries decided by partition values alone', () => {
+    expect(isPartitionOnly(parseQuery('dt>=2024-05-01 AND region:eu', false), partitions)).toBe(true)
+    expect(isPartitionOnly(parseQuery('dt>=2024-05-01 AND status:500', false), partitions)).toBe(false)
+    expect(isPartitionOnly(parseQuery('region:eu AND lop', false), partitions)).toBe(false)
+  })
+})
@@ -0,0 +1,157 @@
+import { describe, expect, it } from 'vitest'
+import { compilePatterns, copyRegex, escapeRegExp, globalRegex, unionRegex } from '../src/patterns.js'
+import { literalPrefix } from '../src/prune.js'
+
+describe('escapeRegExp', () => {
+  it('should escape regex syntax', () => {
+    const text = 'a.b+c user[1] (x|y) ^$ \\ {2} */?'
+    expect(new RegExp(`^${escapeRegExp(text)}$`).test(text)).toBe(true)
+  })
+})
+
+describe('compilePatterns', () => {
+  it('should match regex patterns, any of several', () => {
+    const regex = compilePatterns(['ab+c', '^x'])
+    expect(regex.test('abbbc')).toBe(true)
+    expect(regex.test('xyz')).toBe(true)
+    expect(regex.test('yx')).toBe(false)
+  })
+
+  it('should keep the source of a lone regex', () => {
+    expect(compilePatterns(['^abc'], { ignoreCase: true }).source).toBe('^abc')
+    expect(compilePatterns(['^abc'], { ignoreCase: true }).flags).toBe('i')
+  })
+
+  it('should report invalid regex patterns', () => {
+    expect(() => compilePatterns(['ok', '[unclosed'])).toThrow('invalid regex pattern: [unclosed')
+  })
+
+  it('should match fixed strings literally', () => {
+    const regex = compilePatterns(['a.b+c'], { fixedStrings: true })
+    expect(regex.test('id a.b+c')).toBe(true)
+    expect(regex.test('abbc')).toBe(false)
+    expect('id a.b+c'.match(regex)?.index).toBe(3)
+    expect(compilePatterns(['user[1]'], { fixedStrings: true }).test('user[1]')).toBe(true)
+  })
+
+  it('should match whole words', () => {
+    const regex = compilePatterns(['cat'], { fixedStrings: true, wholeWord: true })
+    expect(regex.exec('concat cat_ cat.')?.index).toBe(12)
+    expect(regex.test('cats')).toBe(false)
+    expect(compilePatterns(['ca+t'], { wholeWord: true }).test('a caaat!')).toBe(true)
+  })
+
+  it('should match whole cells', () => {
+    const regex = compilePatterns(['abc', 'de'], { fixedStrings: true, wholeCell: true, ignoreCase: true })
+    expect(regex.test('ABC')).toBe(true)
+    expect(regex.test('abcd')).toBe(false)
+    expect(compilePatterns(['a|b'], { wholeCell: true }).test('ab')).toBe(false)
+  })
+
+  it('should keep anchored literals usable for row group pruning', () => {
+    expect(literalPrefix(compilePatterns(['a.b'], { fixedStrings: true, wholeCell: true }))).toEqual({ prefix: 'a.b', exact: true, ignoreCase: false })
+    expect(literalPrefix(compilePatterns(['ab'], { wholeCell: true }))?.exact).toBe(true)
+  })
+
+  it('should find the leftmost, longest of many fixed strings', () => {
+    const regex = compilePatterns(['he', 'she', 'his', 'hers'], { fixedStrings: true })
+    expect('ushers'.match(regex)?.[0]).toBe('she')
+    expect('xhersx'.match(regex)?.[0]).toBe('hers')
+    expect(regex.test('hi s')).toBe(false)
+  })
+
+  it('should agree with the regex engine on many fixed strings', () => {
+    const keys = Array.from({ length: 2000 }, (_, i) => `key-${(i * 7919).toString(36)}`)
+    const regex = compilePatterns(keys, { fixedStrings: true, ignoreCase: true })
+    const plain = new RegExp(regex.source, regex.flags)
+    const texts = ['no secrets here', `leaked ${keys[1234].toUpperCase()} today`, `x${keys[5]}y`, 'key-', keys[1999]]
+    for (const text of texts) {
+      expect(regex.exec(text)?.index).toBe(plain.exec(text)?.index)
+    }
+  })
+
+  it('should match whole words among many fixed strings', () => {
+    const regex = compilePatterns(['ab', 'abc', 'bc'], { fixedStrings: true, wholeWord: true })
+    expect(regex.exec('abcd bc')?.index).toBe(5)
+    expect(regex.test('abcd')).toBe(false)
+  })
+
+  it('should match nothing without patterns, and everything with an empty one', () => {
+    expect(compilePatterns([]).test('anything')).toBe(false)
+    expect(compilePatterns([''], { fixedStrings: true }).test('anything')).toBe(true)
+  })
+
+  it('should fold case as the regex engine does, including text whose case folding changes length', () => {
+    const regex = compilePatterns(['i̇x', 'y'], { fixedStrings: true, ignoreCase: true })
+    expect(regex.test('İx')).toBe(new RegExp(regex.source, 'i').test('İx'))
+    expect(compilePatterns(['x'], { fixedStrings: true, ignoreCase: true }).test('İ x')).toBe(true)
+    // The Kelvin sign lower cases to k, but the engine does not match it to k
+    for (const [pattern, text] of [['k', '\u212a'], ['\u212a', 'k'], ['s', '\u017f'], ['straße', 'STRASSE'], ['é', 'É']]) {
+      for (const options of [{ fixedStrings: true }, { fixedStrings: true, wholeCell: true }, { fuzzy: 0 }]) {
+        expect(compilePatterns([pattern, 'other'], { ...options, ignoreCase: true }).test(text)).toBe(new RegExp(pattern, 'i').test(text))
+      }
+    }
+  })
+
+  it('should match within a number of edits', () => {
+    const regex = compilePatterns(['kitten'], { fuzzy: 1 })
+    expect(regex.exec('a kiten sat')).toMatchObject({ 0: 'kiten', index: 2, distance: 1 })
+    expect(regex.exec('sitting kittens')).toMatchObject({ 0: 'kitten', index: 8, distance: 0 })
+    expect(regex.test('kitchen')).toBe(false)
+    expect(compilePatterns(['kitten'], { fuzzy: 2 }).test('kitchen')).toBe(true)
+  })
+
+  it('should prefer the closest match near the first one', () => {
+    expect(compilePatterns(['abcd'], { fuzzy: 1 }).exec('abcxd')).toMatchObject({ 0: 'abcxd', distance: 1 })
+    expect(compilePatterns(['abc'], { fuzzy: 1 }).exec('xabc')).toMatchObject({ 0: 'abc', index: 1, distance: 0 })
+  })
+
+  it('should match whole words and cells within a number of edits', () => {
+    expect(compilePatterns(['cat'], { fuzzy: 1, wholeWord: true }).exec('concat cot x')).toMatchObject({ 0: 'cot', index: 7 })
+    const cell = compilePatterns(['hello'], { fuzzy: 2, wholeCell: true, ignoreCase: true })
+    expect(cell.test('HELO')).toBe(true)
+    expect(cell.test('hello world')).toBe(false)
+  })
+
+  it('should match any of several fuzzy patterns, leftmost first', () => {
+    const regex = compilePatterns(['apple', 'banana'], { fuzzy: 1 })
+    expect(regex.exec('a bananna and an aple')).toMatchObject({ 0: 'bananna', index: 2 })
+  })
+
+  it('should never prune row groups on fuzzy patterns', () => {
+    expect(literalPrefix(compilePatterns(['abc'], { fuzzy: 1, wholeCell: true }))).toBeUndefined()
+  })
+})
+
+describe('globalRegex', () => {
+  it('should find every fuzzy match', () => {
+    const regex = globalRegex(compilePatterns(['kitten'], { fuzzy: 1 }))
+    const matches = [...'kiten, mitten, bitten kittens'.replace(regex, '[$&]').matchAll(/\[(\w+)\]/g)].map(match => match[1])
+    expect(matches).toEqual(['kiten', 'mitten', 'bitten', 'kitten'])
+  })
+
+  it('should keep fuzzy search in copies without the global flag', () => {
+    const regex = copyRegex(globalRegex(compilePatterns(['kitten'], { fuzzy: 1 })), '')
+    expect(regex.flags).toBe('')
+    expect(regex.exec('a kiten')).toMatchObject({ 0: 'kiten', index: 2, distance: 1 })
+  })
+
+  it('should keep flags and fixed string search', () => {
+    const regex = globalRegex(compilePatterns(['a.b'], { fixedStrings: true, ignoreCase: true }))
+    expect(regex.flags).toBe('gi')
+    expect('A.B axb a.b'.replace(regex, '_')).toBe('_ axb _')
+  })
+})
+
+describe('unionRegex', () => {
+  it('should join plain regexes into one source', () => {
+    expect(unionRegex([/a/, /b+/], 'i').source).toBe('a|b+')
+  })
+
+  it('should find the leftmost match of any regex, keeping fuzzy search', () => {
+    const regex = unionRegex([compilePatterns(['kitten'], { fuzzy: 1 }), /dog/], '')
+    expect(regex.exec('a dog and a kiten')).toMatchObject({ 0: 'dog', index: 2 })
+    expect(regex.exec('a kiten and a dog')).toMatchObject({ 0: 'kiten', index: 2, distance: 1 })
+    expect('kiten dog'.replace(globalRegex(regex), '_')).toBe('_ _')
+  })
+})
@@ -0,0 +1,181 @@
+import { describe, expect, it } from 'vitest'
+import { bufferAhead, inOrder, mergeAhead } from '../src/pool.js'
+
+/**
+ * Yield values after a delay, recording when the source starts and ends
+ * @param {string[]} log
+ * @param {string} name
+ * @param {number[]} values
+ * @param {number} delay
+ * @yields {number}
+ */
+async function* delayed(log, name, values, delay) {
+  log.push(`start ${name}`)
+  for (const value of values) {
+    await new Promise(resolve => setTimeout(resolve, delay))
+    yield value
+  }
+  log.push(`end ${name}`)
+}
+
+/**
+ * Count forever, recording how many values were produced and whether the source stopped
+ * @param {{ produced: number, stopped: boolean }} state
+ * @yields {number}
+ */
+async function* counting(state) {
+  try {
+    while (true) yield state.produced++
+  } finally {
+    state.stopped = true
+  }
+}
+
+/**
+ * Let paused producers run
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 10))
+}
+
+describe('bufferAhead', () => {
+  it('should yield each source in order', async () => {
+    /** @type {string[]} */
+    const log = []
+    const streams = bufferAhead([
+      () => delayed(log, 'a', [1, 2], 20),
+      () => delayed(log, 'b', [3, 4], 1),
+    ], 2)
+    /** @type {number[]} */
+    const values = []
+    for (const stream of streams) {
+      for await (const value of stream) values.push(value)
+    }
+    expect(values).toEqual([1, 2, 3, 4])
+    // b ran ahead of a while a was being read
+    expect(log.indexOf('end b')).toBeLessThan(log.indexOf('end a'))
+  })
+
+  it('should limit the number of sources running at once', async () => {
+    /** @type {string[]} */
+    const log = []
+    const streams = bufferAhead([
+      () => delayed(log, 'a', [1], 5),
+      () => delayed(log, 'b', [2], 5),
+      () => delayed(log, 'c', [3], 5),
+    ], 1)
+    for (const stream of streams) {
+      for await (const value of stream) expect(value).toBeGreaterThan(0)
+    }
+    expect(log).toEqual(['start a', 'end a', 'start b', 'end b', 'start c', 'end c'])
+  })
+
+  it('should pause sources ahead of the reader once their buffer is full', async () => {
+    const state = { produced: 0, stopped: false }
+    const [first, second] = bufferAhead([() => delayed([], 'a', [1], 20), () => counting(state)], 2, { bufferSize: 3 })
+    for await (const value of first) expect(value).toBe(1)
+    expect(state.produced).toBe(3)
+    /** @type {number[]} */
+    const values = []
+    for await (const value of second) {
+      values.push(value)
+      if (values.length === 5) break
+    }
+    expect(values).toEqual([0, 1, 2, 3, 4])
+    expect(state.produced).toBeLessThanOrEqual(8)
+  })
+
+  it('should stop paused sources once aborted, and start no more', async () => {
+    const controller = new AbortController()
+    const state = { produced: 0, stopped: false }
+    let started = false
+    bufferAhead([() => counting(state), () => {
+      started = true
+      return delayed([], 'b', [1], 1)
+    }], 1, { bufferSize: 2, signal: controller.signal })
+    await settle()
+    expect(state).toEqual({ produced: 2, stopped: false })
+    controller.abort()
+    await settle()
+    expect(state.stopped).toBe(true)
+    expect(started).toBe(false)
+  })
+
+  it('should rethrow source errors to the reader', async () => {
+    async function* failing() {
+      yield 1
+      throw new Error('boom')
+    }
+    const [stream] = bufferAhead([failing], 1)
+    await expect(async () => {
+      for await (const value of stream) expect(value).toBe(1)
+    }).rejects.toThrow('boom')
+  })
+})
+
+describe('mergeAhead', () => {
+  it('should yield values as they arrive with their source index', async () => {
+    /** @type {string[]} */
+    const log = []
+    const results = []
+    for await (const result of mergeAhead([
+      () => delayed(log, 'a', [1], 30),
+      () => delayed(log, 'b', [2], 1),
+    ], 2)) {
+      results.push(result)
+    }
+    expect(results).toEqual([{ index: 1, value: 2 }, { index: 0, value: 1 }])
+  })
+
+  it('should pause sources once the buffer is full, and stop them when the reader returns', async () => {
+    const first = { produced: 0, stopped: false }
+    const second = { produced: 0, stopped: false }
+    for await (const { value } of mergeAhead([() => counting(first), () => counting(second)], 2, { bufferSize: 4 })) {
+      expect(value).toBe(0)
+      await settle()
+      expect(first.produced + second.produced).toBeLessThanOrEqual(6)
+      break
+    }
+    await settle()
+    expect(first.stopped).toBe(true)
+    expect(second.stopped).toBe(true)
+  })
+
+  it('should finish immediately with no sources', async () => {
+    const results = []
+    for await (const result of mergeAhead([], 2)) results.push(result)
+    expect(results).toEqual([])
+  })
+})
+
+describe('inOrder', () => {
+  it('should yield each stream in order with its index', async () => {
+    /** @type {string[]} */
+    const log = []
+    const results = []
+    for await (const result of inOrder(bufferAhead([
+      () => delayed(log, 'a', [1, 2], 20),
+      () => delayed(log, 'b', [3], 1),
+    ], 2))) {
+      results.push(result)
+    }
+    expect(results).toEqual([{ index: 0, value: 1 }, { index: 0, value: 2 }, { index: 1, value: 3 }])
+  })
+
+  it('should stop paused and unread sources when the reader returns early', async () => {
+    const state = { produced: 0, stopped: false }
+    let started = false
+    const streams = bufferAhead([() => delayed([], 'a', [1, 2], 1), () => counting(state), () => {
+      started = true
+      return delayed([], 'c', [3], 1)
+    }], 2, { bufferSize: 2 })
+    for await (const { value } of inOrder(streams)) {
+      expect(value).toBe(1)
+      break
+    }
+    await settle()
+    expect(state.stopped).toBe(true)
+    expect(started).toBe(false)
+  })
+})
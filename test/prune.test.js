@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest'
+import { literalPrefix } from '../src/prune.js'
+
+describe('literalPrefix', () => {
+  it('should extract the prefix of an anchored pattern', () => {
+    expect(literalPrefix(/^abc.*/)).toEqual({ prefix: 'abc', exact: false, ignoreCase: false })
+  })
+
+  it('should detect exact matches', () => {
+    expect(literalPrefix(/^abc$/)).toEqual({ prefix: 'abc', exact: true, ignoreCase: false })
+  })
+
+  it('should unescape literal punctuation', () => {
+    expect(literalPrefix(/^a\.b\/c/)?.prefix).toBe('a.b/c')
+  })
+
+  it('should stop before optional characters', () => {
+    expect(literalPrefix(/^abc?/)?.prefix).toBe('ab')
+    expect(literalPrefix(/^abc*/)?.prefix).toBe('ab')
+    expect(literalPrefix(/^abc{0,2}/)?.prefix).toBe('ab')
+  })
+
+  it('should include a character repeated one or more times', () => {
+    expect(literalPrefix(/^ab+c$/)).toEqual({ prefix: 'ab', exact: false, ignoreCase: false })
+  })
+
+  it('should stop at character classes', () => {
+    expect(literalPrefix(/^ab\d/)?.prefix).toBe('ab')
+  })
+
+  it('should flag case-insensitive patterns', () => {
+    expect(literalPrefix(/^abc/i)?.ignoreCase).toBe(true)
+  })
+
+  it('should return undefined for unanchored patterns', () => {
+    expect(literalPrefix(/abc/)).toBeUndefined()
+  })
+
+  it('should return undefined for alternation', () => {
+    expect(literalPrefix(/^abc|def/)).toBeUndefined()
+  })
+
+  it('should allow pipes inside character classes', () => {
+    expect(literalPrefix(/^ab[|]/)?.prefix).toBe('ab')
+  })
+
+  it('should return undefined for non-ascii prefixes', () => {
+    expect(literalPrefix(/^café/)).toBeUndefined()
+  })
+})
@@ -0,0 +1,181 @@
+import { describe, expect, it } from 'vitest'
+import { evaluateQuery, highlightRegex, parseQuery, queryColumns } from '../src/query.js'
+import { toDecimal } from '../src/stringify.js'
+
+/**
+ * Evaluate a query expression against a flat row
+ * @param {string} text
+ * @param {Record<string, any>} row
+ * @returns {boolean}
+ */
+function matches(text, row) {
+  return evaluateQuery(parseQuery(text, false), {
+    cells: column => column === undefined ? Object.values(row) : [row[column]],
+    cellMatches: (cell, regex) => cell !== null && cell !== undefined && regex.test(String(cell)),
+  })
+}
+
+describe('parseQuery', () => {
+  it('should parse a bare term as a regex over all columns', () => {
+    expect(parseQuery('error', false)).toEqual({ type: 'regex', regex: /error/i })
+  })
+
+  it('should parse column predicates', () => {
+    expect(parseQuery('status:500', false)).toEqual({ type: 'compare', column: 'status', op: ':', value: '500' })
+    expect(parseQuery('latency>=250', false)).toEqual({ type: 'compare', column: 'latency', op: '>=', value: '250' })
+    expect(parseQuery('path~/api/', false)).toEqual({ type: 'regex', column: 'path', regex: /\/api\//i })
+  })
+
+  it('should treat = as equality', () => {
+    expect(parseQuery('status=500', false)).toEqual(parseQuery('status:500', false))
+  })
+
+  it('should apply smart case to each regex', () => {
+    expect(parseQuery('name~Bob', false)).toEqual({ type: 'regex', column: 'name', regex: /Bob/ })
+    expect(parseQuery('name~Bob', true)).toEqual({ type: 'regex', column: 'name', regex: /Bob/i })
+  })
+
+  it('should parse boolean operators with precedence', () => {
+    const node = parseQuery('a:1 OR b:2 AND NOT c:3', false)
+    expect(node).toEqual({
+      type: 'or',
+      children: [
+        { type: 'compare', column: 'a', op: ':', value: '1' },
+        {
+          type: 'and',
+          children: [
+            { type: 'compare', column: 'b', op: ':', value: '2' },
+            { type: 'not', child: { type: 'compare', column: 'c', op: ':', value: '3' } },
+          ],
+        },
+      ],
+    })
+  })
+
+  it('should combine adjacent terms with AND', () => {
+    expect(parseQuery('a:1 b:2', false)).toEqual(parseQuery('a:1 AND b:2', false))
+  })
+
+  it('should parse parentheses', () => {
+    const node = parseQuery('(a:1 OR a:2) b:3', false)
+    expect(node.type).toBe('and')
+  })
+
+  it('should keep parentheses that belong to a regex', () => {
+    expect(parseQuery('(path~(a|b))', false)).toEqual({ type: 'regex', column: 'path', regex: /(a|b)/i })
+  })
+
+  it('should parse quoted columns and values', () => {
+    expect(parseQuery('"Breed Name":"Holland Lop"', false))
+      .toEqual({ type: 'compare', column: 'Breed Name', op: ':', value: 'Holland Lop' })
+  })
+
+  it('should treat a quoted operator as part of a bare term', () => {
+    expect(parseQuery('"a:b"', false)).toEqual({ type: 'regex', regex: /a:b/i })
+  })
+
+  it('should reject malformed queries', () => {
+    expect(() => parseQuery('status:', false)).toThrow('missing value')
+    expect(() => parseQuery('(a:1', false)).toThrow('missing )')
+    expect(() => parseQuery('a:1 OR', false)).toThrow('unexpected end of query')
+    expect(() => parseQuery('"a', false)).toThrow('unterminated quote')
+    expect(() => parseQuery('a~[', false)).toThrow('invalid regex pattern')
+  })
+})
+
+describe('queryColumns', () => {
+  it('should list each referenced column once', () => {
+    expect(queryColumns(parseQuery('a:1 OR (b~x AND NOT a:2) error', false))).toEqual(['a', 'b'])
+  })
+})
+
+describe('highlightRegex', () => {
+  it('should combine regexes outside of NOT', () => {
+    expect(highlightRegex(parseQuery('path~api OR error AND NOT agent~bot', false))).toEqual(/api|error/i)
+  })
+
+  it('should return undefined without regexes', () => {
+    expect(highlightRegex(parseQuery('status:500', false))).toBeUndefined()
+  })
+})
+
+describe('evaluateQuery', () => {
+  const row = {
+    status: 500,
+    count: 12n,
+    amount: toDecimal(12050, 2),
+    path: '/api/orders',
+    ts: new Date('2024-01-03T10:05:00Z'),
+    ok: false,
+    tags: ['web', 'beta'],
+    email: null,
+  }
+
+  it('should compare numbers numerically', () => {
+    expect(matches('status:500', row)).toBe(true)
+    expect(matches('status>250', row)).toBe(true)
+    expect(matches('status<250', row)).toBe(false)
+    expect(matches('status:abc', row)).toBe(false)
+  })
+
+  it('should compare bigints', () => {
+    expect(matches('count:12', row)).toBe(true)
+    expect(matches('count>=12.5', row)).toBe(false)
+    expect(matches('count<1.2e2', row)).toBe(true)
+    expect(matches('big>9007199254740992.5', { big: 9007199254740993n })).toBe(true)
+  })
+
+  it('should compare decimals numerically', () => {
+    expect(matches('amount:120.5', row)).toBe(true)
+    expect(matches('amount>99.99', row)).toBe(true)
+    expect(matches('amount<=120.49', row)).toBe(false)
+    expect(matches('amount<1e3', row)).toBe(true)
+  })
+
+  it('should compare decimals exactly, beyond the precision of floats', () => {
+    const price = { price: toDecimal(1, 1) }
+    expect(matches('price:0.1', price)).toBe(true)
+    expect(matches('price:0.1000000000000000055', price)).toBe(false)
+    expect(matches('price<0.1000000000000000055', price)).toBe(true)
+    expect(matches('price>-.5', price)).toBe(true)
+  })
+
+  it('should order text as numbers against a number', () => {
+    expect(matches('latency>250', { latency: '3' })).toBe(false)
+    expect(matches('latency<250', { latency: '3' })).toBe(true)
+    expect(matches('latency>=250', { latency: '250.0' })).toBe(true)
+    expect(matches('latency>250', { latency: 'n/a' })).toBe(false)
+    // Text that is not a number still orders as text
+    expect(matches('path>/api', row)).toBe(true)
+    expect(matches('latency:250', { latency: '250.0' })).toBe(false)
+  })
+
+  it('should compare dates', () => {
+    expect(matches('ts>=2024-01-01', row)).toBe(true)
+    expect(matches('ts<2024-01-01', row)).toBe(false)
+    expect(matches('ts:2024-01-03', row)).toBe(true)
+    expect(matches('ts:2024-01-04', row)).toBe(false)
+  })
+
+  it('should compare strings and booleans', () => {
+    expect(matches('path:/api/orders', row)).toBe(true)
+    expect(matches('path!=/api/orders', row)).toBe(false)
+    expect(matches('ok:false', row)).toBe(true)
+  })
+
+  it('should match any element of a list', () => {
+    expect(matches('tags:beta', row)).toBe(true)
+    expect(matches('tags:mobile', row)).toBe(false)
+  })
+
+  it('should match null values', () => {
+    expect(matches('email:null', row)).toBe(true)
+    expect(matches('path:null', row)).toBe(false)
+  })
+
+  it('should evaluate boolean expressions', () => {
+    expect(matches('status:500 AND path~/api/ AND NOT path~users', row)).toBe(true)
+    expect(matches('status:404 OR orders', row)).toBe(true)
+    expect(matches('NOT (status:500 OR status:404)', row)).toBe(false)
+  })
+})
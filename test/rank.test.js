@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest'
+import { createTopK, scoreMatch } from '../src/rank.js'
+
+/**
+ * @import {TopK} from '../src/rank.js'
+ * @import {MatchSpan, SearchMatch} from '../src/search.js'
+ */
+
+/**
+ * @param {Partial<SearchMatch>} fields
+ * @returns {SearchMatch}
+ */
+function match(fields) {
+  return {
+    file: 'test.parquet', rowGroup: 0, rowOffset: 0, row: {}, matchedColumns: [], spans: [],
+    regex: undefined, outputColumns: [], schema: [], codec: undefined, context: false, ...fields,
+  }
+}
+
+/**
+ * @param {number} start
+ * @returns {MatchSpan}
+ */
+function span(start) {
+  return { column: 'text', start, end: start + 1, text: 'x' }
+}
+
+describe('scoreMatch', () => {
+  it('should score more spans, more columns and earlier spans higher', () => {
+    const base = scoreMatch(match({ spans: [span(5)], matchedColumns: ['a'] }))
+    expect(scoreMatch(match({ spans: [span(5), span(9)], matchedColumns: ['a'] }))).toBeGreaterThan(base)
+    expect(scoreMatch(match({ spans: [span(5)], matchedColumns: ['a', 'b'] }))).toBeGreaterThan(base)
+    expect(scoreMatch(match({ spans: [span(0)], matchedColumns: ['a'] }))).toBeGreaterThan(base)
+  })
+
+  it('should score from 0 to 3', () => {
+    expect(scoreMatch(match({}))).toBe(0)
+    expect(scoreMatch(match({ spans: [span(0)], matchedColumns: ['a'] }))).toBe(2)
+    const many = Array.from({ length: 1000 }, (_, i) => span(i))
+    expect(scoreMatch(match({ spans: many, matchedColumns: ['a', 'b', 'c'] }))).toBeLessThan(3)
+  })
+
+  it('should score fuzzy matches lower the more edits they need', () => {
+    const fields = { spans: [span(0)], matchedColumns: ['a'] }
+    expect(scoreMatch(match({ ...fields, distance: 1 }))).toBe(1)
+    expect(scoreMatch(match({ ...fields, distance: 0 }))).toBe(2)
+  })
+})
+
+describe('createTopK', () => {
+  it('should keep the best values, sorted, and return those displaced', () => {
+    const top = createTopK(3, (/** @type {number} */ a, /** @type {number} */ b) => b - a)
+    const dropped = [5, 1, 9, 3, 7, 2, 8].map(value => top.push(value))
+    expect(top.sorted()).toEqual([9, 8, 7])
+    expect(dropped).toEqual([undefined, undefined, undefined, 1, 3, 2, 5])
+  })
+
+  it('should keep every value with a size of 0', () => {
+    const top = createTopK(0, (/** @type {number} */ a, /** @type {number} */ b) => a - b)
+    for (const value of [3, 1, 2]) top.push(value)
+    expect(top.sorted()).toEqual([1, 2, 3])
+  })
+
+  it('should keep the first of equal values', () => {
+    /** @type {TopK<[number, string]>} */
+    const top = createTopK(2, (a, b) => b[0] - a[0])
+    top.push([1, 'a'])
+    top.push([1, 'b'])
+    expect(top.push([1, 'c'])).toEqual([1, 'c'])
+    expect(top.sorted()).toEqual([[1, 'a'], [1, 'b']])
+  })
+})
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest'
+import { describeDifference, unifySchemas } from '../src/schema.js'
+
+/**
+ * @import {FileSchema} from '../src/schema.js'
+ */
+
+/**
+ * @param {string} file
+ * @param {[string, string][]} columns - Name and type of each column
+ * @returns {FileSchema}
+ */
+function schema(file, columns) {
+  return { file, columns: columns.map(([name, type]) => ({ name, key: name.split('.')[0], path: name.split('.').slice(1), type })), missingColumns: [] }
+}
+
+describe('unifySchemas', () => {
+  it('should have no differences for files with the same columns', () => {
+    const { columns, differences } = unifySchemas([
+      schema('a.parquet', [['id', 'INT32'], ['name', 'BYTE_ARRAY STRING']]),
+      schema('b.parquet', [['id', 'INT32'], ['name', 'BYTE_ARRAY STRING']]),
+    ])
+    expect(columns.map(column => [column.name, column.files])).toEqual([
+      ['id', ['a.parquet', 'b.parquet']],
+      ['name', ['a.parquet', 'b.parquet']],
+    ])
+    expect(differences).toEqual([])
+  })
+
+  it('should list added, missing and type-changed columns against the first file', () => {
+    const { columns, differences } = unifySchemas([
+      schema('a.parquet', [['id', 'INT32'], ['user.name', 'BYTE_ARRAY STRING']]),
+      schema('b.parquet', [['id', 'INT64'], ['user.email', 'BYTE_ARRAY STRING']]),
+      schema('c.parquet', [['user.email', 'BYTE_ARRAY']]),
+    ])
+    expect(columns.map(column => [column.name, column.key, column.path, column.type])).toEqual([
+      ['id', 'id', [], 'INT32'],
+      ['user.name', 'user', ['name'], 'BYTE_ARRAY STRING'],
+      ['user.email', 'user', ['email'], 'BYTE_ARRAY STRING'],
+    ])
+    expect(differences).toEqual([
+      { file: 'b.parquet', column: 'id', kind: 'type-changed', type: 'INT64', expected: 'INT32' },
+      { file: 'b.parquet', column: 'user.email', kind: 'added', type: 'BYTE_ARRAY STRING' },
+      { file: 'b.parquet', column: 'user.name', kind: 'missing' },
+      { file: 'c.parquet', column: 'user.email', kind: 'added', type: 'BYTE_ARRAY' },
+      { file: 'c.parquet', column: 'id', kind: 'missing' },
+      { file: 'c.parquet', column: 'user.name', kind: 'missing' },
+    ])
+  })
+
+  it('should handle no files', () => {
+    expect(unifySchemas([])).toEqual({ columns: [], differences: [] })
+  })
+})
+
+describe('describeDifference', () => {
+  it('should describe each kind of difference', () => {
+    expect(describeDifference({ file: 'b.parquet', column: 'x', kind: 'added', type: 'INT32' })).toBe('b.parquet: has column x (INT32), unlike the first file')
+    expect(describeDifference({ file: 'b.parquet', column: 'x', kind: 'missing' })).toBe('b.parquet: has no column x')
+    expect(describeDifference({ file: 'b.parquet', column: 'x', kind: 'type-changed', type: 'INT64', expected: 'INT32' }))
+      .toBe('b.parquet: column x is INT64, not INT32')
+  })
+})
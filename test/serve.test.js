@@ -0,0 +1,183 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest'
+import { copyFileSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createSearchServer, searchParams } from '../bin/serve.js'
+
+/**
+ * @import {ServeOptions} from '../bin/serve.js'
+ */
+
+const TEST_DIR = join(process.cwd(), 'test/files')
+const server = createSearchServer({ dir: TEST_DIR })
+
+/** @type {string} */
+let url
+
+beforeAll(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)))
+  const address = server.address()
+  if (!address || typeof address !== 'object') throw new Error('server has no address')
+  url = `http://127.0.0.1:${address.port}`
+})
+
+afterAll(() => {
+  server.close()
+})
+
+/**
+ * @param {string} path
+ * @returns {Promise<any[]>} NDJSON records
+ */
+async function searchRecords(path) {
+  const response = await fetch(url + path)
+  expect(response.headers.get('content-type')).toContain('application/x-ndjson')
+  const text = await response.text()
+  return text.trim().split('\n').map(line => JSON.parse(line))
+}
+
+/**
+ * Run a function against another server, closing it afterwards
+ * @param {ServeOptions} options
+ * @param {(url: string) => Promise<void>} run
+ */
+async function withServer(options, run) {
+  const other = createSearchServer(options)
+  await new Promise(resolve => other.listen(0, '127.0.0.1', () => resolve(undefined)))
+  try {
+    const address = other.address()
+    if (!address || typeof address !== 'object') throw new Error('server has no address')
+    await run(`http://127.0.0.1:${address.port}`)
+  } finally {
+    await new Promise(resolve => other.close(resolve))
+  }
+}
+
+describe('createSearchServer', () => {
+  it('should serve the web page', async () => {
+    const response = await fetch(url)
+    expect(response.status).toBe(200)
+    expect(await response.text()).toContain('api/search')
+  })
+
+  it('should list files relative to the directory', async () => {
+    const response = await fetch(`${url}/api/files`)
+    expect(await response.json()).toEqual({ files: ['bunnies.parquet', 'events.parquet', 'subdir/tacos.parquet'] })
+  })
+
+  it('should describe the columns of a file', async () => {
+    const response = await fetch(`${url}/api/schema?file=events.parquet`)
+    const { file, columns } = await response.json()
+    expect(file).toBe('events.parquet')
+    expect(columns).toContainEqual({ name: 'user.email', type: 'BYTE_ARRAY STRING' })
+    expect(columns).toContainEqual({ name: 'amount', type: 'INT32 DECIMAL(9, 2)' })
+  })
+
+  it('should only serve files found in the directory', async () => {
+    const outside = await fetch(`${url}/api/schema?file=${encodeURIComponent('../../package.json')}`)
+    expect(outside.status).toBe(404)
+    const search = await fetch(`${url}/api/search?q=a&file=${encodeURIComponent('../cli.test.js')}`)
+    expect(search.status).toBe(400)
+    expect(await search.json()).toEqual({ error: 'file not found: ../cli.test.js' })
+  })
+
+  it('should stream matches as JSONL records, with spans', async () => {
+    const records = await searchRecords('/api/search?q=lop&file=bunnies.parquet&column=Breed%20Name&select=Breed%20Name&limit=2')
+    expect(records).toEqual([
+      { filename: 'bunnies.parquet', rowOffset: 0, value: { 'Breed Name': 'Holland Lop' }, spans: [{ column: 'Breed Name', start: 8, end: 11, text: 'Lop' }] },
+      { filename: 'bunnies.parquet', rowOffset: 3, value: { 'Breed Name': 'English Lop' }, spans: [{ column: 'Breed Name', start: 8, end: 11, text: 'Lop' }] },
+    ])
+  })
+
+  it('should search every file with query expressions, skipping columns a file lacks', async () => {
+    const records = await searchRecords('/api/search?expr=status%3A500&select=id,name')
+    expect(records.map(record => [record.filename, record.value])).toEqual([
+      ['events.parquet', { id: 2 }],
+      ['events.parquet', { id: 5 }],
+    ])
+  })
+
+  it('should refuse searches over the limit before listing files', async () => {
+    await withServer({ dir: join(TEST_DIR, 'missing'), maxSearches: 0 }, async url => {
+      const response = await fetch(`${url}/api/search?q=a`)
+      expect(response.status).toBe(503)
+      expect(response.headers.get('retry-after')).toBe('1')
+    })
+  })
+
+  it('should reuse the listing of the directory until the interval passes', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'parquet-grep-serve-'))
+    try {
+      copyFileSync(join(TEST_DIR, 'bunnies.parquet'), join(dir, 'a.parquet'))
+      await withServer({ dir, listInterval: 60_000 }, async url => {
+        expect(await (await fetch(`${url}/api/files`)).json()).toEqual({ files: ['a.parquet'] })
+        copyFileSync(join(TEST_DIR, 'bunnies.parquet'), join(dir, 'b.parquet'))
+        expect(await (await fetch(`${url}/api/files`)).json()).toEqual({ files: ['a.parquet'] })
+      })
+      await withServer({ dir, listInterval: 0 }, async url => {
+        expect(await (await fetch(`${url}/api/files`)).json()).toEqual({ files: ['a.parquet', 'b.parquet'] })
+      })
+    } finally {
+      rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('should report files that cannot be read as error records', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'parquet-grep-serve-'))
+    try {
+      copyFileSync(join(TEST_DIR, 'bunnies.parquet'), join(dir, 'a.parquet'))
+      writeFileSync(join(dir, 'b.parquet'), 'not parquet')
+      await withServer({ dir }, async url => {
+        const response = await fetch(`${url}/api/search?q=lop&limit=1`)
+        const records = (await response.text()).trim().split('\n').map(line => JSON.parse(line))
+        expect(records.map(record => [record.filename, record.rowOffset, typeof record.error])).toEqual([
+          ['a.parquet', 0, 'undefined'],
+          ['b.parquet', undefined, 'string'],
+        ])
+      })
+    } finally {
+      rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('should reject invalid searches', async () => {
+    const missing = await fetch(`${url}/api/search`)
+    expect(missing.status).toBe(400)
+    expect(await missing.json()).toEqual({ error: 'q or expr is required' })
+    const invalid = await fetch(`${url}/api/search?q=(`)
+    expect(invalid.status).toBe(400)
+    const column = await fetch(`${url}/api/search?q=a&column=Breed%20Nmae`)
+    expect(column.status).toBe(400)
+    expect(await column.json()).toEqual({ error: 'column not found: Breed Nmae' })
+    const field = await fetch(`${url}/api/search?expr=stauts%3A500`)
+    expect(await field.json()).toEqual({ error: 'column not found: stauts' })
+    const limit = await fetch(`${url}/api/search?q=a&limit=-1`)
+    expect(await limit.json()).toEqual({ error: 'limit must be a non-negative integer' })
+    expect((await fetch(`${url}/api/nope`)).status).toBe(404)
+    expect((await fetch(`${url}/api/search?q=a`, { method: 'POST' })).status).toBe(405)
+  })
+})
+
+describe('searchParams', () => {
+  const files = new Map([['a.parquet', '/data/a.parquet'], ['b/c.parquet', '/data/b/c.parquet']])
+
+  it('should build grep options from request parameters', () => {
+    const options = searchParams(new URLSearchParams('q=Error&fixed=1&file=b/c.parquet&column=msg&column=path&select=id,%20msg&offset=3&invert=true'), files)
+    expect(options).toMatchObject({
+      files: ['/data/b/c.parquet'], columns: ['msg', 'path'], select: ['id', 'msg'], invert: true, limit: 20, offset: 3, allowMissingColumns: true,
+    })
+    /** @type {any} */
+    const regex = options.query
+    expect(regex).toBeInstanceOf(RegExp)
+    expect(regex.test('an error.')).toBe(false)
+    expect(regex.test('an Error.')).toBe(true)
+  })
+
+  it('should search every file with a query expression', () => {
+    const options = searchParams(new URLSearchParams('expr=status:500&where=dt>=2024-01-01&limit=0'), files)
+    expect(options.files).toEqual(['/data/a.parquet', '/data/b/c.parquet'])
+    expect(options.filter).toMatchObject({ type: 'compare', column: 'status' })
+    expect(options.where).toMatchObject({ type: 'compare', column: 'dt' })
+    expect(options.limit).toBe(0)
+  })
+})
@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest'
+import { eachLeaf, someLeaf, stringifyValue, toDecimal, toDisplayValue } from '../src/stringify.js'
+
+describe('stringifyValue', () => {
+  it('should format timestamps as ISO-8601', () => {
+    expect(stringifyValue(new Date(Date.UTC(2024, 0, 3, 10)))).toBe('2024-01-03T10:00:00.000Z')
+  })
+
+  it('should format bigints without loss', () => {
+    expect(stringifyValue(9007199254740993n)).toBe('9007199254740993')
+  })
+
+  it('should decode printable binary as UTF-8', () => {
+    expect(stringifyValue(new TextEncoder().encode('héllo'))).toBe('héllo')
+  })
+
+  it('should format other binary as hex', () => {
+    expect(stringifyValue(new Uint8Array([0xde, 0xad, 0xbe, 0xef]))).toBe('deadbeef')
+    expect(stringifyValue(new Uint8Array([0, 1, 2]))).toBe('000102')
+  })
+
+  it('should format decimals exactly, keeping trailing zeros', () => {
+    expect(stringifyValue(toDecimal(12050, 2))).toBe('120.50')
+    expect(stringifyValue(toDecimal(0, 2))).toBe('0.00')
+    expect(stringifyValue(toDecimal(-5, 3))).toBe('-0.005')
+    expect(stringifyValue(toDecimal(42, 0))).toBe('42')
+    // Beyond float precision
+    expect(stringifyValue(toDecimal(123456789012345678901n, 4))).toBe('12345678901234567.8901')
+  })
+
+  it('should read decimals stored as big-endian two\'s complement bytes', () => {
+    expect(stringifyValue(toDecimal(new Uint8Array([0x2f, 0x12]), 2))).toBe('120.50')
+    expect(stringifyValue(toDecimal(new Uint8Array([0xff, 0xfe]), 1))).toBe('-0.2')
+  })
+})
+
+describe('someLeaf', () => {
+  const value = { name: 'alice', tags: ['web', 'beta'], address: { city: 'Paris', zip: 75001 } }
+
+  it('should test leaves inside structs and lists', () => {
+    expect(someLeaf(value, text => text === 'beta')).toBe(true)
+    expect(someLeaf(value, text => text === '75001')).toBe(true)
+    expect(someLeaf(value, text => text === 'London')).toBe(false)
+  })
+
+  it('should skip excluded fields', () => {
+    expect(someLeaf(value, text => text === 'Paris', [['address', 'city']])).toBe(false)
+    expect(someLeaf(value, text => text === 'Paris', [['address']])).toBe(false)
+    expect(someLeaf(value, text => text === '75001', [['address', 'city']])).toBe(true)
+  })
+
+  it('should never match null', () => {
+    expect(someLeaf(null, () => true)).toBe(false)
+  })
+})
+
+describe('eachLeaf', () => {
+  it('should name leaves by their struct fields and list indexes', () => {
+    /** @type {[string, string][]} */
+    const leaves = []
+    eachLeaf({ tags: ['web', 'beta'], address: { city: 'Paris', zip: null } }, (text, name) => leaves.push([name, text]), 'user', [['address', 'zip']])
+    expect(leaves).toEqual([['user.tags[0]', 'web'], ['user.tags[1]', 'beta'], ['user.address.city', 'Paris']])
+  })
+})
+
+describe('toDisplayValue', () => {
+  it('should convert nested values to JSON-friendly types', () => {
+    const date = new Date(Date.UTC(2024, 0, 3))
+    expect(toDisplayValue({ ts: date, ids: [1n, 2n ** 64n], bytes: new Uint8Array([0xff]) })).toEqual({
+      ts: '2024-01-03T00:00:00.000Z',
+      ids: [1, '18446744073709551616'],
+      bytes: 'ff',
+    })
+  })
+})
@@ -0,0 +1,142 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest'
+import { appendFileSync, copyFileSync, existsSync, mkdtempSync, rmSync, utimesSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { compilePatterns } from '../src/patterns.js'
+import { buildIndex, candidateRowGroups, indexPath, loadIndex, requiredTerms, tokenize, updateIndex } from '../src/tokens.js'
+
+const EVENTS_FILE = join(process.cwd(), 'test/files/events.parquet')
+
+describe('tokenize', () => {
+  it('should split text into case folded runs of letters, digits and underscores', () => {
+    expect(tokenize('Error: card_declined (402)')).toEqual(['error', 'card_declined', '402'])
+    expect(tokenize('Wörld ſome')).toEqual(['wörld', 'some'])
+    expect(tokenize('--')).toEqual([])
+  })
+})
+
+describe('requiredTerms', () => {
+  it('should find the words of literal text, with words at its ends partial', () => {
+    expect(requiredTerms(/error: card/)).toEqual([[
+      { term: 'error', start: false, end: true },
+      { term: 'card', start: true, end: false },
+    ]])
+    expect(requiredTerms(/Alice/)).toEqual([[{ term: 'alice', start: false, end: false }]])
+  })
+
+  it('should find the words of each alternative, through groups and assertions', () => {
+    expect(requiredTerms(compilePatterns(['alice', 'bob smith'], { wholeWord: true }))).toEqual([
+      [{ term: 'alice', start: false, end: false }],
+      [{ term: 'bob', start: false, end: true }, { term: 'smith', start: true, end: false }],
+    ])
+    expect(requiredTerms(/^(?<user>alice)@example\.com$/)).toEqual([[
+      { term: 'example', start: true, end: true },
+      { term: 'com', start: true, end: false },
+    ]])
+  })
+
+  it('should leave out optional characters and stop at repeated ones', () => {
+    expect(requiredTerms(/colou?r/)).toEqual([[{ term: 'colo', start: false, end: false }, { term: 'r', start: false, end: false }]])
+    expect(requiredTerms(/ab+cd/)).toEqual([[{ term: 'ab', start: false, end: false }, { term: 'cd', start: false, end: false }]])
+    expect(requiredTerms(/[xy]z\x41/)).toEqual([[{ term: 'z', start: false, end: false }]])
+  })
+
+  it('should find nothing when some alternative can match without a word', () => {
+    expect(requiredTerms(/\d+/)).toBeUndefined()
+    expect(requiredTerms(/alice|.*/)).toBeUndefined()
+    expect(requiredTerms(/(?:alice)?/)).toBeUndefined()
+    expect(requiredTerms(compilePatterns([]))).toBeUndefined()
+    expect(requiredTerms(compilePatterns(['']))).toBeUndefined()
+  })
+
+  it('should find nothing for fuzzy patterns, which match other text', () => {
+    expect(requiredTerms(compilePatterns(['alice'], { fuzzy: 1 }))).toBeUndefined()
+  })
+})
+
+describe('token index', () => {
+  /** @type {string} */
+  let dir
+  /** @type {string} */
+  let file
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), 'parquet-grep-index-'))
+    file = join(dir, 'events.parquet')
+    copyFileSync(EVENTS_FILE, file)
+  })
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('should map sorted tokens to the row groups containing them', async () => {
+    const { index, postings } = await buildIndex(file)
+    expect(index.rowGroups).toEqual([{ rowStart: 0, numRows: 3 }, { rowStart: 3, numRows: 3 }, { rowStart: 6, numRows: 2 }])
+    expect(index.tokens).toEqual([...index.tokens].sort())
+    /**
+     * @param {string} token
+     * @returns {number[] | undefined}
+     */
+    function groups(token) {
+      return index.tokens.includes(token) ? postings[index.tokens.indexOf(token)] : undefined
+    }
+    expect(groups('declined')).toEqual([1])
+    expect(groups('error')).toEqual([0, 1])
+    expect(groups('mozilla')).toEqual([0, 1, 2])
+    // Decimals are rounded, as they are searched
+    expect(groups('19')).toEqual([0])
+    expect(groups('990000000000002')).toBeUndefined()
+  })
+
+  it('should find the row groups with every word of an alternative', async () => {
+    await updateIndex(file)
+    expect(await candidateRowGroups(file, [[{ term: 'card', start: true, end: true }]], 3)).toEqual(new Set([1]))
+    // Partial words are found within longer tokens
+    expect(await candidateRowGroups(file, [[{ term: 'declin', start: true, end: false }]], 3)).toEqual(new Set([1]))
+    expect(await candidateRowGroups(file, [[{ term: 'eclin', start: false, end: false }]], 3)).toEqual(new Set([1]))
+    expect(await candidateRowGroups(file, [[{ term: 'ayments', start: false, end: true }]], 3)).toEqual(new Set([1]))
+    expect(await candidateRowGroups(file, [[{ term: 'zzz', start: true, end: false }]], 3)).toEqual(new Set())
+    // Both words are in row group 0, though in different rows
+    expect(await candidateRowGroups(file, [[{ term: 'alice', start: true, end: true }, { term: 'timeout', start: true, end: true }]], 3)).toEqual(new Set([0]))
+    expect(await candidateRowGroups(file, [[{ term: 'alice', start: true, end: true }, { term: 'declined', start: true, end: true }]], 3)).toEqual(new Set())
+    expect(await candidateRowGroups(file, [
+      [{ term: 'grace', start: true, end: true }],
+      [{ term: 'bob', start: true, end: true }],
+    ], 3)).toEqual(new Set([0, 2]))
+    // An index of other row groups is not used
+    expect(await candidateRowGroups(file, [[{ term: 'card', start: true, end: true }]], 4)).toBeUndefined()
+  })
+
+  it('should write the index beside the file and load it while the file is unchanged', async () => {
+    rmSync(indexPath(file), { force: true })
+    expect(await loadIndex(file)).toBeUndefined()
+    expect(await updateIndex(file)).toBe(true)
+    expect(existsSync(join(dir, '.parquet-grep-index', 'events.parquet.tokens'))).toBe(true)
+    expect(await loadIndex(file)).toEqual((await buildIndex(file)).index)
+    expect(await updateIndex(file)).toBe(false)
+  })
+
+  it('should ignore the index once the modification time of the file changes', async () => {
+    await updateIndex(file)
+    utimesSync(file, new Date(), new Date(Date.now() + 60_000))
+    expect(await loadIndex(file)).toBeUndefined()
+    expect(await updateIndex(file)).toBe(true)
+    expect(await loadIndex(file)).toBeDefined()
+  })
+
+  it('should ignore the index once the size of the file changes, even at the same time', async () => {
+    const time = new Date('2024-01-01T00:00:00Z')
+    utimesSync(file, time, time)
+    await updateIndex(file)
+    appendFileSync(file, 'x')
+    utimesSync(file, time, time)
+    expect(await loadIndex(file)).toBeUndefined()
+  })
+
+  it('should ignore an index that cannot be read', async () => {
+    writeFileSync(indexPath(file), '{')
+    expect(await loadIndex(file)).toBeUndefined()
+    expect(await candidateRowGroups(file, [[{ term: 'card', start: true, end: true }]], 3)).toBeUndefined()
+  })
+})